@@ -0,0 +1,669 @@
+/**
+ * Chrome Extension Background Service Worker
+ * Owns the extension's settings: the popup and content scripts ask it for the
+ * settings that apply to a tab and send it their changes (see
+ * extension-messages.js). It pushes changes to open tabs, shows each tab's
+ * theme on the toolbar badge, flips scheduled themes on time and handles
+ * keyboard commands for the active tab. The site access list decides which
+ * pages the content scripts style at all, and site styles add the user's own
+ * element rules and CSS.
+ */
+
+importScripts('theme-schedule.js', 'theme-filters.js', 'site-profiles.js', 'extension-messages.js');
+
+const SCHEDULE_ALARM = 'theme-schedule';
+
+// Settings that apply everywhere, whichever scope the popup saves to
+const GLOBAL_SETTING_KEYS = ['customThemes', 'customFonts', 'schedule', 'siteProfiles', 'siteAccess',
+    'detectNativeDark', 'siteStyles', 'version'];
+
+// Toolbar badge text and colour for the built-in themes; custom themes use
+// their name and background colour
+const THEME_BADGES = {
+    light: { text: 'Lt', color: '#e5e7eb', textColor: '#111827' },
+    dark: { text: 'Dk', color: '#1f2937', textColor: '#f9fafb' },
+    auto: { text: 'Auto', color: '#6b7280', textColor: '#ffffff' }
+};
+
+// Badge for pages the site access list turns the extension off on
+const DISABLED_BADGE = { text: 'Off', color: '#9ca3af', textColor: '#111827' };
+
+// Badge for a keyboard command that couldn't save its change
+const ERROR_BADGE = { text: '!', color: '#dc2626', textColor: '#ffffff' };
+
+// Pages the content scripts can run in
+const CONTENT_SCRIPT_URL = /^(https?|file):/;
+
+// Values the settings commands step through; custom themes and fonts are added
+const COMMAND_THEMES = ['light', 'dark', 'auto'];
+const COMMAND_FONTS = ['system', 'serif', 'sans-serif', 'monospace', 'cursive'];
+const COMMAND_FONT_SIZES = ['small', 'medium', 'large', 'extra-large'];
+
+// What the reset commands restore; the other site settings are cleared, so
+// the page keeps its own sizes and spacing and no filters apply
+const COMMAND_DEFAULTS = { theme: 'light', font: 'system', fontSize: 'medium' };
+
+// Site styles are stored one sync item per pattern, `siteStyles:<pattern>`, so
+// each site's CSS has the whole per-item quota. Older versions kept them all
+// in one `siteStyles` item, which is still read and is removed on the next save.
+const SITE_STYLES_ITEM_PREFIX = 'siteStyles:';
+
+// Theme and font names as the plugin accepts them. Content scripts write the
+// names, custom theme values and font definitions into <style> elements, so
+// the worker refuses anything that could end a rule, as theme-bootstrap.js does.
+const SETTING_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+const FONT_DISPLAYS = ['auto', 'block', 'swap', 'fallback', 'optional'];
+
+// Work out the scheduled theme, publish it to content scripts and set the next alarm
+function updateSchedule() {
+    chrome.storage.sync.get(['schedule'], (result) => {
+        let scheduledTheme;
+        let next;
+
+        try {
+            scheduledTheme = ThemeSchedule.getScheduledTheme(result.schedule || {});
+            next = ThemeSchedule.getNextScheduleTransition(result.schedule || {});
+        } catch (error) {
+            console.warn('Invalid theme schedule', error);
+            chrome.alarms.clear(SCHEDULE_ALARM);
+            return;
+        }
+
+        // Content scripts resolve the 'schedule' theme from this value
+        chrome.storage.local.get(['scheduledTheme'], (local) => {
+            if (local.scheduledTheme !== scheduledTheme) {
+                chrome.storage.local.set({ scheduledTheme: scheduledTheme });
+            }
+        });
+
+        // Alarms fire as soon as possible after sleep/resume if their time has passed
+        const when = next ? next.getTime() : Date.now() + ThemeSchedule.SCHEDULE_MAX_DELAY;
+        chrome.alarms.create(SCHEDULE_ALARM, { when: when });
+    });
+}
+
+// Stored sync values (global settings, site profiles, custom themes and
+// fonts, the schedule) and the scheduled theme. Loaded when the worker starts
+// and kept current from chrome.storage.onChanged, which also brings in
+// changes synced from other devices.
+let settingsState = null;
+
+// What each tab was last sent, so unchanged tabs aren't messaged again
+const tabStates = new Map();
+
+// Writes run one at a time, so each builds on the values the last one saved
+let storageWrites = Promise.resolve();
+
+// Load the settings state once per worker start
+function getSettingsState() {
+    if (!settingsState) {
+        settingsState = new Promise(resolve => {
+            chrome.storage.sync.get(null, (stored) => {
+                chrome.storage.local.get(['scheduledTheme'], (local) => {
+                    resolve({ stored: stored || {}, scheduledTheme: local.scheduledTheme || 'light' });
+                });
+            });
+        });
+    }
+    return settingsState;
+}
+
+// The settings that apply to a page, plus what the content script needs to render them
+function getTabState(state, url) {
+    return {
+        enabled: isSiteEnabled(state.stored.siteAccess, url),
+        // Pages with a dark theme of their own are left alone unless turned off
+        detectNativeDark: state.stored.detectNativeDark !== false,
+        settings: resolveSiteSettings(state.stored, url),
+        customThemes: state.stored.customThemes || {},
+        customFonts: state.stored.customFonts || {},
+        siteStyles: resolveSiteStyles(getStoredSiteStyles(state.stored), url),
+        scheduledTheme: state.scheduledTheme
+    };
+}
+
+// The site styles map from the stored items; invalid entries are left out
+function getStoredSiteStyles(stored) {
+    const siteStyles = {};
+    const items = Object.keys(stored).filter(key => key.startsWith(SITE_STYLES_ITEM_PREFIX))
+        .map(key => [key.slice(SITE_STYLES_ITEM_PREFIX.length), stored[key]]);
+
+    [...Object.entries(stored.siteStyles || {}), ...items].forEach(([pattern, styles]) => {
+        if (isValidSiteStyles({ [pattern]: styles })) siteStyles[pattern] = styles;
+    });
+    return siteStyles;
+}
+
+// The stored value changes that save a site styles map: an item for each
+// site whose styles changed, and null for the sites it no longer has and for
+// the old single item
+function getSiteStylesValues(stored, siteStyles) {
+    const values = stored.siteStyles !== undefined ? { siteStyles: null } : {};
+
+    Object.keys(stored).filter(key => key.startsWith(SITE_STYLES_ITEM_PREFIX)).forEach(key => {
+        values[key] = null;
+    });
+    Object.entries(siteStyles || {}).forEach(([pattern, styles]) => {
+        const key = SITE_STYLES_ITEM_PREFIX + pattern;
+        if (JSON.stringify(stored[key]) === JSON.stringify(styles)) {
+            delete values[key];
+        } else {
+            values[key] = styles;
+        }
+    });
+    return values;
+}
+
+// The stored settings as the protocol names them, with the site styles as one map
+function getSettingValues(stored) {
+    const values = {};
+    Object.keys(stored).filter(key => key !== 'siteStyles' && !key.startsWith(SITE_STYLES_ITEM_PREFIX)).forEach(key => {
+        values[key] = stored[key];
+    });
+
+    const siteStyles = getStoredSiteStyles(stored);
+    if (Object.keys(siteStyles).length) values.siteStyles = siteStyles;
+    return values;
+}
+
+// Merge stored value changes into the state; null removes a value
+function applyStateChanges(state, changes) {
+    Object.entries(changes).forEach(([key, value]) => {
+        if (value === null || value === undefined) {
+            delete state.stored[key];
+        } else {
+            state.stored[key] = value;
+        }
+    });
+}
+
+// Whether a value is an object of named values, not an array
+function isValueMap(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Whether a value is a custom themes map: theme names to custom properties
+// and values that can't end the rule they're written into
+function isValidCustomThemes(customThemes) {
+    return isValueMap(customThemes) && Object.entries(customThemes).every(([name, tokens]) =>
+        SETTING_NAME_PATTERN.test(name) && isValueMap(tokens)
+        && Object.entries(tokens).every(([property, value]) => /^--[\w-]+$/.test(property)
+            && typeof value === 'string' && !/[;{}<>]/.test(value)));
+}
+
+// Whether a value is a font source as the plugin normalizes them
+function isValidFontSource(source) {
+    return isValueMap(source)
+        && typeof source.url === 'string' && !!source.url && !/["'\\\n()]/.test(source.url)
+        && (!source.format || (typeof source.format === 'string' && /^[\w-]+$/.test(source.format)))
+        && /^\d{3}$/.test(source.weight)
+        && ['normal', 'italic'].includes(source.style);
+}
+
+// Whether a value is a custom fonts map: font names to definitions as the
+// plugin's registerFont() normalizes them
+function isValidCustomFonts(customFonts) {
+    return isValueMap(customFonts) && Object.entries(customFonts).every(([name, font]) =>
+        SETTING_NAME_PATTERN.test(name) && isValueMap(font) && font.name === name
+        && typeof font.family === 'string' && !!font.family && !/["';{}<>\\]/.test(font.family)
+        && typeof font.fallback === 'string' && !/[;{}<>]/.test(font.fallback)
+        && FONT_DISPLAYS.includes(font.display)
+        && Array.isArray(font.weights) && font.weights.every(weight => /^\d{3}$/.test(weight))
+        && Array.isArray(font.sources) && font.sources.length > 0 && font.sources.every(isValidFontSource));
+}
+
+/**
+ * Save setting changes globally, or into the site profile for `pattern`.
+ * Null removes a value. Custom themes, fonts, the schedule and the site
+ * profiles themselves are always global.
+ */
+function saveSettingChanges(changes, pattern) {
+    const invalid = Object.keys(changes).filter(key => !SITE_SETTING_KEYS.includes(key) && !GLOBAL_SETTING_KEYS.includes(key));
+    if (invalid.length) {
+        return Promise.reject(createMessageError(MESSAGE_ERRORS.invalidSetting, `Unknown setting "${invalid[0]}"`));
+    }
+    if (pattern !== undefined && !parseSitePattern(pattern).host) {
+        return Promise.reject(createMessageError(MESSAGE_ERRORS.invalidSetting, `Invalid site pattern "${pattern}"`));
+    }
+    if (hasSiteSetting(changes.siteAccess) && !isValidSiteAccess(changes.siteAccess)) {
+        return Promise.reject(createMessageError(MESSAGE_ERRORS.invalidSetting, 'Invalid site access list'));
+    }
+    const invalidName = ['theme', 'font'].find(key => hasSiteSetting(changes[key])
+        && !(typeof changes[key] === 'string' && SETTING_NAME_PATTERN.test(changes[key])));
+    if (invalidName) {
+        return Promise.reject(createMessageError(MESSAGE_ERRORS.invalidSetting, `Invalid ${invalidName} "${changes[invalidName]}"`));
+    }
+    if (hasSiteSetting(changes.fontSize) && !COMMAND_FONT_SIZES.includes(changes.fontSize)) {
+        return Promise.reject(createMessageError(MESSAGE_ERRORS.invalidSetting, `Invalid fontSize "${changes.fontSize}"`));
+    }
+    if (hasSiteSetting(changes.customThemes) && !isValidCustomThemes(changes.customThemes)) {
+        return Promise.reject(createMessageError(MESSAGE_ERRORS.invalidSetting, 'Invalid custom themes'));
+    }
+    if (hasSiteSetting(changes.customFonts) && !isValidCustomFonts(changes.customFonts)) {
+        return Promise.reject(createMessageError(MESSAGE_ERRORS.invalidSetting, 'Invalid custom fonts'));
+    }
+    if (hasSiteSetting(changes.detectNativeDark) && typeof changes.detectNativeDark !== 'boolean') {
+        return Promise.reject(createMessageError(MESSAGE_ERRORS.invalidSetting, 'detectNativeDark must be true or false'));
+    }
+    if (hasSiteSetting(changes.siteStyles) && !isValidSiteStyles(changes.siteStyles)) {
+        return Promise.reject(createMessageError(MESSAGE_ERRORS.invalidSetting, 'Invalid site styles'));
+    }
+    if (hasSiteSetting(changes.filters)) {
+        // Saved complete, so content scripts and profiles get every filter
+        try {
+            changes = { ...changes, filters: ThemeFilters.normalizeFilters(changes.filters) };
+        } catch (error) {
+            return Promise.reject(createMessageError(MESSAGE_ERRORS.invalidSetting, `Invalid filters: ${error.message}`));
+        }
+    }
+
+    return updateStoredValues((state) => {
+        const globalChanges = {};
+        let profile = null;
+
+        Object.entries(changes).forEach(([key, value]) => {
+            if (pattern === undefined || !SITE_SETTING_KEYS.includes(key)) {
+                globalChanges[key] = value;
+                return;
+            }
+
+            profile = profile || { ...((state.stored.siteProfiles || {})[pattern] || {}) };
+            if (value === null) {
+                delete profile[key];
+            } else {
+                profile[key] = value;
+            }
+        });
+
+        if (profile) {
+            globalChanges.siteProfiles = { ...(globalChanges.siteProfiles || state.stored.siteProfiles || {}), [pattern]: profile };
+        }
+        if (globalChanges.siteStyles !== undefined) {
+            const { siteStyles, ...values } = globalChanges;
+            return { ...values, ...getSiteStylesValues(state.stored, siteStyles) };
+        }
+        return globalChanges;
+    }).then(() => ({}));
+}
+
+/**
+ * Save the values `getValues(state)` returns once the writes before it are
+ * done. Resolves with the saved values; rejects with a protocol error if
+ * they couldn't be saved, or with what `getValues` threw.
+ */
+function updateStoredValues(getValues) {
+    const update = storageWrites
+        .then(getSettingsState)
+        .then((state) => {
+            const values = getValues(state);
+            return saveStoredValues(state, values).then(() => values);
+        });
+
+    storageWrites = update.catch(() => {});
+    return update;
+}
+
+// Write changed values to sync storage, then take them into the state; on
+// failure the state keeps the saved values. Tabs are updated from onChanged.
+// Items over the per-item quota are refused before anything is written.
+function saveStoredValues(state, values) {
+    const removals = Object.keys(values).filter(key => values[key] === null);
+    const updates = {};
+    Object.keys(values).filter(key => values[key] !== null).forEach(key => {
+        updates[key] = values[key];
+    });
+
+    const quota = chrome.storage.sync.QUOTA_BYTES_PER_ITEM;
+    const oversized = Object.keys(updates).find(key => getStorageItemSize(key, updates[key]) > quota);
+    if (oversized) {
+        const name = oversized.startsWith(SITE_STYLES_ITEM_PREFIX)
+            ? `site styles for ${oversized.slice(SITE_STYLES_ITEM_PREFIX.length)}`
+            : `"${oversized}"`;
+        return Promise.reject(createMessageError(MESSAGE_ERRORS.quotaExceeded,
+            `Settings not saved: ${name} would take ${getStorageItemSize(oversized, updates[oversized])} bytes, `
+            + `over the ${quota} bytes sync storage allows per item`));
+    }
+
+    const writes = [];
+    if (Object.keys(updates).length) writes.push(chrome.storage.sync.set(updates));
+    if (removals.length) writes.push(chrome.storage.sync.remove(removals));
+    return Promise.all(writes).then(
+        () => applyStateChanges(state, values),
+        (error) => {
+            throw toStorageError(error);
+        }
+    );
+}
+
+// Sync storage counts an item as its key plus its value as JSON, in UTF-8 bytes
+function getStorageItemSize(key, value) {
+    return new TextEncoder().encode(key + JSON.stringify(value)).length;
+}
+
+// A protocol error for a failed storage write; Chrome names the quota a write exceeded
+function toStorageError(error) {
+    const message = String(error && error.message ? error.message : error);
+    const code = /quota/i.test(message) ? MESSAGE_ERRORS.quotaExceeded : MESSAGE_ERRORS.storageFailed;
+    return createMessageError(code, `Settings not saved: ${message}`);
+}
+
+// Send each open tab the settings that now apply to it, and update its badge
+function publishSettings(state) {
+    chrome.tabs.query({}, (tabs) => {
+        tabs.forEach(tab => {
+            if (!tab.url || !CONTENT_SCRIPT_URL.test(tab.url)) return;
+
+            const tabState = getTabState(state, tab.url);
+            updateActionBadge(tab.id, tabState);
+
+            const key = JSON.stringify(tabState);
+            if (tabStates.get(tab.id) === key) return;
+
+            // Recorded before sending, so a publish that overlaps this one skips the tab
+            tabStates.set(tab.id, key);
+            sendExtensionMessage({ action: 'applySettings', ...tabState }, tab.id).catch(() => {
+                // Tabs still loading ask for their settings once the content script runs
+                if (tabStates.get(tab.id) === key) tabStates.delete(tab.id);
+            });
+        });
+    });
+}
+
+// Show a tab's theme on the toolbar button, or that the extension is off there
+function updateActionBadge(tabId, tabState) {
+    if (!tabState.enabled) {
+        setActionBadge(tabId, DISABLED_BADGE, 'Theme & Font Toggle: Off on this site');
+        return;
+    }
+
+    const theme = tabState.settings.theme || 'light';
+    const shownTheme = theme === 'schedule' ? tabState.scheduledTheme : theme;
+    const tokens = tabState.customThemes[shownTheme];
+    const badge = THEME_BADGES[shownTheme] || {
+        text: shownTheme.charAt(0).toUpperCase() + shownTheme.slice(1, 4),
+        color: tokens && tokens['--bg-primary'] ? tokens['--bg-primary'] : THEME_BADGES.light.color,
+        textColor: tokens && tokens['--text-primary'] ? tokens['--text-primary'] : THEME_BADGES.light.textColor
+    };
+
+    const name = shownTheme.charAt(0).toUpperCase() + shownTheme.slice(1);
+    const title = theme === 'schedule'
+        ? `Theme & Font Toggle: ${name} theme (scheduled)`
+        : `Theme & Font Toggle: ${name} theme`;
+
+    setActionBadge(tabId, badge, title);
+}
+
+// Set a tab's badge text, colours and tooltip
+function setActionBadge(tabId, badge, title) {
+    chrome.action.setBadgeText({ tabId: tabId, text: badge.text });
+    chrome.action.setBadgeBackgroundColor({ tabId: tabId, color: badge.color });
+    // Badge text colours need Chrome 110
+    if (chrome.action.setBadgeTextColor) {
+        chrome.action.setBadgeTextColor({ tabId: tabId, color: badge.textColor });
+    }
+    chrome.action.setTitle({ tabId: tabId, title: title });
+}
+
+// Tabs open before an install or update have no content scripts from this
+// version (an update disconnects the old ones), so inject them into every
+// frame, each in the world the manifest declares
+function injectContentScripts() {
+    const contentScripts = chrome.runtime.getManifest().content_scripts;
+
+    chrome.tabs.query({}, (tabs) => {
+        tabs.filter(tab => tab.url && CONTENT_SCRIPT_URL.test(tab.url)).forEach(tab => {
+            sendExtensionMessage({ action: 'ping' }, tab.id).catch(() => {
+                tabStates.delete(tab.id);
+                return Promise.all(contentScripts.map(script => chrome.scripting.executeScript({
+                    target: { tabId: tab.id, allFrames: !!script.all_frames },
+                    files: script.js,
+                    world: script.world || 'ISOLATED'
+                })));
+            }).catch(() => {
+                // Pages the extension may not script, like the Chrome Web Store
+            });
+        });
+    });
+}
+
+// Pass a popup request on to the content script in a tab, the active one by default
+function forwardToTab(tabId, message) {
+    const tabReady = tabId !== undefined
+        ? Promise.resolve(tabId)
+        : new Promise(resolve => chrome.tabs.query({ active: true, currentWindow: true }, tabs => resolve(tabs[0] && tabs[0].id)));
+
+    return tabReady.then((id) => {
+        if (id === undefined) {
+            throw createMessageError(MESSAGE_ERRORS.noReceiver, 'No active tab');
+        }
+        return sendExtensionMessage(message, id);
+    }).then(({ success, ...result }) => result);
+}
+
+handleExtensionMessages({
+    // Content scripts ask for their own tab; the popup names the active tab's URL
+    getSettings(message, sender) {
+        const url = message.url || (sender.tab && sender.tab.url);
+
+        return getSettingsState().then((state) => {
+            const tabState = getTabState(state, url);
+            if (sender.tab && sender.tab.id !== undefined) {
+                tabStates.set(sender.tab.id, JSON.stringify(tabState));
+                updateActionBadge(sender.tab.id, tabState);
+            }
+            return { ...tabState, sitePatterns: getMatchingSitePatterns(state.stored.siteProfiles, url) };
+        });
+    },
+
+    getStoredSettings() {
+        return getSettingsState().then(state => ({ stored: JSON.parse(JSON.stringify(getSettingValues(state.stored))) }));
+    },
+
+    updateSettings(message) {
+        return saveSettingChanges(message.changes, message.pattern);
+    },
+
+    // The popup's "Enabled on this site" switch
+    setSiteEnabled(message) {
+        return updateStoredValues((state) => {
+            try {
+                return { siteAccess: setSiteAccessEnabled(state.stored.siteAccess, message.url, message.enabled, message.pattern) };
+            } catch (error) {
+                throw createMessageError(MESSAGE_ERRORS.invalidSetting, error.message.replace(/^SiteProfiles: /, ''));
+            }
+        }).then(({ siteAccess }) => ({ enabled: isSiteEnabled(siteAccess, message.url), siteAccess: siteAccess }));
+    },
+
+    // Rules made with the element picker are saved for the page's hostname
+    saveElementRule(message, sender) {
+        const location = toSiteLocation(message.url || (sender.tab && sender.tab.url) || '');
+
+        return updateStoredValues((state) => {
+            try {
+                if (!location || !location.hostname) {
+                    throw new Error('SiteProfiles: Only pages with a hostname can have element rules');
+                }
+                const siteStyles = setElementRule(getStoredSiteStyles(state.stored), location.hostname, message.rule);
+                return getSiteStylesValues(state.stored, siteStyles);
+            } catch (error) {
+                throw createMessageError(MESSAGE_ERRORS.invalidSetting, error.message.replace(/^SiteProfiles: /, ''));
+            }
+        }).then(() => ({ pattern: location.hostname }));
+    },
+
+    removeSiteProfile(message) {
+        return updateStoredValues((state) => {
+            const siteProfiles = { ...(state.stored.siteProfiles || {}) };
+            if (!siteProfiles[message.pattern]) {
+                throw createMessageError(MESSAGE_ERRORS.notFound, `No site profile for "${message.pattern}"`);
+            }
+
+            delete siteProfiles[message.pattern];
+            return { siteProfiles: siteProfiles };
+        }).then(() => ({}));
+    },
+
+    toggleReaderMode(message) {
+        return forwardToTab(message.tabId, { action: 'toggleReaderMode' });
+    },
+
+    auditContrast(message) {
+        return forwardToTab(message.tabId, { action: 'auditContrast', level: message.level });
+    },
+
+    startElementPicker(message) {
+        return forwardToTab(message.tabId, { action: 'startElementPicker' });
+    }
+});
+
+chrome.runtime.onInstalled.addListener((details) => {
+    updateSchedule();
+    if (details.reason === 'install' || details.reason === 'update') {
+        injectContentScripts();
+    }
+    getSettingsState().then(publishSettings);
+});
+
+chrome.runtime.onStartup.addListener(() => {
+    updateSchedule();
+    getSettingsState().then(publishSettings);
+});
+
+// A navigated tab gets its badge for the new page; its content script asks for the settings
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+    if (!changeInfo.url || !CONTENT_SCRIPT_URL.test(changeInfo.url)) return;
+
+    tabStates.delete(tabId);
+    getSettingsState().then(state => updateActionBadge(tabId, getTabState(state, tab.url)));
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+    tabStates.delete(tabId);
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === SCHEDULE_ALARM) {
+        updateSchedule();
+    }
+});
+
+// The next value in a list, wrapping around; unknown values start from the first
+function getNextCommandValue(values, current) {
+    return values[(values.indexOf(current) + 1) % values.length];
+}
+
+// The setting changes a command makes, given what the page currently resolves to
+function getCommandChanges(command, settings, stored) {
+    const fontSizeIndex = Math.max(0, COMMAND_FONT_SIZES.indexOf(settings.fontSize || COMMAND_DEFAULTS.fontSize));
+    const clearSettings = keys => keys.reduce((changes, key) => ({ ...changes, [key]: null }), {});
+
+    switch (command) {
+        case 'cycle-theme':
+            return {
+                theme: getNextCommandValue([...COMMAND_THEMES, ...Object.keys(stored.customThemes || {})],
+                    settings.theme || COMMAND_DEFAULTS.theme)
+            };
+        case 'next-font':
+            return {
+                font: getNextCommandValue([...COMMAND_FONTS, ...Object.keys(stored.customFonts || {})],
+                    settings.font || COMMAND_DEFAULTS.font)
+            };
+        case 'increase-font-size':
+            return { fontSize: COMMAND_FONT_SIZES[Math.min(COMMAND_FONT_SIZES.length - 1, fontSizeIndex + 1)] };
+        case 'decrease-font-size':
+            return { fontSize: COMMAND_FONT_SIZES[Math.max(0, fontSizeIndex - 1)] };
+        case 'reset-font-size':
+            return { fontSize: COMMAND_DEFAULTS.fontSize, ...clearSettings(['fontScale']) };
+        case 'reset-all':
+            return { ...clearSettings(SITE_SETTING_KEYS), ...COMMAND_DEFAULTS };
+        default:
+            return null;
+    }
+}
+
+// The values that save each change where the page's current value comes from:
+// the most specific site profile that sets it, or the global settings. Null
+// removes a value from every profile for the page and the global settings, so
+// none of them applies.
+function getCommandStoredValues(stored, url, changes) {
+    const siteProfiles = { ...(stored.siteProfiles || {}) };
+    const patterns = getMatchingSitePatterns(siteProfiles, url).reverse();
+    const globalChanges = {};
+    let profilesChanged = false;
+
+    Object.entries(changes).forEach(([key, value]) => {
+        const setting = patterns.filter(name => hasSiteSetting(siteProfiles[name][key]));
+        const profilePatterns = value === null ? setting : setting.slice(0, 1);
+
+        profilePatterns.forEach(pattern => {
+            const profile = { ...siteProfiles[pattern] };
+            if (value === null) {
+                delete profile[key];
+            } else {
+                profile[key] = value;
+            }
+            siteProfiles[pattern] = profile;
+            profilesChanged = true;
+        });
+        if (value === null || !profilePatterns.length) {
+            globalChanges[key] = value;
+        }
+    });
+
+    if (profilesChanged) globalChanges.siteProfiles = siteProfiles;
+    return globalChanges;
+}
+
+// Change a setting for the page in the active tab; open tabs are updated from storage.
+// Pages the extension is off on ignore the commands. A change that isn't saved
+// is reported on the tab's badge until its settings are next published.
+function runSettingCommand(command, tab) {
+    return updateStoredValues((state) => {
+        if (!isSiteEnabled(state.stored.siteAccess, tab.url)) return {};
+
+        const changes = getCommandChanges(command, resolveSiteSettings(state.stored, tab.url), state.stored);
+        return changes ? getCommandStoredValues(state.stored, tab.url, changes) : {};
+    }).catch((error) => {
+        console.warn('Settings command failed', error);
+        setActionBadge(tab.id, ERROR_BADGE, `Theme & Font Toggle: ${error.message.replace(/^ExtensionMessages: /, '')}`);
+    });
+}
+
+// Keyboard commands act on the page in the active tab
+chrome.commands.onCommand.addListener((command) => {
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+        if (!tabs[0]) return;
+
+        if (command !== 'toggle-reader-mode') {
+            runSettingCommand(command, tabs[0]);
+            return;
+        }
+
+        sendExtensionMessage({ action: 'toggleReaderMode' }, tabs[0].id).catch(() => {
+            // Pages without the content script (chrome:// and the like) can't respond
+        });
+    });
+});
+
+// Keep the state current, whoever changed storage, and push it to open tabs
+chrome.storage.onChanged.addListener((changes, namespace) => {
+    if (namespace === 'sync' && changes.schedule) {
+        // Re-plan when the schedule is edited in the popup
+        updateSchedule();
+    }
+
+    if (namespace !== 'sync' && !(namespace === 'local' && changes.scheduledTheme)) return;
+
+    getSettingsState().then((state) => {
+        if (namespace === 'local') {
+            state.scheduledTheme = changes.scheduledTheme.newValue || 'light';
+        } else {
+            const values = {};
+            Object.entries(changes).forEach(([key, change]) => {
+                values[key] = change.newValue === undefined ? null : change.newValue;
+            });
+            applyStateChanges(state, values);
+        }
+        publishSettings(state);
+    });
+});
@@ -1,11 +1,84 @@
 /**
  * Chrome Extension Content Script
- * Applies theme and font changes to web pages
+ * Applies theme and font changes to web pages. It runs in every frame, with
+ * the settings of the tab's top-level page, and styles open shadow roots
+ * through shadow-styles.js. The user's element rules and CSS for the site
+ * style the top-level page, after the theme styles. Colour-vision filters
+ * (theme-filters.js) go on the top-level page, whose filter its frames
+ * already show through; reduced motion applies in every frame.
  */
 
 // Initialize theme toggle for the current page
 let pageThemeToggle = null;
 
+// Settings currently applied to this page after site profile resolution
+let appliedSettings = {};
+
+// Stylesheets for open shadow roots, which the page's own styles don't reach
+const shadowStyles = new ShadowStyles();
+
+// Darkening engine for pages that don't support dark mode themselves
+const pageDarkener = new PageDarkener({ shadowStyles: shadowStyles });
+
+// Custom themes created in the popup's palette editor
+let customThemes = {};
+
+// Web fonts registered in the popup
+let customFonts = {};
+
+// Font a pending web font load will switch to
+let pendingFont = null;
+
+// Font scaling and text spacing engine
+const pageTypography = new PageTypography({ shadowStyles: shadowStyles });
+
+// Article overlay shown by reader mode
+const readerMode = new ReaderMode();
+
+// Reader mode, contrast audits and site styles act on the tab's top-level page only
+const isTopFrame = window === window.top;
+
+// Element rules and CSS the user added for this site
+let siteStyles = { rules: [], css: '' };
+
+// Picks the elements element rules are made for, and saves the rules through the worker
+const elementPicker = new ElementPicker({
+    onSave: rule => sendExtensionMessage({ action: 'saveElementRule', rule: rule })
+});
+
+// Theme the background worker's schedule currently selects
+let scheduledTheme = 'light';
+
+// Whether pages with a dark theme of their own are left undarkened
+let detectNativeDark = true;
+
+// Whether this page was dark before the extension touched it; null until checked
+let nativeDarkTheme = null;
+
+// Elements and attributes the extension adds to the page, removed when it is turned off here
+const PAGE_STYLE_IDS = ['theme-toggle-styles', 'theme-toggle-custom-themes', 'theme-toggle-custom-fonts',
+    'theme-toggle-site-styles', 'theme-toggle-filters'];
+
+// The SVG filter holding the colour-vision filters
+const COLOR_FILTER_ID = 'theme-toggle-color-filter';
+
+// Font stacks for the built-in fonts
+const FONT_FAMILIES = {
+    system: 'system-ui, -apple-system, BlinkMacSystemFont, \'Segoe UI\', Roboto, sans-serif',
+    serif: 'Georgia, \'Times New Roman\', Times, serif',
+    'sans-serif': 'Arial, Helvetica, sans-serif',
+    monospace: '\'Courier New\', Courier, monospace',
+    cursive: '\'Brush Script MT\', cursive'
+};
+
+// Elements the theme styles set the font of
+const FONT_ELEMENTS = 'div, p, span, h1, h2, h3, h4, h5, h6, article, section, main, aside, header, footer, '
+    + 'input, textarea, select, button';
+const PAGE_ATTRIBUTES = ['data-theme', 'data-font', 'data-font-size'];
+
+// Maximum number of text elements checked by a contrast audit
+const CONTRAST_SAMPLE_LIMIT = 200;
+
 // Initialize when DOM is ready
 if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', initializeContentScript);
@@ -14,207 +87,630 @@ if (document.readyState === 'loading') {
 }
 
 function initializeContentScript() {
-    // Load saved preferences from Chrome storage
-    chrome.storage.sync.get(['theme', 'font', 'fontSize'], (result) => {
-        // Apply saved settings to the page
-        if (result.theme) {
-            applyTheme(result.theme);
-        }
-        if (result.font) {
-            applyFont(result.font);
-        }
-        if (result.fontSize) {
-            applyFontSize(result.fontSize);
-        }
+    // Ask the service worker for the settings that apply to this page
+    loadSiteSettings();
+}
+
+// Request this page's settings from the service worker, which resolves the site profiles
+function loadSiteSettings() {
+    sendExtensionMessage({ action: 'getSettings' })
+        .then(applySettingsState)
+        .catch((error) => {
+            console.warn('Theme Toggle: Could not load settings', error);
+        });
+}
+
+// Apply the settings the service worker resolved for this page, with the
+// custom themes and fonts they may use and the scheduled theme
+function applySettingsState(state) {
+    // The site access list has turned the extension off on this page
+    if (!state.enabled) {
+        restorePage();
+        return;
+    }
+
+    // Checked before anything is darkened, which would hide the page's own colours
+    if (nativeDarkTheme === null) {
+        nativeDarkTheme = detectNativeDarkTheme();
+    }
+    shadowStyles.start();
+    const detectionChanged = state.detectNativeDark !== detectNativeDark;
+    detectNativeDark = state.detectNativeDark;
+
+    const themesChanged = JSON.stringify(state.customThemes || {}) !== JSON.stringify(customThemes);
+    customThemes = state.customThemes || {};
+
+    if (themesChanged) {
+        injectCustomThemeStyles();
+    }
+
+    const fontsChanged = JSON.stringify(state.customFonts || {}) !== JSON.stringify(customFonts);
+    customFonts = state.customFonts || {};
+
+    if (fontsChanged) {
+        injectCustomFontStyles();
+    }
+
+    // Picked in the top-level page, so frames don't get them. Applied before
+    // the settings, so untouched elements are left out from the start.
+    const nextSiteStyles = isTopFrame && state.siteStyles ? state.siteStyles : { rules: [], css: '' };
+    if (JSON.stringify(nextSiteStyles) !== JSON.stringify(siteStyles)) {
+        siteStyles = nextSiteStyles;
+        applySiteStyles();
+    }
+
+    // The worker flips the scheduled theme on time
+    const scheduleChanged = state.scheduledTheme !== scheduledTheme;
+    scheduledTheme = state.scheduledTheme || 'light';
+
+    const settings = state.settings || {};
+    if (scheduleChanged && settings.theme === 'schedule' && appliedSettings.theme === 'schedule') {
+        applyTheme('schedule');
+    }
+
+    applyResolvedSettings(settings);
+
+    // Edited tokens of the theme in use need the page re-darkened
+    if (themesChanged || detectionChanged) {
+        updatePageDarkening();
+        updateReaderMode();
+    }
+
+    // A redefined font in use needs loading again
+    if (fontsChanged && customFonts[appliedSettings.font]) {
+        applyFont(appliedSettings.font);
+    }
+}
+
+// Apply only the settings that differ from what the page already has
+function applyResolvedSettings(settings) {
+    if (settings.theme && settings.theme !== appliedSettings.theme) {
+        applyTheme(settings.theme);
+    }
+    if (settings.font && settings.font !== appliedSettings.font) {
+        applyFont(settings.font);
+    }
+    if (settings.fontSize && settings.fontSize !== appliedSettings.fontSize) {
+        applyFontSize(settings.fontSize);
+    }
+    if (settings.darkMode && settings.darkMode !== appliedSettings.darkMode) {
+        applyDarkMode(settings.darkMode);
+    }
+    if (settings.enforceContrast && settings.enforceContrast !== appliedSettings.enforceContrast) {
+        applyEnforceContrast(settings.enforceContrast);
+    }
+    // Spacing values can be 0, and removing one restores the page's own spacing
+    if (TYPOGRAPHY_KEYS.some(key => settings[key] !== appliedSettings[key])) {
+        applyTypography(settings);
+    }
+    if (settings.readerWidth !== appliedSettings.readerWidth) {
+        appliedSettings.readerWidth = settings.readerWidth;
+        updateReaderMode();
+    }
+    // Compared by value; removing them restores the page's colours and motion
+    if (JSON.stringify(settings.filters) !== JSON.stringify(appliedSettings.filters)) {
+        applyFilters(settings.filters);
+    }
+}
+
+// Remove everything the extension added, leaving the page as it was
+function restorePage() {
+    readerMode.close();
+    elementPicker.stop();
+    pageDarkener.disable();
+    pageTypography.disable();
+    shadowStyles.stop();
+
+    PAGE_STYLE_IDS.forEach(id => {
+        const styleElement = document.getElementById(id);
+        if (styleElement) styleElement.remove();
     });
+    removeColorFilter();
+    PAGE_ATTRIBUTES.forEach(attribute => document.documentElement.removeAttribute(attribute));
+
+    // Turning the extension back on applies everything afresh
+    appliedSettings = {};
+    customThemes = {};
+    customFonts = {};
+    siteStyles = { rules: [], css: '' };
+    pageDarkener.setExcludedSelector(null);
+    pageDarkener.setColorFilter(null);
+    pageTypography.setExcludedSelector(null);
+    pendingFont = null;
+    nativeDarkTheme = null;
 }
 
-// Listen for messages from popup
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-    switch (message.action) {
-        case 'setTheme':
-            applyTheme(message.theme);
-            sendResponse({ success: true });
-            break;
-            
-        case 'setFont':
-            applyFont(message.font);
-            sendResponse({ success: true });
-            break;
-            
-        case 'setFontSize':
-            applyFontSize(message.fontSize);
-            sendResponse({ success: true });
-            break;
-            
-        case 'applySettings':
-            if (message.settings) {
-                if (message.settings.theme) applyTheme(message.settings.theme);
-                if (message.settings.font) applyFont(message.settings.font);
-                if (message.settings.fontSize) applyFontSize(message.settings.fontSize);
-            }
-            sendResponse({ success: true });
-            break;
-            
-        default:
-            sendResponse({ success: false, error: 'Unknown action' });
+// Whether the page declares a dark colour scheme it is using, or renders a dark background
+function detectNativeDarkTheme() {
+    const prefersDark = !!window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches;
+    // 'light dark' follows the system setting; 'dark' alone is always dark
+    const usesDarkScheme = (value) => {
+        const schemes = String(value || '').toLowerCase().split(/\s+/);
+        return schemes.includes('dark') && (prefersDark || !schemes.includes('light'));
+    };
+
+    const meta = document.querySelector('meta[name="color-scheme"]');
+    if (meta && usesDarkScheme(meta.content)) return true;
+    if (usesDarkScheme(window.getComputedStyle(document.documentElement).getPropertyValue('color-scheme'))) return true;
+
+    return rgbToHsl(getRenderedBackground(document.body || document.documentElement)).l < 0.5;
+}
+
+// Answer the service worker: settings pushes, reader mode and contrast audits
+const messageHandlers = {
+    applySettings(message) {
+        applySettingsState(message);
+        return {};
+    },
+
+    // Lets the worker know this page already has the content script
+    ping() {
+        return {};
+    },
+
+    toggleReaderMode() {
+        if (readerMode.isOpen()) {
+            readerMode.close();
+            return { open: false };
+        }
+        if (!readerMode.open(getReaderSettings())) {
+            throw createMessageError(MESSAGE_ERRORS.notFound, 'No article found');
+        }
+        return { open: true };
+    },
+
+    auditContrast(message) {
+        return { report: auditPageContrast(message.level) };
+    },
+
+    startElementPicker() {
+        elementPicker.start(getPickerChoices());
+        return {};
     }
-});
+};
+
+// Left unanswered in frames, so the top-level page's answer is the one received
+if (!isTopFrame) {
+    delete messageHandlers.toggleReaderMode;
+    delete messageHandlers.auditContrast;
+    delete messageHandlers.startElementPicker;
+}
+
+handleExtensionMessages(messageHandlers);
 
 // Apply theme to the current page
 function applyTheme(theme) {
-    document.documentElement.setAttribute('data-theme', theme);
+    appliedSettings.theme = theme;
+    document.documentElement.setAttribute('data-theme', getEffectiveTheme());
     
     // Inject theme CSS if not already present
     if (!document.getElementById('theme-toggle-styles')) {
         injectThemeStyles();
     }
+
+    updatePageDarkening();
+    updateReaderMode();
+}
+
+// Choose the darkening engine mode ('recolor' or 'filter') for the current page
+function applyDarkMode(darkMode) {
+    appliedSettings.darkMode = darkMode;
+    updatePageDarkening();
+}
+
+// Set the contrast level ('off', 'AA' or 'AAA') darkened text must meet
+function applyEnforceContrast(level) {
+    appliedSettings.enforceContrast = level;
+    pageDarkener.setContrastLevel(level === 'off' ? null : level);
+}
+
+// Sample rendered text on the page and check it against its background
+function auditPageContrast(level) {
+    const contrastLevel = level || (appliedSettings.enforceContrast !== 'off' && appliedSettings.enforceContrast) || 'AA';
+    const required = getRequiredContrast(contrastLevel);
+    const samples = getTextSamples(CONTRAST_SAMPLE_LIMIT);
+
+    // The invert filter changes what is rendered without changing computed colours
+    const inverted = pageDarkener.mode === 'filter';
+    const render = color => inverted ? { r: 255 - color.r, g: 255 - color.g, b: 255 - color.b, a: color.a } : color;
+
+    const failures = samples
+        .map(element => {
+            const style = window.getComputedStyle(element);
+            const color = parseCssColor(style.color);
+            if (!color) return null;
+
+            const foreground = render(color);
+            const background = render(getRenderedBackground(element));
+
+            const ratio = getContrastRatio(foreground, background);
+            return {
+                element: describeElement(element),
+                text: element.textContent.trim().slice(0, 40),
+                color: formatCssColor(foreground),
+                background: formatCssColor(background),
+                ratio: Math.round(ratio * 100) / 100
+            };
+        })
+        .filter(result => result && result.ratio < required);
+
+    // Custom theme tokens are audited too, as the library does for its themes
+    const tokens = customThemes[appliedSettings.theme];
+
+    return {
+        level: contrastLevel,
+        required: required,
+        sampled: samples.length,
+        failures: failures,
+        themeFailures: tokens ? auditThemeContrast(tokens, contrastLevel).filter(result => !result.passes) : [],
+        themeUnparsed: tokens ? findUnparsedTokens(tokens) : []
+    };
+}
+
+// Visible elements that directly contain text, up to a limit
+function getTextSamples(limit) {
+    const samples = [];
+    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, {
+        acceptNode: node => node.textContent.trim()
+            ? NodeFilter.FILTER_ACCEPT
+            : NodeFilter.FILTER_REJECT
+    });
+
+    while (samples.length < limit && walker.nextNode()) {
+        const element = walker.currentNode.parentElement;
+        if (!element || samples.includes(element)) continue;
+        if (['SCRIPT', 'STYLE', 'NOSCRIPT'].includes(element.tagName)) continue;
+        if (element.getClientRects().length === 0) continue;
+        samples.push(element);
+    }
+
+    return samples;
+}
+
+// The first opaque background behind an element, as rendered
+function getRenderedBackground(element) {
+    for (let current = element; current; current = current.parentElement) {
+        const background = parseCssColor(window.getComputedStyle(current).backgroundColor);
+        if (background && background.a > 0) return flattenColor(background);
+    }
+    return { r: 255, g: 255, b: 255, a: 1 };
+}
+
+// Short description of an element for contrast reports
+function describeElement(element) {
+    let description = element.tagName.toLowerCase();
+    if (element.id) description += `#${element.id}`;
+    if (element.classList.length) description += `.${Array.from(element.classList).slice(0, 2).join('.')}`;
+    return description;
+}
+
+// The applied theme, with the 'schedule' mode resolved to the theme it selects
+function getEffectiveTheme() {
+    return appliedSettings.theme === 'schedule' ? scheduledTheme : appliedSettings.theme;
+}
+
+// Whether the applied theme should render the page dark
+function isDarkThemeActive() {
+    const theme = getEffectiveTheme();
+    if (theme === 'dark') return true;
+    if (customThemes[theme]) {
+        return isDarkPalette(customThemes[theme]);
+    }
+    if (theme === 'auto' && window.matchMedia) {
+        return window.matchMedia('(prefers-color-scheme: dark)').matches;
+    }
+    return false;
+}
+
+// Start, switch or stop the darkening engine to match the applied settings;
+// pages already dark on their own are left alone. Element rules take their
+// colours from the theme, so they are rewritten too.
+function updatePageDarkening() {
+    const tokens = customThemes[getEffectiveTheme()];
+    pageDarkener.setPalette(tokens && tokens['--bg-primary'] ? { background: tokens['--bg-primary'] } : {});
+
+    if (isDarkThemeActive() && !(detectNativeDark && nativeDarkTheme)) {
+        pageDarkener.enable(appliedSettings.darkMode || 'recolor');
+    } else {
+        pageDarkener.disable();
+    }
+    writeSiteStyles();
+}
+
+// The current theme's colours: the built-in palette, under a custom theme's tokens
+function getThemeTokens() {
+    const palette = READER_PALETTES[isDarkThemeActive() ? 'dark' : 'light'];
+    return { ...palette, ...customThemes[getEffectiveTheme()] };
+}
+
+// The font stack for a built-in or registered font, or null for an unknown one
+function getFontFamily(font) {
+    if (FONT_FAMILIES[font]) return FONT_FAMILIES[font];
+    return customFonts[font] ? `"${customFonts[font].family}", ${customFonts[font].fallback}` : null;
+}
+
+// The colours and fonts the element picker offers, in the current theme
+function getPickerChoices() {
+    const tokens = getThemeTokens();
+    return {
+        colors: Object.entries(ELEMENT_RULE_TOKENS).map(([token, label]) => ({ token, label, value: tokens[token] })),
+        fonts: [...Object.keys(FONT_FAMILIES), ...Object.keys(customFonts)].map(name => ({
+            name: name,
+            label: customFonts[name] ? customFonts[name].family : name
+        }))
+    };
+}
+
+// The selector list for the elements rules leave untouched, or null; rules
+// whose selectors the browser refuses are skipped
+function getUntouchedSelector() {
+    const selectors = siteStyles.rules
+        .filter(rule => rule.untouched && isValidSelector(rule.selector))
+        .map(rule => rule.selector);
+    return selectors.length ? selectors.join(', ') : null;
+}
+
+// Leave untouched elements out of the darkening, fonts and text settings, and
+// write the rest of the site's rules and CSS
+function applySiteStyles() {
+    const untouched = getUntouchedSelector();
+    pageDarkener.setExcludedSelector(untouched);
+    pageTypography.setExcludedSelector(untouched);
+
+    if (document.getElementById('theme-toggle-styles')) {
+        injectThemeStyles();
+    }
+    writeSiteStyles();
+}
+
+// Write the site's element rules, in the current theme's colours, and its CSS.
+// Rules are prefixed with :root to outrank the darkener's rules for the same elements.
+function writeSiteStyles() {
+    const tokens = getThemeTokens();
+    const rules = siteStyles.rules
+        .filter(rule => !rule.untouched && isValidSelector(rule.selector))
+        .map(rule => {
+            const declarations = [];
+            if (rule.background) declarations.push(`background-color: ${tokens[rule.background]} !important;`);
+            if (rule.color) declarations.push(`color: ${tokens[rule.color]} !important;`);
+
+            const fontFamily = getFontFamily(rule.font);
+            if (fontFamily) declarations.push(`--font-family: ${fontFamily} !important;`, 'font-family: var(--font-family) !important;');
+
+            return declarations.length ? `:root :is(${rule.selector}) { ${declarations.join(' ')} }` : null;
+        })
+        .filter(Boolean);
+
+    let styleElement = document.getElementById('theme-toggle-site-styles');
+    if (!rules.length && !siteStyles.css) {
+        if (styleElement) styleElement.remove();
+        return;
+    }
+    if (!styleElement) {
+        styleElement = document.createElement('style');
+        styleElement.id = 'theme-toggle-site-styles';
+    }
+
+    // After the theme styles, so the user's CSS wins over them where specificity ties
+    const themeStyles = document.getElementById('theme-toggle-styles');
+    if (!styleElement.isConnected
+        || (themeStyles && themeStyles.compareDocumentPosition(styleElement) & Node.DOCUMENT_POSITION_PRECEDING)) {
+        document.head.appendChild(styleElement);
+    }
+    styleElement.textContent = [...rules, siteStyles.css].filter(Boolean).join('\n');
+}
+
+// Whether a custom theme's primary background is a dark colour
+function isDarkPalette(tokens) {
+    const background = parseCssColor(tokens['--bg-primary']);
+    return !!background && rgbToHsl(background).l < 0.5;
+}
+
+// Inject [data-theme] rules for custom themes, for pages built on the same variables
+function injectCustomThemeStyles() {
+    let styleElement = document.getElementById('theme-toggle-custom-themes');
+    if (!styleElement) {
+        styleElement = document.createElement('style');
+        styleElement.id = 'theme-toggle-custom-themes';
+        document.head.appendChild(styleElement);
+    }
+
+    styleElement.textContent = Object.entries(customThemes)
+        .map(([name, tokens]) => {
+            const declarations = Object.entries(tokens)
+                .map(([property, value]) => `${property}: ${value} !important;`)
+                .join(' ');
+            return `[data-theme="${CSS.escape(name)}"] { ${declarations} }`;
+        })
+        .join('\n');
+}
+
+// Follow system theme changes while the page uses the auto theme
+if (window.matchMedia) {
+    window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', () => {
+        if (appliedSettings.theme === 'auto') {
+            updatePageDarkening();
+            updateReaderMode();
+        }
+    });
 }
 
 // Apply font to the current page
 function applyFont(font) {
-    document.documentElement.setAttribute('data-font', font);
+    appliedSettings.font = font;
+    pendingFont = font;
+
+    // Web fonts are loaded before switching so text doesn't flash;
+    // if one fails the page keeps its current font
+    loadCustomFont(font).then(() => {
+        if (pendingFont !== font) return;
+        pendingFont = null;
+        document.documentElement.setAttribute('data-font', font);
+        updateReaderMode();
+    }).catch((error) => {
+        console.warn(`Theme Toggle: Could not load font "${font}"`, error);
+    });
+}
+
+// Load a registered font's faces; resolves straight away for built-in fonts
+function loadCustomFont(font) {
+    const definition = customFonts[font];
+    if (!definition || !document.fonts) return Promise.resolve();
+
+    return Promise.all(definition.weights.map(weight => document.fonts
+        .load(`${weight} 1em "${definition.family}"`)
+        .then(faces => {
+            if (!faces.length) throw new Error(`No font face matched "${definition.family}"`);
+        })));
+}
+
+// Resolve a font source URL; relative URLs point at files bundled with the extension
+function resolveFontUrl(url) {
+    return /^[a-z][a-z0-9+.-]*:/i.test(url) ? url : chrome.runtime.getURL(url.replace(/^\.?\//, ''));
+}
+
+// Inject @font-face and [data-font] rules for registered fonts
+function injectCustomFontStyles() {
+    let styleElement = document.getElementById('theme-toggle-custom-fonts');
+    if (!styleElement) {
+        styleElement = document.createElement('style');
+        styleElement.id = 'theme-toggle-custom-fonts';
+        document.head.appendChild(styleElement);
+    }
+
+    styleElement.textContent = Object.values(customFonts)
+        .map(font => {
+            const fontFaces = font.sources.map(source => {
+                const format = source.format ? ` format("${source.format}")` : '';
+                return `@font-face { font-family: "${font.family}"; src: url("${resolveFontUrl(source.url)}")${format}; `
+                    + `font-weight: ${source.weight}; font-style: ${source.style}; font-display: ${font.display}; }`;
+            });
+            return [
+                ...fontFaces,
+                `[data-font="${CSS.escape(font.name)}"] { --font-family: "${font.family}", ${font.fallback} !important; }`
+            ].join('\n');
+        })
+        .join('\n');
 }
 
 // Apply font size to the current page
 function applyFontSize(fontSize) {
+    appliedSettings.fontSize = fontSize;
     document.documentElement.setAttribute('data-font-size', fontSize);
+    pageTypography.update(appliedSettings);
+    updateReaderMode();
 }
 
-// Inject theme styles into the page
-function injectThemeStyles() {
-    const styleElement = document.createElement('style');
-    styleElement.id = 'theme-toggle-styles';
-    styleElement.textContent = `
-        /* Theme Toggle Extension Styles */
-        :root {
-            --bg-primary: #ffffff;
-            --bg-secondary: #f8f9fa;
-            --text-primary: #212529;
-            --text-secondary: #6c757d;
-            --border-color: #dee2e6;
-            --accent-color: #007bff;
-            --accent-hover: #0056b3;
-            --shadow: rgba(0, 0, 0, 0.1);
-            --font-family: system-ui, -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-            --font-size: 16px;
-            --line-height: 1.6;
-        }
-
-        [data-theme="dark"] {
-            --bg-primary: #1a1a1a !important;
-            --bg-secondary: #2d2d2d !important;
-            --text-primary: #ffffff !important;
-            --text-secondary: #b0b0b0 !important;
-            --border-color: #404040 !important;
-            --accent-color: #4dabf7 !important;
-            --accent-hover: #339af0 !important;
-            --shadow: rgba(255, 255, 255, 0.1) !important;
+// Apply font scale and text spacing to the current page
+function applyTypography(settings) {
+    TYPOGRAPHY_KEYS.forEach(key => {
+        if (typeof settings[key] === 'number') {
+            appliedSettings[key] = settings[key];
+        } else {
+            delete appliedSettings[key];
         }
+    });
+    pageTypography.update(appliedSettings);
+    updateReaderMode();
+}
 
-        @media (prefers-color-scheme: dark) {
-            [data-theme="auto"] {
-                --bg-primary: #1a1a1a !important;
-                --bg-secondary: #2d2d2d !important;
-                --text-primary: #ffffff !important;
-                --text-secondary: #b0b0b0 !important;
-                --border-color: #404040 !important;
-                --accent-color: #4dabf7 !important;
-                --accent-hover: #339af0 !important;
-                --shadow: rgba(255, 255, 255, 0.1) !important;
-            }
-        }
+// Apply the colour-vision and motion filters (undefined for none). The colour
+// filters are set with no specificity, so the darkener's filter mode, which
+// adds them to its own inversion, wins over them.
+function applyFilters(filters) {
+    appliedSettings.filters = filters;
+    const normalized = ThemeFilters.normalizeFilters(filters || {});
+    const colorFilter = isTopFrame && ThemeFilters.hasColorFilters(normalized) ? `url("#${COLOR_FILTER_ID}")` : null;
 
-        [data-font="system"] {
-            --font-family: system-ui, -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif !important;
-        }
-
-        [data-font="serif"] {
-            --font-family: Georgia, 'Times New Roman', Times, serif !important;
-        }
+    removeColorFilter();
+    if (colorFilter) {
+        document.documentElement.appendChild(ThemeFilters.createFilterElement(normalized, COLOR_FILTER_ID));
+    }
+    pageDarkener.setColorFilter(colorFilter);
 
-        [data-font="sans-serif"] {
-            --font-family: Arial, Helvetica, sans-serif !important;
-        }
+    const cssText = [
+        colorFilter ? `:where(html) { filter: ${colorFilter} !important; }` : '',
+        normalized.reducedMotion ? ThemeFilters.REDUCED_MOTION_CSS : ''
+    ].filter(Boolean).join('\n');
 
-        [data-font="monospace"] {
-            --font-family: 'Courier New', Courier, monospace !important;
-        }
+    let styleElement = document.getElementById('theme-toggle-filters');
+    if (!cssText) {
+        if (styleElement) styleElement.remove();
+        shadowStyles.removeStyles('theme-toggle-filters');
+        return;
+    }
+    if (!styleElement) {
+        styleElement = document.createElement('style');
+        styleElement.id = 'theme-toggle-filters';
+        document.head.appendChild(styleElement);
+    }
+    styleElement.textContent = cssText;
 
-        [data-font="cursive"] {
-            --font-family: 'Brush Script MT', cursive !important;
-        }
+    // Transitions in shadow roots stop too
+    shadowStyles.setStyles(styleElement.id, cssText);
+}
 
-        [data-font-size="small"] {
-            --font-size: 14px !important;
-        }
+// Remove the SVG filter from the page
+function removeColorFilter() {
+    const filter = document.getElementById(COLOR_FILTER_ID);
+    if (filter) filter.parentNode.remove();
+}
 
-        [data-font-size="medium"] {
-            --font-size: 16px !important;
-        }
+// Theme colours, font and spacing for the reader mode overlay
+function getReaderSettings() {
+    // The page's --font-family is only ours once a font has been applied
+    const fontFamily = document.documentElement.hasAttribute('data-font')
+        ? window.getComputedStyle(document.documentElement).getPropertyValue('--font-family').trim()
+        : '';
 
-        [data-font-size="large"] {
-            --font-size: 18px !important;
-        }
+    return {
+        ...appliedSettings,
+        tokens: getThemeTokens(),
+        fontFamily: fontFamily
+    };
+}
 
-        [data-font-size="extra-large"] {
-            --font-size: 20px !important;
-        }
+// Restyle the reader overlay, if open, after a setting changes
+function updateReaderMode() {
+    if (readerMode.isOpen()) {
+        readerMode.update(getReaderSettings());
+    }
+}
 
-        /* Apply theme to body and common elements */
-        body {
-            background-color: var(--bg-primary) !important;
-            color: var(--text-primary) !important;
-            font-family: var(--font-family) !important;
-            font-size: var(--font-size) !important;
-            line-height: var(--line-height) !important;
-            transition: all 0.3s ease !important;
-        }
+// Inject theme styles into the page, or rewrite them once untouched elements change
+function injectThemeStyles() {
+    let styleElement = document.getElementById('theme-toggle-styles');
+    if (!styleElement) {
+        styleElement = document.createElement('style');
+        styleElement.id = 'theme-toggle-styles';
+        document.head.appendChild(styleElement);
+    }
 
-        /* Apply to common elements */
-        div, p, span, h1, h2, h3, h4, h5, h6, article, section, main, aside, header, footer {
-            color: var(--text-primary) !important;
-            font-family: var(--font-family) !important;
-        }
+    // Elements the site's rules leave untouched keep the page's fonts
+    const untouched = getUntouchedSelector();
+    const notUntouched = untouched ? `:not(:is(${untouched}), :is(${untouched}) *)` : '';
 
-        /* Links */
-        a {
-            color: var(--accent-color) !important;
+    styleElement.textContent = `
+        /* Theme Toggle Extension Styles */
+        /* Colours are handled by the page darkener; these rules only set fonts */
+        :root {
+            --font-family: ${FONT_FAMILIES.system};
         }
 
-        a:hover {
-            color: var(--accent-hover) !important;
+${Object.entries(FONT_FAMILIES).map(([font, family]) => `        [data-font="${font}"] {
+            --font-family: ${family} !important;
         }
-
-        /* Form elements */
-        input, textarea, select, button {
-            background-color: var(--bg-secondary) !important;
-            color: var(--text-primary) !important;
-            border-color: var(--border-color) !important;
+`).join('\n')}
+        /* Apply fonts to body and common elements; sizes are scaled by the page typography engine */
+        body${notUntouched} {
             font-family: var(--font-family) !important;
         }
 
-        /* Cards and containers */
-        .card, .container, .content, .main, .wrapper {
-            background-color: var(--bg-primary) !important;
-            color: var(--text-primary) !important;
+        :is(${FONT_ELEMENTS})${notUntouched} {
+            font-family: var(--font-family) !important;
         }
     `;
-    
-    document.head.appendChild(styleElement);
-}
 
-// Listen for storage changes
-chrome.storage.onChanged.addListener((changes, namespace) => {
-    if (namespace === 'sync') {
-        if (changes.theme) {
-            applyTheme(changes.theme.newValue);
-        }
-        if (changes.font) {
-            applyFont(changes.font.newValue);
-        }
-        if (changes.fontSize) {
-            applyFontSize(changes.fontSize.newValue);
-        }
-    }
-});
+    // The font rules for elements apply inside shadow roots too
+    shadowStyles.setStyles(styleElement.id, styleElement.textContent);
+}
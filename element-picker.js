@@ -0,0 +1,409 @@
+/**
+ * Element Picker
+ * Lets the user pick an element on a web page and give it one of the theme's
+ * colours or a font, or leave it untouched, for the Chrome extension content
+ * script.
+ *
+ * Hovering outlines the element under the pointer and clicking it opens a
+ * small panel with a selector for it. Selectors prefer ids and classes that
+ * don't look generated by a build tool, and fall back on positions only where
+ * those are ambiguous, so a rule keeps matching on later visits as far as the
+ * page allows. The outline and panel live in a closed shadow root, out of
+ * reach of the page's styles and of the extension's own page styling.
+ */
+
+const PICKER_HOST_ID = 'theme-toggle-picker';
+
+// Ids and class names with runs of digits or hashes are usually regenerated on each build
+const PICKER_UNSTABLE_NAME = /\d{2,}|^(css|sc|jsx|emotion)-|^_|[a-z][A-Z0-9]{5,}/;
+
+// The most classes a selector part keeps
+const PICKER_MAX_CLASSES = 2;
+
+// Whether an id or class name is likely to survive the page being rebuilt
+function isStableName(name) {
+    return !!name && !PICKER_UNSTABLE_NAME.test(name);
+}
+
+/**
+ * A selector matching only `element` in its document, as short as the page
+ * allows: from the nearest ancestor with a stable id, or from body
+ */
+function getElementSelector(element) {
+    const parts = [];
+
+    for (let current = element; current && current !== document.documentElement; current = current.parentElement) {
+        if (current.id && isStableName(current.id)) {
+            parts.unshift(`#${CSS.escape(current.id)}`);
+            if (document.querySelectorAll(parts.join(' > ')).length === 1) break;
+            parts[0] = current.tagName.toLowerCase() + parts[0];
+            continue;
+        }
+
+        const tagName = current.tagName.toLowerCase();
+        let part = tagName + Array.from(current.classList)
+            .filter(isStableName)
+            .slice(0, PICKER_MAX_CLASSES)
+            .map(name => `.${CSS.escape(name)}`)
+            .join('');
+
+        // Positions only where the tag and classes don't tell siblings apart
+        const parent = current.parentElement;
+        if (parent && tagName !== 'body' && Array.from(parent.children).filter(child => child.matches(part)).length > 1) {
+            const sameTag = Array.from(parent.children).filter(child => child.tagName === current.tagName);
+            part += `:nth-of-type(${sameTag.indexOf(current) + 1})`;
+        }
+
+        parts.unshift(part);
+        if (tagName === 'body' || document.querySelectorAll(parts.join(' > ')).length === 1) break;
+    }
+
+    return parts.join(' > ');
+}
+
+// Whether a string is a selector the browser accepts
+function isValidSelector(selector) {
+    try {
+        document.createDocumentFragment().querySelector(selector);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+class ElementPicker {
+    constructor(options = {}) {
+        this.config = {
+            // Called with the rule to save; a rejected Promise keeps the panel open with its message
+            onSave: null,
+            ...options
+        };
+
+        this.host = null;
+        this.root = null;
+        this.outline = null;
+        this.panel = null;
+        this.picked = null;
+        this.choices = { colors: [], fonts: [] };
+
+        this.handleMove = this.handleMove.bind(this);
+        this.handleClick = this.handleClick.bind(this);
+        this.handleKey = this.handleKey.bind(this);
+    }
+
+    /**
+     * Whether the picker is showing
+     */
+    isActive() {
+        return this.host !== null;
+    }
+
+    /**
+     * Start picking. `choices` lists the colours ({ token, label, value })
+     * and fonts ({ name, label }) the panel offers.
+     */
+    start(choices = {}) {
+        this.stop();
+        this.choices = { colors: [], fonts: [], ...choices };
+
+        this.host = document.createElement('div');
+        this.host.id = PICKER_HOST_ID;
+        this.root = this.host.attachShadow({ mode: 'closed' });
+
+        const style = document.createElement('style');
+        style.textContent = this.getStyles();
+
+        this.outline = document.createElement('div');
+        this.outline.className = 'picker-outline';
+        this.outline.hidden = true;
+
+        const hint = document.createElement('p');
+        hint.className = 'picker-hint';
+        hint.textContent = 'Click an element to style it. Press Esc to cancel.';
+
+        this.root.append(style, this.outline, hint);
+        document.documentElement.appendChild(this.host);
+
+        document.addEventListener('mousemove', this.handleMove, true);
+        document.addEventListener('click', this.handleClick, true);
+        document.addEventListener('keydown', this.handleKey, true);
+    }
+
+    /**
+     * Remove the picker and let the page have its clicks back
+     */
+    stop() {
+        if (!this.isActive()) return;
+
+        document.removeEventListener('mousemove', this.handleMove, true);
+        document.removeEventListener('click', this.handleClick, true);
+        document.removeEventListener('keydown', this.handleKey, true);
+
+        this.host.remove();
+        this.host = null;
+        this.root = null;
+        this.outline = null;
+        this.panel = null;
+        this.picked = null;
+    }
+
+    /**
+     * Outline the element under the pointer until one is picked
+     */
+    handleMove(event) {
+        if (this.picked || event.target === this.host) return;
+        this.showOutline(event.target);
+    }
+
+    /**
+     * Pick the clicked element instead of letting the page act on the click;
+     * clicks in the panel arrive from its host
+     */
+    handleClick(event) {
+        if (event.target === this.host) return;
+
+        event.preventDefault();
+        event.stopPropagation();
+        this.pick(event.target);
+    }
+
+    /**
+     * Cancel with Esc
+     */
+    handleKey(event) {
+        if (event.key !== 'Escape') return;
+
+        event.preventDefault();
+        event.stopPropagation();
+        this.stop();
+    }
+
+    /**
+     * Outline an element and open the panel for it
+     */
+    pick(element) {
+        // The root element's styles are the page's theme, not an element's
+        const target = element === document.documentElement ? document.body : element;
+        if (!target) return;
+
+        this.picked = target;
+        this.showOutline(target);
+        this.showPanel(getElementSelector(target));
+    }
+
+    /**
+     * Draw the outline over an element
+     */
+    showOutline(element) {
+        const rect = element.getBoundingClientRect();
+        Object.assign(this.outline.style, {
+            top: `${rect.top}px`,
+            left: `${rect.left}px`,
+            width: `${rect.width}px`,
+            height: `${rect.height}px`
+        });
+        this.outline.hidden = false;
+    }
+
+    /**
+     * Show the form for the picked element's rule
+     */
+    showPanel(selector) {
+        if (this.panel) this.panel.remove();
+
+        this.panel = document.createElement('form');
+        this.panel.className = 'picker-panel';
+        this.panel.setAttribute('aria-label', 'Style this element');
+
+        const selectorInput = document.createElement('input');
+        selectorInput.name = 'selector';
+        selectorInput.value = selector;
+        selectorInput.spellcheck = false;
+
+        const colorOptions = this.choices.colors.map(color => ({ value: color.token, label: `${color.label} (${color.value})` }));
+        const fontOptions = this.choices.fonts.map(font => ({ value: font.name, label: font.label }));
+        const selects = [
+            this.createSelect('background', colorOptions),
+            this.createSelect('color', colorOptions),
+            this.createSelect('font', fontOptions)
+        ];
+
+        const untouched = document.createElement('input');
+        untouched.type = 'checkbox';
+        untouched.name = 'untouched';
+        untouched.addEventListener('change', () => {
+            selects.forEach(select => { select.disabled = untouched.checked; });
+        });
+
+        const status = document.createElement('p');
+        status.className = 'picker-status';
+        status.setAttribute('role', 'status');
+
+        const saveButton = document.createElement('button');
+        saveButton.type = 'submit';
+        saveButton.textContent = 'Save';
+
+        const cancelButton = document.createElement('button');
+        cancelButton.type = 'button';
+        cancelButton.textContent = 'Cancel';
+        cancelButton.addEventListener('click', () => this.stop());
+
+        const untouchedLabel = this.createLabel('', untouched);
+        untouchedLabel.append(' Leave untouched');
+
+        this.panel.append(
+            this.createLabel('Selector', selectorInput),
+            this.createLabel('Background', selects[0]),
+            this.createLabel('Text', selects[1]),
+            this.createLabel('Font', selects[2]),
+            untouchedLabel,
+            status,
+            saveButton,
+            cancelButton
+        );
+
+        this.panel.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.save(this.readRule(), status);
+        });
+
+        this.root.appendChild(this.panel);
+        selectorInput.focus();
+    }
+
+    /**
+     * A select with an "Unchanged" option and the given choices
+     */
+    createSelect(name, options) {
+        const select = document.createElement('select');
+        select.name = name;
+        [{ value: '', label: 'Unchanged' }, ...options].forEach(({ value, label }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        return select;
+    }
+
+    /**
+     * A label wrapping a control
+     */
+    createLabel(text, control) {
+        const label = document.createElement('label');
+        label.append(text, control);
+        return label;
+    }
+
+    /**
+     * The rule the panel describes
+     */
+    readRule() {
+        const fields = this.panel.elements;
+        const rule = { selector: fields.selector.value.trim() };
+
+        if (fields.untouched.checked) {
+            rule.untouched = true;
+            return rule;
+        }
+        ['background', 'color', 'font'].forEach(name => {
+            if (fields[name].value) rule[name] = fields[name].value;
+        });
+        return rule;
+    }
+
+    /**
+     * Check a rule and hand it to `onSave`, closing the picker once it is saved
+     */
+    save(rule, status) {
+        if (!rule.selector || !isValidSelector(rule.selector)) {
+            status.textContent = 'Enter a valid CSS selector.';
+            return;
+        }
+        if (Object.keys(rule).length === 1) {
+            status.textContent = 'Choose a colour or font, or leave the element untouched.';
+            return;
+        }
+
+        Promise.resolve(this.config.onSave ? this.config.onSave(rule) : null)
+            .then(() => this.stop())
+            .catch((error) => {
+                status.textContent = String(error && error.message ? error.message : error)
+                    .replace(/^ExtensionMessages: /, '');
+            });
+    }
+
+    /**
+     * Styles for the picker's shadow root
+     */
+    getStyles() {
+        return `
+            :host {
+                all: initial;
+                position: fixed;
+                inset: 0;
+                z-index: 2147483647;
+                pointer-events: none;
+                font: 13px/1.4 system-ui, sans-serif;
+                color: #111827;
+            }
+
+            .picker-outline {
+                position: fixed;
+                box-sizing: border-box;
+                border: 2px solid #2563eb;
+                background: rgba(37, 99, 235, 0.12);
+            }
+
+            .picker-hint,
+            .picker-panel {
+                position: fixed;
+                right: 1rem;
+                margin: 0;
+                padding: 0.5rem 0.75rem;
+                border: 1px solid #d1d5db;
+                border-radius: 6px;
+                background: #ffffff;
+                box-shadow: 0 4px 16px rgba(0, 0, 0, 0.2);
+            }
+
+            .picker-hint {
+                top: 1rem;
+            }
+
+            .picker-panel {
+                bottom: 1rem;
+                display: grid;
+                gap: 0.4rem;
+                width: 18rem;
+                pointer-events: auto;
+            }
+
+            .picker-panel label {
+                display: grid;
+                gap: 0.15rem;
+            }
+
+            .picker-panel input,
+            .picker-panel select,
+            .picker-panel button {
+                font: inherit;
+            }
+
+            .picker-status {
+                min-height: 1.4em;
+                margin: 0;
+                color: #b91c1c;
+            }
+        `;
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ElementPicker,
+        getElementSelector,
+        isValidSelector
+    };
+}
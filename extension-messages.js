@@ -0,0 +1,170 @@
+/**
+ * Extension Messages
+ * The message protocol between the popup, the content scripts and the
+ * background service worker, which owns the extension's settings.
+ *
+ * Every message names an `action` listed in EXTENSION_MESSAGES, and its
+ * fields are checked against that entry before a handler runs. Responses are
+ * `{ success: true, ...result }` or `{ success: false, error: { code, message } }`.
+ */
+
+// The fields each action takes; a trailing '?' marks an optional field
+const EXTENSION_MESSAGES = {
+    // Popup and content scripts to the service worker
+    getSettings: { url: 'string?' },
+    getStoredSettings: {},
+    updateSettings: { changes: 'object', pattern: 'string?' },
+    removeSiteProfile: { pattern: 'string' },
+    setSiteEnabled: { url: 'string', enabled: 'boolean', pattern: 'string?' },
+    saveElementRule: { rule: 'object', url: 'string?' },
+
+    // Popup to the service worker, which passes them on to the tab's content script
+    toggleReaderMode: { tabId: 'number?' },
+    auditContrast: { tabId: 'number?', level: 'string?' },
+    startElementPicker: { tabId: 'number?' },
+
+    // Service worker to content scripts
+    applySettings: {
+        enabled: 'boolean',
+        detectNativeDark: 'boolean',
+        settings: 'object',
+        customThemes: 'object',
+        customFonts: 'object',
+        siteStyles: 'object',
+        scheduledTheme: 'string'
+    },
+    ping: {}
+};
+
+// Error codes carried by failed responses
+const MESSAGE_ERRORS = {
+    invalidMessage: 'invalid-message',
+    unknownAction: 'unknown-action',
+    invalidSetting: 'invalid-setting',
+    noReceiver: 'no-receiver',
+    notFound: 'not-found',
+    // Storage refused a write: over a chrome.storage.sync quota, or for another reason
+    quotaExceeded: 'quota-exceeded',
+    storageFailed: 'storage-failed',
+    failed: 'failed'
+};
+
+// Create an Error with a protocol error code
+function createMessageError(code, message) {
+    const error = new Error(`ExtensionMessages: ${message}`);
+    error.code = code;
+    return error;
+}
+
+// Check a field value against a type from EXTENSION_MESSAGES
+function matchesMessageType(value, type) {
+    if (type === 'object') return !!value && typeof value === 'object' && !Array.isArray(value);
+    if (type === 'number') return typeof value === 'number' && isFinite(value);
+    return typeof value === type;
+}
+
+// Throw an invalid-message or unknown-action error unless a message follows the protocol
+function validateExtensionMessage(message) {
+    if (!message || typeof message !== 'object' || typeof message.action !== 'string') {
+        throw createMessageError(MESSAGE_ERRORS.invalidMessage, 'Messages must have an action');
+    }
+
+    const fields = EXTENSION_MESSAGES[message.action];
+    if (!Object.prototype.hasOwnProperty.call(EXTENSION_MESSAGES, message.action)) {
+        throw createMessageError(MESSAGE_ERRORS.unknownAction, `Unknown action "${message.action}"`);
+    }
+
+    Object.entries(fields).forEach(([field, declared]) => {
+        const optional = declared.endsWith('?');
+        const type = optional ? declared.slice(0, -1) : declared;
+        const value = message[field];
+
+        if (value === undefined && optional) return;
+        if (!matchesMessageType(value, type)) {
+            throw createMessageError(MESSAGE_ERRORS.invalidMessage,
+                `${message.action}: ${field} must be ${optional ? 'a' : 'a required'} ${type}`);
+        }
+    });
+}
+
+// Turn a thrown error into a failed response
+function toErrorResponse(error) {
+    return {
+        success: false,
+        error: {
+            code: error && error.code ? error.code : MESSAGE_ERRORS.failed,
+            message: String(error && error.message ? error.message : error).replace(/^ExtensionMessages: /, '')
+        }
+    };
+}
+
+/**
+ * Answer the protocol actions in `handlers` ({ action: (message, sender) => result }).
+ * A handler returns the result fields, or a Promise of them, and throws (or
+ * rejects) to fail. Protocol actions without a handler are left for another
+ * part of the extension to answer.
+ */
+function handleExtensionMessages(handlers) {
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+        const action = message && message.action;
+        if (EXTENSION_MESSAGES[action] && !handlers[action]) return false;
+
+        let result;
+        try {
+            validateExtensionMessage(message);
+            result = handlers[action](message, sender);
+        } catch (error) {
+            sendResponse(toErrorResponse(error));
+            return false;
+        }
+
+        Promise.resolve(result).then(
+            value => sendResponse({ ...value, success: true }),
+            error => sendResponse(toErrorResponse(error))
+        );
+        // Keep the channel open for the asynchronous response
+        return true;
+    });
+}
+
+/**
+ * Send a protocol message to the service worker, or to the content script in
+ * a tab when `tabId` is given. Resolves with the response; rejects with an
+ * Error whose `code` is the failed response's code, or 'no-receiver' when
+ * nothing answered (a page without the content script, say).
+ */
+function sendExtensionMessage(message, tabId) {
+    return new Promise((resolve, reject) => {
+        const callback = (response) => {
+            const lastError = chrome.runtime.lastError;
+            if (lastError || !response) {
+                reject(createMessageError(MESSAGE_ERRORS.noReceiver,
+                    lastError && lastError.message ? lastError.message : `No response to ${message.action}`));
+            } else if (!response.success) {
+                const error = response.error || {};
+                reject(createMessageError(error.code || MESSAGE_ERRORS.failed, error.message || `${message.action} failed`));
+            } else {
+                resolve(response);
+            }
+        };
+
+        if (tabId === undefined) {
+            chrome.runtime.sendMessage(message, callback);
+        } else {
+            chrome.tabs.sendMessage(tabId, message, callback);
+        }
+    });
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        EXTENSION_MESSAGES,
+        MESSAGE_ERRORS,
+        createMessageError,
+        validateExtensionMessage,
+        toErrorResponse,
+        handleExtensionMessages,
+        sendExtensionMessage
+    };
+}
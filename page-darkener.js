@@ -0,0 +1,483 @@
+/**
+ * Page Darkener
+ * Darkens arbitrary web pages for the Chrome extension content script.
+ *
+ * Two modes are available:
+ *   - `recolor`: reads each element's computed colours and remaps their
+ *     lightness (keeping hue and saturation) through generated CSS rules.
+ *   - `filter`:  inverts the whole page with a CSS filter and inverts media
+ *     back, for sites the recolor mode cannot handle.
+ *
+ * Colour helpers come from theme-contrast.js, which must be loaded first.
+ * Given a ShadowStyles instance (shadow-styles.js) as `shadowStyles`, open
+ * shadow roots are darkened too. Elements matching `excludedSelector`, and
+ * everything inside them, keep the page's own colours. The filter mode owns
+ * the root element's filter, so it adds `colorFilter` (say the user's colour
+ * vision filter) to its own.
+ */
+
+const DARKENER_STYLE_ID = 'theme-toggle-darkener';
+const DARKENER_ATTRIBUTE = 'data-theme-toggle-dark';
+
+// Elements whose own pixels are never recoloured
+const DARKENER_MEDIA_TAGS = ['IMG', 'VIDEO', 'CANVAS', 'PICTURE', 'SVG', 'IFRAME', 'EMBED', 'OBJECT'];
+
+// What the invert filter mode inverts back
+const DARKENER_FILTER_MEDIA = 'img:not(picture img), picture, video, canvas, svg image, iframe, embed, object, [style*="background-image"]';
+
+// Elements that have nothing to recolour
+const DARKENER_SKIPPED_TAGS = ['SCRIPT', 'STYLE', 'LINK', 'META', 'HEAD', 'TITLE', 'NOSCRIPT', 'TEMPLATE', 'BR'];
+
+// Colours used where the page relies on the browser's white canvas
+const DARKENER_PALETTE = {
+    background: '#1a1a1a'
+};
+
+// Elements processed per batch before yielding to the page
+const DARKENER_BATCH_SIZE = 300;
+
+// What the darkener watches in the document and each shadow root
+const DARKENER_OBSERVER_OPTIONS = {
+    childList: true,
+    subtree: true,
+    attributes: true,
+    attributeFilter: ['style', 'class']
+};
+
+class PageDarkener {
+    constructor(options = {}) {
+        this.config = {
+            mode: 'recolor',
+            palette: DARKENER_PALETTE,
+            contrastLevel: null,
+            excludedSelector: null,
+            colorFilter: null,
+            batchSize: DARKENER_BATCH_SIZE,
+            shadowStyles: null,
+            ...options
+        };
+
+        this.mode = null;
+        this.observer = null;
+        this.queue = new Set();
+        this.flushScheduled = false;
+
+        // Generated rules, keyed by the declarations they contain
+        this.rules = new Map();
+
+        if (this.config.shadowStyles) {
+            this.config.shadowStyles.onShadowRoot(root => this.addShadowRoot(root));
+        }
+    }
+
+    /**
+     * Start darkening the page in the given mode
+     */
+    enable(mode = this.config.mode) {
+        const nextMode = mode === 'filter' ? 'filter' : 'recolor';
+        if (this.mode === nextMode) return;
+
+        this.disable();
+        this.mode = nextMode;
+        this.styleElement = this.createStyleElement();
+
+        if (nextMode === 'filter') {
+            this.styleElement.textContent = this.getFilterStyles();
+            this.updateShadowStyles();
+            return;
+        }
+
+        this.queueElement(document.documentElement, true);
+        this.observe();
+        this.getShadowRoots().forEach(root => this.addShadowRoot(root));
+    }
+
+    /**
+     * Stop darkening and restore the page's own colours
+     */
+    disable() {
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+
+        this.queue.clear();
+        this.rules.clear();
+
+        [document, ...this.getShadowRoots()].forEach(root => {
+            root.querySelectorAll(`[${DARKENER_ATTRIBUTE}]`).forEach(element => {
+                element.removeAttribute(DARKENER_ATTRIBUTE);
+            });
+        });
+
+        if (this.styleElement) {
+            this.styleElement.remove();
+            this.styleElement = null;
+        }
+        if (this.config.shadowStyles) {
+            this.config.shadowStyles.removeStyles(DARKENER_STYLE_ID);
+        }
+
+        this.mode = null;
+    }
+
+    /**
+     * Change the palette, re-darkening the page if it is active
+     */
+    setPalette(palette) {
+        const nextPalette = { ...DARKENER_PALETTE, ...palette };
+        if (JSON.stringify(nextPalette) === JSON.stringify(this.config.palette)) return;
+
+        this.config.palette = nextPalette;
+
+        if (this.mode) {
+            const mode = this.mode;
+            this.disable();
+            this.enable(mode);
+        }
+    }
+
+    /**
+     * Set the WCAG level ('AA', 'AAA' or null) remapped text must meet
+     */
+    setContrastLevel(level) {
+        const nextLevel = level || null;
+        if (nextLevel === this.config.contrastLevel) return;
+
+        this.config.contrastLevel = nextLevel;
+
+        if (this.mode === 'recolor') {
+            this.disable();
+            this.enable('recolor');
+        }
+    }
+
+    /**
+     * Set the elements left undarkened, with their contents (null for none)
+     */
+    setExcludedSelector(selector) {
+        const nextSelector = selector || null;
+        if (nextSelector === this.config.excludedSelector) return;
+
+        this.config.excludedSelector = nextSelector;
+
+        if (this.mode) {
+            const mode = this.mode;
+            this.disable();
+            this.enable(mode);
+        }
+    }
+
+    /**
+     * Set a CSS filter (null for none) applied to the page after the filter
+     * mode's inversion
+     */
+    setColorFilter(filter) {
+        const nextFilter = filter || null;
+        if (nextFilter === this.config.colorFilter) return;
+
+        this.config.colorFilter = nextFilter;
+
+        if (this.mode === 'filter') {
+            this.styleElement.textContent = this.getFilterStyles();
+            this.updateShadowStyles();
+        }
+    }
+
+    /**
+     * Whether the darkener is currently active
+     */
+    isEnabled() {
+        return this.mode !== null;
+    }
+
+    /**
+     * Create the stylesheet that holds the generated rules
+     */
+    createStyleElement() {
+        const existing = document.getElementById(DARKENER_STYLE_ID);
+        if (existing) existing.remove();
+
+        const styleElement = document.createElement('style');
+        styleElement.id = DARKENER_STYLE_ID;
+        (document.head || document.documentElement).appendChild(styleElement);
+        return styleElement;
+    }
+
+    /**
+     * Styles for the invert filter mode
+     */
+    getFilterStyles() {
+        const revert = 'filter: invert(1) hue-rotate(180deg) !important;';
+        const excluded = this.config.excludedSelector;
+
+        // Excluded elements are inverted back as a whole, media inside them with them
+        const excludedStyles = excluded ? `
+            :is(${excluded}) {
+                ${revert}
+            }
+
+            :is(${excluded}) :is(${DARKENER_FILTER_MEDIA}) {
+                filter: none !important;
+            }
+        ` : '';
+
+        const colorFilter = this.config.colorFilter ? ` ${this.config.colorFilter}` : '';
+
+        return `
+            html {
+                filter: invert(1) hue-rotate(180deg)${colorFilter} !important;
+                background-color: #ffffff !important;
+            }
+
+            ${DARKENER_FILTER_MEDIA} {
+                ${revert}
+            }
+        ${excludedStyles}`;
+    }
+
+    /**
+     * The shadow roots darkened along with the document
+     */
+    getShadowRoots() {
+        return this.config.shadowStyles ? this.config.shadowStyles.getRoots() : [];
+    }
+
+    /**
+     * Copy the generated rules into the shadow roots
+     */
+    updateShadowStyles() {
+        if (this.config.shadowStyles && this.styleElement) {
+            this.config.shadowStyles.setStyles(DARKENER_STYLE_ID, this.styleElement.textContent);
+        }
+    }
+
+    /**
+     * Recolour a shadow root's elements and watch it like the document
+     */
+    addShadowRoot(root) {
+        if (this.mode !== 'recolor') return;
+
+        this.observer.observe(root, DARKENER_OBSERVER_OPTIONS);
+
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT, {
+            acceptNode: node => this.isProcessable(node)
+                ? NodeFilter.FILTER_ACCEPT
+                : NodeFilter.FILTER_REJECT
+        });
+        while (walker.nextNode()) {
+            this.queue.add(walker.currentNode);
+        }
+
+        this.updateShadowStyles();
+        this.scheduleFlush();
+    }
+
+    /**
+     * Watch for new elements and inline style or class changes
+     */
+    observe() {
+        this.observer = new MutationObserver(mutations => {
+            mutations.forEach(mutation => {
+                if (mutation.type === 'childList') {
+                    mutation.addedNodes.forEach(node => {
+                        if (node.nodeType === Node.ELEMENT_NODE) {
+                            this.queueElement(node, true);
+                        }
+                    });
+                } else if (mutation.target !== this.styleElement) {
+                    this.queueElement(mutation.target, true);
+                }
+            });
+        });
+
+        this.observer.observe(document.documentElement, DARKENER_OBSERVER_OPTIONS);
+    }
+
+    /**
+     * Queue an element (and optionally its subtree) for recolouring
+     */
+    queueElement(element, includeSubtree) {
+        if (!this.isProcessable(element)) return;
+
+        this.queue.add(element);
+
+        if (includeSubtree) {
+            const walker = document.createTreeWalker(element, NodeFilter.SHOW_ELEMENT, {
+                acceptNode: node => this.isProcessable(node)
+                    ? NodeFilter.FILTER_ACCEPT
+                    : NodeFilter.FILTER_REJECT
+            });
+
+            while (walker.nextNode()) {
+                this.queue.add(walker.currentNode);
+            }
+        }
+
+        this.scheduleFlush();
+    }
+
+    /**
+     * Whether an element should be recoloured
+     */
+    isProcessable(element) {
+        if (!element || element.nodeType !== Node.ELEMENT_NODE) return false;
+        if (element === this.styleElement) return false;
+
+        // Nothing inside inline SVG is page text or background
+        if (element.parentElement && element.parentElement.closest('svg')) return false;
+        if (this.config.excludedSelector && element.closest(this.config.excludedSelector)) return false;
+
+        const tagName = element.tagName.toUpperCase();
+        return !DARKENER_MEDIA_TAGS.includes(tagName) && !DARKENER_SKIPPED_TAGS.includes(tagName);
+    }
+
+    /**
+     * Process queued elements in batches so large pages stay responsive
+     */
+    scheduleFlush() {
+        if (this.flushScheduled) return;
+        this.flushScheduled = true;
+
+        const schedule = window.requestIdleCallback || (callback => setTimeout(callback, 16));
+        schedule(() => {
+            this.flushScheduled = false;
+            this.flush();
+        });
+    }
+
+    /**
+     * Recolour the next batch of queued elements
+     */
+    flush() {
+        if (this.mode !== 'recolor') return;
+
+        const batch = [];
+        for (const element of this.queue) {
+            batch.push(element);
+            this.queue.delete(element);
+            if (batch.length >= this.config.batchSize) break;
+        }
+
+        // Clear the whole batch's rules, then read every original colour, then
+        // write, so styles are recalculated once per batch rather than per element
+        const elements = batch.filter(element => element.isConnected);
+        elements.forEach(element => element.removeAttribute(DARKENER_ATTRIBUTE));
+        const originals = elements.map(element => ({ element, declarations: this.getDeclarations(element) }));
+
+        const ruleCount = this.rules.size;
+        originals.forEach(({ element, declarations }) => {
+            if (declarations) {
+                element.setAttribute(DARKENER_ATTRIBUTE, this.getRuleId(declarations));
+            }
+        });
+        if (this.rules.size !== ruleCount) {
+            this.updateShadowStyles();
+        }
+
+        if (this.queue.size > 0) {
+            this.scheduleFlush();
+        }
+    }
+
+    /**
+     * Build the remapped declarations for an element's computed colours
+     */
+    getDeclarations(element) {
+        const style = window.getComputedStyle(element);
+        const declarations = [];
+
+        let background = parseCssColor(style.backgroundColor);
+        if (element === document.documentElement && (!background || background.a === 0)) {
+            // The page relies on the browser's default white canvas
+            background = parseCssColor(this.config.palette.background);
+            declarations.push(`background-color: ${formatCssColor(background)}`);
+        } else if (background && background.a > 0) {
+            declarations.push(`background-color: ${formatCssColor(remapLightness(background, 'background'))}`);
+        }
+
+        const text = parseCssColor(style.color);
+        if (text && text.a > 0) {
+            let remapped = remapLightness(text, 'text');
+            if (this.config.contrastLevel) {
+                remapped = adjustColorForContrast(
+                    remapped,
+                    [this.getEffectiveBackground(element)],
+                    getRequiredContrast(this.config.contrastLevel)
+                );
+            }
+            declarations.push(`color: ${formatCssColor(remapped)}`);
+        }
+
+        const hasBorder = ['Top', 'Right', 'Bottom', 'Left']
+            .some(side => parseFloat(style[`border${side}Width`]) > 0);
+        if (hasBorder) {
+            const sides = ['Top', 'Right', 'Bottom', 'Left'].map(side => {
+                const color = parseCssColor(style[`border${side}Color`]);
+                return color ? formatCssColor(remapLightness(color, 'border')) : 'transparent';
+            });
+            declarations.push(`border-color: ${sides.join(' ')}`);
+        }
+
+        return declarations.length ? declarations.join('; ') : null;
+    }
+
+    /**
+     * The darkened background an element's text is drawn on
+     */
+    getEffectiveBackground(element) {
+        // Out of a shadow root through its host
+        const parentOf = current => current.parentElement || (current.parentNode && current.parentNode.host) || null;
+        for (let current = element; current; current = parentOf(current)) {
+            const background = parseCssColor(window.getComputedStyle(current).backgroundColor);
+            if (background && background.a > 0) {
+                // Already-darkened colours pass through unchanged
+                return remapLightness(background, 'background');
+            }
+        }
+        return parseCssColor(this.config.palette.background);
+    }
+
+    /**
+     * Get (or create) the generated rule for a set of declarations
+     */
+    getRuleId(declarations) {
+        if (this.rules.has(declarations)) {
+            return this.rules.get(declarations);
+        }
+
+        const ruleId = `c${this.rules.size}`;
+        this.rules.set(declarations, ruleId);
+
+        const important = declarations.split('; ').map(declaration => `${declaration} !important`).join('; ');
+        this.styleElement.appendChild(document.createTextNode(
+            `[${DARKENER_ATTRIBUTE}="${ruleId}"] { ${important}; }\n`
+        ));
+        return ruleId;
+    }
+}
+
+// Remap a colour's lightness for a dark page, keeping hue and saturation.
+// Colours that already suit a dark page are left unchanged.
+function remapLightness(color, role) {
+    const hsl = rgbToHsl(color);
+    let lightness = hsl.l;
+
+    if (role === 'text') {
+        if (lightness < 0.7) lightness = 0.95 - lightness * 0.35;
+    } else if (role === 'border') {
+        if (lightness > 0.3) lightness = 0.2 + (1 - lightness) * 0.3;
+    } else if (lightness > 0.3) {
+        lightness = 0.08 + (1 - lightness) * 0.3;
+    }
+
+    return { ...hslToRgb({ ...hsl, l: lightness }), a: color.a };
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PageDarkener,
+        remapLightness
+    };
+}
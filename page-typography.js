@@ -0,0 +1,349 @@
+/**
+ * Page Typography
+ * Scales text and adjusts text spacing on arbitrary web pages for the Chrome
+ * extension content script.
+ *
+ * Font scaling is relative to each page's own sizes: every element whose
+ * font size differs from its parent's is tagged with its original size, and
+ * a generated rule multiplies that size by the current scale. Changing the
+ * scale only updates a CSS custom property. Spacing settings are written in
+ * em or as unitless line heights, so they follow each element's size too.
+ * Given a ShadowStyles instance (shadow-styles.js) as `shadowStyles`, text in
+ * open shadow roots is scaled and spaced as well. Elements matching
+ * `excludedSelector`, and everything inside them, keep the page's own text.
+ */
+
+const TYPOGRAPHY_STYLE_ID = 'theme-toggle-typography';
+const TYPOGRAPHY_SIZE_STYLE_ID = 'theme-toggle-typography-sizes';
+const TYPOGRAPHY_SIZE_ATTRIBUTE = 'data-theme-toggle-size';
+const TYPOGRAPHY_SCALE_PROPERTY = '--theme-toggle-font-scale';
+
+// Settings this engine reads, as stored by the popup
+const TYPOGRAPHY_KEYS = ['fontScale', 'lineHeight', 'letterSpacing', 'wordSpacing', 'paragraphSpacing'];
+
+// Font size keywords as multiples of the page's own sizes
+const FONT_SIZE_FACTORS = {
+    small: 0.875,
+    medium: 1,
+    large: 1.125,
+    'extra-large': 1.25
+};
+
+// Elements with no text of their own to scale
+const TYPOGRAPHY_SKIPPED_TAGS = ['SCRIPT', 'STYLE', 'LINK', 'META', 'HEAD', 'TITLE', 'NOSCRIPT', 'TEMPLATE', 'BR',
+    'IMG', 'VIDEO', 'CANVAS', 'PICTURE', 'SVG', 'IFRAME', 'EMBED', 'OBJECT'];
+
+// Elements processed per batch before yielding to the page
+const TYPOGRAPHY_BATCH_SIZE = 300;
+
+// What the scaler watches in the document and each shadow root
+const TYPOGRAPHY_OBSERVER_OPTIONS = {
+    childList: true,
+    subtree: true,
+    attributes: true,
+    attributeFilter: ['style', 'class']
+};
+
+class PageTypography {
+    constructor(options = {}) {
+        this.config = {
+            batchSize: TYPOGRAPHY_BATCH_SIZE,
+            shadowStyles: null,
+            excludedSelector: null,
+            ...options
+        };
+
+        this.settings = {};
+        this.scale = 1;
+        this.observer = null;
+        this.queue = new Set();
+        this.flushScheduled = false;
+
+        // Original font sizes that already have a generated rule
+        this.sizes = new Set();
+
+        if (this.config.shadowStyles) {
+            this.config.shadowStyles.onShadowRoot(root => this.addShadowRoot(root));
+        }
+    }
+
+    /**
+     * Apply font size and spacing settings to the page
+     */
+    update(settings) {
+        this.settings = { ...settings };
+
+        const keywordFactor = FONT_SIZE_FACTORS[settings.fontSize] || 1;
+        const percentage = typeof settings.fontScale === 'number' ? settings.fontScale : 100;
+        this.scale = keywordFactor * percentage / 100;
+
+        this.writeSpacingStyles();
+
+        if (this.scale !== 1) {
+            document.documentElement.style.setProperty(TYPOGRAPHY_SCALE_PROPERTY, String(this.scale));
+            if (!this.observer) this.startScaling();
+        } else {
+            this.stopScaling();
+        }
+    }
+
+    /**
+     * Set the elements left unscaled and unspaced, with their contents (null for none)
+     */
+    setExcludedSelector(selector) {
+        const nextSelector = selector || null;
+        if (nextSelector === this.config.excludedSelector) return;
+
+        this.config.excludedSelector = nextSelector;
+
+        // Sizes tagged inside newly excluded elements are dropped by starting over
+        this.stopScaling();
+        this.update(this.settings);
+    }
+
+    /**
+     * Remove every change made to the page
+     */
+    disable() {
+        this.stopScaling();
+        this.settings = {};
+
+        const styleElement = document.getElementById(TYPOGRAPHY_STYLE_ID);
+        if (styleElement) styleElement.remove();
+        if (this.config.shadowStyles) this.config.shadowStyles.removeStyles(TYPOGRAPHY_STYLE_ID);
+    }
+
+    /**
+     * Get (or create) one of the engine's style elements
+     */
+    getStyleElement(id) {
+        let styleElement = document.getElementById(id);
+        if (!styleElement) {
+            styleElement = document.createElement('style');
+            styleElement.id = id;
+            (document.head || document.documentElement).appendChild(styleElement);
+        }
+        return styleElement;
+    }
+
+    /**
+     * Write the spacing rules; settings left unset keep the page's own spacing
+     */
+    writeSpacingStyles() {
+        const { lineHeight, letterSpacing, wordSpacing, paragraphSpacing } = this.settings;
+        const declarations = [];
+
+        if (typeof lineHeight === 'number') declarations.push(`line-height: ${lineHeight} !important;`);
+        if (typeof letterSpacing === 'number') declarations.push(`letter-spacing: ${letterSpacing}em !important;`);
+        if (typeof wordSpacing === 'number') declarations.push(`word-spacing: ${wordSpacing}em !important;`);
+
+        // Shadow roots have no body of their own
+        const excluded = this.config.excludedSelector;
+        const notExcluded = excluded ? `:not(:is(${excluded}), :is(${excluded}) *)` : '';
+        const rules = [];
+        const shadowRules = [];
+        if (declarations.length) {
+            rules.push(excluded
+                ? `:is(body, body *)${notExcluded} { ${declarations.join(' ')} }`
+                : `body, body * { ${declarations.join(' ')} }`);
+            shadowRules.push(`* { ${declarations.join(' ')} }`);
+        }
+        if (typeof paragraphSpacing === 'number') {
+            rules.push(`p${notExcluded} { margin-bottom: ${paragraphSpacing}em !important; }`);
+            shadowRules.push(`p { margin-bottom: ${paragraphSpacing}em !important; }`);
+        }
+
+        if (rules.length) {
+            this.getStyleElement(TYPOGRAPHY_STYLE_ID).textContent = rules.join('\n');
+            if (this.config.shadowStyles) this.config.shadowStyles.setStyles(TYPOGRAPHY_STYLE_ID, shadowRules.join('\n'));
+        } else {
+            const styleElement = document.getElementById(TYPOGRAPHY_STYLE_ID);
+            if (styleElement) styleElement.remove();
+            if (this.config.shadowStyles) this.config.shadowStyles.removeStyles(TYPOGRAPHY_STYLE_ID);
+        }
+    }
+
+    /**
+     * Tag the page's font sizes and watch for new content
+     */
+    startScaling() {
+        this.sizeStyleElement = this.getStyleElement(TYPOGRAPHY_SIZE_STYLE_ID);
+        this.queueElement(document.documentElement, true);
+
+        this.observer = new MutationObserver(mutations => {
+            mutations.forEach(mutation => {
+                if (mutation.type === 'childList') {
+                    mutation.addedNodes.forEach(node => this.queueElement(node, true));
+                } else {
+                    this.queueElement(mutation.target, true);
+                }
+            });
+        });
+
+        this.observer.observe(document.documentElement, TYPOGRAPHY_OBSERVER_OPTIONS);
+        this.getShadowRoots().forEach(root => this.addShadowRoot(root));
+    }
+
+    /**
+     * The shadow roots scaled along with the document
+     */
+    getShadowRoots() {
+        return this.config.shadowStyles ? this.config.shadowStyles.getRoots() : [];
+    }
+
+    /**
+     * Tag a shadow root's font sizes and watch it like the document
+     */
+    addShadowRoot(root) {
+        if (!this.observer) return;
+
+        this.observer.observe(root, TYPOGRAPHY_OBSERVER_OPTIONS);
+        Array.from(root.children).forEach(element => this.queueElement(element, true));
+        this.config.shadowStyles.setStyles(TYPOGRAPHY_SIZE_STYLE_ID, this.sizeStyleElement.textContent);
+    }
+
+    /**
+     * Stop scaling and restore the page's own font sizes
+     */
+    stopScaling() {
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+
+        this.queue.clear();
+        this.sizes.clear();
+
+        [document, ...this.getShadowRoots()].forEach(root => {
+            root.querySelectorAll(`[${TYPOGRAPHY_SIZE_ATTRIBUTE}]`).forEach(element => {
+                element.removeAttribute(TYPOGRAPHY_SIZE_ATTRIBUTE);
+            });
+        });
+        document.documentElement.style.removeProperty(TYPOGRAPHY_SCALE_PROPERTY);
+
+        if (this.sizeStyleElement) {
+            this.sizeStyleElement.remove();
+            this.sizeStyleElement = null;
+        }
+        if (this.config.shadowStyles) this.config.shadowStyles.removeStyles(TYPOGRAPHY_SIZE_STYLE_ID);
+    }
+
+    /**
+     * Queue an element (and optionally its subtree) for tagging
+     */
+    queueElement(element, includeSubtree) {
+        if (!this.isProcessable(element)) return;
+
+        this.queue.add(element);
+
+        if (includeSubtree) {
+            const walker = document.createTreeWalker(element, NodeFilter.SHOW_ELEMENT, {
+                acceptNode: node => this.isProcessable(node)
+                    ? NodeFilter.FILTER_ACCEPT
+                    : NodeFilter.FILTER_REJECT
+            });
+
+            while (walker.nextNode()) {
+                this.queue.add(walker.currentNode);
+            }
+        }
+
+        this.scheduleFlush();
+    }
+
+    /**
+     * Whether an element's font size should be tagged
+     */
+    isProcessable(element) {
+        if (!element || element.nodeType !== Node.ELEMENT_NODE) return false;
+        if (element.id === TYPOGRAPHY_STYLE_ID || element.id === TYPOGRAPHY_SIZE_STYLE_ID) return false;
+        if (element.parentElement && element.parentElement.closest('svg')) return false;
+        if (this.config.excludedSelector && element.closest(this.config.excludedSelector)) return false;
+
+        return !TYPOGRAPHY_SKIPPED_TAGS.includes(element.tagName.toUpperCase());
+    }
+
+    /**
+     * Process queued elements in batches so large pages stay responsive
+     */
+    scheduleFlush() {
+        if (this.flushScheduled) return;
+        this.flushScheduled = true;
+
+        const schedule = window.requestIdleCallback || (callback => setTimeout(callback, 16));
+        schedule(() => {
+            this.flushScheduled = false;
+            this.flush();
+        });
+    }
+
+    /**
+     * Tag the next batch of queued elements with their original font size
+     */
+    flush() {
+        if (!this.observer || !this.sizeStyleElement) return;
+
+        const batch = [];
+        for (const element of this.queue) {
+            this.queue.delete(element);
+            if (element.isConnected) batch.push(element);
+            if (batch.length >= this.config.batchSize) break;
+        }
+
+        // Read sizes with the scaling rules switched off, so they are the page's own
+        const sheet = this.sizeStyleElement.sheet;
+        const shadowStyles = this.config.shadowStyles;
+        if (sheet) sheet.disabled = true;
+        if (shadowStyles) shadowStyles.setDisabled(TYPOGRAPHY_SIZE_STYLE_ID, true);
+
+        const sizes = batch.map(element => {
+            const size = parseFloat(window.getComputedStyle(element).fontSize);
+            // A shadow root's top-level elements inherit from its host
+            const parent = element.parentElement || (element.parentNode && element.parentNode.host) || null;
+            const parentSize = parent ? parseFloat(window.getComputedStyle(parent).fontSize) : null;
+            return { element, size, inherited: size === parentSize };
+        });
+
+        if (sheet) sheet.disabled = false;
+        if (shadowStyles) shadowStyles.setDisabled(TYPOGRAPHY_SIZE_STYLE_ID, false);
+
+        // Elements that inherit their size follow their scaled parent
+        sizes.forEach(({ element, size, inherited }) => {
+            if (inherited || !isFinite(size)) {
+                element.removeAttribute(TYPOGRAPHY_SIZE_ATTRIBUTE);
+            } else {
+                element.setAttribute(TYPOGRAPHY_SIZE_ATTRIBUTE, this.getSizeRule(size));
+            }
+        });
+        if (shadowStyles) shadowStyles.setStyles(TYPOGRAPHY_SIZE_STYLE_ID, this.sizeStyleElement.textContent);
+
+        if (this.queue.size > 0) {
+            this.scheduleFlush();
+        }
+    }
+
+    /**
+     * Get (or create) the scaling rule for an original font size
+     */
+    getSizeRule(size) {
+        const key = String(Math.round(size * 100) / 100);
+
+        if (!this.sizes.has(key)) {
+            this.sizes.add(key);
+            this.sizeStyleElement.appendChild(document.createTextNode(
+                `[${TYPOGRAPHY_SIZE_ATTRIBUTE}="${key}"] { font-size: calc(${key}px * var(${TYPOGRAPHY_SCALE_PROPERTY})) !important; }\n`
+            ));
+        }
+
+        return key;
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PageTypography,
+        TYPOGRAPHY_KEYS,
+        FONT_SIZE_FACTORS
+    };
+}
@@ -1,122 +1,1077 @@
 /**
  * Chrome Extension Popup Script
- * Handles communication between popup and content scripts
+ * Edits the settings the background service worker owns; the worker saves
+ * them and updates the open tabs (see extension-messages.js)
  */
 
+// URL and id of the active tab, used to scope "this site only" settings
+let activeTabUrl = null;
+let activeTabId;
+
+// Resolves once activeTabUrl is known
+const activeTabReady = new Promise(resolve => {
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+        activeTabUrl = tabs[0] && tabs[0].url ? tabs[0].url : null;
+        activeTabId = tabs[0] ? tabs[0].id : undefined;
+        resolve(activeTabUrl);
+    });
+});
+
+// Allowed values for the site settings the plugin's own settings don't
+// cover, checked when importing a backup
+const EXTENSION_SETTINGS = {
+    darkMode: value => ['recolor', 'filter'].includes(value),
+    enforceContrast: value => ['off', 'AA', 'AAA'].includes(value),
+    readerWidth: value => typeof value === 'number' && value >= 45 && value <= 100,
+    filters: (value) => {
+        try {
+            ThemeFilters.normalizeFilters(value);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+};
+
+// Slider changes (text settings and filters) are saved once dragging pauses,
+// to stay within sync storage write quotas
+const TYPOGRAPHY_SAVE_DELAY = 300;
+const typographySaveTimers = {};
+
+// Settings the popup's plugin instance saves, under the bare keys the content script reads
+const PLUGIN_STORAGE_KEYS = ['theme', 'font', 'fontSize', ...Object.keys(TYPOGRAPHY_SETTINGS), 'filters',
+    'customThemes', 'customFonts', 'schedule', 'version'];
+
+// The plugin auto-initializes with these options and saves through the service worker
+window.themeFontToggleOptions = {
+    storage: createPopupStorage(),
+    storageKeys: PLUGIN_STORAGE_KEYS.reduce((keys, key) => ({ ...keys, [key]: key }), {}),
+    // The extension's commands (manifest.json) handle shortcuts, popup open or not
+    shortcuts: false
+};
+
 // Extension-specific functionality
 document.addEventListener('DOMContentLoaded', () => {
-    // Get current active tab
-    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-        const activeTab = tabs[0];
-        
-        // Load saved preferences from Chrome storage
-        chrome.storage.sync.get(['theme', 'font', 'fontSize'], (result) => {
-            if (result.theme) {
-                const themeSelector = document.getElementById('theme-toggle');
-                if (themeSelector) themeSelector.value = result.theme;
-            }
-            if (result.font) {
-                const fontSelector = document.getElementById('font-toggle');
-                if (fontSelector) fontSelector.value = result.font;
+    const scopeSelector = document.getElementById('scope-toggle');
+    const patternInput = document.getElementById('site-pattern');
+    const clearSiteButton = document.getElementById('clear-site-profile');
+    const darkModeSelector = document.getElementById('dark-mode-toggle');
+    const contrastSelector = document.getElementById('contrast-toggle');
+    const checkContrastButton = document.getElementById('check-contrast');
+    const resetTypographyButton = document.getElementById('reset-typography');
+    const readerWidthSlider = document.getElementById('reader-width');
+    const readerModeButton = document.getElementById('reader-mode-toggle');
+
+    // The plugin loads its own settings through the popup storage adapter
+    const plugin = window.themeFontToggle;
+    Promise.all([getTabSettings(), getStoredSettings(), plugin && plugin.ready]).then(([response, stored]) => {
+        const location = toSiteLocation(activeTabUrl);
+        const matches = response.sitePatterns;
+
+        // Default to the most specific rule that applies, or the bare hostname
+        if (patternInput) {
+            patternInput.value = matches.length
+                ? matches[matches.length - 1]
+                : (location ? location.hostname : '');
+        }
+        if (scopeSelector) {
+            scopeSelector.value = matches.length ? 'site' : 'global';
+        }
+        updateSiteControls();
+
+        // Show the effective settings for this tab in the popup
+        showSiteEnabled(response.enabled);
+        showSettingsInPopup(response.settings);
+        loadSiteAccessEditor(stored);
+        loadSiteStylesEditor(stored);
+        loadScheduleEditor();
+        loadPaletteEditor();
+    }).catch((error) => {
+        console.warn('Theme Toggle: Could not load settings', error);
+    });
+
+    setupSiteAccess();
+    setupSiteStyles();
+    setupPaletteEditor();
+    setupScheduleEditor();
+    setupFontEditor();
+    setupShortcutList();
+    setupBackup();
+    setupHistory();
+
+    if (scopeSelector) {
+        scopeSelector.addEventListener('change', updateSiteControls);
+    }
+
+    if (clearSiteButton) {
+        clearSiteButton.addEventListener('click', () => {
+            removeSiteProfile(getSitePattern());
+        });
+    }
+
+    // The darkening engine is an extension-only setting, saved like the others
+    if (darkModeSelector) {
+        darkModeSelector.addEventListener('change', (e) => {
+            saveSetting('darkMode', e.target.value);
+        });
+    }
+
+    if (contrastSelector) {
+        contrastSelector.addEventListener('change', (e) => {
+            saveSetting('enforceContrast', e.target.value);
+        });
+    }
+
+    if (checkContrastButton) {
+        checkContrastButton.addEventListener('click', checkPageContrast);
+    }
+
+    if (resetTypographyButton) {
+        resetTypographyButton.addEventListener('click', resetTypography);
+    }
+
+    // Saved on release; the open overlay picks it up through storage
+    if (readerWidthSlider) {
+        readerWidthSlider.addEventListener('change', (e) => {
+            saveSetting('readerWidth', Number(e.target.value));
+        });
+    }
+
+    if (readerModeButton) {
+        readerModeButton.addEventListener('click', toggleReaderMode);
+    }
+
+    document.querySelectorAll('.typography-slider').forEach(slider => {
+        slider.addEventListener('input', updateSliderValues);
+    });
+    updateSliderValues();
+    
+    // The plugin saves changes itself; the service worker passes them on to the tabs
+    document.addEventListener('themeFontToggle:themeChanged', loadPaletteEditor);
+});
+
+// Ask the service worker for the settings that apply to the active tab
+function getTabSettings() {
+    return activeTabReady.then(url => sendExtensionMessage({ action: 'getSettings', url: url || undefined }));
+}
+
+// Ask the service worker for the global settings and site profiles, as stored
+function getStoredSettings() {
+    return sendExtensionMessage({ action: 'getStoredSettings' }).then(response => response.stored);
+}
+
+// Storage adapter for the popup's plugin instance. Theme, font and typography
+// settings are read as resolved for the active tab and saved to the selected
+// scope; custom themes, fonts and the schedule are always global.
+function createPopupStorage() {
+    let tabSettings = null;
+    let storedSettings = null;
+
+    const read = (key, settings) => (settings[key] === undefined ? null : settings[key]);
+
+    return {
+        get(key) {
+            if (!SITE_SETTING_KEYS.includes(key)) {
+                storedSettings = storedSettings || getStoredSettings();
+                return storedSettings.then(stored => read(key, stored));
             }
-            if (result.fontSize) {
-                const fontSizeSelector = document.getElementById('font-size-toggle');
-                if (fontSizeSelector) fontSizeSelector.value = result.fontSize;
+
+            tabSettings = tabSettings || getTabSettings();
+            return tabSettings.then(response => read(key, response.settings));
+        },
+
+        // Resolves once the service worker has saved the value; a debounced
+        // value that a later one replaces is never saved, and never settles
+        set(key, value) {
+            if (!SITE_SETTING_KEYS.includes(key)) {
+                return reportSaveError(sendExtensionMessage({ action: 'updateSettings', changes: { [key]: value } }));
             }
-            
-            // Apply settings to popup
-            if (window.themeFontToggle) {
-                window.themeFontToggle.applySettings();
+
+            clearTimeout(typographySaveTimers[key]);
+            if (key in TYPOGRAPHY_SETTINGS || key === 'filters') {
+                return new Promise((resolve, reject) => {
+                    typographySaveTimers[key] = setTimeout(() => {
+                        saveSettings({ [key]: value }).then(resolve, reject);
+                    }, TYPOGRAPHY_SAVE_DELAY);
+                });
             }
+            return saveSettings({ [key]: value });
+        },
+
+        // No subscribe(): the popup is the only writer while it is open, and
+        // following its own debounced writes would make the sliders jump back
+        remove(key) {
+            return reportSaveError(sendExtensionMessage({ action: 'updateSettings', changes: { [key]: null } }));
+        }
+    };
+}
+
+// Reflect settings in the popup selectors without re-saving them
+function showSettingsInPopup(settings) {
+    const darkModeSelector = document.getElementById('dark-mode-toggle');
+    if (darkModeSelector) darkModeSelector.value = settings.darkMode || 'recolor';
+
+    const contrastSelector = document.getElementById('contrast-toggle');
+    if (contrastSelector) contrastSelector.value = settings.enforceContrast || 'off';
+
+    const readerWidthSlider = document.getElementById('reader-width');
+    if (readerWidthSlider) readerWidthSlider.value = settings.readerWidth || 70;
+
+    const plugin = window.themeFontToggle;
+    if (!plugin) return;
+
+    if (settings.theme) plugin.currentTheme = settings.theme;
+    if (settings.font) plugin.currentFont = settings.font;
+    if (settings.fontSize) plugin.currentFontSize = settings.fontSize;
+
+    // Unset spacing leaves the page's own; the sliders show the plugin defaults
+    Object.keys(TYPOGRAPHY_SETTINGS).forEach(key => {
+        plugin.typography[key] = typeof settings[key] === 'number'
+            ? settings[key]
+            : plugin.getDefaultTypography(key);
+    });
+    if (plugin.getFilters()) {
+        plugin.filters = ThemeFilters.normalizeFilters(settings.filters || {});
+    }
+    plugin.applySettings();
+    updateSliderValues();
+
+    // Steps recorded before no longer match what the popup shows
+    plugin.clearHistory();
+}
+
+// Show each typography slider's value next to its label
+function updateSliderValues() {
+    document.querySelectorAll('.slider-value').forEach(output => {
+        const slider = document.getElementById(output.htmlFor.value);
+        if (slider) output.value = `${slider.value}${output.dataset.unit || ''}`;
+    });
+}
+
+// Remove the typography settings from the selected scope so pages keep their own spacing
+function resetTypography() {
+    const changes = {};
+    Object.keys(TYPOGRAPHY_SETTINGS).forEach(key => {
+        clearTimeout(typographySaveTimers[key]);
+        changes[key] = null;
+    });
+
+    saveSettings(changes)
+        .then(getTabSettings)
+        .then(response => showSettingsInPopup(response.settings))
+        .catch((error) => {
+            console.warn('Theme Toggle: Could not reset text settings', error);
         });
+}
+
+// Get the pattern that "this site only" settings are saved under
+function getSitePattern() {
+    const patternInput = document.getElementById('site-pattern');
+    return patternInput ? normalizeSitePattern(patternInput.value) : '';
+}
+
+// Whether changes should be saved for this site only
+function isSiteScope() {
+    const scopeSelector = document.getElementById('scope-toggle');
+    return !!scopeSelector && scopeSelector.value === 'site' && !!getSitePattern();
+}
+
+// Enable the site pattern controls only when saving for this site. Undo
+// steps would be saved to the new scope, so they are dropped.
+function updateSiteControls() {
+    const scopeSelector = document.getElementById('scope-toggle');
+    const siteOnly = !!scopeSelector && scopeSelector.value === 'site';
+
+    const plugin = window.themeFontToggle;
+    if (plugin) plugin.clearHistory();
+
+    ['site-pattern', 'clear-site-profile'].forEach(id => {
+        const element = document.getElementById(id);
+        if (element) element.disabled = !siteOnly;
     });
-    
-    // Listen for changes and apply to current tab
-    document.addEventListener('themeFontToggle:themeChanged', (e) => {
-        // Save to Chrome storage
-        chrome.storage.sync.set({ theme: e.detail.theme });
-        
-        // Apply to current tab
-        chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-            chrome.tabs.sendMessage(tabs[0].id, {
-                action: 'setTheme',
-                theme: e.detail.theme
-            });
+}
+
+// Save settings globally or into the site profile for the current pattern; null removes one
+function saveSettings(changes) {
+    const message = { action: 'updateSettings', changes: changes };
+    if (isSiteScope()) message.pattern = getSitePattern();
+
+    return reportSaveError(sendExtensionMessage(message));
+}
+
+// Save one setting to the selected scope
+function saveSetting(key, value) {
+    saveSettings({ [key]: value }).catch((error) => {
+        console.warn(`Theme Toggle: Could not save ${key}`, error);
+    });
+}
+
+// Show why a save failed, such as a full sync storage, and pass the failure on;
+// a later save that works clears the message
+function reportSaveError(saved) {
+    return saved.then((response) => {
+        setSettingsStatus('');
+        return response;
+    }, (error) => {
+        setSettingsStatus(error.message.replace(/^ExtensionMessages: /, ''));
+        throw error;
+    });
+}
+
+// Show a message under the undo and redo buttons
+function setSettingsStatus(message) {
+    const status = document.getElementById('settings-status');
+    if (status) status.textContent = message;
+}
+
+// Remove a site profile so the site follows the global settings again
+function removeSiteProfile(pattern) {
+    if (!pattern) return;
+
+    sendExtensionMessage({ action: 'removeSiteProfile', pattern: pattern })
+        .catch((error) => {
+            // Nothing saved for the pattern yet: already following the global settings
+            if (error.code !== MESSAGE_ERRORS.notFound) throw error;
+        })
+        .then(getTabSettings)
+        .then((response) => {
+            const scopeSelector = document.getElementById('scope-toggle');
+            if (scopeSelector) scopeSelector.value = 'global';
+            updateSiteControls();
+            showSettingsInPopup(response.settings);
+        })
+        .catch((error) => {
+            console.warn('Theme Toggle: Could not remove the site profile', error);
         });
+}
+
+// Wire up the "Enabled on this site" switch and the site access editor
+function setupSiteAccess() {
+    const siteEnabledToggle = document.getElementById('site-enabled');
+    if (siteEnabledToggle) {
+        siteEnabledToggle.addEventListener('change', (e) => {
+            setSiteEnabled(e.target.checked);
+        });
+    }
+
+    const saveButton = document.getElementById('site-access-save');
+    if (saveButton) saveButton.addEventListener('click', saveSiteAccess);
+}
+
+// Show whether the extension runs on the active tab's page
+function showSiteEnabled(enabled) {
+    const siteEnabledToggle = document.getElementById('site-enabled');
+    if (siteEnabledToggle) siteEnabledToggle.checked = enabled;
+
+    setSiteEnabledStatus(enabled ? '' : 'Off on this site. The page keeps its own styles.');
+}
+
+// Turn the extension on or off for the active tab's site; the service worker
+// updates the site access list and the tab
+function setSiteEnabled(enabled) {
+    activeTabReady
+        .then(url => sendExtensionMessage({ action: 'setSiteEnabled', url: url || '', enabled: enabled }))
+        .then((response) => {
+            showSiteEnabled(response.enabled);
+            loadSiteAccessEditor({ ...readSiteAccessEditor(), siteAccess: response.siteAccess });
+        })
+        .catch((error) => {
+            showSiteEnabled(!enabled);
+            setSiteEnabledStatus(error.message.replace(/^ExtensionMessages: /, ''));
+        });
+}
+
+// Show a message under the "Enabled on this site" switch
+function setSiteEnabledStatus(message) {
+    const status = document.getElementById('site-enabled-status');
+    if (status) status.textContent = message;
+}
+
+// Fill the site access editor from the stored list
+function loadSiteAccessEditor(stored) {
+    const siteAccess = isValidSiteAccess(stored.siteAccess) ? stored.siteAccess : DEFAULT_SITE_ACCESS;
+
+    const modeSelector = document.getElementById('site-access-mode');
+    if (modeSelector) modeSelector.value = siteAccess.mode;
+
+    const patternList = document.getElementById('site-access-patterns');
+    if (patternList) patternList.value = siteAccess.patterns.join('\n');
+
+    const detectToggle = document.getElementById('detect-native-dark');
+    if (detectToggle) detectToggle.checked = stored.detectNativeDark !== false;
+}
+
+// Read the site access editor's fields, one pattern per line
+function readSiteAccessEditor() {
+    const modeSelector = document.getElementById('site-access-mode');
+    const patternList = document.getElementById('site-access-patterns');
+    const detectToggle = document.getElementById('detect-native-dark');
+    const patterns = (patternList ? patternList.value : '').split('\n')
+        .map(normalizeSitePattern)
+        .filter(Boolean);
+
+    return {
+        siteAccess: { mode: modeSelector ? modeSelector.value : DEFAULT_SITE_ACCESS.mode, patterns: [...new Set(patterns)] },
+        detectNativeDark: detectToggle ? detectToggle.checked : true
+    };
+}
+
+// Save the site access list and native dark theme detection
+function saveSiteAccess() {
+    const values = readSiteAccessEditor();
+    const invalid = values.siteAccess.patterns.filter(pattern => !parseSitePattern(pattern).host);
+    if (invalid.length) {
+        setSiteAccessStatus(`Not a site rule: ${invalid.join(', ')}`);
+        return;
+    }
+
+    sendExtensionMessage({ action: 'updateSettings', changes: values })
+        .then(getTabSettings)
+        .then((response) => {
+            showSiteEnabled(response.enabled);
+            setSiteAccessStatus(values.siteAccess.mode === 'allow' && !values.siteAccess.patterns.length
+                ? 'Saved. The extension is off everywhere until a site is added.'
+                : 'Saved.');
+        })
+        .catch((error) => {
+            setSiteAccessStatus(error.message.replace(/^ExtensionMessages: /, ''));
+        });
+}
+
+// Show a message under the site access editor
+function setSiteAccessStatus(message) {
+    const status = document.getElementById('site-access-status');
+    if (status) status.textContent = message;
+}
+
+// Wire up the element picker button and the site CSS editor
+function setupSiteStyles() {
+    const pickButton = document.getElementById('pick-element');
+    if (pickButton) pickButton.addEventListener('click', startElementPicker);
+
+    const saveButton = document.getElementById('site-css-save');
+    if (saveButton) saveButton.addEventListener('click', saveSiteCss);
+}
+
+// Site styles are saved for the active tab's hostname, as the element picker saves them
+function getSiteStylesPattern() {
+    const location = toSiteLocation(activeTabUrl);
+    return location ? location.hostname : '';
+}
+
+// List the active site's element rules and fill its CSS editor from the stored site styles
+function loadSiteStylesEditor(stored) {
+    const siteStyles = isValidSiteStyles(stored.siteStyles) ? stored.siteStyles : {};
+    const site = siteStyles[getSiteStylesPattern()] || {};
+
+    const ruleList = document.getElementById('site-rule-list');
+    if (ruleList) {
+        ruleList.textContent = '';
+        (site.rules || []).forEach(rule => {
+            const item = document.createElement('li');
+            const selector = document.createElement('code');
+            selector.textContent = rule.selector;
+            const description = document.createElement('span');
+            description.textContent = describeElementRule(rule);
+
+            const removeButton = document.createElement('button');
+            removeButton.type = 'button';
+            removeButton.className = 'site-rule-remove';
+            removeButton.textContent = 'Remove';
+            removeButton.setAttribute('aria-label', `Remove the rule for ${rule.selector}`);
+            removeButton.addEventListener('click', () => removeElementRule(rule.selector));
+
+            item.append(selector, description, removeButton);
+            ruleList.appendChild(item);
+        });
+    }
+
+    const cssEditor = document.getElementById('site-css');
+    if (cssEditor) cssEditor.value = site.css || '';
+}
+
+// What an element rule does, in the picker's words
+function describeElementRule(rule) {
+    if (rule.untouched) return 'Left untouched';
+
+    const parts = [];
+    if (rule.background) parts.push(`Background: ${ELEMENT_RULE_TOKENS[rule.background]}`);
+    if (rule.color) parts.push(`Text: ${ELEMENT_RULE_TOKENS[rule.color]}`);
+    if (rule.font) parts.push(`Font: ${rule.font}`);
+    return parts.join(', ');
+}
+
+// Change the active site's entry in the stored site styles and show the result;
+// entries left with no rules or CSS are removed
+function updateSiteStyles(change) {
+    const pattern = getSiteStylesPattern();
+    if (!pattern) {
+        setSiteStylesStatus('Only pages with a hostname can have site styles.');
+        return;
+    }
+
+    getStoredSettings().then((stored) => {
+        const siteStyles = { ...(isValidSiteStyles(stored.siteStyles) ? stored.siteStyles : {}) };
+        const site = change({ rules: [], ...siteStyles[pattern] });
+        if (!site.css) delete site.css;
+
+        if (site.rules.length || site.css) {
+            siteStyles[pattern] = site;
+        } else {
+            delete siteStyles[pattern];
+        }
+
+        return sendExtensionMessage({ action: 'updateSettings', changes: { siteStyles: siteStyles } })
+            .then(() => loadSiteStylesEditor({ siteStyles: siteStyles }));
+    }).then(() => {
+        setSiteStylesStatus('Saved.');
+    }).catch((error) => {
+        setSiteStylesStatus(error.message.replace(/^ExtensionMessages: /, ''));
     });
-    
-    document.addEventListener('themeFontToggle:fontChanged', (e) => {
-        // Save to Chrome storage
-        chrome.storage.sync.set({ font: e.detail.font });
-        
-        // Apply to current tab
-        chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-            chrome.tabs.sendMessage(tabs[0].id, {
-                action: 'setFont',
-                font: e.detail.font
-            });
+}
+
+// Remove the active site's rule for a selector
+function removeElementRule(selector) {
+    updateSiteStyles(site => ({ ...site, rules: site.rules.filter(rule => rule.selector !== selector) }));
+}
+
+// Save the CSS editor as the active site's CSS
+function saveSiteCss() {
+    const cssEditor = document.getElementById('site-css');
+    const css = cssEditor ? cssEditor.value.trim() : '';
+    updateSiteStyles(site => ({ ...site, css: css }));
+}
+
+// Start the element picker in the active tab and close the popup, so the page can be clicked
+function startElementPicker() {
+    activeTabReady
+        .then(() => sendExtensionMessage({ action: 'startElementPicker', tabId: activeTabId }))
+        .then(() => window.close())
+        .catch(() => {
+            setSiteStylesStatus('Elements can\'t be picked on this page.');
+        });
+}
+
+// Show a message under the site styles editor
+function setSiteStylesStatus(message) {
+    const status = document.getElementById('site-styles-status');
+    if (status) status.textContent = message;
+}
+
+// Open or close reader mode in the active tab
+function toggleReaderMode() {
+    const status = document.getElementById('reader-status');
+
+    activeTabReady
+        .then(() => sendExtensionMessage({ action: 'toggleReaderMode', tabId: activeTabId }))
+        .then((response) => {
+            if (status) status.textContent = response.open ? 'Reader mode on. Press Esc to exit.' : '';
+        })
+        .catch((error) => {
+            if (!status) return;
+            status.textContent = error.code === MESSAGE_ERRORS.notFound
+                ? 'No article found on this page.'
+                : 'Reader mode isn\'t available on this page.';
         });
+}
+
+// Ask the active tab to sample its rendered text and report contrast failures
+function checkPageContrast() {
+    const status = document.getElementById('contrast-status');
+
+    activeTabReady
+        .then(() => sendExtensionMessage({ action: 'auditContrast', tabId: activeTabId }))
+        .then(({ report }) => {
+            if (!status) return;
+
+            const themeNote = (report.themeFailures.length
+                ? ` ${report.themeFailures.length} theme colour pair(s) also fail.`
+                : '') + (report.themeUnparsed.length
+                ? ` ${report.themeUnparsed.length} theme colour(s) couldn't be checked.`
+                : '');
+            status.textContent = report.failures.length
+                ? `${report.failures.length} of ${report.sampled} text samples fail ${report.level} (${report.required}:1).${themeNote}`
+                : `All ${report.sampled} text samples pass ${report.level}.${themeNote}`;
+        })
+        .catch(() => {
+            if (status) status.textContent = 'Contrast can\'t be checked on this page.';
+        });
+}
+
+// Wire up the custom font form
+function setupFontEditor() {
+    const addButton = document.getElementById('font-add');
+    if (addButton) addButton.addEventListener('click', addCustomFont);
+
+    const removeButton = document.getElementById('font-remove');
+    if (removeButton) removeButton.addEventListener('click', removeCustomFont);
+
+    document.addEventListener('themeFontToggle:fontLoadError', (e) => {
+        setFontEditorStatus(`Couldn't load "${e.detail.family}": ${e.detail.error}`);
     });
-    
-    document.addEventListener('themeFontToggle:fontSizeChanged', (e) => {
-        // Save to Chrome storage
-        chrome.storage.sync.set({ fontSize: e.detail.fontSize });
-        
-        // Apply to current tab
-        chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-            chrome.tabs.sendMessage(tabs[0].id, {
-                action: 'setFontSize',
-                fontSize: e.detail.fontSize
-            });
+}
+
+// Register a font from the form (the plugin saves it) and switch to it
+function addCustomFont() {
+    const plugin = window.themeFontToggle;
+    if (!plugin) return;
+
+    const family = document.getElementById('font-family-name').value.trim();
+    const name = family.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+    try {
+        plugin.registerFont({
+            name: name,
+            family: family,
+            sources: [document.getElementById('font-source').value.trim()],
+            fallback: document.getElementById('font-fallback').value
+        });
+    } catch (error) {
+        setFontEditorStatus(error.message.replace(/^ThemeFontToggle: /, ''));
+        return;
+    }
+
+    setFontEditorStatus(`Added "${family}"`);
+    plugin.setFont(name);
+}
+
+// Remove the font currently selected in the font dropdown
+function removeCustomFont() {
+    const plugin = window.themeFontToggle;
+    if (!plugin) return;
+
+    const font = plugin.getFont();
+    if (!plugin.unregisterFont(font)) {
+        setFontEditorStatus('Select a custom font to remove it.');
+        return;
+    }
+
+    setFontEditorStatus(`Removed "${font}"`);
+}
+
+// Show a message under the custom font form
+function setFontEditorStatus(message) {
+    const status = document.getElementById('font-editor-status');
+    if (status) status.textContent = message;
+}
+
+// List the extension's keyboard commands; Chrome's shortcuts page remaps them
+// and refuses bindings that clash with the browser or other extensions
+function setupShortcutList() {
+    const list = document.getElementById('shortcut-list');
+    const editButton = document.getElementById('edit-shortcuts');
+    if (!list) return;
+
+    chrome.commands.getAll((commands) => {
+        list.textContent = '';
+        commands.filter(command => command.description).forEach(command => {
+            const name = document.createElement('dt');
+            name.textContent = command.description;
+
+            const binding = document.createElement('dd');
+            const keys = document.createElement('kbd');
+            keys.textContent = command.shortcut || 'Not set';
+            binding.appendChild(keys);
+
+            list.append(name, binding);
         });
     });
-});
 
-// Apply settings to all tabs button (optional)
-function applyToAllTabs() {
-    chrome.tabs.query({}, (tabs) => {
-        const settings = window.themeFontToggle ? window.themeFontToggle.getSettings() : {};
-        
-        tabs.forEach(tab => {
-            chrome.tabs.sendMessage(tab.id, {
-                action: 'applySettings',
-                settings: settings
-            }).catch(() => {
-                // Ignore errors for tabs that can't receive messages
-            });
+    if (editButton) {
+        editButton.addEventListener('click', () => {
+            chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
         });
+    }
+}
+
+// Wire up the undo and redo buttons and keys for the plugin's settings history
+function setupHistory() {
+    const plugin = window.themeFontToggle;
+    const undoButton = document.getElementById('undo-settings');
+    const redoButton = document.getElementById('redo-settings');
+    if (!plugin || !undoButton || !redoButton) return;
+
+    undoButton.addEventListener('click', () => plugin.undo());
+    redoButton.addEventListener('click', () => plugin.redo());
+
+    document.addEventListener('themeFontToggle:historyChanged', (e) => {
+        undoButton.disabled = !e.detail.canUndo;
+        redoButton.disabled = !e.detail.canRedo;
+        updateSliderValues();
     });
+
+    document.addEventListener('keydown', handleHistoryKeydown);
 }
 
-// Add apply to all tabs button functionality
-document.addEventListener('DOMContentLoaded', () => {
-    // Create apply to all button
-    const controlsDiv = document.querySelector('.plugin-controls');
-    if (controlsDiv) {
-        const applyButton = document.createElement('button');
-        applyButton.textContent = 'Apply to All Tabs';
-        applyButton.className = 'apply-all-btn';
-        applyButton.style.cssText = `
-            width: 100%;
-            padding: 8px 12px;
-            margin-top: 10px;
-            background-color: var(--accent-color);
-            color: white;
-            border: none;
-            border-radius: 4px;
-            cursor: pointer;
-            font-family: var(--font-family);
-            transition: background-color 0.3s ease;
-        `;
-        
-        applyButton.addEventListener('click', applyToAllTabs);
-        applyButton.addEventListener('mouseover', () => {
-            applyButton.style.backgroundColor = 'var(--accent-hover)';
-        });
-        applyButton.addEventListener('mouseout', () => {
-            applyButton.style.backgroundColor = 'var(--accent-color)';
-        });
-        
-        controlsDiv.appendChild(applyButton);
+// Ctrl+Z (Cmd+Z on macOS) undoes; Ctrl+Shift+Z, Cmd+Shift+Z and Ctrl+Y redo.
+// Text fields keep their own undo.
+function handleHistoryKeydown(e) {
+    const plugin = window.themeFontToggle;
+    if (!plugin || e.defaultPrevented || e.altKey || !(e.ctrlKey || e.metaKey) || isTextField(e.target)) return;
+
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        plugin.undo();
+    } else if ((key === 'z' && e.shiftKey) || (key === 'y' && e.ctrlKey && !e.shiftKey)) {
+        e.preventDefault();
+        plugin.redo();
     }
-});
+}
+
+// Whether an element edits text, so undo keys belong to it
+function isTextField(element) {
+    if (!element || element.nodeType !== 1) return false;
+    if (element.isContentEditable || element.tagName === 'TEXTAREA') return true;
+    return element.tagName === 'INPUT'
+        && !['range', 'checkbox', 'radio', 'color', 'button', 'file'].includes(element.type);
+}
+
+// Wire up the backup export and import buttons
+function setupBackup() {
+    const exportButton = document.getElementById('export-settings');
+    if (exportButton) exportButton.addEventListener('click', exportBackup);
+
+    const importButton = document.getElementById('import-settings');
+    const fileInput = document.getElementById('import-file');
+    if (importButton && fileInput) {
+        importButton.addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files[0]) importBackup(fileInput.files[0]);
+            fileInput.value = '';
+        });
+    }
+}
+
+// Download the global settings, custom themes, fonts, schedule, site profiles,
+// site access list and site styles
+function exportBackup() {
+    const plugin = window.themeFontToggle;
+    if (!plugin) return;
+
+    getStoredSettings().then((result) => {
+        // The plugin holds this tab's resolved settings; the backup takes the global ones
+        const data = JSON.parse(plugin.exportSettings());
+        data.settings = {};
+        SITE_SETTING_KEYS.forEach(key => {
+            if (hasSiteSetting(result[key])) data.settings[key] = result[key];
+        });
+        data.siteProfiles = result.siteProfiles || {};
+        if (result.siteAccess) data.siteAccess = result.siteAccess;
+        if (typeof result.detectNativeDark === 'boolean') data.detectNativeDark = result.detectNativeDark;
+        if (result.siteStyles) data.siteStyles = result.siteStyles;
+        // Shortcuts belong to Chrome's command settings, not the backup, and
+        // the filters are in the settings with the other site settings
+        delete data.shortcuts;
+        delete data.filters;
+
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `theme-font-toggle-${data.exportedAt.slice(0, 10)}.json`;
+        link.click();
+        // On a later task: revoking the URL while the click is handled can cancel the download
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+
+        setBackupStatus('Settings exported.');
+    }).catch((error) => {
+        setBackupStatus(error.message.replace(/^ExtensionMessages: /, ''));
+    });
+}
+
+// Check a backup file and merge it into the saved settings
+function importBackup(file) {
+    const plugin = window.themeFontToggle;
+    if (!plugin) return;
+
+    file.text().then(text => {
+        const data = plugin.validateSettings(text);
+        const raw = JSON.parse(text);
+        const known = { themes: Object.keys(data.customThemes), fonts: Object.keys(data.customFonts) };
+        const errors = [];
+
+        const settings = { ...data.settings, ...getExtensionSettings(raw.settings, 'settings', errors) };
+        // Files exported by the plugin keep the filters beside the settings
+        if (data.filters && !settings.filters) settings.filters = data.filters;
+
+        const siteProfiles = {};
+        const profiles = raw.siteProfiles || {};
+        if (typeof profiles !== 'object' || Array.isArray(profiles)) {
+            errors.push('siteProfiles: must be an object');
+        } else {
+            Object.entries(profiles).forEach(([pattern, profile]) => {
+                const path = `siteProfiles.${pattern}`;
+                if (!parseSitePattern(pattern).host || !profile || typeof profile !== 'object') {
+                    errors.push(`${path}: not a valid site profile`);
+                    return;
+                }
+
+                siteProfiles[pattern] = getExtensionSettings(profile, path, errors);
+                SITE_SETTING_KEYS.filter(key => !(key in EXTENSION_SETTINGS) && key in profile).forEach(key => {
+                    try {
+                        siteProfiles[pattern][key] = plugin.normalizeSettingValue(key, profile[key], known);
+                    } catch (error) {
+                        errors.push(`${path}.${key}: ${error.message.replace(/^ThemeFontToggle: /, '')}`);
+                    }
+                });
+            });
+        }
+
+        if (raw.siteAccess !== undefined && !isValidSiteAccess(raw.siteAccess)) {
+            errors.push('siteAccess: not a valid site access list');
+        }
+        if (raw.detectNativeDark !== undefined && typeof raw.detectNativeDark !== 'boolean') {
+            errors.push('detectNativeDark: must be true or false');
+        }
+        if (raw.siteStyles !== undefined && !isValidSiteStyles(raw.siteStyles)) {
+            errors.push('siteStyles: not valid site styles');
+        }
+
+        if (errors.length) {
+            throw new Error(`Invalid settings: ${errors.join('; ')}`);
+        }
+
+        return getStoredSettings().then((result) => {
+            const values = {
+                ...settings,
+                customThemes: { ...plugin.getCustomThemes(), ...data.customThemes },
+                customFonts: { ...plugin.getCustomFonts(), ...data.customFonts },
+                siteProfiles: { ...(result.siteProfiles || {}), ...siteProfiles }
+            };
+            if (data.schedule) values.schedule = data.schedule;
+            // The imported site access list replaces the saved one
+            if (raw.siteAccess) values.siteAccess = raw.siteAccess;
+            if (typeof raw.detectNativeDark === 'boolean') values.detectNativeDark = raw.detectNativeDark;
+            // Imported sites replace the saved styles for the same sites
+            if (raw.siteStyles) values.siteStyles = { ...(result.siteStyles || {}), ...raw.siteStyles };
+
+            // The service worker updates the tabs; reopen to show the changes here
+            return sendExtensionMessage({ action: 'updateSettings', changes: values });
+        }).then(() => location.reload());
+    }).catch(error => {
+        setBackupStatus(error.message.replace(/^(ThemeFontToggle|ExtensionMessages): /, ''));
+    });
+}
+
+// Pick the valid extension-only settings from an imported object, noting the invalid ones
+function getExtensionSettings(source, path, errors) {
+    const settings = {};
+    Object.entries(EXTENSION_SETTINGS).forEach(([key, isValid]) => {
+        if (!source || source[key] === undefined) return;
+
+        if (isValid(source[key])) {
+            settings[key] = source[key];
+        } else {
+            errors.push(`${path}.${key}: unsupported value "${source[key]}"`);
+        }
+    });
+    return settings;
+}
+
+// Show a message under the backup buttons
+function setBackupStatus(message) {
+    const status = document.getElementById('backup-status');
+    if (status) status.textContent = message;
+}
+
+// Wire up the schedule editor's fields and buttons
+function setupScheduleEditor() {
+    const typeSelector = document.getElementById('schedule-type');
+    if (typeSelector) typeSelector.addEventListener('change', updateScheduleFields);
+
+    const locateButton = document.getElementById('schedule-locate');
+    if (locateButton) locateButton.addEventListener('click', locateForSchedule);
+
+    const saveButton = document.getElementById('schedule-save');
+    if (saveButton) saveButton.addEventListener('click', saveSchedule);
+}
+
+// Fill the schedule editor from the plugin's stored schedule
+function loadScheduleEditor() {
+    const plugin = window.themeFontToggle;
+    const schedule = plugin ? plugin.getSchedule() : ThemeSchedule.DEFAULT_SCHEDULE;
+    const values = {
+        'schedule-type': schedule.type,
+        'schedule-start': schedule.darkStart,
+        'schedule-end': schedule.darkEnd,
+        'schedule-latitude': schedule.latitude === null ? '' : schedule.latitude,
+        'schedule-longitude': schedule.longitude === null ? '' : schedule.longitude
+    };
+
+    Object.entries(values).forEach(([id, value]) => {
+        const input = document.getElementById(id);
+        if (input) input.value = value;
+    });
+
+    updateScheduleFields();
+}
+
+// Show only the fields for the selected schedule type
+function updateScheduleFields() {
+    const typeSelector = document.getElementById('schedule-type');
+    const type = typeSelector ? typeSelector.value : 'time';
+
+    document.querySelectorAll('.schedule-fields').forEach(fields => {
+        fields.hidden = fields.dataset.scheduleType !== type;
+    });
+}
+
+// Fill latitude/longitude from the browser's location
+function locateForSchedule() {
+    if (!navigator.geolocation) {
+        setScheduleStatus('Location is not available.');
+        return;
+    }
+
+    setScheduleStatus('Locating…');
+    navigator.geolocation.getCurrentPosition((position) => {
+        // Two decimals (about 1 km) is plenty for sunrise and sunset
+        document.getElementById('schedule-latitude').value = position.coords.latitude.toFixed(2);
+        document.getElementById('schedule-longitude').value = position.coords.longitude.toFixed(2);
+        setScheduleStatus('');
+    }, () => {
+        setScheduleStatus('Location permission was denied.');
+    });
+}
+
+// Validate and save the schedule; the background worker picks it up from storage
+function saveSchedule() {
+    const plugin = window.themeFontToggle;
+    if (!plugin) return;
+
+    // Empty inputs become null so validation reports them as missing
+    const value = id => document.getElementById(id).value.trim() || null;
+    const schedule = value('schedule-type') === 'sun'
+        ? { type: 'sun', latitude: value('schedule-latitude'), longitude: value('schedule-longitude') }
+        : { type: 'time', darkStart: value('schedule-start'), darkEnd: value('schedule-end') };
+
+    try {
+        plugin.setSchedule({ ...plugin.getSchedule(), ...schedule });
+    } catch (error) {
+        setScheduleStatus(error.message.replace(/^ThemeFontToggle: /, ''));
+        return;
+    }
+
+    const next = ThemeSchedule.getNextScheduleTransition(plugin.getSchedule());
+    setScheduleStatus(next
+        ? `Saved. Next switch at ${next.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}.`
+        : 'Saved.');
+}
+
+// Show a message under the schedule editor
+function setScheduleStatus(message) {
+    const status = document.getElementById('schedule-status');
+    if (status) status.textContent = message;
+}
+
+// Wire up the palette editor's live preview and buttons
+function setupPaletteEditor() {
+    document.querySelectorAll('.palette-tokens [data-token]').forEach(input => {
+        input.addEventListener('input', updatePalettePreview);
+    });
+
+    const saveButton = document.getElementById('palette-save');
+    if (saveButton) saveButton.addEventListener('click', saveCustomTheme);
+
+    const deleteButton = document.getElementById('palette-delete');
+    if (deleteButton) deleteButton.addEventListener('click', deleteCustomTheme);
+}
+
+// Fill the palette editor with the tokens of the theme currently shown
+function loadPaletteEditor() {
+    const plugin = window.themeFontToggle;
+    const theme = plugin ? plugin.getTheme() : null;
+    const customThemes = plugin ? plugin.getCustomThemes() : {};
+    const computed = window.getComputedStyle(document.documentElement);
+
+    document.querySelectorAll('.palette-tokens [data-token]').forEach(input => {
+        const token = input.dataset.token;
+        const value = (customThemes[theme] && customThemes[theme][token])
+            || computed.getPropertyValue(token).trim();
+        input.value = input.type === 'color' ? toHexColor(value) : value;
+    });
+
+    const nameInput = document.getElementById('palette-name');
+    if (nameInput) nameInput.value = customThemes[theme] ? theme : '';
+
+    setPaletteStatus('');
+    updatePalettePreview();
+}
+
+// Collect the token values from the palette editor
+function getPaletteTokens() {
+    const tokens = {};
+    document.querySelectorAll('.palette-tokens [data-token]').forEach(input => {
+        if (input.value.trim()) tokens[input.dataset.token] = input.value.trim();
+    });
+    return tokens;
+}
+
+// Show the edited tokens on the preview card
+function updatePalettePreview() {
+    const preview = document.querySelector('.palette-preview');
+    if (!preview) return;
+
+    Object.entries(getPaletteTokens()).forEach(([token, value]) => {
+        preview.style.setProperty(token, value);
+    });
+}
+
+// Register the edited theme (the plugin saves it) and switch to it
+function saveCustomTheme() {
+    const plugin = window.themeFontToggle;
+    const nameInput = document.getElementById('palette-name');
+    if (!plugin || !nameInput) return;
+
+    const name = nameInput.value.trim();
+    try {
+        plugin.registerTheme(name, getPaletteTokens());
+    } catch (error) {
+        setPaletteStatus(error.message.replace(/^ThemeFontToggle: /, ''));
+        return;
+    }
+
+    plugin.setTheme(name);
+    setPaletteStatus(`Saved "${name}"`);
+}
+
+// Remove the named custom theme
+function deleteCustomTheme() {
+    const plugin = window.themeFontToggle;
+    const nameInput = document.getElementById('palette-name');
+    if (!plugin || !nameInput) return;
+
+    const name = nameInput.value.trim();
+    if (!plugin.unregisterTheme(name)) {
+        setPaletteStatus(`No custom theme named "${name}"`);
+        return;
+    }
+
+    loadPaletteEditor();
+    setPaletteStatus(`Deleted "${name}"`);
+}
+
+// Show a message under the palette editor
+function setPaletteStatus(message) {
+    const status = document.getElementById('palette-status');
+    if (status) status.textContent = message;
+}
+
+// Convert a #rgb or rgb() colour to the #rrggbb form colour inputs require
+function toHexColor(value) {
+    const color = String(value || '').trim().toLowerCase();
+
+    if (/^#[0-9a-f]{6}$/.test(color)) return color;
+    if (/^#[0-9a-f]{3}$/.test(color)) {
+        return '#' + color.slice(1).split('').map(digit => digit + digit).join('');
+    }
+
+    const rgb = color.match(/^rgba?\(\s*(\d+)[\s,]+(\d+)[\s,]+(\d+)/);
+    if (rgb) {
+        return '#' + rgb.slice(1, 4)
+            .map(channel => Math.min(255, parseInt(channel, 10)).toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    return '#000000';
+}
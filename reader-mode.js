@@ -0,0 +1,522 @@
+/**
+ * Reader Mode
+ * Extracts a page's main article and shows it in a clean overlay for the
+ * Chrome extension content script.
+ *
+ * The article is found with a readability-style heuristic: paragraphs score
+ * the containers around them, weighted by class and id hints and reduced for
+ * link-heavy content. The best container is copied into a shadow root as new
+ * elements with only a few safe attributes, so page styles and scripts never
+ * reach the overlay and closing it leaves the page as it was.
+ */
+
+const READER_HOST_ID = 'theme-toggle-reader';
+
+// Default maximum line width, in ch
+const READER_DEFAULT_WIDTH = 70;
+
+// Body text size at the medium font size and 100% scale, in px
+const READER_BASE_FONT_SIZE = 18;
+
+// Built-in theme colours, matching theme-font-toggle.css
+const READER_PALETTES = {
+    light: {
+        '--bg-primary': '#ffffff',
+        '--bg-secondary': '#f8f9fa',
+        '--text-primary': '#212529',
+        '--text-secondary': '#6c757d',
+        '--border-color': '#dee2e6',
+        '--accent-color': '#007bff'
+    },
+    dark: {
+        '--bg-primary': '#1a1a1a',
+        '--bg-secondary': '#2d2d2d',
+        '--text-primary': '#ffffff',
+        '--text-secondary': '#b0b0b0',
+        '--border-color': '#404040',
+        '--accent-color': '#4dabf7'
+    }
+};
+
+// Class and id hints for article containers and for page furniture
+const READER_POSITIVE_HINTS = /article|body|content|entry|main|post|story|text|blog/i;
+const READER_NEGATIVE_HINTS = /comment|footer|sidebar|nav|menu|share|social|related|promo|sponsor|advert|banner|widget|masthead|header|popup|modal|cookie|subscribe|newsletter/i;
+
+// Elements copied into the overlay as they are
+const READER_COPIED_TAGS = ['H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'P', 'PRE', 'CODE', 'BLOCKQUOTE',
+    'UL', 'OL', 'LI', 'DL', 'DT', 'DD', 'FIGURE', 'FIGCAPTION', 'IMG', 'TABLE', 'THEAD', 'TBODY', 'TFOOT',
+    'TR', 'TH', 'TD', 'CAPTION', 'HR', 'BR', 'A', 'EM', 'STRONG', 'B', 'I', 'U', 'S', 'KBD', 'SAMP',
+    'MARK', 'SUB', 'SUP', 'SMALL', 'ABBR', 'Q', 'CITE', 'TIME'];
+
+// Elements left out of the overlay along with their content
+const READER_DROPPED_TAGS = ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'NAV', 'ASIDE', 'FORM', 'BUTTON',
+    'INPUT', 'SELECT', 'TEXTAREA', 'IFRAME', 'EMBED', 'OBJECT', 'CANVAS', 'SVG', 'VIDEO', 'AUDIO', 'DIALOG'];
+
+// Minimum length of a paragraph that counts towards its container's score
+const READER_MIN_PARAGRAPH_LENGTH = 25;
+
+// An element's class and id, for matching against the hint patterns
+function getReaderHints(element) {
+    // SVG elements have an SVGAnimatedString className
+    return `${typeof element.className === 'string' ? element.className : ''} ${element.id}`;
+}
+
+// Score a container's class, id and tag before any paragraphs are counted
+function getReaderHintWeight(element) {
+    const hints = getReaderHints(element);
+    let weight = 0;
+
+    if (READER_POSITIVE_HINTS.test(hints)) weight += 25;
+    if (READER_NEGATIVE_HINTS.test(hints)) weight -= 25;
+    if (element.tagName === 'ARTICLE' || element.tagName === 'MAIN') weight += 10;
+
+    return weight;
+}
+
+// Share of an element's text that sits inside links
+function getLinkDensity(element) {
+    const length = element.textContent.trim().length;
+    if (!length) return 1;
+
+    const linkLength = Array.from(element.querySelectorAll('a'))
+        .reduce((total, link) => total + link.textContent.trim().length, 0);
+    return linkLength / length;
+}
+
+// Whether an element is hidden from readers of the page
+function isReaderHidden(element) {
+    if (element.hidden || element.getAttribute('aria-hidden') === 'true') return true;
+    return window.getComputedStyle(element).display === 'none';
+}
+
+// Find the containers that hold the page's article, in document order
+function findArticleContainers(doc = document) {
+    if (!doc.body) return [];
+
+    const scores = new Map();
+    doc.body.querySelectorAll('p, pre, td, blockquote').forEach(block => {
+        const text = block.textContent.trim();
+        if (text.length < READER_MIN_PARAGRAPH_LENGTH) return;
+
+        // Longer, comma-rich paragraphs look more like prose
+        const points = 1 + text.split(',').length + Math.min(Math.floor(text.length / 100), 3);
+        const parent = block.parentElement;
+        const grandparent = parent && parent.parentElement;
+
+        [parent, grandparent].forEach((ancestor, level) => {
+            if (!ancestor || ancestor === doc.documentElement) return;
+            if (!scores.has(ancestor)) scores.set(ancestor, getReaderHintWeight(ancestor));
+            scores.set(ancestor, scores.get(ancestor) + points / (level + 1));
+        });
+    });
+
+    let best = null;
+    let bestScore = 0;
+    scores.forEach((score, element) => {
+        const adjusted = score * (1 - getLinkDensity(element));
+        scores.set(element, adjusted);
+        if (adjusted > bestScore) {
+            best = element;
+            bestScore = adjusted;
+        }
+    });
+
+    if (!best) return [];
+
+    // Articles split across sibling containers keep the siblings that score well too
+    const threshold = Math.max(10, bestScore * 0.2);
+    const siblings = best.parentElement ? Array.from(best.parentElement.children) : [best];
+    return siblings.filter(sibling => sibling === best || (scores.get(sibling) || 0) >= threshold);
+}
+
+// Keep only web links and image sources
+function getReaderUrl(value, allowData) {
+    if (!value) return null;
+    try {
+        const url = new URL(value, document.baseURI);
+        if (['http:', 'https:', 'mailto:'].includes(url.protocol)) return url.href;
+        if (allowData && url.protocol === 'data:' && /^data:image\//i.test(value)) return url.href;
+    } catch (error) {
+        return null;
+    }
+    return null;
+}
+
+// Copy an element's readable content into a target, dropping page furniture
+function copyReaderContent(source, target) {
+    source.childNodes.forEach(node => {
+        if (node.nodeType === Node.TEXT_NODE) {
+            target.appendChild(document.createTextNode(node.textContent));
+            return;
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+        const tagName = node.tagName.toUpperCase();
+        if (READER_DROPPED_TAGS.includes(tagName) || isReaderHidden(node)) return;
+        // Link lists marked as page furniture (related posts, share bars...)
+        if (READER_NEGATIVE_HINTS.test(getReaderHints(node)) && getLinkDensity(node) > 0.3) return;
+
+        if (!READER_COPIED_TAGS.includes(tagName)) {
+            // Layout wrappers (div, section, span...) are unwrapped
+            copyReaderContent(node, target);
+            return;
+        }
+
+        const copy = document.createElement(tagName.toLowerCase());
+        if (tagName === 'A') {
+            const href = getReaderUrl(node.getAttribute('href'), false);
+            if (href) copy.setAttribute('href', href);
+            copy.setAttribute('target', '_blank');
+            copy.setAttribute('rel', 'noopener noreferrer');
+        } else if (tagName === 'IMG') {
+            // Lazy-loaded images often keep their real source in a data attribute
+            const src = getReaderUrl(node.currentSrc || node.getAttribute('src') || node.getAttribute('data-src'), true);
+            if (!src) return;
+            copy.setAttribute('src', src);
+            copy.setAttribute('alt', node.getAttribute('alt') || '');
+        } else if (tagName === 'TD' || tagName === 'TH') {
+            ['colspan', 'rowspan'].forEach(attribute => {
+                if (node.hasAttribute(attribute)) copy.setAttribute(attribute, node.getAttribute(attribute));
+            });
+        } else if (tagName === 'OL' && node.hasAttribute('start')) {
+            copy.setAttribute('start', node.getAttribute('start'));
+        }
+
+        copyReaderContent(node, copy);
+        target.appendChild(copy);
+    });
+}
+
+// Extract the page's article as a title and a fragment of clean elements
+function extractReaderContent(doc = document) {
+    const containers = findArticleContainers(doc);
+    if (!containers.length) return null;
+
+    const content = document.createDocumentFragment();
+    containers.forEach(container => {
+        const section = document.createElement('div');
+        copyReaderContent(container, section);
+
+        // Loose text between blocks becomes its own paragraph
+        section.childNodes.forEach(node => {
+            if (node.nodeType === Node.TEXT_NODE && node.textContent.trim()) {
+                const paragraph = document.createElement('p');
+                node.replaceWith(paragraph);
+                paragraph.appendChild(node);
+            }
+        });
+        while (section.firstChild) content.appendChild(section.firstChild);
+    });
+
+    const heading = containers[0].querySelector('h1') || doc.querySelector('h1');
+    const title = (heading && heading.textContent.trim()) || doc.title || '';
+
+    // Don't show the title twice when the article starts with it
+    const firstHeading = content.querySelector('h1');
+    if (firstHeading && firstHeading.textContent.trim() === title) firstHeading.remove();
+
+    return { title, content };
+}
+
+class ReaderMode {
+    constructor(options = {}) {
+        this.config = {
+            width: READER_DEFAULT_WIDTH,
+            ...options
+        };
+
+        this.host = null;
+        this.container = null;
+        this.previousOverflow = null;
+        this.hadStyleAttribute = false;
+        this.previousFocus = null;
+    }
+
+    /**
+     * Whether the overlay is showing
+     */
+    isOpen() {
+        return this.host !== null;
+    }
+
+    /**
+     * Extract the article and show it; returns false if no article was found
+     */
+    open(settings = {}) {
+        if (this.isOpen()) {
+            this.update(settings);
+            return true;
+        }
+
+        const article = extractReaderContent(document);
+        if (!article) return false;
+
+        this.host = document.createElement('div');
+        this.host.id = READER_HOST_ID;
+        const root = this.host.attachShadow({ mode: 'open' });
+
+        const style = document.createElement('style');
+        style.textContent = this.getStyles();
+        root.appendChild(style);
+
+        this.container = document.createElement('div');
+        this.container.className = 'reader';
+        this.container.setAttribute('role', 'dialog');
+        this.container.setAttribute('aria-modal', 'true');
+        this.container.setAttribute('aria-label', 'Reader mode');
+        this.container.tabIndex = -1;
+
+        const closeButton = document.createElement('button');
+        closeButton.type = 'button';
+        closeButton.className = 'reader-close';
+        closeButton.setAttribute('aria-label', 'Close reader mode');
+        closeButton.textContent = '×';
+        closeButton.addEventListener('click', () => this.close());
+
+        const articleElement = document.createElement('article');
+        articleElement.className = 'reader-article';
+
+        const title = document.createElement('h1');
+        title.textContent = article.title;
+        const source = document.createElement('p');
+        source.className = 'reader-source';
+        source.textContent = window.location.hostname;
+
+        articleElement.append(title, source, article.content);
+        this.container.append(closeButton, articleElement);
+        root.appendChild(this.container);
+
+        this.container.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.stopPropagation();
+                this.close();
+            }
+        });
+
+        // The page underneath shouldn't scroll while the overlay is open
+        this.previousOverflow = document.documentElement.style.overflow;
+        this.hadStyleAttribute = document.documentElement.hasAttribute('style');
+        this.previousFocus = document.activeElement;
+        document.documentElement.style.overflow = 'hidden';
+
+        this.update(settings);
+        document.documentElement.appendChild(this.host);
+        this.container.focus();
+        return true;
+    }
+
+    /**
+     * Remove the overlay and restore scrolling and focus
+     */
+    close() {
+        if (!this.isOpen()) return;
+
+        this.host.remove();
+        this.host = null;
+        this.container = null;
+
+        document.documentElement.style.overflow = this.previousOverflow;
+        if (!this.hadStyleAttribute && !document.documentElement.getAttribute('style')) {
+            document.documentElement.removeAttribute('style');
+        }
+        if (this.previousFocus && typeof this.previousFocus.focus === 'function') {
+            this.previousFocus.focus();
+        }
+        this.previousFocus = null;
+    }
+
+    /**
+     * Open or close the overlay; returns whether it is now open
+     */
+    toggle(settings = {}) {
+        if (this.isOpen()) {
+            this.close();
+            return false;
+        }
+        return this.open(settings);
+    }
+
+    /**
+     * Apply theme colours, font and spacing settings to the open overlay
+     */
+    update(settings = {}) {
+        if (!this.container) return;
+
+        const tokens = { ...READER_PALETTES.light, ...settings.tokens };
+        const factor = (FONT_SIZE_FACTORS[settings.fontSize] || 1)
+            * (typeof settings.fontScale === 'number' ? settings.fontScale : 100) / 100;
+        const properties = {
+            '--reader-bg': tokens['--bg-primary'],
+            '--reader-bg-secondary': tokens['--bg-secondary'],
+            '--reader-text': tokens['--text-primary'],
+            '--reader-text-secondary': tokens['--text-secondary'],
+            '--reader-border': tokens['--border-color'],
+            '--reader-accent': tokens['--accent-color'],
+            '--reader-font-family': settings.fontFamily || null,
+            '--reader-font-size': `${READER_BASE_FONT_SIZE * factor}px`,
+            '--reader-line-height': typeof settings.lineHeight === 'number' ? String(settings.lineHeight) : null,
+            '--reader-letter-spacing': typeof settings.letterSpacing === 'number' ? `${settings.letterSpacing}em` : null,
+            '--reader-word-spacing': typeof settings.wordSpacing === 'number' ? `${settings.wordSpacing}em` : null,
+            '--reader-paragraph-spacing': typeof settings.paragraphSpacing === 'number' ? `${settings.paragraphSpacing}em` : null,
+            '--reader-width': `${settings.readerWidth || this.config.width}ch`
+        };
+
+        Object.entries(properties).forEach(([property, value]) => {
+            if (value) {
+                this.container.style.setProperty(property, value);
+            } else {
+                this.container.style.removeProperty(property);
+            }
+        });
+    }
+
+    /**
+     * Styles for the overlay's shadow root
+     */
+    getStyles() {
+        return `
+            :host {
+                all: initial;
+                position: fixed;
+                inset: 0;
+                z-index: 2147483647;
+            }
+
+            .reader {
+                box-sizing: border-box;
+                height: 100%;
+                overflow: auto;
+                background: var(--reader-bg);
+                color: var(--reader-text);
+                font-family: var(--reader-font-family, Georgia, 'Times New Roman', serif);
+                font-size: var(--reader-font-size);
+                line-height: var(--reader-line-height, 1.7);
+                letter-spacing: var(--reader-letter-spacing, normal);
+                word-spacing: var(--reader-word-spacing, normal);
+                outline: none;
+            }
+
+            .reader-article {
+                max-width: var(--reader-width);
+                margin: 0 auto;
+                padding: 3em 1.5em 5em;
+            }
+
+            .reader-close {
+                position: fixed;
+                top: 1rem;
+                right: 1.5rem;
+                width: 2.5rem;
+                height: 2.5rem;
+                border: 1px solid var(--reader-border);
+                border-radius: 50%;
+                background: var(--reader-bg-secondary);
+                color: var(--reader-text);
+                font: 1.5rem/1 system-ui, sans-serif;
+                cursor: pointer;
+            }
+
+            .reader-close:focus-visible {
+                outline: 2px solid var(--reader-accent);
+                outline-offset: 2px;
+            }
+
+            .reader-source {
+                color: var(--reader-text-secondary);
+                font-size: 0.85em;
+                border-bottom: 1px solid var(--reader-border);
+                padding-bottom: 1em;
+            }
+
+            h1, h2, h3, h4, h5, h6 {
+                line-height: 1.25;
+                margin: 1.5em 0 0.5em;
+            }
+
+            h1 { font-size: 2em; margin-top: 0; }
+            h2 { font-size: 1.5em; }
+            h3 { font-size: 1.25em; }
+            h4, h5, h6 { font-size: 1em; }
+
+            p, ul, ol, dl, blockquote, pre, figure, table {
+                margin: 0 0 var(--reader-paragraph-spacing, 1em);
+            }
+
+            a {
+                color: var(--reader-accent);
+            }
+
+            img {
+                display: block;
+                max-width: 100%;
+                height: auto;
+                margin: 0 auto;
+            }
+
+            figcaption {
+                color: var(--reader-text-secondary);
+                font-size: 0.85em;
+                margin-top: 0.5em;
+                text-align: center;
+            }
+
+            blockquote {
+                border-left: 3px solid var(--reader-border);
+                padding-left: 1em;
+                color: var(--reader-text-secondary);
+            }
+
+            pre, code, kbd, samp {
+                font-family: ui-monospace, 'Courier New', monospace;
+                font-size: 0.9em;
+                background: var(--reader-bg-secondary);
+                border-radius: 4px;
+            }
+
+            code, kbd, samp {
+                padding: 0.1em 0.3em;
+            }
+
+            pre {
+                padding: 1em;
+                overflow-x: auto;
+                white-space: pre;
+                line-height: 1.5;
+            }
+
+            pre code {
+                padding: 0;
+                font-size: 1em;
+                background: none;
+            }
+
+            table {
+                border-collapse: collapse;
+                display: block;
+                overflow-x: auto;
+            }
+
+            th, td {
+                border: 1px solid var(--reader-border);
+                padding: 0.4em 0.6em;
+                text-align: left;
+            }
+
+            hr {
+                border: none;
+                border-top: 1px solid var(--reader-border);
+                margin: 2em 0;
+            }
+        `;
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ReaderMode,
+        READER_PALETTES,
+        extractReaderContent,
+        findArticleContainers
+    };
+}
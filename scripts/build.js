@@ -0,0 +1,184 @@
+/**
+ * Package build
+ * Writes the ES module and UMD builds to dist/ from the classic scripts:
+ *
+ *   dist/esm/<module>.mjs           one ES module per script, with a default
+ *                                   export and named exports
+ *   dist/theme-font-toggle.umd.js   the plugin with its helper modules, for
+ *                                   AMD, CommonJS or a <script> tag
+ *
+ * The scripts stay the source of truth; each build drops a script's
+ * "Export for module systems" footer and adds its own imports and exports.
+ * A local `require()` hands the scripts' optional `require(path)` lookups
+ * their imported modules.
+ *
+ * The plugin's ES module imports none of its helpers, so it stays
+ * tree-shakeable; pages hand it the ones they use with ThemeFontToggle.use().
+ *
+ * Run with `npm run build`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const DIST = path.join(ROOT, 'dist');
+
+// Scripts built as ES modules: the object each one exports and what it needs.
+// `keepGlobal` modules keep their global export, for modules that are only
+// ever loaded for their side effects. `uses` lists the helpers a module
+// imports to hand to ThemeFontToggle.use().
+const MODULES = [
+    { source: 'theme-contrast.js', name: 'ThemeContrast' },
+    { source: 'theme-filters.js', name: 'ThemeFilters' },
+    { source: 'theme-schedule.js', name: 'ThemeSchedule' },
+    { source: 'theme-storage.js', name: 'ThemeStorage' },
+    { source: 'theme-font-toggle.js', name: 'ThemeFontToggle' },
+    {
+        // The drop-in entry, so it comes with every helper, as the UMD bundle does
+        source: 'theme-font-toggle-auto.js',
+        name: 'autoInitThemeFontToggle',
+        imports: ['./theme-font-toggle.js'],
+        uses: ['./theme-contrast.js', './theme-filters.js', './theme-schedule.js', './theme-storage.js']
+    },
+    { source: 'theme-bootstrap.js', name: 'ThemeBootstrap', imports: ['./theme-filters.js'] },
+    { source: 'theme-controls.js', name: 'ThemeControls', keepGlobal: true },
+    { source: 'theme-store.js', name: 'ThemeStore', imports: ['./theme-font-toggle.js'] },
+    { source: 'theme-react.js', name: 'ThemeReact', imports: ['react', './theme-store.js'] },
+    { source: 'theme-vue.js', name: 'ThemeVue', imports: ['vue', './theme-store.js'] }
+];
+
+// Scripts in the UMD bundle, dependencies first
+const UMD_MODULES = ['theme-contrast.js', 'theme-filters.js', 'theme-schedule.js', 'theme-storage.js', 'theme-font-toggle.js'];
+
+const EXPORT_MARKER = '// Export for module systems';
+const GLOBAL_MARKER = '// Global export';
+
+// Stand-in for require() in the builds, resolving the bundled modules
+const REQUIRE_SHIM = `function require(path) {
+    if (Object.prototype.hasOwnProperty.call(bundledModules, path)) {
+        return bundledModules[path];
+    }
+    throw new Error(\`Cannot find module '\${path}'\`);
+}`;
+
+function getModule(source) {
+    return MODULES.find(module => module.source === source);
+}
+
+// A script's code and global export, without its export footer
+function readSource(source) {
+    const code = fs.readFileSync(path.join(ROOT, source), 'utf8');
+    const exportIndex = code.indexOf(EXPORT_MARKER);
+    if (exportIndex === -1) {
+        throw new Error(`build: ${source} has no "${EXPORT_MARKER}" footer`);
+    }
+
+    const globalIndex = code.indexOf(GLOBAL_MARKER, exportIndex);
+    return {
+        body: code.slice(0, exportIndex).trimEnd(),
+        globalExport: globalIndex === -1 ? '' : code.slice(globalIndex).trimEnd()
+    };
+}
+
+// The keys of a script's exported object, e.g. `const ThemeStore = { createThemeStore };`
+function getNamedExports(module, body) {
+    const match = body.match(new RegExp(`\\nconst ${module.name} = \\{([^}]*)\\};`));
+    if (!match) return [];
+
+    return match[1].split(',')
+        .map(entry => entry.split(':')[0].trim())
+        .filter(Boolean);
+}
+
+// An import's local name, e.g. 'theme-store.js' -> 'ThemeStoreModule'
+function getImportName(specifier) {
+    const module = getModule(specifier.replace('./', ''));
+    if (module) return `${module.name}Module`;
+    return `${specifier.charAt(0).toUpperCase()}${specifier.slice(1)}Module`;
+}
+
+function buildEsModule(module) {
+    const { body, globalExport } = readSource(module.source);
+    const imports = module.imports || [];
+    const uses = module.uses || [];
+    const lines = [`// Built from ${module.source} by scripts/build.js; edit the source instead`];
+
+    [...imports, ...uses].forEach(specifier => {
+        const local = getImportName(specifier);
+        if (specifier.startsWith('./')) {
+            lines.push(`import ${local} from '${specifier.replace(/\.js$/, '.mjs')}';`);
+        } else {
+            lines.push(`import * as ${local} from '${specifier}';`);
+        }
+    });
+
+    if (imports.length) {
+        const entries = imports.map(specifier => `    '${specifier}': ${getImportName(specifier)}`);
+        lines.push('', `const bundledModules = {\n${entries.join(',\n')}\n};`, '', REQUIRE_SHIM);
+    }
+    if (uses.length) {
+        const entries = uses.map(specifier => `    ${getModule(specifier.replace('./', '')).name}: ${getImportName(specifier)}`);
+        lines.push('', `${getImportName('./theme-font-toggle.js')}.use({\n${entries.join(',\n')}\n});`);
+    }
+
+    lines.push('', body, '');
+    if (module.keepGlobal && globalExport) {
+        lines.push(globalExport, '');
+    }
+
+    lines.push(`export default ${module.name};`);
+    const named = getNamedExports(module, body);
+    if (named.length) {
+        lines.push(`export { ${named.join(', ')} };`);
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+function buildUmdBundle() {
+    const scripts = UMD_MODULES.map(source => {
+        // Left unindented, so multi-line template literals keep their text
+        const { body } = readSource(source);
+        return `    bundledModules['./${source}'] = (function () {\n${body}\n\n    return ${getModule(source).name};\n    }());`;
+    });
+    const globals = UMD_MODULES.map(source => {
+        const { name } = getModule(source);
+        return `        root.${name} = modules['./${source}'];`;
+    });
+
+    return `// Built from ${UMD_MODULES.join(', ')} by scripts/build.js; edit the sources instead
+(function (root, factory) {
+    if (typeof define === 'function' && define.amd) {
+        define([], () => factory()['./theme-font-toggle.js']);
+    } else if (typeof module === 'object' && module.exports) {
+        module.exports = factory()['./theme-font-toggle.js'];
+    } else {
+        const modules = factory();
+${globals.join('\n')}
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    const bundledModules = {};
+
+${REQUIRE_SHIM.replace(/^/gm, '    ')}
+
+${scripts.join('\n\n')}
+
+    return bundledModules;
+}));
+`;
+}
+
+function build() {
+    fs.rmSync(DIST, { recursive: true, force: true });
+    fs.mkdirSync(path.join(DIST, 'esm'), { recursive: true });
+
+    MODULES.forEach(module => {
+        const output = path.join(DIST, 'esm', module.source.replace(/\.js$/, '.mjs'));
+        fs.writeFileSync(output, buildEsModule(module));
+    });
+    fs.writeFileSync(path.join(DIST, 'theme-font-toggle.umd.js'), buildUmdBundle());
+
+    console.log(`Built ${MODULES.length} ES modules and the UMD bundle in dist/`);
+}
+
+build();
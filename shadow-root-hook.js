@@ -0,0 +1,29 @@
+/**
+ * Shadow Root Hook
+ * Runs in the page's own world (the "MAIN" world content script in
+ * manifest.json) at document_start. Content scripts can't see the page's
+ * attachShadow() calls from their isolated world, so this reports each open
+ * shadow root with a `themeFontToggle:shadowRootAttached` event on its host,
+ * which shadow-styles.js listens for.
+ */
+
+(function () {
+    // Injected again when the extension updates; the page keeps the first hook
+    const HOOKED = Symbol.for('themeFontToggle.shadowRootHook');
+    const attachShadow = Element.prototype.attachShadow;
+    if (typeof attachShadow !== 'function' || attachShadow[HOOKED]) return;
+
+    Element.prototype.attachShadow = function (init) {
+        const root = attachShadow.call(this, init);
+
+        if (root.mode === 'open') {
+            // After the caller has finished setting the root up, and once a
+            // host built by a custom element constructor may be in the page
+            queueMicrotask(() => {
+                this.dispatchEvent(new CustomEvent('themeFontToggle:shadowRootAttached', { bubbles: true, composed: true }));
+            });
+        }
+        return root;
+    };
+    Element.prototype.attachShadow[HOOKED] = true;
+})();
@@ -0,0 +1,241 @@
+/**
+ * Shadow Styles
+ * Carries the Chrome extension content script's stylesheets into open shadow
+ * roots, which styles in the document don't reach.
+ *
+ * Roots are found by walking the page, by watching for added elements that
+ * host one, and from the `themeFontToggle:shadowRootAttached` event that
+ * shadow-root-hook.js dispatches from the page's own world whenever the page
+ * attaches an open shadow root later. Walks run in time-boxed slices and the
+ * number of roots styled is capped, so large DOMs don't stall the page.
+ *
+ * Each stylesheet is a constructable CSSStyleSheet adopted by every root;
+ * browsers without adoptedStyleSheets get a <style> element per root.
+ */
+
+const SHADOW_ROOT_EVENT = 'themeFontToggle:shadowRootAttached';
+const SHADOW_STYLE_ATTRIBUTE = 'data-theme-toggle-sheet';
+
+// Milliseconds of walking per slice before yielding to the page
+const SHADOW_SCAN_BUDGET = 8;
+
+// Shadow roots styled at most; pages with more keep the rest unstyled
+const SHADOW_ROOT_LIMIT = 1000;
+
+class ShadowStyles {
+    constructor(options = {}) {
+        this.config = {
+            scanBudget: SHADOW_SCAN_BUDGET,
+            rootLimit: SHADOW_ROOT_LIMIT,
+            ...options
+        };
+
+        this.adopt = typeof ShadowRoot !== 'undefined' && 'adoptedStyleSheets' in ShadowRoot.prototype
+            && typeof CSSStyleSheet !== 'undefined' && 'replaceSync' in CSSStyleSheet.prototype;
+
+        // Stylesheet text by id, and the shared sheets when they can be adopted
+        this.styles = new Map();
+        this.sheets = new Map();
+
+        this.roots = new Set();
+        this.rootListeners = new Set();
+        this.scanQueue = [];
+        this.scanScheduled = false;
+        this.observer = null;
+        this.handleRootEvent = this.handleRootEvent.bind(this);
+    }
+
+    /**
+     * Find the page's shadow roots and keep styling new ones
+     */
+    start() {
+        if (this.observer) return;
+
+        this.observer = new MutationObserver(mutations => {
+            mutations.forEach(mutation => {
+                mutation.addedNodes.forEach(node => {
+                    if (node.nodeType === Node.ELEMENT_NODE) this.queueScan(node);
+                });
+            });
+        });
+        this.observer.observe(document.documentElement, { childList: true, subtree: true });
+        document.addEventListener(SHADOW_ROOT_EVENT, this.handleRootEvent, true);
+
+        this.queueScan(document.documentElement);
+    }
+
+    /**
+     * Stop watching and remove every stylesheet from every root
+     */
+    stop() {
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+        document.removeEventListener(SHADOW_ROOT_EVENT, this.handleRootEvent, true);
+
+        this.scanQueue = [];
+        this.styles.clear();
+        this.roots.forEach(root => this.applyStyles(root));
+        this.sheets.clear();
+        this.roots.clear();
+    }
+
+    /**
+     * Add or replace a stylesheet in every shadow root
+     */
+    setStyles(id, cssText) {
+        if (this.styles.get(id) === cssText) return;
+        this.styles.set(id, cssText);
+
+        if (this.adopt) {
+            const sheet = this.sheets.get(id) || new CSSStyleSheet();
+            sheet.replaceSync(cssText);
+            if (this.sheets.has(id)) return;
+            this.sheets.set(id, sheet);
+        }
+        this.roots.forEach(root => this.applyStyles(root));
+    }
+
+    /**
+     * Remove a stylesheet from every shadow root
+     */
+    removeStyles(id) {
+        if (!this.styles.delete(id)) return;
+
+        this.roots.forEach(root => this.applyStyles(root));
+        this.sheets.delete(id);
+    }
+
+    /**
+     * Switch a stylesheet off and on without removing it, to read the
+     * page's own styles underneath
+     */
+    setDisabled(id, disabled) {
+        if (this.adopt) {
+            if (this.sheets.has(id)) this.sheets.get(id).disabled = disabled;
+            return;
+        }
+
+        this.roots.forEach(root => {
+            const styleElement = root.querySelector(`style[${SHADOW_STYLE_ATTRIBUTE}="${id}"]`);
+            if (styleElement && styleElement.sheet) styleElement.sheet.disabled = disabled;
+        });
+    }
+
+    /**
+     * Call back with each shadow root styled, now and as they are found
+     */
+    onShadowRoot(callback) {
+        this.rootListeners.add(callback);
+        this.roots.forEach(root => callback(root));
+        return () => this.rootListeners.delete(callback);
+    }
+
+    /**
+     * The shadow roots currently styled
+     */
+    getRoots() {
+        return [...this.roots];
+    }
+
+    /**
+     * Style a root reported by shadow-root-hook.js; the event is retargeted
+     * to the outermost host, so the real host is the start of its path
+     */
+    handleRootEvent(event) {
+        const host = event.composedPath()[0];
+        if (host && host.shadowRoot) this.addRoot(host.shadowRoot);
+    }
+
+    /**
+     * Start styling a shadow root and look inside it for more
+     */
+    addRoot(root) {
+        if (this.roots.has(root) || this.roots.size >= this.config.rootLimit) return;
+
+        this.roots.add(root);
+        this.applyStyles(root);
+        if (this.observer) {
+            this.observer.observe(root, { childList: true, subtree: true });
+        }
+        this.queueScan(root);
+        this.rootListeners.forEach(callback => callback(root));
+    }
+
+    /**
+     * Bring a root's stylesheets in line with the current ones
+     */
+    applyStyles(root) {
+        if (this.adopt) {
+            const own = new Set(this.sheets.values());
+            const current = [...this.styles.keys()].map(id => this.sheets.get(id));
+            root.adoptedStyleSheets = [...root.adoptedStyleSheets.filter(sheet => !own.has(sheet)), ...current];
+            return;
+        }
+
+        root.querySelectorAll(`style[${SHADOW_STYLE_ATTRIBUTE}]`).forEach(styleElement => {
+            if (!this.styles.has(styleElement.getAttribute(SHADOW_STYLE_ATTRIBUTE))) styleElement.remove();
+        });
+        this.styles.forEach((cssText, id) => {
+            let styleElement = root.querySelector(`style[${SHADOW_STYLE_ATTRIBUTE}="${id}"]`);
+            if (!styleElement) {
+                styleElement = document.createElement('style');
+                styleElement.setAttribute(SHADOW_STYLE_ATTRIBUTE, id);
+                root.appendChild(styleElement);
+            }
+            if (styleElement.textContent !== cssText) styleElement.textContent = cssText;
+        });
+    }
+
+    /**
+     * Queue a subtree to be walked for shadow hosts
+     */
+    queueScan(node) {
+        if (node.shadowRoot) this.addRoot(node.shadowRoot);
+        if (!node.firstElementChild) return;
+
+        this.scanQueue.push(document.createTreeWalker(node, NodeFilter.SHOW_ELEMENT));
+        this.scheduleScan();
+    }
+
+    /**
+     * Walk queued subtrees on a later task
+     */
+    scheduleScan() {
+        if (this.scanScheduled) return;
+        this.scanScheduled = true;
+
+        setTimeout(() => {
+            this.scanScheduled = false;
+            this.scan();
+        }, 0);
+    }
+
+    /**
+     * Walk queued subtrees until the time budget runs out, then yield
+     */
+    scan() {
+        const deadline = performance.now() + this.config.scanBudget;
+
+        while (this.scanQueue.length) {
+            const walker = this.scanQueue[0];
+            while (walker.nextNode()) {
+                if (walker.currentNode.shadowRoot) this.addRoot(walker.currentNode.shadowRoot);
+                if (performance.now() >= deadline) {
+                    this.scheduleScan();
+                    return;
+                }
+            }
+            this.scanQueue.shift();
+        }
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ShadowStyles,
+        SHADOW_ROOT_EVENT
+    };
+}
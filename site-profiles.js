@@ -0,0 +1,274 @@
+/**
+ * Site Profiles
+ * Resolves per-site preference overrides for the Chrome extension.
+ *
+ * Profiles are stored in chrome.storage.sync under `siteProfiles`, keyed by
+ * a site pattern:
+ *   - `example.com`        exact hostname
+ *   - `*.example.com`      any subdomain of example.com (and example.com itself)
+ *   - `example.com/docs`   hostname plus a path prefix, where `*` stands for
+ *                          any part of one path segment
+ *
+ * Every matching profile is layered over the global settings, from the least
+ * to the most specific, so a path rule beats a host rule and an exact host
+ * beats a wildcard.
+ *
+ * The same patterns make up the site access list, stored under `siteAccess`,
+ * which decides where the extension runs at all:
+ *   - `{ mode: 'exclude', patterns }`  everywhere except the listed sites
+ *   - `{ mode: 'allow', patterns }`    only on the listed sites
+ *
+ * Styles the user adds for a site make up the `siteStyles` map, keyed by a
+ * pattern too: `{ rules, css }`, where each rule gives the elements matching
+ * `selector` a theme colour or font, or leaves them `untouched`, and `css` is
+ * the user's own stylesheet. Every matching entry applies, the most specific
+ * last so its rules win. The worker stores each site's styles as a sync item
+ * of its own, `siteStyles:<pattern>`.
+ */
+
+const SITE_SETTING_KEYS = ['theme', 'font', 'fontSize', 'darkMode', 'enforceContrast',
+    'fontScale', 'lineHeight', 'letterSpacing', 'wordSpacing', 'paragraphSpacing', 'readerWidth', 'filters'];
+
+const SITE_ACCESS_MODES = ['exclude', 'allow'];
+
+// Runs everywhere until a site is excluded
+const DEFAULT_SITE_ACCESS = { mode: 'exclude', patterns: [] };
+
+// Theme colours an element rule can use, with their names in the picker
+const ELEMENT_RULE_TOKENS = {
+    '--bg-primary': 'Background',
+    '--bg-secondary': 'Surface',
+    '--text-primary': 'Text',
+    '--text-secondary': 'Muted Text',
+    '--border-color': 'Border',
+    '--accent-color': 'Accent'
+};
+
+// Split a pattern into its host and path parts. Hosts are case-insensitive,
+// so only the host is lowercased; paths keep their case, as URLs do.
+function parseSitePattern(pattern) {
+    const trimmed = String(pattern || '').trim()
+        .replace(/^[a-z]+:\/\//i, '');
+    const slashIndex = trimmed.indexOf('/');
+    const host = (slashIndex === -1 ? trimmed : trimmed.slice(0, slashIndex)).toLowerCase();
+    const path = slashIndex === -1 ? '' : trimmed.slice(slashIndex).replace(/\/+$/, '');
+
+    return {
+        host: host,
+        path: path,
+        wildcard: host.startsWith('*.')
+    };
+}
+
+// A pattern as it is saved: trimmed, with its scheme and host lowercased
+function normalizeSitePattern(pattern) {
+    return String(pattern || '').trim()
+        .replace(/^([a-z]+:\/\/)?[^/]*/i, prefix => prefix.toLowerCase());
+}
+
+// Check whether a host matches the host part of a pattern
+function matchesSiteHost(parsed, hostname) {
+    if (!parsed.host) return false;
+
+    if (parsed.wildcard) {
+        const suffix = parsed.host.slice(2);
+        return hostname === suffix || hostname.endsWith(`.${suffix}`);
+    }
+
+    return hostname === parsed.host;
+}
+
+// Check whether a pathname is at or under the path part of a pattern, each
+// `*` in it matching within one segment
+function matchesSitePath(parsed, pathname) {
+    if (!parsed.path) return true;
+    if (!parsed.path.includes('*')) {
+        return pathname === parsed.path || pathname.startsWith(`${parsed.path}/`);
+    }
+
+    const literals = parsed.path.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+    return new RegExp(`^${literals.join('[^/]*')}(?:/|$)`).test(pathname);
+}
+
+// Check whether a pattern matches a hostname/pathname location
+function matchesSitePattern(parsed, location) {
+    return matchesSiteHost(parsed, location.hostname) && matchesSitePath(parsed, location.pathname);
+}
+
+// Score a matching pattern; higher scores are more specific
+function getSitePatternSpecificity(parsed) {
+    // Wildcards match anything, so only a path's literal characters count
+    return parsed.path.replace(/\*/g, '').length * 10000
+        + (parsed.wildcard ? 0 : 5000)
+        + parsed.host.length;
+}
+
+// Return the patterns that apply to a URL, least specific first
+function getMatchingSitePatterns(profiles, url) {
+    const location = toSiteLocation(url);
+    if (!location || !profiles) return [];
+
+    return Object.keys(profiles)
+        .map(pattern => ({ pattern: pattern, parsed: parseSitePattern(pattern) }))
+        .filter(({ parsed }) => matchesSitePattern(parsed, location))
+        .sort((a, b) => getSitePatternSpecificity(a.parsed) - getSitePatternSpecificity(b.parsed))
+        .map(({ pattern }) => pattern);
+}
+
+// Layer the matching profiles for a URL over the global settings
+function resolveSiteSettings(stored, url) {
+    const settings = {};
+    SITE_SETTING_KEYS.forEach(key => {
+        if (stored && hasSiteSetting(stored[key])) settings[key] = stored[key];
+    });
+
+    const profiles = (stored && stored.siteProfiles) || {};
+    getMatchingSitePatterns(profiles, url).forEach(pattern => {
+        SITE_SETTING_KEYS.forEach(key => {
+            if (hasSiteSetting(profiles[pattern][key])) settings[key] = profiles[pattern][key];
+        });
+    });
+
+    return settings;
+}
+
+// Whether a value is a site access list: a known mode and valid patterns
+function isValidSiteAccess(siteAccess) {
+    return !!siteAccess && typeof siteAccess === 'object'
+        && SITE_ACCESS_MODES.includes(siteAccess.mode)
+        && Array.isArray(siteAccess.patterns)
+        && siteAccess.patterns.every(pattern => typeof pattern === 'string' && !!parseSitePattern(pattern).host);
+}
+
+// Whether the extension runs on a URL under a site access list
+function isSiteEnabled(siteAccess, url) {
+    const access = isValidSiteAccess(siteAccess) ? siteAccess : DEFAULT_SITE_ACCESS;
+    const location = toSiteLocation(url);
+    const listed = !!location && access.patterns.some(pattern => matchesSitePattern(parseSitePattern(pattern), location));
+
+    return access.mode === 'allow' ? listed : !listed;
+}
+
+/**
+ * Return a copy of a site access list with a URL enabled or disabled.
+ * Disabling in exclude mode (or enabling in allow mode) lists `pattern`,
+ * the URL's hostname by default; the opposite unlists every pattern that
+ * matches the URL.
+ */
+function setSiteAccessEnabled(siteAccess, url, enabled, pattern) {
+    const access = isValidSiteAccess(siteAccess) ? siteAccess : DEFAULT_SITE_ACCESS;
+    const location = toSiteLocation(url);
+    if (!location || !location.hostname) {
+        throw new Error('SiteProfiles: Only pages with a hostname can be listed');
+    }
+
+    const listed = enabled === (access.mode === 'allow');
+    const matching = getMatchingSitePatterns(
+        access.patterns.reduce((patterns, name) => ({ ...patterns, [name]: true }), {}), location);
+
+    if (!listed) {
+        return { mode: access.mode, patterns: access.patterns.filter(name => !matching.includes(name)) };
+    }
+    if (matching.length) return { mode: access.mode, patterns: [...access.patterns] };
+
+    const added = pattern || location.hostname;
+    if (!parseSitePattern(added).host) {
+        throw new Error(`SiteProfiles: Invalid site pattern "${added}"`);
+    }
+    return { mode: access.mode, patterns: [...access.patterns, added] };
+}
+
+// Whether a value is an element rule: a selector with a theme colour or font,
+// or one left untouched, which takes nothing else
+function isValidElementRule(rule) {
+    if (!rule || typeof rule !== 'object' || typeof rule.selector !== 'string' || !rule.selector.trim()) return false;
+    if (rule.untouched !== undefined) {
+        return rule.untouched === true && Object.keys(rule).length === 2;
+    }
+
+    const properties = Object.keys(rule).filter(key => key !== 'selector');
+    return properties.length > 0 && properties.every(key => {
+        if (key === 'background' || key === 'color') return Object.prototype.hasOwnProperty.call(ELEMENT_RULE_TOKENS, rule[key]);
+        return key === 'font' && typeof rule.font === 'string' && !!rule.font;
+    });
+}
+
+// Whether a value is a site styles map: site patterns to valid rules and CSS
+function isValidSiteStyles(siteStyles) {
+    if (!siteStyles || typeof siteStyles !== 'object' || Array.isArray(siteStyles)) return false;
+
+    return Object.entries(siteStyles).every(([pattern, styles]) => !!parseSitePattern(pattern).host
+        && !!styles && typeof styles === 'object'
+        && (styles.rules === undefined || (Array.isArray(styles.rules) && styles.rules.every(isValidElementRule)))
+        && (styles.css === undefined || typeof styles.css === 'string'));
+}
+
+// The element rules and CSS that apply to a URL, least specific site first
+function resolveSiteStyles(siteStyles, url) {
+    const resolved = { rules: [], css: '' };
+    if (!isValidSiteStyles(siteStyles)) return resolved;
+
+    const css = [];
+    getMatchingSitePatterns(siteStyles, url).forEach(pattern => {
+        resolved.rules.push(...(siteStyles[pattern].rules || []));
+        if (siteStyles[pattern].css) css.push(siteStyles[pattern].css);
+    });
+    resolved.css = css.join('\n');
+    return resolved;
+}
+
+// Return a copy of a site styles map with a rule saved under `pattern`,
+// replacing the site's rule for the same selector
+function setElementRule(siteStyles, pattern, rule) {
+    if (!parseSitePattern(pattern).host) {
+        throw new Error(`SiteProfiles: Invalid site pattern "${pattern}"`);
+    }
+    if (!isValidElementRule(rule)) {
+        throw new Error('SiteProfiles: Invalid element rule');
+    }
+
+    const styles = isValidSiteStyles(siteStyles) ? siteStyles : {};
+    const site = styles[pattern] || {};
+    const rules = (site.rules || []).filter(existing => existing.selector !== rule.selector);
+    return { ...styles, [pattern]: { ...site, rules: [...rules, rule] } };
+}
+
+// Whether a stored value is set; spacing settings can legitimately be 0
+function hasSiteSetting(value) {
+    return value !== undefined && value !== null && value !== '';
+}
+
+// Normalise a URL string or Location into hostname/pathname
+function toSiteLocation(url) {
+    try {
+        const parsed = typeof url === 'string' ? new URL(url) : url;
+        return {
+            hostname: (parsed.hostname || '').toLowerCase(),
+            pathname: parsed.pathname || '/'
+        };
+    } catch (error) {
+        return null;
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SITE_SETTING_KEYS,
+        SITE_ACCESS_MODES,
+        DEFAULT_SITE_ACCESS,
+        ELEMENT_RULE_TOKENS,
+        parseSitePattern,
+        normalizeSitePattern,
+        getMatchingSitePatterns,
+        resolveSiteSettings,
+        isValidSiteAccess,
+        isSiteEnabled,
+        setSiteAccessEnabled,
+        isValidElementRule,
+        isValidSiteStyles,
+        resolveSiteStyles,
+        setElementRule,
+        toSiteLocation
+    };
+}
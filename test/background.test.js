@@ -0,0 +1,527 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const manifest = require('../manifest.json');
+const { waitFor, flush } = require('./helpers/dom');
+const { createChromeMock } = require('./helpers/chrome');
+const { loadWorker } = require('./helpers/worker');
+
+// Start the worker against a mocked chrome API
+async function startWorker(chromeOptions = {}, workerOptions = { reason: null }) {
+    const chrome = createChromeMock(chromeOptions);
+    await loadWorker(chrome, workerOptions);
+    return chrome;
+}
+
+const settingsPushes = chrome => chrome.tabs.sentMessages.filter(sent => sent.message.action === 'applySettings');
+
+describe('getSettings', () => {
+    it('resolves the settings for a URL', async () => {
+        const chrome = await startWorker({
+            sync: { theme: 'light', fontSize: 'large', siteProfiles: { '*.example.com': { theme: 'dark' } } },
+            local: { scheduledTheme: 'dark' }
+        });
+
+        const response = await chrome.runtime.sendMessage({ action: 'getSettings', url: 'https://docs.example.com/guide' });
+
+        assert.equal(response.success, true);
+        assert.deepEqual(response.settings, { theme: 'dark', fontSize: 'large' });
+        assert.deepEqual(response.sitePatterns, ['*.example.com']);
+        assert.equal(response.scheduledTheme, 'dark');
+    });
+
+    it('matches path wildcards within one segment, counting only literal characters as specific', async () => {
+        const chrome = await startWorker({
+            sync: {
+                siteProfiles: {
+                    'example.com/*/settings': { theme: 'dark', font: 'serif' },
+                    'example.com/alice': { theme: 'light' },
+                    'example.com/al*': { font: 'monospace' },
+                    'example.com/a.c*': { fontSize: 'large' }
+                }
+            }
+        });
+        const getSettings = url => chrome.runtime.sendMessage({ action: 'getSettings', url });
+
+        const nested = await getSettings('https://example.com/alice/settings/profile');
+        assert.deepEqual(nested.sitePatterns, ['example.com/al*', 'example.com/alice', 'example.com/*/settings']);
+        assert.deepEqual(nested.settings, { theme: 'dark', font: 'serif' });
+
+        assert.deepEqual((await getSettings('https://example.com/alice/team/settings')).sitePatterns,
+            ['example.com/al*', 'example.com/alice']);
+        // Dots in a pattern are literal
+        assert.deepEqual((await getSettings('https://example.com/a.c/x')).sitePatterns, ['example.com/a.c*']);
+        assert.deepEqual((await getSettings('https://example.com/abc')).sitePatterns, []);
+    });
+
+    it('matches paths case-sensitively and hosts in any case', async () => {
+        const chrome = await startWorker({ sync: { siteProfiles: { 'GitHub.com/MyOrg': { theme: 'dark' } } } });
+        const getSettings = url => chrome.runtime.sendMessage({ action: 'getSettings', url });
+
+        const matching = await getSettings('https://github.com/MyOrg/repo');
+        assert.deepEqual(matching.sitePatterns, ['GitHub.com/MyOrg']);
+        assert.deepEqual(matching.settings, { theme: 'dark' });
+        assert.deepEqual((await getSettings('https://github.com/myorg/repo')).sitePatterns, []);
+    });
+
+    it('falls back to the global settings elsewhere', async () => {
+        const chrome = await startWorker({ sync: { theme: 'light', siteProfiles: { 'example.com': { theme: 'dark' } } } });
+
+        const response = await chrome.runtime.sendMessage({ action: 'getSettings', url: 'https://other.org/' });
+
+        assert.deepEqual(response.settings, { theme: 'light' });
+        assert.deepEqual(response.sitePatterns, []);
+    });
+});
+
+describe('updateSettings', () => {
+    it('saves global changes, removing null values', async () => {
+        const chrome = await startWorker({ sync: { theme: 'light', lineHeight: 1.8 } });
+
+        const response = await chrome.runtime.sendMessage({ action: 'updateSettings', changes: { theme: 'dark', lineHeight: null } });
+
+        assert.deepEqual(response, { success: true });
+        assert.deepEqual(chrome.storage.sync.dump(), { theme: 'dark' });
+    });
+
+    it('saves site settings into the profile for a pattern', async () => {
+        const chrome = await startWorker({ sync: { theme: 'light', siteProfiles: { 'example.com': { font: 'serif' } } } });
+
+        await chrome.runtime.sendMessage({
+            action: 'updateSettings',
+            pattern: 'example.com',
+            changes: { theme: 'dark', customThemes: { sepia: { '--bg-primary': '#f4ecd8' } } }
+        });
+
+        const stored = chrome.storage.sync.dump();
+        assert.equal(stored.theme, 'light');
+        assert.deepEqual(stored.siteProfiles, { 'example.com': { font: 'serif', theme: 'dark' } });
+        assert.deepEqual(Object.keys(stored.customThemes), ['sepia']);
+    });
+
+    it('refuses unknown settings and site patterns', async () => {
+        const chrome = await startWorker({ sync: { theme: 'light' } });
+
+        const unknown = await chrome.runtime.sendMessage({ action: 'updateSettings', changes: { colour: 'red' } });
+        const pattern = await chrome.runtime.sendMessage({ action: 'updateSettings', changes: { theme: 'dark' }, pattern: '' });
+
+        assert.deepEqual(unknown, { success: false, error: { code: 'invalid-setting', message: 'Unknown setting "colour"' } });
+        assert.deepEqual(pattern, { success: false, error: { code: 'invalid-setting', message: 'Invalid site pattern ""' } });
+        assert.deepEqual(chrome.storage.sync.dump(), { theme: 'light' });
+    });
+
+    it('refuses names, themes and fonts that could end the rules content scripts write them into', async () => {
+        const chrome = await startWorker({ sync: { theme: 'light' } });
+        const font = {
+            name: 'Inter',
+            family: 'Inter',
+            sources: [{ url: 'fonts/inter.woff2', format: 'woff2', weight: '400', style: 'normal' }],
+            fallback: 'sans-serif',
+            weights: ['400'],
+            display: 'swap'
+        };
+        const payloads = [
+            { theme: 'dark"] body { display: none } [x="' },
+            { font: 42 },
+            { fontSize: '20px; color: red' },
+            { customThemes: { sepia: { '--bg-primary': 'red; } body { display: none' } } },
+            { customThemes: { sepia: { 'bg-primary': '#f4ecd8' } } },
+            { customThemes: { 'sepia"]': {} } },
+            { customFonts: { Inter: { ...font, family: 'Inter"; } body { display: none' } } },
+            { customFonts: { Inter: { ...font, sources: [{ ...font.sources[0], url: 'x.woff2"); } *{}' }] } } },
+            { customFonts: { Inter: { ...font, weights: ['400; color: red'] } } },
+            { customFonts: { Other: font } }
+        ];
+
+        const responses = [];
+        for (const changes of payloads) {
+            responses.push(await chrome.runtime.sendMessage({ action: 'updateSettings', changes }));
+        }
+        const valid = await chrome.runtime.sendMessage({
+            action: 'updateSettings',
+            changes: { theme: 'sepia', customThemes: { sepia: { '--bg-primary': 'hsl(40 50% 90%)' } }, customFonts: { Inter: font } }
+        });
+
+        assert.deepEqual(responses.map(response => response.error.message), [
+            'Invalid theme "dark"] body { display: none } [x=""',
+            'Invalid font "42"',
+            'Invalid fontSize "20px; color: red"',
+            'Invalid custom themes',
+            'Invalid custom themes',
+            'Invalid custom themes',
+            'Invalid custom fonts',
+            'Invalid custom fonts',
+            'Invalid custom fonts',
+            'Invalid custom fonts'
+        ]);
+        assert.deepEqual(valid, { success: true });
+        assert.deepEqual(Object.keys(chrome.storage.sync.dump()), ['theme', 'customThemes', 'customFonts']);
+    });
+
+    it('reports failed writes and keeps serving the saved settings', async () => {
+        const chrome = await startWorker({ sync: { theme: 'light' } });
+
+        chrome.storage.sync.failWrites('MAX_WRITE_OPERATIONS_PER_MINUTE quota exceeded');
+        const quota = await chrome.runtime.sendMessage({ action: 'updateSettings', changes: { theme: 'dark' } });
+        chrome.storage.sync.failWrites('IO error: settings.ldb');
+        const failed = await chrome.runtime.sendMessage({ action: 'updateSettings', changes: { theme: null } });
+        const settings = await chrome.runtime.sendMessage({ action: 'getSettings', url: 'https://example.com/' });
+
+        assert.deepEqual(quota.error, {
+            code: 'quota-exceeded',
+            message: 'Settings not saved: MAX_WRITE_OPERATIONS_PER_MINUTE quota exceeded'
+        });
+        assert.deepEqual(failed.error, { code: 'storage-failed', message: 'Settings not saved: IO error: settings.ldb' });
+        assert.deepEqual(settings.settings, { theme: 'light' });
+
+        chrome.storage.sync.failWrites(null);
+        await chrome.runtime.sendMessage({ action: 'updateSettings', changes: { fontSize: 'large' } });
+        assert.deepEqual(chrome.storage.sync.dump(), { theme: 'light', fontSize: 'large' });
+    });
+
+    it('builds each change on the ones saved before it', async () => {
+        const chrome = await startWorker();
+
+        await Promise.all(['example.com', 'other.org', 'docs.example.com'].map(pattern => chrome.runtime.sendMessage({
+            action: 'updateSettings',
+            pattern: pattern,
+            changes: { theme: 'dark' }
+        })));
+
+        assert.deepEqual(Object.keys(chrome.storage.sync.dump().siteProfiles), ['example.com', 'other.org', 'docs.example.com']);
+    });
+});
+
+describe('site access', () => {
+    it('lists and unlists a site in allow mode', async () => {
+        const chrome = await startWorker({ sync: { siteAccess: { mode: 'allow', patterns: ['*.example.com', 'other.org'] } } });
+
+        const off = await chrome.runtime.sendMessage({ action: 'setSiteEnabled', url: 'https://docs.example.com/', enabled: false });
+        assert.equal(off.enabled, false);
+        assert.deepEqual(chrome.storage.sync.dump().siteAccess, { mode: 'allow', patterns: ['other.org'] });
+
+        const on = await chrome.runtime.sendMessage({ action: 'setSiteEnabled', url: 'https://docs.example.com/', enabled: true });
+        assert.equal(on.enabled, true);
+        assert.deepEqual(chrome.storage.sync.dump().siteAccess, { mode: 'allow', patterns: ['other.org', 'docs.example.com'] });
+    });
+
+    it('refuses pages without a hostname and invalid lists', async () => {
+        const chrome = await startWorker();
+
+        const page = await chrome.runtime.sendMessage({ action: 'setSiteEnabled', url: 'file:///notes.html', enabled: false });
+        const list = await chrome.runtime.sendMessage({
+            action: 'updateSettings',
+            changes: { siteAccess: { mode: 'block', patterns: [] } }
+        });
+
+        assert.deepEqual(page.error, { code: 'invalid-setting', message: 'Only pages with a hostname can be listed' });
+        assert.deepEqual(list.error, { code: 'invalid-setting', message: 'Invalid site access list' });
+        assert.deepEqual(chrome.storage.sync.dump(), {});
+    });
+
+    it('ignores settings commands on excluded sites', async () => {
+        const chrome = await startWorker({ sync: { theme: 'light', siteAccess: { mode: 'exclude', patterns: ['example.com'] } } });
+
+        chrome.commands.onCommand.dispatch('cycle-theme');
+        await flush();
+        await flush();
+
+        assert.equal(chrome.storage.sync.dump().theme, 'light');
+    });
+});
+
+describe('keyboard commands', () => {
+    const tabs = [{ id: 1, url: 'https://example.com/', active: true }];
+
+    it('shows on the badge when a command\'s change isn\'t saved', async () => {
+        const chrome = await startWorker({ tabs, sync: { theme: 'light' } });
+        chrome.storage.sync.failWrites('MAX_WRITE_OPERATIONS_PER_MINUTE quota exceeded');
+
+        chrome.commands.onCommand.dispatch('cycle-theme');
+        await waitFor(() => chrome.action.state[1]);
+
+        assert.deepEqual(chrome.action.state[1], {
+            text: '!',
+            color: '#dc2626',
+            textColor: '#ffffff',
+            title: 'Theme & Font Toggle: Settings not saved: MAX_WRITE_OPERATIONS_PER_MINUTE quota exceeded'
+        });
+        assert.equal(chrome.storage.sync.dump().theme, 'light');
+    });
+
+    it('resets every site setting where the page gets it from', async () => {
+        const chrome = await startWorker({
+            tabs,
+            sync: {
+                theme: 'dark',
+                font: 'serif',
+                lineHeight: 2,
+                darkMode: 'recolor',
+                enforceContrast: 'AAA',
+                filters: { vision: 'greyscale', saturation: 100, blueLight: 40, reducedMotion: true },
+                siteAccess: { mode: 'exclude', patterns: ['other.org'] },
+                siteProfiles: { 'example.com': { fontSize: 'large', readerWidth: 60, filters: { vision: 'protanopia' } } }
+            }
+        });
+
+        chrome.commands.onCommand.dispatch('reset-all');
+        await waitFor(() => chrome.storage.sync.dump().theme === 'light');
+
+        assert.deepEqual(chrome.storage.sync.dump(), {
+            theme: 'light',
+            font: 'system',
+            siteAccess: { mode: 'exclude', patterns: ['other.org'] },
+            siteProfiles: { 'example.com': { fontSize: 'medium' } }
+        });
+    });
+});
+
+describe('site styles', () => {
+    it('saves picked element rules for the page\'s hostname', async () => {
+        const chrome = await startWorker({
+            sync: { 'siteStyles:docs.example.com': { rules: [{ selector: 'h1', untouched: true }], css: 'h1 { margin: 0; }' } }
+        });
+
+        const response = await chrome.runtime.sendMessage({
+            action: 'saveElementRule',
+            url: 'https://docs.example.com/guide',
+            rule: { selector: 'h1', color: '--text-secondary' }
+        });
+
+        assert.equal(response.pattern, 'docs.example.com');
+        assert.deepEqual(chrome.storage.sync.dump(), {
+            'siteStyles:docs.example.com': { rules: [{ selector: 'h1', color: '--text-secondary' }], css: 'h1 { margin: 0; }' }
+        });
+    });
+
+    it('stores each site\'s styles as an item of its own', async () => {
+        const example = { css: 'h1 { margin: 0; }' };
+        const chrome = await startWorker({
+            // Saved in one item by older versions
+            sync: { theme: 'dark', siteStyles: { 'example.com': example, 'other.org': { css: 'p { color: red; }' } } }
+        });
+
+        const { stored } = await chrome.runtime.sendMessage({ action: 'getStoredSettings' });
+        assert.deepEqual(stored.siteStyles, { 'example.com': example, 'other.org': { css: 'p { color: red; }' } });
+
+        const response = await chrome.runtime.sendMessage({
+            action: 'updateSettings',
+            changes: { siteStyles: { 'example.com': example, 'docs.example.com': { css: 'nav { display: none; }' } } }
+        });
+
+        assert.deepEqual(response, { success: true });
+        assert.deepEqual(chrome.storage.sync.dump(), {
+            theme: 'dark',
+            'siteStyles:example.com': example,
+            'siteStyles:docs.example.com': { css: 'nav { display: none; }' }
+        });
+        const updated = await chrome.runtime.sendMessage({ action: 'getStoredSettings' });
+        assert.deepEqual(updated.stored, {
+            theme: 'dark',
+            siteStyles: { 'example.com': example, 'docs.example.com': { css: 'nav { display: none; }' } }
+        });
+    });
+
+    it('refuses site styles over the per-item quota before writing them', async () => {
+        const chrome = await startWorker({ sync: { 'siteStyles:example.com': { css: 'h1 { margin: 0; }' } } });
+
+        const response = await chrome.runtime.sendMessage({
+            action: 'updateSettings',
+            changes: { siteStyles: { 'example.com': { css: 'x'.repeat(8192) }, 'other.org': { css: 'p { color: red; }' } } }
+        });
+
+        assert.deepEqual(response.error, {
+            code: 'quota-exceeded',
+            message: 'Settings not saved: site styles for example.com would take 8224 bytes, '
+                + 'over the 8192 bytes sync storage allows per item'
+        });
+        assert.deepEqual(chrome.storage.sync.dump(), { 'siteStyles:example.com': { css: 'h1 { margin: 0; }' } });
+    });
+
+    it('refuses invalid rules and site styles', async () => {
+        const chrome = await startWorker();
+
+        const rule = await chrome.runtime.sendMessage({
+            action: 'saveElementRule',
+            url: 'https://example.com/',
+            rule: { selector: 'h1', color: 'red' }
+        });
+        const styles = await chrome.runtime.sendMessage({ action: 'updateSettings', changes: { siteStyles: { 'example.com': { css: 42 } } } });
+
+        assert.deepEqual(rule.error, { code: 'invalid-setting', message: 'Invalid element rule' });
+        assert.deepEqual(styles.error, { code: 'invalid-setting', message: 'Invalid site styles' });
+        assert.deepEqual(chrome.storage.sync.dump(), {});
+    });
+
+    it('sends a page the styles of every matching site, least specific first', async () => {
+        const rule = { selector: '.sidebar', untouched: true };
+        const chrome = await startWorker({
+            sync: {
+                'siteStyles:docs.example.com': { rules: [rule], css: 'nav { display: none; }' },
+                'siteStyles:*.example.com': { css: 'body { margin: 0; }' },
+                'siteStyles:other.org': { css: 'p { color: red; }' }
+            }
+        });
+
+        const response = await chrome.runtime.sendMessage({ action: 'getSettings', url: 'https://docs.example.com/' });
+
+        assert.deepEqual(response.siteStyles, { rules: [rule], css: 'body { margin: 0; }\nnav { display: none; }' });
+    });
+});
+
+describe('filters', () => {
+    it('saves the filters complete and sends them with the site settings', async () => {
+        const chrome = await startWorker();
+
+        await chrome.runtime.sendMessage({
+            action: 'updateSettings',
+            pattern: 'example.com',
+            changes: { filters: { vision: 'tritanopia', blueLight: '40' } }
+        });
+        const response = await chrome.runtime.sendMessage({ action: 'getSettings', url: 'https://example.com/' });
+
+        const filters = { vision: 'tritanopia', saturation: 100, blueLight: 40, reducedMotion: false };
+        assert.deepEqual(chrome.storage.sync.dump().siteProfiles, { 'example.com': { filters: filters } });
+        assert.deepEqual(response.settings, { filters: filters });
+    });
+
+    it('refuses invalid filters', async () => {
+        const chrome = await startWorker();
+
+        const response = await chrome.runtime.sendMessage({ action: 'updateSettings', changes: { filters: { saturation: 120 } } });
+
+        assert.deepEqual(response.error, {
+            code: 'invalid-setting',
+            message: 'Invalid filters: saturation must be between 0 and 100'
+        });
+        assert.deepEqual(chrome.storage.sync.dump(), {});
+    });
+});
+
+describe('protocol errors', () => {
+    it('rejects unknown actions and malformed messages', async () => {
+        const chrome = await startWorker();
+
+        const unknown = await chrome.runtime.sendMessage({ action: 'launchRockets' });
+        const malformed = await chrome.runtime.sendMessage({ action: 'removeSiteProfile' });
+
+        assert.deepEqual(unknown.error, { code: 'unknown-action', message: 'Unknown action "launchRockets"' });
+        assert.deepEqual(malformed.error, { code: 'invalid-message', message: 'removeSiteProfile: pattern must be a required string' });
+    });
+
+    it('reports a missing site profile', async () => {
+        const chrome = await startWorker();
+
+        const response = await chrome.runtime.sendMessage({ action: 'removeSiteProfile', pattern: 'example.com' });
+
+        assert.equal(response.error.code, 'not-found');
+    });
+
+    it('reports a tab without a content script', async () => {
+        const chrome = await startWorker();
+
+        const response = await chrome.runtime.sendMessage({ action: 'toggleReaderMode' });
+
+        assert.equal(response.success, false);
+        assert.equal(response.error.code, 'no-receiver');
+    });
+});
+
+describe('open tabs', () => {
+    const tabs = [
+        { id: 1, url: 'https://example.com/', active: true },
+        { id: 2, url: 'https://other.org/', active: false },
+        { id: 3, url: 'chrome://settings/', active: false }
+    ];
+    const onTabMessage = () => ({ success: true });
+
+    it('pushes changes only to the tabs they affect', async () => {
+        const chrome = await startWorker({ tabs, onTabMessage, sync: { theme: 'light' } }, { reason: 'install' });
+        await waitFor(() => settingsPushes(chrome).length === 2);
+        chrome.tabs.sentMessages.length = 0;
+
+        await chrome.storage.sync.set({ siteProfiles: { 'example.com': { theme: 'dark' } } });
+        await waitFor(() => settingsPushes(chrome).length);
+        await flush();
+
+        assert.deepEqual(settingsPushes(chrome).map(sent => sent.tabId), [1]);
+        assert.equal(settingsPushes(chrome)[0].message.settings.theme, 'dark');
+    });
+
+    it('shows each tab\'s theme on the badge', async () => {
+        const chrome = await startWorker({
+            tabs,
+            sync: { theme: 'schedule', siteProfiles: { 'example.com': { theme: 'dark' } } },
+            local: { scheduledTheme: 'light' }
+        }, { reason: 'install' });
+        await waitFor(() => chrome.action.state[2]);
+
+        assert.deepEqual(chrome.action.state[1], {
+            text: 'Dk',
+            color: '#1f2937',
+            textColor: '#f9fafb',
+            title: 'Theme & Font Toggle: Dark theme'
+        });
+        assert.equal(chrome.action.state[2].text, 'Lt');
+        assert.equal(chrome.action.state[2].title, 'Theme & Font Toggle: Light theme (scheduled)');
+        assert.equal(chrome.action.state[3], undefined);
+    });
+
+    it('names custom themes in their own colours', async () => {
+        const chrome = await startWorker({
+            tabs,
+            sync: { theme: 'sepia', customThemes: { sepia: { '--bg-primary': '#f4ecd8', '--text-primary': '#3b2f2f' } } }
+        }, { reason: 'install' });
+        await waitFor(() => chrome.action.state[1]);
+
+        assert.deepEqual(chrome.action.state[1], {
+            text: 'Sepi',
+            color: '#f4ecd8',
+            textColor: '#3b2f2f',
+            title: 'Theme & Font Toggle: Sepia theme'
+        });
+    });
+
+    it('shows when the extension is off on a tab', async () => {
+        const chrome = await startWorker({
+            tabs,
+            sync: { theme: 'dark', siteAccess: { mode: 'exclude', patterns: ['other.org'] } }
+        }, { reason: 'install' });
+        await waitFor(() => chrome.action.state[2]);
+
+        assert.equal(chrome.action.state[1].text, 'Dk');
+        assert.deepEqual(chrome.action.state[2], {
+            text: 'Off',
+            color: '#9ca3af',
+            textColor: '#111827',
+            title: 'Theme & Font Toggle: Off on this site'
+        });
+    });
+
+    it('injects the content scripts into open pages after an update', async () => {
+        const chrome = await startWorker({ tabs }, { reason: 'update' });
+        await waitFor(() => chrome.scripting.injected.length === 4);
+
+        assert.deepEqual(chrome.scripting.injected.map(injection => injection.target.tabId), [1, 1, 2, 2]);
+        assert.deepEqual(chrome.scripting.injected.slice(0, 2), [
+            { target: { tabId: 1, allFrames: true }, files: manifest.content_scripts[0].js, world: 'ISOLATED' },
+            { target: { tabId: 1, allFrames: true }, files: ['shadow-root-hook.js'], world: 'MAIN' }
+        ]);
+    });
+
+    it('leaves tabs that already answer alone', async () => {
+        const chrome = await startWorker({ tabs, onTabMessage }, { reason: 'update' });
+        await waitFor(() => chrome.tabs.sentMessages.filter(sent => sent.message.action === 'ping').length === 2);
+        await flush();
+
+        assert.deepEqual(chrome.scripting.injected, []);
+    });
+
+    it('updates the badge when a tab navigates', async () => {
+        const chrome = await startWorker({ tabs, sync: { siteProfiles: { 'other.org': { theme: 'dark' } } } });
+
+        chrome.tabs.navigate(1, 'https://other.org/page');
+
+        await waitFor(() => chrome.action.state[1]);
+        assert.equal(chrome.action.state[1].text, 'Dk');
+    });
+});
@@ -0,0 +1,549 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const manifest = require('../manifest.json');
+const { createWindow, loadScripts, loadFrameScripts, waitFor, flush } = require('./helpers/dom');
+const { createChromeMock, attachContentScript } = require('./helpers/chrome');
+const { loadWorker } = require('./helpers/worker');
+
+// The content scripts, in the order the manifest injects them
+const CONTENT_SCRIPTS = manifest.content_scripts[0].js;
+
+const PAGE_HTML = `<!DOCTYPE html><html><head><title>Article</title></head><body>
+    <main><h1>Heading</h1><p>Some text on the page.</p></main>
+</body></html>`;
+
+// A page that ships its own dark theme
+const DARK_PAGE_HTML = `<!DOCTYPE html><html><head><title>Dark</title></head>
+<body style="background: #111827; color: #f9fafb"><main><p>Already dark.</p></main></body></html>`;
+
+let dom = null;
+
+const TAB_ID = 1;
+
+// Inject the content scripts into a page at `url` in tab 1, with the service
+// worker running, once the page's settings are applied. `prepare(window)`
+// runs first, as the page's own scripts would.
+async function injectContentScripts({ url = 'https://example.com/article', sync = {}, local = {}, html = PAGE_HTML, prepare } = {}) {
+    const chrome = createChromeMock({ sync, local, tabs: [{ id: TAB_ID, url, active: true }] });
+    await loadWorker(chrome, { reason: null });
+
+    dom = createWindow(html, { url, chrome: attachContentScript(chrome, TAB_ID) });
+
+    // Injected at document_end, once the page is parsed
+    if (dom.window.document.readyState === 'loading') {
+        await new Promise(resolve => dom.window.document.addEventListener('DOMContentLoaded', resolve));
+    }
+    if (prepare) prepare(dom.window);
+    const window = loadScripts(dom, CONTENT_SCRIPTS);
+
+    // The worker sets the badge as it answers the content script's request
+    await waitFor(() => chrome.action.state[TAB_ID]);
+    await flush();
+    return { window, root: window.document.documentElement, chrome };
+}
+
+// Messages the worker has pushed to the tab
+const settingsPushes = chrome => chrome.tabs.sentMessages.filter(sent => sent.message.action === 'applySettings');
+
+// Read one of the content scripts' top-level bindings
+const evaluate = (window, expression) => window.eval(expression);
+
+afterEach(() => {
+    if (dom) dom.window.close();
+    dom = null;
+});
+
+describe('stored settings', () => {
+    it('applies the global settings', async () => {
+        const { window, root } = await injectContentScripts({ sync: { theme: 'dark', font: 'serif', fontSize: 'large' } });
+
+        assert.equal(root.getAttribute('data-theme'), 'dark');
+        assert.equal(root.getAttribute('data-font-size'), 'large');
+        await waitFor(() => root.getAttribute('data-font') === 'serif');
+        assert.ok(window.document.getElementById('theme-toggle-styles'));
+        assert.equal(evaluate(window, 'pageDarkener.mode'), 'recolor');
+    });
+
+    it('lets a matching site profile override them', async () => {
+        const { window, root } = await injectContentScripts({
+            sync: { theme: 'dark', fontSize: 'large', siteProfiles: { 'example.com': { theme: 'light' } } }
+        });
+
+        assert.equal(root.getAttribute('data-theme'), 'light');
+        assert.equal(root.getAttribute('data-font-size'), 'large');
+        assert.equal(evaluate(window, 'pageDarkener.mode'), null);
+    });
+
+    it('ignores profiles for other sites', async () => {
+        const { root } = await injectContentScripts({
+            url: 'https://news.example.org/',
+            sync: { theme: 'dark', siteProfiles: { 'example.com': { theme: 'light' } } }
+        });
+
+        assert.equal(root.getAttribute('data-theme'), 'dark');
+    });
+
+    it('resolves the schedule theme from the background worker', async () => {
+        const { root } = await injectContentScripts({ sync: { theme: 'schedule' }, local: { scheduledTheme: 'dark' } });
+
+        assert.equal(root.getAttribute('data-theme'), 'dark');
+    });
+
+    it('resolves bundled font files to extension URLs', async () => {
+        const customFonts = {
+            atkinson: {
+                name: 'atkinson',
+                family: 'Atkinson Hyperlegible',
+                sources: [
+                    { url: 'fonts/atkinson.woff2', format: 'woff2', weight: '400', style: 'normal' },
+                    { url: 'https://fonts.example.net/atkinson-bold.woff2', format: 'woff2', weight: '700', style: 'normal' }
+                ],
+                fallback: 'sans-serif',
+                weights: ['400', '700'],
+                display: 'swap'
+            }
+        };
+        const { window, root } = await injectContentScripts({ sync: { theme: 'light', font: 'atkinson', customFonts } });
+
+        const css = window.document.getElementById('theme-toggle-custom-fonts').textContent;
+        assert.match(css, /url\("chrome-extension:\/\/test-extension-id\/fonts\/atkinson\.woff2"\)/);
+        assert.match(css, /url\("https:\/\/fonts\.example\.net\/atkinson-bold\.woff2"\)/);
+        assert.match(css, /\[data-font="atkinson"\] \{ --font-family: "Atkinson Hyperlegible", sans-serif !important; \}/);
+        await waitFor(() => root.getAttribute('data-font') === 'atkinson');
+    });
+});
+
+describe('messages from the service worker', () => {
+    it('applies pushed settings', async () => {
+        const { window, root, chrome } = await injectContentScripts({ sync: { theme: 'light' } });
+
+        const response = await chrome.tabs.sendMessage(TAB_ID, {
+            action: 'applySettings',
+            enabled: true,
+            detectNativeDark: true,
+            settings: { theme: 'dark', fontSize: 'small', fontScale: 150 },
+            customThemes: {},
+            customFonts: {},
+            siteStyles: { rules: [], css: '' },
+            scheduledTheme: 'light'
+        });
+
+        assert.deepEqual(response, { success: true });
+        assert.equal(root.getAttribute('data-theme'), 'dark');
+        assert.equal(root.getAttribute('data-font-size'), 'small');
+        assert.notEqual(root.style.getPropertyValue('--theme-toggle-font-scale'), '');
+        assert.equal(evaluate(window, 'pageDarkener.mode'), 'recolor');
+    });
+
+    it('rejects a message missing fields', async () => {
+        const { root, chrome } = await injectContentScripts({ sync: { theme: 'light' } });
+
+        const response = await chrome.tabs.sendMessage(TAB_ID, {
+            action: 'applySettings',
+            enabled: true,
+            detectNativeDark: true,
+            settings: { theme: 'dark' }
+        });
+
+        assert.deepEqual(response, {
+            success: false,
+            error: { code: 'invalid-message', message: 'applySettings: customThemes must be a required object' }
+        });
+        assert.equal(root.getAttribute('data-theme'), 'light');
+    });
+
+    it('rejects an unknown action', async () => {
+        const { chrome } = await injectContentScripts();
+
+        const response = await chrome.tabs.sendMessage(TAB_ID, { action: 'launchRockets' });
+
+        assert.deepEqual(response, {
+            success: false,
+            error: { code: 'unknown-action', message: 'Unknown action "launchRockets"' }
+        });
+    });
+
+    it('reports a page without an article for reader mode', async () => {
+        const { chrome } = await injectContentScripts();
+
+        const response = await chrome.tabs.sendMessage(TAB_ID, { action: 'toggleReaderMode' });
+
+        assert.deepEqual(response, { success: false, error: { code: 'not-found', message: 'No article found' } });
+    });
+
+    it('audits a custom theme\'s colours', async () => {
+        const customThemes = {
+            faded: { '--bg-primary': '#ffffff', '--text-primary': '#dddddd', '--text-secondary': '#eeeeee' }
+        };
+        const { chrome } = await injectContentScripts({ sync: { theme: 'faded', customThemes } });
+
+        const { success, report } = await chrome.tabs.sendMessage(TAB_ID, { action: 'auditContrast', level: 'AAA' });
+
+        assert.equal(success, true);
+        assert.equal(report.level, 'AAA');
+        assert.equal(report.required, 7);
+        assert.ok(report.themeFailures.length > 0);
+        assert.ok(report.themeFailures.every(failure => failure.ratio < 7));
+    });
+});
+
+describe('setting changes', () => {
+    it('follows global setting changes', async () => {
+        const { root, chrome } = await injectContentScripts({ sync: { theme: 'light' } });
+
+        await chrome.storage.sync.set({ theme: 'dark', fontSize: 'extra-large' });
+
+        await waitFor(() => root.getAttribute('data-theme') === 'dark');
+        assert.equal(root.getAttribute('data-font-size'), 'extra-large');
+    });
+
+    it('switches when the scheduled theme flips', async () => {
+        const { root, chrome } = await injectContentScripts({ sync: { theme: 'schedule' }, local: { scheduledTheme: 'light' } });
+        assert.equal(root.getAttribute('data-theme'), 'light');
+
+        await chrome.storage.local.set({ scheduledTheme: 'dark' });
+
+        await waitFor(() => root.getAttribute('data-theme') === 'dark');
+    });
+
+    it('is only sent profile changes that touch this site', async () => {
+        const { root, chrome } = await injectContentScripts({ sync: { theme: 'light' } });
+
+        await chrome.storage.sync.set({ siteProfiles: { 'other.org': { theme: 'dark' } } });
+        await flush();
+        await flush();
+        assert.equal(settingsPushes(chrome).length, 0);
+        assert.equal(root.getAttribute('data-theme'), 'light');
+
+        await chrome.storage.sync.set({ siteProfiles: { 'other.org': { theme: 'dark' }, 'example.com': { theme: 'dark' } } });
+        await waitFor(() => root.getAttribute('data-theme') === 'dark');
+        assert.equal(settingsPushes(chrome).length, 1);
+    });
+
+    it('is not sent unrelated keys', async () => {
+        const { chrome } = await injectContentScripts({ sync: { theme: 'light' } });
+
+        await chrome.storage.sync.set({ somethingElse: true });
+        await flush();
+        await flush();
+
+        assert.equal(settingsPushes(chrome).length, 0);
+    });
+});
+
+describe('site access', () => {
+    it('leaves excluded sites untouched', async () => {
+        const { window, root } = await injectContentScripts({
+            sync: { theme: 'dark', font: 'serif', siteAccess: { mode: 'exclude', patterns: ['example.com/article'] } }
+        });
+
+        assert.equal(root.getAttribute('data-theme'), null);
+        assert.equal(window.document.getElementById('theme-toggle-styles'), null);
+        assert.equal(evaluate(window, 'pageDarkener.mode'), null);
+    });
+
+    it('only runs on listed sites in allow mode', async () => {
+        const { root } = await injectContentScripts({
+            sync: { theme: 'dark', siteAccess: { mode: 'allow', patterns: ['*.example.com'] } }
+        });
+
+        assert.equal(root.getAttribute('data-theme'), 'dark');
+    });
+
+    it('removes its styles and attributes when the site is turned off, and restores them', async () => {
+        const { window, root, chrome } = await injectContentScripts({
+            sync: { theme: 'dark', fontSize: 'large', fontScale: 150, customThemes: { sepia: { '--bg-primary': '#f4ecd8' } } }
+        });
+        assert.ok(window.document.getElementById('theme-toggle-styles'));
+
+        const response = await chrome.runtime.sendMessage({ action: 'setSiteEnabled', url: 'https://example.com/article', enabled: false });
+        assert.deepEqual(response.siteAccess, { mode: 'exclude', patterns: ['example.com'] });
+
+        await waitFor(() => !root.hasAttribute('data-theme'));
+        assert.equal(root.hasAttribute('data-font-size'), false);
+        assert.equal(root.style.getPropertyValue('--theme-toggle-font-scale'), '');
+        assert.deepEqual([...window.document.querySelectorAll('[id^="theme-toggle"]')], []);
+        assert.equal(evaluate(window, 'pageDarkener.mode'), null);
+
+        await chrome.runtime.sendMessage({ action: 'setSiteEnabled', url: 'https://example.com/article', enabled: true });
+
+        await waitFor(() => root.getAttribute('data-theme') === 'dark');
+        assert.equal(root.getAttribute('data-font-size'), 'large');
+        assert.ok(window.document.getElementById('theme-toggle-custom-themes'));
+        assert.equal(evaluate(window, 'pageDarkener.mode'), 'recolor');
+    });
+
+    it('skips darkening pages that are already dark', async () => {
+        const { window, root } = await injectContentScripts({ html: DARK_PAGE_HTML, sync: { theme: 'dark' } });
+
+        assert.equal(root.getAttribute('data-theme'), 'dark');
+        assert.equal(evaluate(window, 'pageDarkener.mode'), null);
+    });
+
+    it('skips pages declaring a dark colour scheme', async () => {
+        const html = PAGE_HTML.replace('<title>', '<meta name="color-scheme" content="dark"><title>');
+        const { window } = await injectContentScripts({ html, sync: { theme: 'dark' } });
+
+        assert.equal(evaluate(window, 'pageDarkener.mode'), null);
+    });
+
+    it('clears a batch\'s rules, reads its colours, then writes, rather than element by element', async () => {
+        const { window } = await injectContentScripts({ sync: { theme: 'dark' } });
+        const elements = [...window.document.querySelectorAll('main, h1, p')];
+        const steps = [];
+        const { getComputedStyle } = window;
+        const { removeAttribute, setAttribute } = window.Element.prototype;
+
+        window.getComputedStyle = element => {
+            if (elements.includes(element)) steps.push('read');
+            return getComputedStyle.call(window, element);
+        };
+        window.Element.prototype.removeAttribute = function(name) {
+            if (name === 'data-theme-toggle-dark' && elements.includes(this)) steps.push('clear');
+            return removeAttribute.call(this, name);
+        };
+        window.Element.prototype.setAttribute = function(name, value) {
+            if (name === 'data-theme-toggle-dark' && elements.includes(this)) steps.push('write');
+            return setAttribute.call(this, name, value);
+        };
+
+        elements.forEach(element => evaluate(window, 'pageDarkener').queue.add(element));
+        evaluate(window, 'pageDarkener').flush();
+
+        // Each step once per element, with no step going back to an earlier one
+        const order = ['clear', 'read', 'write'];
+        assert.deepEqual(order.map(step => steps.filter(seen => seen === step).length), [3, 3, 3]);
+        assert.deepEqual(steps, [...steps].sort((a, b) => order.indexOf(a) - order.indexOf(b)));
+    });
+
+    it('darkens them anyway with detection turned off', async () => {
+        const { window, chrome } = await injectContentScripts({ html: DARK_PAGE_HTML, sync: { theme: 'dark' } });
+
+        await chrome.storage.sync.set({ detectNativeDark: false });
+
+        await waitFor(() => evaluate(window, 'pageDarkener.mode') === 'recolor');
+    });
+});
+
+describe('site styles', () => {
+    const STYLED_PAGE_HTML = `<!DOCTYPE html><html><head><title>Article</title></head><body>
+    <main><h1>Heading</h1><p style="background-color: #ffffff">Some text on the page.</p>
+    <aside class="promo"><p style="background-color: #ffffff">An embedded widget.</p></aside></main>
+</body></html>`;
+
+    it('applies element rules in the theme\'s colours, then the site\'s CSS', async () => {
+        const { window } = await injectContentScripts({
+            sync: {
+                theme: 'dark',
+                lineHeight: 2,
+                'siteStyles:example.com': {
+                    rules: [{ selector: '.promo', untouched: true }, { selector: 'h1', color: '--accent-color', font: 'serif' }],
+                    css: 'h1 { text-transform: uppercase; }'
+                },
+                'siteStyles:other.org': { css: 'p { color: red; }' }
+            },
+            html: STYLED_PAGE_HTML
+        });
+        const document = window.document;
+
+        const siteStyles = document.getElementById('theme-toggle-site-styles');
+        const themeStyles = document.getElementById('theme-toggle-styles');
+        assert.ok(themeStyles.compareDocumentPosition(siteStyles) & window.Node.DOCUMENT_POSITION_FOLLOWING);
+        assert.equal(siteStyles.textContent, ':root :is(h1) { color: #4dabf7 !important; '
+            + '--font-family: Georgia, \'Times New Roman\', Times, serif !important; font-family: var(--font-family) !important; }\n'
+            + 'h1 { text-transform: uppercase; }');
+
+        // The untouched widget keeps the page's colours, fonts and spacing
+        await waitFor(() => document.querySelector('main > p').hasAttribute('data-theme-toggle-dark'));
+        assert.equal(document.querySelector('.promo p').hasAttribute('data-theme-toggle-dark'), false);
+        assert.match(document.getElementById('theme-toggle-styles').textContent, /body:not\(:is\(\.promo\), :is\(\.promo\) \*\)/);
+        assert.equal(document.getElementById('theme-toggle-typography').textContent,
+            ':is(body, body *):not(:is(.promo), :is(.promo) *) { line-height: 2 !important; }');
+    });
+
+    it('saves a rule for an element picked on the page', async () => {
+        const { window, chrome } = await injectContentScripts({ sync: { theme: 'light' }, html: STYLED_PAGE_HTML });
+
+        await chrome.runtime.sendMessage({ action: 'startElementPicker' });
+        window.document.querySelector('.promo p').click();
+
+        // The panel is in a closed shadow root
+        const form = evaluate(window, 'elementPicker.root').querySelector('form');
+        assert.equal(form.elements.selector.value, 'aside.promo > p');
+        form.elements.background.value = '--bg-secondary';
+        form.requestSubmit();
+
+        const stored = await waitFor(() => chrome.storage.sync.dump()['siteStyles:example.com']);
+        assert.deepEqual(stored, { rules: [{ selector: 'aside.promo > p', background: '--bg-secondary' }] });
+        await waitFor(() => window.document.getElementById('theme-toggle-site-styles'));
+        assert.equal(window.document.getElementById('theme-toggle-site-styles').textContent,
+            ':root :is(aside.promo > p) { background-color: #f8f9fa !important; }');
+        assert.equal(evaluate(window, 'elementPicker.isActive()'), false);
+    });
+
+    it('explains what the picker needs before saving', async () => {
+        const { window, chrome } = await injectContentScripts({ html: STYLED_PAGE_HTML });
+
+        await chrome.runtime.sendMessage({ action: 'startElementPicker' });
+        window.document.querySelector('h1').click();
+        const root = evaluate(window, 'elementPicker.root');
+        const form = root.querySelector('form');
+
+        form.requestSubmit();
+        assert.equal(root.querySelector('.picker-status').textContent, 'Choose a colour or font, or leave the element untouched.');
+
+        form.elements.selector.value = 'h1[';
+        form.elements.untouched.click();
+        form.requestSubmit();
+        assert.equal(root.querySelector('.picker-status').textContent, 'Enter a valid CSS selector.');
+
+        window.document.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Escape' }));
+        assert.equal(window.document.getElementById('theme-toggle-picker'), null);
+    });
+});
+
+describe('filters', () => {
+    const FILTER_RULE = ':where(html) { filter: url("#theme-toggle-color-filter") !important; }';
+
+    it('applies colour filters and reduced motion, and removes them', async () => {
+        const { window, chrome } = await injectContentScripts({
+            sync: { theme: 'light', filters: { vision: 'deuteranopia', saturation: 50, reducedMotion: true } }
+        });
+        const document = window.document;
+
+        const filter = document.getElementById('theme-toggle-color-filter');
+        assert.deepEqual([...filter.children].map(primitive => primitive.getAttribute('type')), ['matrix', 'saturate']);
+        const styles = document.getElementById('theme-toggle-filters').textContent;
+        assert.ok(styles.includes(FILTER_RULE));
+        assert.match(styles, /transition-duration: 0s !important/);
+
+        await chrome.runtime.sendMessage({ action: 'updateSettings', changes: { filters: null } });
+
+        await waitFor(() => !document.getElementById('theme-toggle-filters'));
+        assert.equal(document.getElementById('theme-toggle-color-filter'), null);
+    });
+
+    it('adds the colour filters to the darkener\'s invert filter', async () => {
+        const { window, chrome } = await injectContentScripts({
+            sync: { theme: 'dark', darkMode: 'filter', filters: { blueLight: 50 } }
+        });
+        const darkener = window.document.getElementById('theme-toggle-darkener');
+
+        assert.match(darkener.textContent, /filter: invert\(1\) hue-rotate\(180deg\) url\("#theme-toggle-color-filter"\) !important/);
+
+        await chrome.runtime.sendMessage({ action: 'updateSettings', changes: { filters: { blueLight: 0 } } });
+
+        await waitFor(() => !darkener.textContent.includes('url('));
+        assert.match(darkener.textContent, /filter: invert\(1\) hue-rotate\(180deg\) !important/);
+    });
+
+    it('leaves colour filters to the top-level page and reduces motion in frames', async () => {
+        const { window, chrome } = await injectContentScripts({
+            sync: { theme: 'light', filters: { vision: 'protanopia', reducedMotion: true } },
+            html: PAGE_HTML.replace('</main>', '</main><iframe></iframe>')
+        });
+
+        const frame = window.document.querySelector('iframe');
+        const frameWindow = loadFrameScripts(frame, CONTENT_SCRIPTS, { chrome: attachContentScript(chrome, TAB_ID, { frameId: 1 }) });
+
+        const styles = await waitFor(() => frameWindow.document.getElementById('theme-toggle-filters'));
+        assert.match(styles.textContent, /transition-duration/);
+        assert.ok(!styles.textContent.includes('filter: url('));
+        assert.equal(frameWindow.document.getElementById('theme-toggle-color-filter'), null);
+    });
+});
+
+describe('shadow roots and frames', () => {
+    const SHADOW_CONTENT = '<p style="background-color: #ffffff; color: #111111">Text in a web component</p>';
+
+    // Give the page an open shadow root
+    const attachShadowRoot = (window, host) => {
+        const root = host.attachShadow({ mode: 'open' });
+        root.innerHTML = SHADOW_CONTENT;
+        return root;
+    };
+
+    // The stylesheet the content script copied into a root, by id
+    const shadowStyle = (root, id) => root.querySelector(`style[data-theme-toggle-sheet="${id}"]`);
+
+    // Stand in for Chrome's adoptedStyleSheets, which jsdom lacks
+    const supportAdoptedStyleSheets = (window) => {
+        const adopted = new WeakMap();
+        Object.defineProperty(window.ShadowRoot.prototype, 'adoptedStyleSheets', {
+            configurable: true,
+            get() { return adopted.get(this) || []; },
+            set(sheets) { adopted.set(this, sheets); }
+        });
+    };
+
+    it('styles and darkens open shadow roots', async () => {
+        let root;
+        await injectContentScripts({
+            sync: { theme: 'dark', lineHeight: 2 },
+            html: PAGE_HTML.replace('</main>', '<div id="widget"></div></main>'),
+            prepare: window => { root = attachShadowRoot(window, window.document.getElementById('widget')); }
+        });
+
+        const paragraph = root.querySelector('p');
+        await waitFor(() => paragraph.hasAttribute('data-theme-toggle-dark'));
+        const ruleId = paragraph.getAttribute('data-theme-toggle-dark');
+        await waitFor(() => shadowStyle(root, 'theme-toggle-darkener').textContent.includes(`="${ruleId}"]`));
+        assert.match(shadowStyle(root, 'theme-toggle-styles').textContent, /font-family: var\(--font-family\)/);
+        assert.equal(shadowStyle(root, 'theme-toggle-typography').textContent, '* { line-height: 2 !important; }');
+    });
+
+    it('finds shadow roots the page attaches later', async () => {
+        const { window } = await injectContentScripts({
+            sync: { theme: 'light' },
+            prepare: window => loadScripts(dom, ['shadow-root-hook.js'])
+        });
+
+        // Already in the page, so only the hook's event reports the new root
+        const host = window.document.createElement('div');
+        window.document.body.appendChild(host);
+        await flush();
+        const root = attachShadowRoot(window, host);
+
+        await waitFor(() => shadowStyle(root, 'theme-toggle-styles'));
+    });
+
+    it('shares adopted stylesheets between roots and removes them when turned off', async () => {
+        const roots = [];
+        const { chrome } = await injectContentScripts({
+            sync: { theme: 'light' },
+            html: PAGE_HTML.replace('</main>', '<div class="widget"></div><div class="widget"></div></main>'),
+            prepare: (window) => {
+                supportAdoptedStyleSheets(window);
+                window.document.querySelectorAll('.widget').forEach(host => roots.push(attachShadowRoot(window, host)));
+            }
+        });
+
+        await waitFor(() => roots.every(root => root.adoptedStyleSheets.length === 1));
+        assert.equal(roots[0].adoptedStyleSheets[0], roots[1].adoptedStyleSheets[0]);
+        assert.match(roots[0].adoptedStyleSheets[0].cssRules[0].cssText, /--font-family/);
+        assert.equal(roots[0].querySelector('style'), null);
+
+        await chrome.runtime.sendMessage({ action: 'setSiteEnabled', url: 'https://example.com/article', enabled: false });
+
+        await waitFor(() => roots.every(root => root.adoptedStyleSheets.length === 0));
+    });
+
+    it('applies the tab\'s settings in frames, leaving reader mode to the top-level page', async () => {
+        const { window, chrome } = await injectContentScripts({
+            sync: { theme: 'light', siteProfiles: { 'example.com': { theme: 'dark' } } },
+            html: PAGE_HTML.replace('</main>', '</main><iframe></iframe>')
+        });
+
+        const frame = window.document.querySelector('iframe');
+        frame.contentDocument.body.innerHTML = '<div class="article"><p>A paragraph long enough, with commas, to count as an article.</p></div>';
+        const frameWindow = loadFrameScripts(frame, CONTENT_SCRIPTS, { chrome: attachContentScript(chrome, TAB_ID, { frameId: 1 }) });
+
+        // The frame is about:blank; the settings come from the tab's page
+        await waitFor(() => frameWindow.document.documentElement.getAttribute('data-theme') === 'dark');
+
+        await assert.rejects(chrome.tabs.sendMessage(TAB_ID, { action: 'toggleReaderMode' }, { frameId: 1 }),
+            /message port closed/);
+        const response = await chrome.tabs.sendMessage(TAB_ID, { action: 'toggleReaderMode' });
+        assert.equal(response.error.code, 'not-found');
+    });
+});
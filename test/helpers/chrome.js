@@ -0,0 +1,370 @@
+/**
+ * chrome.* API mock
+ * Covers what the extension uses: storage (sync and local, with onChanged),
+ * tabs, runtime messaging, commands, alarms, scripting and the toolbar
+ * action. Callbacks run asynchronously and values are copied, as in Chrome;
+ * without a callback, methods return a Promise. Sync storage refuses items
+ * over its per-item quota, as Chrome does.
+ *
+ * createChromeMock() gives the extension's side (service worker and popup);
+ * attachContentScript() gives the content script in each of a tab's frames
+ * its own chrome object, so runtime messages reach the worker and tab
+ * messages reach the tab's frames.
+ */
+
+const manifest = require('../../manifest.json');
+
+const clone = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+// A chrome.events.Event
+function createEvent() {
+    const listeners = new Set();
+    return {
+        addListener: listener => listeners.add(listener),
+        removeListener: listener => listeners.delete(listener),
+        hasListener: listener => listeners.has(listener),
+        hasListeners: () => listeners.size > 0,
+        // Not part of the API: for delivering events and messages
+        listeners: () => [...listeners],
+        dispatch: (...args) => listeners.forEach(listener => listener(...args))
+    };
+}
+
+/**
+ * Deliver a message to onMessage listeners, answering through `callback` or
+ * a Promise. Nothing answering sets `runtime.lastError` (or rejects), as when
+ * no content script is listening or no listener responds.
+ */
+function deliverMessage(runtime, onMessage, message, sender, callback) {
+    const result = new Promise((resolve, reject) => {
+        setTimeout(() => {
+            let answered = false;
+            let pending = false;
+            const sendResponse = (response) => {
+                if (answered) return;
+                answered = true;
+                resolve(clone(response));
+            };
+
+            if (onMessage) {
+                onMessage.listeners().forEach(listener => {
+                    if (listener(clone(message), clone(sender), sendResponse) === true) pending = true;
+                });
+            }
+            if (!answered && !pending) {
+                reject(new Error(onMessage && onMessage.hasListeners()
+                    ? 'The message port closed before a response was received.'
+                    : 'Could not establish connection. Receiving end does not exist.'));
+            }
+        }, 0);
+    });
+
+    if (typeof callback !== 'function') return result;
+
+    result.then(callback, (error) => {
+        runtime.lastError = { message: error.message };
+        callback(undefined);
+        runtime.lastError = null;
+    });
+    return undefined;
+}
+
+// The onMessage listeners of a tab's frames, all frames or just `frameId`
+function getFrameReceivers(frames, frameId) {
+    const receivers = (frames || []).filter(frame => frameId === undefined || frame.frameId === frameId);
+    return {
+        listeners: () => receivers.flatMap(frame => frame.onMessage.listeners()),
+        hasListeners: () => receivers.some(frame => frame.onMessage.hasListeners())
+    };
+}
+
+// Call back on a later tick, or return a Promise without a callback
+function respond(value, callback) {
+    const result = new Promise(resolve => setTimeout(() => resolve(value), 0));
+    if (typeof callback !== 'function') return result;
+
+    result.then(callback);
+    return undefined;
+}
+
+// chrome.storage.sync's limit on one item: its key plus its JSON
+const SYNC_QUOTA_BYTES_PER_ITEM = 8192;
+
+// Fail on a later tick: reject without a callback, or call back with runtime.lastError set
+function fail(runtime, error, callback) {
+    const result = new Promise((resolve, reject) => setTimeout(() => reject(error), 0));
+    if (typeof callback !== 'function') return result;
+
+    result.catch(() => {
+        runtime.lastError = { message: error.message };
+        callback();
+        runtime.lastError = null;
+    });
+    return undefined;
+}
+
+function createStorageArea(areaName, initial, onChanged, runtime, quotas = {}) {
+    let items = clone(initial) || {};
+    let writeError = null;
+
+    // Why a write would be refused: a failure set with failWrites(), or an item over quota
+    const checkWrite = (values = {}) => {
+        if (writeError) return new Error(writeError);
+
+        const tooLarge = Object.entries(values).find(([key, value]) => quotas.QUOTA_BYTES_PER_ITEM
+            && key.length + JSON.stringify(value).length > quotas.QUOTA_BYTES_PER_ITEM);
+        return tooLarge ? new Error('QUOTA_BYTES_PER_ITEM quota exceeded') : null;
+    };
+
+    // Report the values that actually changed, as Chrome does
+    const write = (next) => {
+        const changes = {};
+        new Set([...Object.keys(items), ...Object.keys(next)]).forEach(key => {
+            if (JSON.stringify(items[key]) !== JSON.stringify(next[key])) {
+                changes[key] = { oldValue: clone(items[key]), newValue: clone(next[key]) };
+                if (changes[key].oldValue === undefined) delete changes[key].oldValue;
+                if (changes[key].newValue === undefined) delete changes[key].newValue;
+            }
+        });
+        items = next;
+        if (Object.keys(changes).length) {
+            setTimeout(() => onChanged.dispatch(changes, areaName), 0);
+        }
+    };
+
+    return {
+        ...quotas,
+
+        get(keys, callback) {
+            let result;
+            if (keys === null || keys === undefined) {
+                result = clone(items);
+            } else if (typeof keys === 'string' || Array.isArray(keys)) {
+                result = {};
+                [].concat(keys).forEach(key => {
+                    if (key in items) result[key] = clone(items[key]);
+                });
+            } else {
+                // An object of keys and defaults
+                result = {};
+                Object.entries(keys).forEach(([key, fallback]) => {
+                    result[key] = key in items ? clone(items[key]) : fallback;
+                });
+            }
+            return respond(result, callback);
+        },
+
+        set(values, callback) {
+            const error = checkWrite(values);
+            if (error) return fail(runtime, error, callback);
+
+            write({ ...items, ...clone(values) });
+            return respond(undefined, callback);
+        },
+
+        remove(keys, callback) {
+            const error = checkWrite();
+            if (error) return fail(runtime, error, callback);
+
+            const next = { ...items };
+            [].concat(keys).forEach(key => delete next[key]);
+            write(next);
+            return respond(undefined, callback);
+        },
+
+        clear(callback) {
+            write({});
+            return respond(undefined, callback);
+        },
+
+        // Not part of the API: the stored values, for assertions
+        dump() {
+            return clone(items);
+        },
+
+        // Not part of the API: refuse writes with this message, until called with null
+        failWrites(message) {
+            writeError = message;
+        }
+    };
+}
+
+/**
+ * Create a chrome object. `tabs` lists the open tabs (the first is active);
+ * tab messages go to the tab's attached content script, or else to
+ * `onTabMessage(tabId, message)`, where returning undefined means no content
+ * script received them.
+ */
+function createChromeMock(options = {}) {
+    const onChanged = createEvent();
+    const tabs = clone(options.tabs || [{ id: 1, url: 'https://example.com/', active: true }]);
+    const findTab = tabId => tabs.find(tab => tab.id === tabId);
+
+    // Record calls to a toolbar action setter, per tab, under `property`
+    const actionSetter = (property, field = property) => (details, callback) => {
+        const key = details.tabId === undefined ? 'default' : details.tabId;
+        chrome.action.state[key] = { ...chrome.action.state[key], [property]: details[field] };
+        return respond(undefined, callback);
+    };
+
+    const chrome = {
+        storage: {
+            onChanged
+        },
+
+        tabs: {
+            // Not part of the API: what was sent and opened, and the content
+            // scripts in each tab's frames, for assertions and delivery
+            sentMessages: [],
+            created: [],
+            receivers: {},
+            onUpdated: createEvent(),
+            onRemoved: createEvent(),
+
+            query(queryInfo, callback) {
+                const matches = tabs.filter((tab, index) => !queryInfo.active || (tab.active ?? index === 0));
+                return respond(clone(matches), callback);
+            },
+
+            get(tabId, callback) {
+                return respond(clone(findTab(tabId)), callback);
+            },
+
+            // Every frame receives the message unless `frameId` picks one; the first answer wins
+            sendMessage(tabId, message, sendOptions, callback) {
+                if (typeof sendOptions === 'function') {
+                    callback = sendOptions;
+                    sendOptions = {};
+                }
+                chrome.tabs.sentMessages.push({ tabId, message: clone(message) });
+
+                if (!chrome.tabs.receivers[tabId] && options.onTabMessage) {
+                    const response = options.onTabMessage(tabId, message);
+                    const onMessage = createEvent();
+                    if (response !== undefined) onMessage.addListener((received, sender, sendResponse) => sendResponse(response));
+                    return deliverMessage(chrome.runtime, onMessage, message, { id: chrome.runtime.id }, callback);
+                }
+                const receivers = getFrameReceivers(chrome.tabs.receivers[tabId], (sendOptions || {}).frameId);
+                return deliverMessage(chrome.runtime, receivers, message, { id: chrome.runtime.id }, callback);
+            },
+
+            create(properties, callback) {
+                chrome.tabs.created.push(clone(properties));
+                return respond({ id: tabs.length + chrome.tabs.created.length, ...properties }, callback);
+            },
+
+            // Not part of the API: navigate a tab, firing onUpdated
+            navigate(tabId, url) {
+                const tab = findTab(tabId);
+                tab.url = url;
+                chrome.tabs.onUpdated.dispatch(tabId, { url, status: 'loading' }, clone(tab));
+            }
+        },
+
+        runtime: {
+            id: 'test-extension-id',
+            lastError: null,
+            onMessage: createEvent(),
+            onInstalled: createEvent(),
+            onStartup: createEvent(),
+
+            getURL: path => `chrome-extension://test-extension-id/${path}`,
+
+            getManifest: () => clone(manifest),
+
+            // Extension pages send to the service worker
+            sendMessage(message, callback) {
+                return deliverMessage(chrome.runtime, chrome.runtime.onMessage, message,
+                    { id: chrome.runtime.id, url: chrome.runtime.getURL('popup.html') }, callback);
+            }
+        },
+
+        action: {
+            // Not part of the API: the badge, colours and title set per tab
+            state: {},
+
+            setBadgeText: actionSetter('text'),
+            setBadgeBackgroundColor: actionSetter('color'),
+            setBadgeTextColor: actionSetter('textColor', 'color'),
+            setTitle: actionSetter('title')
+        },
+
+        scripting: {
+            // Not part of the API: the injections made, for assertions
+            injected: [],
+
+            executeScript(injection, callback) {
+                chrome.scripting.injected.push(clone(injection));
+                const tab = findTab(injection.target.tabId);
+                if (!tab || !/^(https?|file):/.test(tab.url)) {
+                    return Promise.reject(new Error('Cannot access contents of the page.'));
+                }
+                return respond([{ frameId: 0, result: null }], callback);
+            }
+        },
+
+        commands: {
+            onCommand: createEvent(),
+
+            getAll(callback) {
+                const commands = Object.entries(manifest.commands || {}).map(([name, command]) => ({
+                    name,
+                    description: command.description,
+                    shortcut: command.suggested_key ? command.suggested_key.default : ''
+                }));
+                return respond(commands, callback);
+            }
+        },
+
+        alarms: {
+            // Not part of the API: the scheduled alarms, for assertions
+            scheduled: {},
+            onAlarm: createEvent(),
+
+            create(name, info) {
+                chrome.alarms.scheduled[name] = clone(info);
+            },
+
+            clear(name, callback) {
+                const existed = name in chrome.alarms.scheduled;
+                delete chrome.alarms.scheduled[name];
+                return respond(existed, callback);
+            }
+        }
+    };
+
+    chrome.storage.sync = createStorageArea('sync', options.sync, onChanged, chrome.runtime,
+        { QUOTA_BYTES_PER_ITEM: SYNC_QUOTA_BYTES_PER_ITEM });
+    chrome.storage.local = createStorageArea('local', options.local, onChanged, chrome.runtime);
+
+    return chrome;
+}
+
+/**
+ * Give the content script in a frame of `tabId` (the top-level page by
+ * default) its own chrome object. It shares the extension's storage; its
+ * runtime messages go to the service worker with the tab as sender, and the
+ * worker's tab messages come to its listeners.
+ */
+function attachContentScript(chrome, tabId, { frameId = 0 } = {}) {
+    const onMessage = createEvent();
+    const runtime = {
+        id: chrome.runtime.id,
+        lastError: null,
+        onMessage,
+        getURL: chrome.runtime.getURL,
+
+        sendMessage(message, callback) {
+            return chrome.tabs.get(tabId).then(tab => deliverMessage(runtime, chrome.runtime.onMessage, message,
+                { id: chrome.runtime.id, tab, url: tab.url, frameId }, callback));
+        }
+    };
+
+    chrome.tabs.receivers[tabId] = [...(chrome.tabs.receivers[tabId] || []), { frameId, onMessage }];
+    return { storage: chrome.storage, runtime };
+}
+
+module.exports = {
+    createChromeMock,
+    attachContentScript
+};
@@ -0,0 +1,229 @@
+/**
+ * jsdom helpers
+ * Scripts run inside a jsdom window the way a browser runs classic scripts:
+ * one shared global scope, in the order the page or manifest lists them.
+ * They are evaluated with their file URL, so coverage maps back to the files.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { pathToFileURL } = require('url');
+const { JSDOM, requestInterceptor } = require('jsdom');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+
+// Tests run offline: pages only load the repository's own files
+const offlineResources = {
+    interceptors: [
+        requestInterceptor((request) => {
+            if (!request.url.startsWith('file:')) return new Response('', { status: 404 });
+            return undefined;
+        })
+    ]
+};
+
+// Media features tests can flip, and the query each one matches
+const MEDIA_FEATURES = {
+    dark: /prefers-color-scheme:\s*dark/,
+    reducedMotion: /prefers-reduced-motion:\s*reduce/,
+    moreContrast: /prefers-contrast:\s*more/
+};
+
+// `prefers-color-scheme: dark`, `prefers-reduced-motion: reduce` and
+// `prefers-contrast: more` media queries whose results tests can flip
+function createMatchMedia(options = {}) {
+    const state = {};
+    Object.keys(MEDIA_FEATURES).forEach(name => {
+        state[name] = !!options[name];
+    });
+    const listeners = new Set();
+
+    const getFeature = query => Object.keys(MEDIA_FEATURES).find(name => MEDIA_FEATURES[name].test(query));
+
+    const matchMedia = (query) => {
+        const feature = getFeature(query);
+        const add = (listener, listenerOptions = {}) => {
+            const entry = { feature, listener };
+            listeners.add(entry);
+            if (listenerOptions.signal) {
+                listenerOptions.signal.addEventListener('abort', () => listeners.delete(entry));
+            }
+        };
+        const remove = (listener) => {
+            listeners.forEach(entry => {
+                if (entry.listener === listener) listeners.delete(entry);
+            });
+        };
+
+        return {
+            media: query,
+            get matches() {
+                return feature ? state[feature] : false;
+            },
+            addEventListener(type, listener, listenerOptions) {
+                if (type === 'change') add(listener, listenerOptions);
+            },
+            removeEventListener(type, listener) {
+                remove(listener);
+            },
+            addListener: add,
+            removeListener: remove
+        };
+    };
+
+    matchMedia.set = (feature, value) => {
+        state[feature] = !!value;
+        listeners.forEach(entry => {
+            if (entry.feature === feature) entry.listener({ matches: state[feature] });
+        });
+    };
+    matchMedia.setDark = value => matchMedia.set('dark', value);
+    // Listeners for one feature, or for all of them
+    matchMedia.listenerCount = feature => [...listeners].filter(entry => !feature || entry.feature === feature).length;
+
+    return matchMedia;
+}
+
+// CSS.escape(), following the CSSOM serialization rules
+function cssEscape(value) {
+    const string = String(value);
+    return Array.from(string).map((char, index) => {
+        const code = char.codePointAt(0);
+        if (code === 0) return '\uFFFD';
+        if ((code >= 0x1 && code <= 0x1f) || code === 0x7f
+            || (index === 0 && code >= 0x30 && code <= 0x39)
+            || (index === 1 && code >= 0x30 && code <= 0x39 && string[0] === '-')) {
+            return `\\${code.toString(16)} `;
+        }
+        if (index === 0 && char === '-' && string.length === 1) return '\\-';
+        if (code >= 0x80 || /[-_0-9a-zA-Z]/.test(char)) return char;
+        return `\\${char}`;
+    }).join('');
+}
+
+// Give a window the browser APIs jsdom lacks
+function installGlobals(window, globals = {}) {
+    window.matchMedia = globals.matchMedia || createMatchMedia();
+    if (!window.CSS) window.CSS = { escape: cssEscape };
+    if (globals.chrome) window.chrome = globals.chrome;
+}
+
+/**
+ * Create a window for running scripts into with loadScripts()
+ */
+function createWindow(html = '<!DOCTYPE html><html><head></head><body></body></html>', options = {}) {
+    const dom = new JSDOM(html, {
+        url: options.url || 'https://example.com/',
+        runScripts: 'outside-only',
+        pretendToBeVisual: true
+    });
+    installGlobals(dom.window, options);
+    return dom;
+}
+
+/**
+ * Run a repository script in a vm context as a classic script
+ */
+function runScript(context, file) {
+    const filename = path.join(ROOT, file);
+    const script = new vm.Script(fs.readFileSync(filename, 'utf8'), {
+        filename: pathToFileURL(filename).href
+    });
+    script.runInContext(context);
+}
+
+/**
+ * Run repository scripts in a window, in order, as classic scripts
+ */
+function loadScripts(dom, files) {
+    const context = dom.getInternalVMContext();
+    files.forEach(file => runScript(context, file));
+    return dom.window;
+}
+
+/**
+ * Run repository scripts in a same-origin iframe, with the same stand-ins
+ * for browser APIs as createWindow()
+ */
+function loadFrameScripts(frame, files, options = {}) {
+    const window = frame.contentWindow;
+    installGlobals(window, options);
+    files.forEach(file => runScript(window, file));
+    return window;
+}
+
+/**
+ * Open one of the repository's pages with its scripts, resolving once it has loaded
+ */
+async function loadPage(file, options = {}) {
+    const dom = await JSDOM.fromFile(path.join(ROOT, file), {
+        runScripts: 'dangerously',
+        resources: offlineResources,
+        pretendToBeVisual: true,
+        beforeParse: window => installGlobals(window, options)
+    });
+
+    if (dom.window.document.readyState !== 'complete') {
+        await new Promise(resolve => dom.window.addEventListener('load', resolve));
+    }
+    return dom;
+}
+
+/**
+ * Make a window the test's own `window` and `document`, for libraries the
+ * test requires rather than runs in the window, such as React and Vue.
+ * Call it before requiring them: they look for a document as they load.
+ */
+function useWindowGlobals(window) {
+    ['window', 'document', 'navigator', 'Element', 'SVGElement'].forEach(name => {
+        global[name] = name === 'window' ? window : window[name];
+    });
+    return window;
+}
+
+/**
+ * Run `callback` without a `document`, the way server rendering sees the world
+ */
+function withoutDocument(callback) {
+    const { document } = global;
+    delete global.document;
+    try {
+        return callback();
+    } finally {
+        global.document = document;
+    }
+}
+
+// Wait for pending callbacks, promises and zero-delay timers
+function flush() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+/**
+ * Wait until `check` returns a truthy value, for work that goes through
+ * several asynchronous storage calls or a debounce
+ */
+async function waitFor(check, { timeout = 2000, interval = 10 } = {}) {
+    const deadline = Date.now() + timeout;
+    for (;;) {
+        const result = check();
+        if (result) return result;
+        if (Date.now() > deadline) throw new Error('waitFor: condition not met in time');
+        await new Promise(resolve => setTimeout(resolve, interval));
+    }
+}
+
+module.exports = {
+    ROOT,
+    runScript,
+    createMatchMedia,
+    createWindow,
+    loadScripts,
+    loadFrameScripts,
+    loadPage,
+    useWindowGlobals,
+    withoutDocument,
+    flush,
+    waitFor
+};
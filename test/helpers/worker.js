@@ -0,0 +1,29 @@
+/**
+ * Service worker loader
+ * Runs background.js in a context of its own with the chrome mock, and its
+ * importScripts() calls against the repository, as Chrome runs the worker.
+ */
+
+const vm = require('vm');
+const { runScript } = require('./dom');
+
+/**
+ * Start the service worker, resolving once it has handled onInstalled
+ * (`reason` 'install' by default; null skips it)
+ */
+async function loadWorker(chrome, { reason = 'install' } = {}) {
+    const context = vm.createContext({ chrome, console, setTimeout, clearTimeout, URL, TextEncoder });
+    context.self = context;
+    context.importScripts = (...files) => files.forEach(file => runScript(context, file));
+
+    runScript(context, 'background.js');
+    if (reason) {
+        chrome.runtime.onInstalled.dispatch({ reason });
+        await new Promise(resolve => setTimeout(resolve, 0));
+    }
+    return context;
+}
+
+module.exports = {
+    loadWorker
+};
@@ -0,0 +1,420 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const manifest = require('../manifest.json');
+const { loadPage, waitFor, flush } = require('./helpers/dom');
+const { createChromeMock } = require('./helpers/chrome');
+const { loadWorker } = require('./helpers/worker');
+
+let dom = null;
+
+// Open the popup against a mocked chrome API and the service worker, once its settings are loaded
+async function openPopup(chromeOptions = {}) {
+    const chrome = createChromeMock(chromeOptions);
+    await loadWorker(chrome, { reason: null });
+    dom = await loadPage('popup.html', { chrome });
+    const { window } = dom;
+
+    await waitFor(() => window.themeFontToggle);
+    await window.themeFontToggle.ready;
+    // The popup reads the site profiles after the plugin is ready
+    await waitFor(() => window.document.getElementById('site-pattern').value);
+
+    return { window, document: window.document, chrome, plugin: window.themeFontToggle };
+}
+
+function choose(window, id, value, eventName = 'change') {
+    const control = window.document.getElementById(id);
+    control.value = value;
+    control.dispatchEvent(new window.Event(eventName, { bubbles: true }));
+}
+
+function click(window, id) {
+    window.document.getElementById(id).click();
+}
+
+afterEach(() => {
+    if (dom) dom.window.close();
+    dom = null;
+});
+
+describe('loading settings', () => {
+    it('shows the global settings', async () => {
+        const { document, plugin } = await openPopup({ sync: { theme: 'dark', fontSize: 'large', darkMode: 'filter' } });
+
+        assert.equal(plugin.getTheme(), 'dark');
+        assert.equal(plugin.getFontSize(), 'large');
+        assert.equal(document.getElementById('theme-toggle').value, 'dark');
+        assert.equal(document.getElementById('dark-mode-toggle').value, 'filter');
+        assert.equal(document.getElementById('scope-toggle').value, 'global');
+        assert.equal(document.getElementById('site-pattern').value, 'example.com');
+        assert.equal(document.getElementById('site-pattern').disabled, true);
+    });
+
+    it('shows the site profile matching the active tab', async () => {
+        const { document, plugin } = await openPopup({
+            sync: { theme: 'light', siteProfiles: { '*.example.com': { theme: 'dark' } } },
+            tabs: [{ id: 7, url: 'https://docs.example.com/guide' }]
+        });
+
+        assert.equal(plugin.getTheme(), 'dark');
+        assert.equal(document.getElementById('scope-toggle').value, 'site');
+        assert.equal(document.getElementById('site-pattern').value, '*.example.com');
+        assert.equal(document.getElementById('site-pattern').disabled, false);
+    });
+
+    it('lists the extension commands', async () => {
+        const { document } = await openPopup();
+        await waitFor(() => document.querySelectorAll('#shortcut-list dt').length);
+
+        const descriptions = Object.values(manifest.commands)
+            .map(command => command.description)
+            .filter(Boolean);
+        assert.deepEqual([...document.querySelectorAll('#shortcut-list dt')].map(dt => dt.textContent), descriptions);
+        assert.equal(document.querySelector('#shortcut-list kbd').textContent, manifest.commands['toggle-reader-mode'].suggested_key.default);
+    });
+});
+
+describe('saving settings', () => {
+    it('saves changes to the global settings', async () => {
+        const { window, chrome } = await openPopup();
+
+        choose(window, 'theme-toggle', 'dark');
+        choose(window, 'dark-mode-toggle', 'filter');
+
+        await waitFor(() => chrome.storage.sync.dump().darkMode);
+        assert.equal(chrome.storage.sync.dump().theme, 'dark');
+        assert.equal(chrome.storage.sync.dump().darkMode, 'filter');
+    });
+
+    it('saves changes into the site profile in site scope', async () => {
+        const { window, chrome } = await openPopup({ sync: { theme: 'light' } });
+
+        choose(window, 'scope-toggle', 'site');
+        choose(window, 'site-pattern', 'example.com', 'input');
+        choose(window, 'theme-toggle', 'dark');
+
+        const siteProfiles = await waitFor(() => chrome.storage.sync.dump().siteProfiles);
+        assert.deepEqual(siteProfiles, { 'example.com': { theme: 'dark' } });
+        assert.equal(chrome.storage.sync.dump().theme, 'light');
+    });
+
+    it('saves typography once the slider stops moving', async () => {
+        const { window, chrome } = await openPopup();
+
+        choose(window, 'line-height-toggle', '1.8', 'input');
+        choose(window, 'line-height-toggle', '2', 'input');
+        await flush();
+        assert.equal(chrome.storage.sync.dump().lineHeight, undefined);
+
+        await waitFor(() => chrome.storage.sync.dump().lineHeight);
+        assert.equal(chrome.storage.sync.dump().lineHeight, 2);
+    });
+
+    it('saves the filters from their controls and previews them in the popup', async () => {
+        const { window, document, chrome } = await openPopup();
+
+        choose(window, 'vision-toggle', 'deuteranopia');
+        choose(window, 'blue-light-toggle', '30', 'input');
+        click(window, 'reduced-motion-toggle');
+
+        const filters = await waitFor(() => chrome.storage.sync.dump().filters);
+        assert.deepEqual(filters, { vision: 'deuteranopia', saturation: 100, blueLight: 30, reducedMotion: true });
+        assert.equal(document.documentElement.style.getPropertyValue('filter'), `url("#theme-font-toggle-filter-${window.themeFontToggle.instanceId}")`);
+        assert.equal(document.documentElement.hasAttribute('data-reduced-motion'), true);
+    });
+
+    it('shows the filters that apply to the active tab', async () => {
+        const { document } = await openPopup({ sync: { filters: { vision: 'tritanopia', saturation: 60 } } });
+
+        assert.equal(document.getElementById('vision-toggle').value, 'tritanopia');
+        assert.equal(document.getElementById('saturation-toggle').value, '60');
+        assert.equal(document.getElementById('reduced-motion-toggle').checked, false);
+    });
+
+    it('shows why a change wasn\'t saved', async () => {
+        const { window, document, chrome } = await openPopup({ sync: { theme: 'light' } });
+        const status = document.getElementById('settings-status');
+
+        chrome.storage.sync.failWrites('QUOTA_BYTES quota exceeded');
+        choose(window, 'theme-toggle', 'dark');
+
+        await waitFor(() => status.textContent);
+        assert.equal(status.textContent, 'Settings not saved: QUOTA_BYTES quota exceeded');
+        assert.equal(chrome.storage.sync.dump().theme, 'light');
+
+        chrome.storage.sync.failWrites(null);
+        choose(window, 'font-size-toggle', 'large');
+        await waitFor(() => !status.textContent);
+        assert.equal(chrome.storage.sync.dump().fontSize, 'large');
+    });
+
+    it('removes the site profile with Use Global Settings', async () => {
+        const { window, document, chrome, plugin } = await openPopup({
+            sync: { theme: 'light', siteProfiles: { 'example.com': { theme: 'dark' }, 'other.org': { theme: 'dark' } } }
+        });
+
+        click(window, 'clear-site-profile');
+
+        await waitFor(() => !('example.com' in chrome.storage.sync.dump().siteProfiles));
+        assert.deepEqual(Object.keys(chrome.storage.sync.dump().siteProfiles), ['other.org']);
+        await waitFor(() => document.getElementById('scope-toggle').value === 'global');
+        assert.equal(plugin.getTheme(), 'light');
+    });
+});
+
+describe('undo history', () => {
+    function press(window, target, key, modifiers = {}) {
+        target.dispatchEvent(new window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...modifiers }));
+    }
+
+    it('undoes and redoes changes with the buttons and keys', async () => {
+        const { window, document, chrome, plugin } = await openPopup({ sync: { theme: 'light' } });
+        const undoButton = document.getElementById('undo-settings');
+        const redoButton = document.getElementById('redo-settings');
+        assert.equal(undoButton.disabled, true);
+
+        choose(window, 'theme-toggle', 'dark');
+        await waitFor(() => chrome.storage.sync.dump().theme === 'dark');
+        assert.equal(undoButton.disabled, false);
+
+        click(window, 'undo-settings');
+        await waitFor(() => chrome.storage.sync.dump().theme === 'light');
+        assert.equal(document.getElementById('theme-toggle').value, 'light');
+        assert.deepEqual([undoButton.disabled, redoButton.disabled], [true, false]);
+
+        press(window, document.body, 'Z', { ctrlKey: true, shiftKey: true });
+        await waitFor(() => chrome.storage.sync.dump().theme === 'dark');
+        assert.equal(plugin.getTheme(), 'dark');
+
+        // Text fields keep Ctrl+Z for their own text
+        press(window, document.getElementById('site-pattern'), 'z', { ctrlKey: true });
+        assert.equal(plugin.getTheme(), 'dark');
+
+        press(window, document.getElementById('theme-toggle'), 'z', { metaKey: true });
+        assert.equal(plugin.getTheme(), 'light');
+    });
+
+    it('forgets the history when the scope changes', async () => {
+        const { window, document } = await openPopup();
+
+        choose(window, 'theme-toggle', 'dark');
+        choose(window, 'scope-toggle', 'site');
+
+        assert.equal(document.getElementById('undo-settings').disabled, true);
+        assert.equal(window.themeFontToggle.canUndo(), false);
+    });
+});
+
+describe('site access', () => {
+    it('turns the extension off for the active site', async () => {
+        const { window, document, chrome } = await openPopup({ sync: { siteAccess: { mode: 'exclude', patterns: ['other.org'] } } });
+        assert.equal(document.getElementById('site-enabled').checked, true);
+        assert.equal(document.getElementById('site-access-patterns').value, 'other.org');
+
+        const toggle = document.getElementById('site-enabled');
+        toggle.checked = false;
+        toggle.dispatchEvent(new window.Event('change', { bubbles: true }));
+
+        await waitFor(() => document.getElementById('site-enabled-status').textContent);
+        assert.deepEqual(chrome.storage.sync.dump().siteAccess, { mode: 'exclude', patterns: ['other.org', 'example.com'] });
+        assert.equal(document.getElementById('site-access-patterns').value, 'other.org\nexample.com');
+    });
+
+    it('saves the edited list and reports invalid rules', async () => {
+        const { window, document, chrome } = await openPopup();
+
+        choose(window, 'site-access-patterns', 'docs.example.com\n/no-host\n', 'input');
+        click(window, 'site-access-save');
+        assert.equal(document.getElementById('site-access-status').textContent, 'Not a site rule: /no-host');
+
+        choose(window, 'site-access-mode', 'allow');
+        choose(window, 'site-access-patterns', 'Example.com\n\n*.example.org\nGitHub.com/MyOrg', 'input');
+        document.getElementById('detect-native-dark').checked = false;
+        click(window, 'site-access-save');
+
+        await waitFor(() => document.getElementById('site-access-status').textContent === 'Saved.');
+        const stored = chrome.storage.sync.dump();
+        // Hosts are lowercased, paths keep their case
+        assert.deepEqual(stored.siteAccess, { mode: 'allow', patterns: ['example.com', '*.example.org', 'github.com/MyOrg'] });
+        assert.equal(stored.detectNativeDark, false);
+    });
+});
+
+describe('site styles', () => {
+    it('lists the site\'s element rules and removes them', async () => {
+        const headingRule = { selector: 'h1', background: '--bg-secondary', font: 'serif' };
+        const { document, chrome } = await openPopup({
+            sync: { 'siteStyles:example.com': { rules: [{ selector: '.ad', untouched: true }, headingRule] } }
+        });
+
+        const items = [...document.querySelectorAll('#site-rule-list li')];
+        assert.deepEqual(items.map(item => item.querySelector('code').textContent), ['.ad', 'h1']);
+        assert.deepEqual(items.map(item => item.querySelector('span').textContent), ['Left untouched', 'Background: Surface, Font: serif']);
+
+        items[0].querySelector('button').click();
+
+        await waitFor(() => document.getElementById('site-styles-status').textContent === 'Saved.');
+        assert.deepEqual(chrome.storage.sync.dump()['siteStyles:example.com'], { rules: [headingRule] });
+        assert.equal(document.querySelectorAll('#site-rule-list li').length, 1);
+    });
+
+    it('saves the site\'s CSS', async () => {
+        const { window, document, chrome } = await openPopup();
+
+        choose(window, 'site-css', '  .cookie-banner { display: none !important; }\n', 'input');
+        click(window, 'site-css-save');
+
+        await waitFor(() => document.getElementById('site-styles-status').textContent === 'Saved.');
+        assert.deepEqual(chrome.storage.sync.dump()['siteStyles:example.com'], {
+            rules: [], css: '.cookie-banner { display: none !important; }'
+        });
+    });
+
+    it('says when the site\'s CSS is too large to sync', async () => {
+        const { window, document, chrome } = await openPopup({ sync: { 'siteStyles:example.com': { css: 'h1 { margin: 0; }' } } });
+
+        choose(window, 'site-css', `/* ${'x'.repeat(9000)} */`, 'input');
+        click(window, 'site-css-save');
+
+        const status = document.getElementById('site-styles-status');
+        await waitFor(() => status.textContent !== '');
+        assert.equal(status.textContent, 'Settings not saved: site styles for example.com would take 9049 bytes, '
+            + 'over the 8192 bytes sync storage allows per item');
+        assert.deepEqual(chrome.storage.sync.dump()['siteStyles:example.com'], { css: 'h1 { margin: 0; }' });
+    });
+
+    it('starts the element picker and gets out of the way', async () => {
+        const { window, chrome } = await openPopup({
+            onTabMessage: (tabId, message) => (message.action === 'startElementPicker' ? { success: true } : undefined)
+        });
+        let closed = false;
+        window.close = () => { closed = true; };
+
+        click(window, 'pick-element');
+
+        await waitFor(() => closed);
+        assert.ok(chrome.tabs.sentMessages.some(sent => sent.message.action === 'startElementPicker'));
+    });
+});
+
+describe('messages to the active tab', () => {
+    it('reports reader mode opening', async () => {
+        const { window, document, chrome } = await openPopup({
+            onTabMessage: (tabId, message) => (message.action === 'toggleReaderMode' ? { success: true, open: true } : undefined)
+        });
+
+        click(window, 'reader-mode-toggle');
+
+        const status = document.getElementById('reader-status');
+        await waitFor(() => status.textContent);
+        assert.equal(status.textContent, 'Reader mode on. Press Esc to exit.');
+        const readerMessages = chrome.tabs.sentMessages.filter(sent => sent.message.action === 'toggleReaderMode');
+        assert.deepEqual(readerMessages, [{ tabId: 1, message: { action: 'toggleReaderMode' } }]);
+    });
+
+    it('reports a page without a content script', async () => {
+        const { window, document } = await openPopup();
+
+        click(window, 'reader-mode-toggle');
+
+        const status = document.getElementById('reader-status');
+        await waitFor(() => status.textContent);
+        assert.equal(status.textContent, 'Reader mode isn\'t available on this page.');
+    });
+
+    it('summarizes the contrast report', async () => {
+        const report = {
+            level: 'AA',
+            required: 4.5,
+            sampled: 12,
+            failures: [{ ratio: 2.1 }, { ratio: 3.9 }],
+            themeFailures: [{ ratio: 4.1 }],
+            themeUnparsed: ['--accent-color']
+        };
+        const { window, document } = await openPopup({
+            onTabMessage: () => ({ success: true, report })
+        });
+
+        click(window, 'check-contrast');
+
+        const status = document.getElementById('contrast-status');
+        await waitFor(() => status.textContent);
+        assert.equal(status.textContent, '2 of 12 text samples fail AA (4.5:1). 1 theme colour pair(s) also fail. 1 theme colour(s) couldn\'t be checked.');
+    });
+});
+
+describe('palette editor', () => {
+    it('saves, applies and deletes a custom theme', async () => {
+        const { window, document, chrome, plugin } = await openPopup();
+
+        choose(window, 'palette-name', 'sepia', 'input');
+        document.querySelector('[data-token="--bg-primary"]').value = '#f4ecd8';
+        document.querySelector('[data-token="--text-primary"]').value = '#3b2f2f';
+        click(window, 'palette-save');
+
+        assert.equal(document.getElementById('palette-status').textContent, 'Saved "sepia"');
+        assert.equal(plugin.getTheme(), 'sepia');
+        const customThemes = await waitFor(() => chrome.storage.sync.dump().customThemes);
+        assert.equal(customThemes.sepia['--bg-primary'], '#f4ecd8');
+
+        click(window, 'palette-delete');
+
+        assert.equal(document.getElementById('palette-status').textContent, 'Deleted "sepia"');
+        await waitFor(() => !('sepia' in chrome.storage.sync.dump().customThemes));
+    });
+
+    it('explains why a theme name is refused', async () => {
+        const { window, document } = await openPopup();
+
+        choose(window, 'palette-name', 'dark', 'input');
+        click(window, 'palette-save');
+
+        assert.match(document.getElementById('palette-status').textContent, /dark/);
+        assert.doesNotMatch(document.getElementById('palette-status').textContent, /^ThemeFontToggle:/);
+    });
+});
+
+describe('backup export', () => {
+    it('keeps the download URL until the download has started', async () => {
+        const { window, document } = await openPopup({ sync: { theme: 'dark' } });
+        const events = [];
+        window.URL.createObjectURL = () => 'blob:backup';
+        window.URL.revokeObjectURL = url => events.push(`revoke ${url}`);
+        window.HTMLAnchorElement.prototype.click = function () {
+            events.push(`click ${this.download}`);
+            // Runs once the click has been handled
+            Promise.resolve().then(() => events.push('clicked'));
+        };
+
+        window.exportBackup();
+
+        const status = document.getElementById('backup-status');
+        await waitFor(() => events.length === 3);
+        assert.equal(status.textContent, 'Settings exported.');
+        assert.match(events[0], /^click theme-font-toggle-\d{4}-\d{2}-\d{2}\.json$/);
+        assert.deepEqual(events.slice(1), ['clicked', 'revoke blob:backup']);
+    });
+});
+
+describe('backup import', () => {
+    it('reports every invalid value and saves nothing', async () => {
+        const { window, document, chrome } = await openPopup({ sync: { theme: 'light' } });
+        const backup = {
+            format: 'theme-font-toggle-settings',
+            version: 1,
+            settings: { theme: 'dark', darkMode: 'invert' },
+            siteProfiles: { 'example.com': { readerWidth: 500 } }
+        };
+
+        window.importBackup(new window.File([JSON.stringify(backup)], 'backup.json', { type: 'application/json' }));
+
+        const status = document.getElementById('backup-status');
+        await waitFor(() => status.textContent);
+        assert.equal(status.textContent, 'Invalid settings: settings.darkMode: unsupported value "invert"; '
+            + 'siteProfiles.example.com.readerWidth: unsupported value "500"');
+        const stored = chrome.storage.sync.dump();
+        assert.equal(stored.theme, 'light');
+        assert.equal(stored.darkMode, undefined);
+        assert.equal(stored.siteProfiles, undefined);
+    });
+});
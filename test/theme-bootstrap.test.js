@@ -0,0 +1,188 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const { createWindow, createMatchMedia, loadScripts } = require('./helpers/dom');
+const ThemeBootstrap = require('../theme-bootstrap.js');
+const ThemeFilters = require('../theme-filters.js');
+
+// Run the bootstrap script in a fresh page's <head>, with values already stored
+function bootstrap(options = {}, { stored = {}, media = {} } = {}) {
+    const dom = createWindow('<!DOCTYPE html><html><head></head><body><p>Text</p></body></html>', {
+        matchMedia: createMatchMedia(media)
+    });
+    Object.entries(stored).forEach(([key, value]) => dom.window.localStorage.setItem(key, value));
+    dom.window.eval(ThemeBootstrap.getBootstrapScript(options));
+    return dom;
+}
+
+// The primitives of the page's SVG filter, as getFilterPrimitives() gives them
+function readFilterPrimitives(document, id = 'theme-font-toggle-filter') {
+    const filter = document.getElementById(id);
+    return filter && [...filter.children].map(primitive => ({
+        type: primitive.getAttribute('type'),
+        values: primitive.getAttribute('values')
+    }));
+}
+
+describe('stored values', () => {
+    it('sets the attributes for valid stored values, custom themes and fonts included', () => {
+        const { window } = bootstrap({}, {
+            stored: {
+                'theme-font-toggle-theme': 'sepia',
+                'theme-font-toggle-font': 'Inter',
+                'theme-font-toggle-font-size': 'large',
+                'theme-font-toggle-custom-themes': JSON.stringify({ sepia: { '--bg-primary': '#f4ecd8' } }),
+                'theme-font-toggle-custom-fonts': JSON.stringify({ Inter: { family: 'Inter, sans-serif' } })
+            }
+        });
+        const root = window.document.documentElement;
+
+        assert.equal(root.getAttribute('data-theme'), 'sepia');
+        assert.equal(root.getAttribute('data-font'), 'Inter');
+        assert.equal(root.getAttribute('data-font-size'), 'large');
+    });
+
+    it('gives the defaults for values the plugin wouldn\'t accept', () => {
+        const stored = {
+            'theme-font-toggle-theme': 'neon',
+            'theme-font-toggle-font': 'constructor',
+            'theme-font-toggle-font-size': '20px'
+        };
+        const root = bootstrap({ defaultTheme: 'dark' }, { stored }).window.document.documentElement;
+        const cookie = Object.entries(stored).map(([key, value]) => `${key}=${value}`).join('; ');
+
+        assert.equal(root.getAttribute('data-theme'), 'dark');
+        assert.equal(root.getAttribute('data-font'), 'system');
+        assert.equal(root.getAttribute('data-font-size'), 'medium');
+        assert.deepEqual(ThemeBootstrap.getServerSettings(cookie), { theme: 'light', font: 'system', fontSize: 'medium' });
+    });
+});
+
+describe('applied attributes', () => {
+    it('sets the stored typography in range and the custom theme styles, which the plugin keeps', async () => {
+        const dom = bootstrap({}, {
+            stored: {
+                'theme-font-toggle-theme': 'sepia',
+                'theme-font-toggle-font-scale': '120',
+                'theme-font-toggle-line-height': '1.8',
+                'theme-font-toggle-letter-spacing': '0.05',
+                'theme-font-toggle-word-spacing': '9',
+                'theme-font-toggle-paragraph-spacing': 'wide',
+                'theme-font-toggle-custom-themes': JSON.stringify({
+                    sepia: { '--bg-primary': '#f4ecd8' },
+                    inject: { '--text-primary': 'red; } body { display: none' }
+                })
+            }
+        });
+        const { window } = dom;
+        const root = window.document.documentElement;
+        const style = window.document.getElementById('theme-font-toggle-custom-themes');
+
+        assert.deepEqual(['--font-scale', '--line-height', '--letter-spacing', '--word-spacing', '--paragraph-spacing']
+            .map(property => root.style.getPropertyValue(property)), ['1.2', '1.8', '0.05em', '', '']);
+        assert.equal(root.getAttribute('data-theme'), 'sepia');
+        assert.match(style.textContent, /\[data-theme="sepia"\] \{\n {4}--bg-primary: #f4ecd8;\n\}/);
+        assert.doesNotMatch(style.textContent, /display/);
+
+        // The plugin takes over without changing anything
+        const changes = [];
+        ['themeChanged', 'fontScaleChanged', 'lineHeightChanged'].forEach(name => {
+            window.document.addEventListener(`themeFontToggle:${name}`, () => changes.push(name));
+        });
+        loadScripts(dom, ['theme-font-toggle.js']);
+        const plugin = new window.ThemeFontToggle({ shortcuts: false });
+        await plugin.ready;
+
+        assert.deepEqual(changes, []);
+        // Its own style replaces the bootstrap's
+        assert.equal(style.isConnected, false);
+        assert.equal(window.document.querySelectorAll('style').length, 1);
+        assert.match(window.document.getElementById(`theme-font-toggle-custom-themes-${plugin.instanceId}`).textContent,
+            /\[data-theme="sepia"\]/);
+        assert.equal(root.style.getPropertyValue('--font-scale'), '1.2');
+    });
+});
+
+describe('escaping', () => {
+    it('escapes < so configured values can\'t close the inline script', () => {
+        const key = '</script><script>window.injected = true</script>';
+        const script = ThemeBootstrap.getBootstrapScript({ storageKeys: { theme: key } });
+        assert.doesNotMatch(script, /<\/script/i);
+
+        const { window } = new JSDOM(`<!DOCTYPE html><html><head><script>${script}</script></head><body></body></html>`, {
+            url: 'https://example.com/',
+            runScripts: 'dangerously',
+            beforeParse: page => page.localStorage.setItem(key, 'dark')
+        });
+
+        assert.equal(window.injected, undefined);
+        assert.equal(window.document.scripts.length, 1);
+        assert.equal(window.document.documentElement.getAttribute('data-theme'), 'dark');
+    });
+
+    it('escapes the server\'s attribute values and skips invalid attribute names', () => {
+        const html = ThemeBootstrap.renderHtmlAttributes({
+            'data-theme': '"><script>alert(1)</script>',
+            'onload="alert(1)"': 'x',
+            'data-font': 'serif & sans'
+        });
+
+        assert.equal(html, 'data-theme="&quot;&gt;&lt;script&gt;alert(1)&lt;/script&gt;" data-font="serif &amp; sans"');
+    });
+});
+
+describe('filters before paint', () => {
+    it('applies the stored filters and reduced motion as the plugin does', async () => {
+        const filters = { vision: 'deuteranopia', saturation: 55, blueLight: '40', reducedMotion: true };
+        const dom = bootstrap({}, { stored: { 'theme-font-toggle-filters': JSON.stringify(filters) } });
+        const { window } = dom;
+        const root = window.document.documentElement;
+
+        assert.equal(root.getAttribute('data-reduced-motion'), '');
+        assert.equal(root.style.getPropertyValue('filter'), 'url("#theme-font-toggle-filter")');
+        assert.deepEqual(readFilterPrimitives(window.document), ThemeFilters.getFilterPrimitives(filters));
+
+        // The plugin replaces the filter with its own
+        loadScripts(dom, ['theme-filters.js', 'theme-font-toggle.js']);
+        const plugin = new window.ThemeFontToggle({ shortcuts: false });
+        await plugin.ready;
+        const id = `theme-font-toggle-filter-${plugin.instanceId}`;
+
+        assert.equal(window.document.querySelectorAll('filter').length, 1);
+        assert.equal(root.style.getPropertyValue('filter'), `url("#${id}")`);
+        assert.deepEqual(readFilterPrimitives(window.document, id), ThemeFilters.getFilterPrimitives(filters));
+        assert.equal(root.getAttribute('data-reduced-motion'), '');
+    });
+
+    it('falls back to the default filters for invalid stored ones', () => {
+        const { window } = bootstrap({ defaultFilters: { saturation: 50 } }, {
+            stored: { 'theme-font-toggle-filters': JSON.stringify({ vision: 'constructor' }) }
+        });
+
+        assert.deepEqual(readFilterPrimitives(window.document), [{ type: 'saturate', values: '0.5' }]);
+        assert.equal(window.document.documentElement.hasAttribute('data-reduced-motion'), false);
+    });
+
+    it('follows the system\'s reduced motion preference unless told not to', () => {
+        const following = bootstrap({}, { media: { reducedMotion: true } }).window.document.documentElement;
+        const ignoring = bootstrap({ respectSystemPreferences: false }, { media: { reducedMotion: true } }).window.document.documentElement;
+
+        assert.equal(following.getAttribute('data-reduced-motion'), '');
+        assert.equal(following.style.getPropertyValue('filter'), '');
+        assert.equal(ignoring.hasAttribute('data-reduced-motion'), false);
+    });
+
+    it('sets reduced motion on the server from the cookie or the client hint', () => {
+        const cookie = `theme-font-toggle-filters=${encodeURIComponent(JSON.stringify({ reducedMotion: true, vision: 'greyscale' }))}`;
+        const fromCookie = ThemeBootstrap.getServerAttributes(cookie, { storage: 'cookie' });
+        const fromHint = ThemeBootstrap.getServerAttributes({ headers: { 'sec-ch-prefers-reduced-motion': 'reduce' } });
+
+        assert.deepEqual(fromCookie, {
+            'data-theme': 'light',
+            'data-font': 'system',
+            'data-font-size': 'medium',
+            'data-reduced-motion': ''
+        });
+        assert.equal(fromHint['data-reduced-motion'], '');
+    });
+});
@@ -0,0 +1,177 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createWindow, createMatchMedia, loadScripts, flush } = require('./helpers/dom');
+
+let dom = null;
+
+// A page with the plugin and the controls, and an instance whose preferences have loaded
+async function setup(body = '') {
+    const matchMedia = createMatchMedia();
+    dom = createWindow(`<!DOCTYPE html><html><head></head><body>${body}</body></html>`, { matchMedia });
+    const { window } = dom;
+    loadScripts(dom, ['theme-font-toggle.js', 'theme-controls.js']);
+
+    const plugin = new window.ThemeFontToggle({ shortcuts: false });
+    window.themeFontToggle = plugin;
+    await plugin.ready;
+    await flush();
+    return { window, document: window.document, plugin, matchMedia };
+}
+
+// Press a key on the focused element, as a user would
+function press(window, key) {
+    const event = new window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true });
+    window.document.activeElement.dispatchEvent(event);
+    return event;
+}
+
+// Each radio's value and aria-checked, and which one is in the tab order
+function readRadios(host) {
+    return [...host.querySelectorAll('[role="radio"]')].map(radio =>
+        `${radio.dataset.value}:${radio.getAttribute('aria-checked')}${radio.tabIndex === 0 ? ':tab' : ''}`);
+}
+
+afterEach(() => {
+    if (dom) dom.window.close();
+    dom = null;
+});
+
+describe('<theme-switch>', () => {
+    it('is a radio group with the current theme checked and alone in the tab order', async () => {
+        const { document } = await setup('<theme-switch></theme-switch>');
+        const host = document.querySelector('theme-switch');
+
+        assert.equal(host.getAttribute('role'), 'radiogroup');
+        assert.equal(host.getAttribute('aria-label'), 'Theme');
+        assert.equal(host.getAttribute('aria-disabled'), 'false');
+        assert.deepEqual(readRadios(host), ['light:true:tab', 'dark:false', 'auto:false']);
+    });
+
+    it('moves the selection with the arrow keys, Home and End, wrapping at the ends', async () => {
+        const { window, document, plugin } = await setup('<theme-switch></theme-switch>');
+        const host = document.querySelector('theme-switch');
+        host.querySelector('[data-value="light"]').focus();
+
+        const arrow = press(window, 'ArrowRight');
+        assert.equal(arrow.defaultPrevented, true);
+        assert.equal(plugin.getTheme(), 'dark');
+        assert.equal(document.activeElement.dataset.value, 'dark');
+
+        press(window, 'End');
+        assert.equal(plugin.getTheme(), 'auto');
+        press(window, 'ArrowDown');
+        assert.equal(plugin.getTheme(), 'light');
+        press(window, 'ArrowLeft');
+        assert.equal(plugin.getTheme(), 'auto');
+        press(window, 'Home');
+        assert.equal(plugin.getTheme(), 'light');
+
+        // Other keys are left to the page
+        assert.equal(press(window, 'Enter').defaultPrevented, false);
+
+        press(window, 'ArrowUp');
+        await flush();
+        assert.deepEqual(readRadios(host), ['light:false', 'dark:false', 'auto:true:tab']);
+    });
+
+    it('follows changes made elsewhere and is disabled until the plugin has loaded', async () => {
+        const { window, document, plugin } = await setup('<div id="switch"></div>');
+        // An async store keeps the preferences loading until the test lets them
+        let load;
+        const loaded = new Promise(resolve => { load = resolve; });
+        const storage = { get: () => loaded, set() {}, remove() {} };
+        const pending = new window.ThemeFontToggle({ shortcuts: false, storage });
+        const host = document.getElementById('switch');
+
+        const control = window.ThemeControls.mount(host, 'theme-switch', { plugin: pending, themes: ['dark', 'light'] });
+        assert.equal(host.getAttribute('aria-disabled'), 'true');
+        assert.deepEqual(readRadios(host), []);
+
+        load(null);
+        await pending.ready;
+        await flush();
+        assert.deepEqual(readRadios(host), ['dark:false', 'light:true:tab']);
+
+        control.setPlugin(plugin);
+        plugin.setTheme('dark');
+        await flush();
+        assert.deepEqual(readRadios(host), ['dark:true:tab', 'light:false']);
+    });
+});
+
+describe('<theme-palette>', () => {
+    it('offers the palettes, registered themes included, but not the modes', async () => {
+        const { document, plugin } = await setup('<theme-palette></theme-palette>');
+        plugin.registerTheme('sepia', { '--bg-primary': '#f4ecd8' });
+        await flush();
+
+        const host = document.querySelector('theme-palette');
+        assert.deepEqual(readRadios(host), ['light:true:tab', 'dark:false', 'sepia:false']);
+        assert.equal(host.querySelector('[data-value="sepia"] .theme-palette-label').textContent, 'Sepia');
+    });
+});
+
+describe('<theme-toggle>', () => {
+    it('switches between light and dark, with aria-pressed for dark', async () => {
+        const { document, plugin } = await setup('<theme-toggle label="Night mode"></theme-toggle>');
+        const button = document.querySelector('theme-toggle button');
+
+        assert.equal(button.getAttribute('aria-label'), 'Night mode');
+        assert.equal(button.getAttribute('aria-pressed'), 'false');
+
+        button.click();
+        await flush();
+        assert.equal(plugin.getTheme(), 'dark');
+        assert.equal(button.getAttribute('aria-pressed'), 'true');
+    });
+
+    it('follows the system scheme while the theme is auto', async () => {
+        const { document, plugin, matchMedia } = await setup('<theme-toggle></theme-toggle>');
+        const button = document.querySelector('theme-toggle button');
+        plugin.setTheme('auto');
+        await flush();
+
+        matchMedia.setDark(true);
+        assert.equal(button.getAttribute('aria-pressed'), 'true');
+    });
+});
+
+describe('<font-size-stepper>', () => {
+    it('steps through the sizes, marking the ends with aria-disabled', async () => {
+        const { document, plugin } = await setup('<font-size-stepper sizes="medium large"></font-size-stepper>');
+        const host = document.querySelector('font-size-stepper');
+        const decrease = host.querySelector('.font-size-stepper-decrease');
+        const increase = host.querySelector('.font-size-stepper-increase');
+
+        assert.equal(host.getAttribute('role'), 'group');
+        assert.equal(host.querySelector('[aria-live="polite"]').textContent, 'Medium');
+        assert.deepEqual([decrease.getAttribute('aria-disabled'), increase.getAttribute('aria-disabled')], ['true', 'false']);
+
+        increase.click();
+        increase.click();
+        await flush();
+
+        assert.equal(plugin.getFontSize(), 'large');
+        assert.equal(host.querySelector('[aria-live="polite"]').textContent, 'Large');
+        assert.deepEqual([decrease.getAttribute('aria-disabled'), increase.getAttribute('aria-disabled')], ['false', 'true']);
+    });
+});
+
+describe('removal', () => {
+    it('removes what it rendered and the labels it added, keeping the page\'s own', async () => {
+        const { document, plugin } = await setup(
+            '<theme-switch></theme-switch><font-size-stepper aria-label="Zoom"></font-size-stepper>');
+        const themeSwitch = document.querySelector('theme-switch');
+        const stepper = document.querySelector('font-size-stepper');
+        const detached = document.createElement('div');
+
+        detached.append(themeSwitch, stepper);
+        plugin.setTheme('dark');
+        await flush();
+
+        assert.equal(themeSwitch.childElementCount, 0);
+        assert.deepEqual(['role', 'aria-label', 'aria-disabled'].map(name => themeSwitch.hasAttribute(name)), [false, false, false]);
+        assert.equal(stepper.getAttribute('aria-label'), 'Zoom');
+        assert.equal(themeSwitch.classList.contains('theme-control'), false);
+    });
+});
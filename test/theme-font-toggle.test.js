@@ -0,0 +1,763 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createWindow, createMatchMedia, loadScripts, flush } = require('./helpers/dom');
+
+// The plugin and the helpers index.html loads before it
+const LIBRARY_SCRIPTS = ['theme-contrast.js', 'theme-filters.js', 'theme-schedule.js', 'theme-storage.js',
+    'theme-font-toggle.js'];
+
+const EVENT_NAMES = ['initialized', 'themeChanged', 'fontChanged', 'fontSizeChanged', 'lineHeightChanged',
+    'filtersChanged', 'contrastWarning', 'invalidPreference', 'preferencesMigrated', 'reset', 'storageCleared', 'destroyed'];
+
+const SELECTORS_HTML = `<!DOCTYPE html><html><head></head><body>
+    <select id="theme-toggle">
+        <option value="light">Light</option><option value="dark">Dark</option><option value="auto">Auto</option>
+    </select>
+    <select id="font-toggle">
+        <option value="system">System</option><option value="serif">Serif</option>
+    </select>
+    <select id="font-size-toggle">
+        <option value="small">Small</option><option value="medium">Medium</option>
+        <option value="large">Large</option><option value="extra-large">Extra Large</option>
+    </select>
+    <select id="vision-toggle">
+        <option value="none">None</option><option value="deuteranopia">Deuteranopia</option>
+    </select>
+    <input type="range" id="blue-light-toggle" min="0" max="100" step="5" value="0">
+    <input type="checkbox" id="reduced-motion-toggle">
+</body></html>`;
+
+let dom = null;
+
+// Load the plugin into a fresh page, optionally with stored values, and record its events
+async function setup(options = {}, { stored = {}, dark = false, media = {} } = {}) {
+    const matchMedia = createMatchMedia({ dark, ...media });
+    dom = createWindow(SELECTORS_HTML, { matchMedia });
+    const { window } = dom;
+
+    Object.entries(stored).forEach(([key, value]) => window.localStorage.setItem(key, value));
+    loadScripts(dom, LIBRARY_SCRIPTS);
+
+    // Details are copied out of the window's realm so deepStrictEqual compares plain objects
+    const events = [];
+    EVENT_NAMES.forEach(name => {
+        window.document.addEventListener(`themeFontToggle:${name}`, (e) => {
+            events.push({ name, detail: { ...e.detail } });
+        });
+    });
+
+    const warnings = [];
+    window.console.warn = (...args) => warnings.push(args.map(String).join(' '));
+
+    const plugin = new window.ThemeFontToggle({ shortcuts: false, ...options });
+    await plugin.ready;
+    return { window, document: window.document, plugin, matchMedia, events, warnings };
+}
+
+const eventsNamed = (events, name) => events.filter(event => event.name === name);
+
+// Change a <select> the way a user would
+function choose(window, selector, value) {
+    const select = window.document.querySelector(selector);
+    select.value = value;
+    select.dispatchEvent(new window.Event('change', { bubbles: true }));
+}
+
+afterEach(() => {
+    if (dom) dom.window.close();
+    dom = null;
+});
+
+describe('defaults', () => {
+    it('applies the default settings on a first visit', async () => {
+        const { window, document, plugin } = await setup();
+        const root = document.documentElement;
+
+        const settings = plugin.getSettings();
+        assert.deepEqual(settings, window.ThemeFontToggle.getDefaultSettings());
+        assert.deepEqual({ ...settings.filters }, { vision: 'none', saturation: 100, blueLight: 0, reducedMotion: false });
+        // The filters keep their identity until they change
+        assert.equal(plugin.getSettings().filters, settings.filters);
+        plugin.setFilters({ saturation: 50 });
+        assert.notEqual(plugin.getSettings().filters, settings.filters);
+        assert.equal(plugin.getSettings().filters.saturation, 50);
+        assert.equal(root.getAttribute('data-theme'), 'light');
+        assert.equal(root.getAttribute('data-font'), 'system');
+        assert.equal(root.getAttribute('data-font-size'), 'medium');
+        assert.equal(root.style.getPropertyValue('--line-height'), '1.6');
+    });
+
+    it('uses the configured defaults and reflects them in the selectors', async () => {
+        const { document, plugin } = await setup({ defaultTheme: 'dark', defaultFont: 'serif', defaultFontSize: 'large' });
+
+        assert.equal(plugin.getTheme(), 'dark');
+        assert.equal(plugin.getFont(), 'serif');
+        assert.equal(plugin.getFontSize(), 'large');
+        assert.equal(document.querySelector('#theme-toggle').value, 'dark');
+        assert.equal(document.querySelector('#font-size-toggle').value, 'large');
+    });
+
+    it('saves nothing until a setting changes', async () => {
+        const { window } = await setup();
+        assert.equal(window.localStorage.length, 0);
+    });
+});
+
+describe('persistence', () => {
+    it('saves each setting under its prefixed key', async () => {
+        const { window, plugin } = await setup();
+
+        plugin.setTheme('dark');
+        plugin.setFont('serif');
+        plugin.setFontSize('large');
+        plugin.setLineHeight(1.8);
+
+        assert.equal(window.localStorage.getItem('theme-font-toggle-theme'), 'dark');
+        assert.equal(window.localStorage.getItem('theme-font-toggle-font'), 'serif');
+        assert.equal(window.localStorage.getItem('theme-font-toggle-font-size'), 'large');
+        assert.equal(window.localStorage.getItem('theme-font-toggle-line-height'), '1.8');
+        assert.equal(window.localStorage.getItem('theme-font-toggle-version'), '2');
+    });
+
+    it('restores saved settings in a new instance', async () => {
+        const { window, plugin } = await setup();
+        plugin.setTheme('dark');
+        plugin.setFontSize('small');
+        plugin.setLetterSpacing(0.12);
+        plugin.destroy();
+
+        const restored = new window.ThemeFontToggle({ shortcuts: false });
+        assert.equal(restored.getTheme(), 'dark');
+        assert.equal(restored.getFontSize(), 'small');
+        assert.equal(restored.getLetterSpacing(), 0.12);
+        assert.equal(window.document.documentElement.getAttribute('data-theme'), 'dark');
+    });
+
+    it('saves changes made through the selectors', async () => {
+        const { window, plugin } = await setup();
+
+        choose(window, '#theme-toggle', 'auto');
+        choose(window, '#font-size-toggle', 'extra-large');
+
+        assert.equal(plugin.getTheme(), 'auto');
+        assert.equal(window.localStorage.getItem('theme-font-toggle-theme'), 'auto');
+        assert.equal(window.localStorage.getItem('theme-font-toggle-font-size'), 'extra-large');
+    });
+
+    it('keeps instances with different prefixes apart', async () => {
+        const { window } = await setup({}, { stored: { 'theme-font-toggle-theme': 'dark' } });
+
+        const other = new window.ThemeFontToggle({ shortcuts: false, storagePrefix: 'docs' });
+        assert.equal(other.getTheme(), 'light');
+
+        other.setTheme('auto');
+        assert.equal(window.localStorage.getItem('docs-theme'), 'auto');
+        assert.equal(window.localStorage.getItem('theme-font-toggle-theme'), 'dark');
+    });
+
+    it('replaces and removes an invalid stored value', async () => {
+        const { window, plugin, events, warnings } = await setup({}, {
+            stored: { 'theme-font-toggle-version': '2', 'theme-font-toggle-font-size': 'gigantic' }
+        });
+
+        assert.equal(plugin.getFontSize(), 'medium');
+        assert.equal(window.localStorage.getItem('theme-font-toggle-font-size'), null);
+        assert.deepEqual(eventsNamed(events, 'invalidPreference').map(event => event.detail), [{
+            key: 'fontSize',
+            value: 'gigantic',
+            fallback: 'medium',
+            reason: 'Unknown fontSize "gigantic"'
+        }]);
+        assert.equal(warnings.length, 1);
+        assert.match(warnings[0], /Ignoring invalid stored fontSize/);
+    });
+
+    it('falls back to the defaults when an async adapter fails to read', async () => {
+        const { window, warnings } = await setup();
+        const storage = { get: () => Promise.reject(new Error('Offline')), set() {}, remove() {} };
+
+        const plugin = new window.ThemeFontToggle({ shortcuts: false, defaultTheme: 'dark', storage });
+        const settings = await plugin.ready;
+
+        assert.deepEqual([settings.theme, settings.font, settings.fontSize], ['dark', 'system', 'medium']);
+        assert.equal(window.document.documentElement.getAttribute('data-theme'), 'dark');
+        assert.match(warnings[0], /Storage get failed Error: Offline/);
+    });
+
+    it('moves font sizes older versions saved to a font scale', async () => {
+        const { window, plugin, events } = await setup({}, {
+            stored: { 'theme-font-toggle-version': '1', 'theme-font-toggle-font-size': '20px' }
+        });
+
+        assert.equal(plugin.getFontSize(), 'medium');
+        assert.equal(plugin.getFontScale(), 125);
+        assert.equal(window.localStorage.getItem('theme-font-toggle-font-size'), 'medium');
+        assert.equal(window.localStorage.getItem('theme-font-toggle-font-scale'), '125');
+        assert.equal(window.localStorage.getItem('theme-font-toggle-version'), '2');
+        assert.deepEqual(eventsNamed(events, 'preferencesMigrated').map(event => event.detail), [{ from: 1, to: 2 }]);
+        assert.deepEqual(eventsNamed(events, 'invalidPreference'), []);
+    });
+
+    it('keeps a saved font scale when moving a keyword font size', async () => {
+        const { plugin } = await setup({}, {
+            stored: { 'theme-font-toggle-font-size': 'xx-large', 'theme-font-toggle-font-scale': '110' }
+        });
+
+        assert.equal(plugin.getFontSize(), 'medium');
+        assert.equal(plugin.getFontScale(), 110);
+    });
+
+    it('refuses themes, fonts and sizes it doesn\'t know', async () => {
+        const { window, plugin, events } = await setup();
+
+        assert.throws(() => plugin.setTheme('neon'), /Unknown theme "neon"/);
+        assert.throws(() => plugin.setFont('Comic Sans'), /Unknown font "Comic Sans"/);
+        assert.throws(() => plugin.setFontSize('huge'), /Unknown fontSize "huge"/);
+
+        assert.deepEqual([plugin.getTheme(), plugin.getFont(), plugin.getFontSize()], ['light', 'system', 'medium']);
+        assert.equal(window.localStorage.length, 0);
+        assert.deepEqual(events.map(event => event.name), ['initialized']);
+    });
+
+    it('checks custom themes synced from another tab as it checks stored ones', async () => {
+        const { window, document, plugin } = await setup();
+        const synced = {
+            sepia: { 'bg-primary': ' #f4ecd8 ' },
+            inject: { '--bg-primary': 'red; } body { display: none' },
+            dark: {}
+        };
+
+        plugin.applySyncedSettings({ customThemes: JSON.stringify(synced) }, 'storage');
+
+        assert.deepEqual(Object.keys(plugin.customThemes), ['sepia']);
+        assert.deepEqual({ ...plugin.customThemes.sepia }, { '--bg-primary': '#f4ecd8' });
+        assert.doesNotMatch(document.getElementById(`theme-font-toggle-custom-themes-${plugin.instanceId}`).textContent, /display: none/);
+        // The tab that sent them owns the stored value
+        assert.equal(window.localStorage.getItem('theme-font-toggle-custom-themes'), null);
+    });
+});
+
+describe('events', () => {
+    it('dispatches initialized with the loaded settings', async () => {
+        const { events } = await setup({}, {
+            stored: { 'theme-font-toggle-version': '2', 'theme-font-toggle-theme': 'dark' }
+        });
+
+        assert.deepEqual(eventsNamed(events, 'initialized').map(event => event.detail), [
+            { theme: 'dark', font: 'system', fontSize: 'medium' }
+        ]);
+    });
+
+    it('dispatches change events with the current theme, font and size', async () => {
+        const { plugin, events } = await setup();
+
+        plugin.setTheme('dark');
+        plugin.setFont('serif');
+        plugin.setFontSize('large');
+
+        assert.deepEqual(events.slice(1).map(({ name, detail }) => ({ name, detail })), [
+            { name: 'themeChanged', detail: { theme: 'dark', font: 'system', fontSize: 'medium' } },
+            { name: 'fontChanged', detail: { theme: 'dark', font: 'serif', fontSize: 'medium' } },
+            { name: 'fontSizeChanged', detail: { theme: 'dark', font: 'serif', fontSize: 'large' } }
+        ]);
+    });
+
+    it('dispatches typography changes with all settings', async () => {
+        const { plugin, events } = await setup();
+
+        plugin.setLineHeight(2);
+
+        const [event] = eventsNamed(events, 'lineHeightChanged');
+        assert.deepEqual(event.detail, { ...plugin.getSettings() });
+        assert.equal(event.detail.lineHeight, 2);
+    });
+
+    it('dispatches bubbling events from the document', async () => {
+        const { window, document, plugin } = await setup();
+        let received = null;
+        document.body.addEventListener('themeFontToggle:themeChanged', () => {
+            received = 'body';
+        });
+        window.addEventListener('themeFontToggle:themeChanged', (e) => {
+            received = received || (e.bubbles ? 'window' : null);
+        });
+
+        plugin.setTheme('dark');
+        assert.equal(received, 'window');
+    });
+});
+
+describe('auto mode', () => {
+    it('sets the auto theme and leaves the colours to prefers-color-scheme', async () => {
+        const { document, plugin } = await setup({ defaultTheme: 'auto' }, { dark: true });
+
+        assert.equal(plugin.getTheme(), 'auto');
+        assert.equal(document.documentElement.getAttribute('data-theme'), 'auto');
+    });
+
+    it('re-applies the theme when the system scheme changes in auto mode', async () => {
+        const { plugin, matchMedia } = await setup({ defaultTheme: 'auto' });
+        const applied = [];
+        plugin.applyTheme = theme => applied.push(theme);
+
+        matchMedia.setDark(true);
+        matchMedia.setDark(false);
+
+        assert.deepEqual(applied, ['auto', 'auto']);
+    });
+
+    it('ignores system scheme changes with an explicit theme', async () => {
+        const { plugin, matchMedia } = await setup();
+        const applied = [];
+        plugin.applyTheme = theme => applied.push(theme);
+
+        matchMedia.setDark(true);
+
+        assert.deepEqual(applied, []);
+    });
+
+    it('does not follow the system scheme with autoDetectSystemTheme off', async () => {
+        const { matchMedia } = await setup({ defaultTheme: 'auto', autoDetectSystemTheme: false });
+        assert.equal(matchMedia.listenerCount('dark'), 0);
+    });
+});
+
+describe('contrast', () => {
+    it('reads hsl(), named and percent-alpha colours, and reports the tokens it can\'t read', async () => {
+        const { plugin, events } = await setup();
+        plugin.registerTheme('dusk', {
+            '--bg-primary': 'hsl(220 30% 12%)',
+            '--text-primary': 'rgb(255 255 255 / 8%)',
+            '--text-secondary': 'gainsboro',
+            '--accent-color': 'color-mix(in srgb, gold, white)'
+        });
+
+        plugin.setTheme('dusk');
+
+        const report = plugin.getContrastReport();
+        assert.deepEqual([...report.results].map(result => [result.foreground, result.ratio, result.passes]),
+            [['--text-primary', 1.25, false], ['--text-secondary', 12.5, true]]);
+        assert.deepEqual([...report.unparsed], ['--accent-color']);
+        assert.equal(eventsNamed(events, 'contrastWarning').length, 1);
+    });
+});
+
+describe('filters', () => {
+    const filterElement = (document, plugin) => document.getElementById(`theme-font-toggle-filter-${plugin.instanceId}`);
+
+    it('applies, saves and announces colour filters', async () => {
+        const { window, document, plugin, events } = await setup();
+
+        plugin.setFilters({ vision: 'deuteranopia', blueLight: '30' });
+
+        const filters = { vision: 'deuteranopia', saturation: 100, blueLight: 30, reducedMotion: false };
+        assert.deepEqual({ ...plugin.getFilters() }, filters);
+        assert.equal(document.documentElement.style.getPropertyValue('filter'), `url("#theme-font-toggle-filter-${plugin.instanceId}")`);
+        assert.deepEqual(Array.from(filterElement(document, plugin).children, primitive => primitive.getAttribute('type')),
+            ['matrix', 'matrix']);
+        assert.deepEqual(JSON.parse(window.localStorage.getItem('theme-font-toggle-filters')), filters);
+        assert.deepEqual(eventsNamed(events, 'filtersChanged').map(event => ({ ...event.detail, filters: { ...event.detail.filters } })),
+            [{ filters: filters, reducedMotion: false }]);
+    });
+
+    it('combines filters into one SVG filter and removes it once none are left', async () => {
+        const { document, plugin } = await setup();
+
+        plugin.setFilters({ vision: 'greyscale', saturation: 50 });
+        assert.deepEqual(Array.from(filterElement(document, plugin).children, primitive => primitive.getAttribute('values')),
+            ['0', '0.5']);
+
+        plugin.setFilters({ vision: 'none', saturation: 100 });
+        assert.equal(filterElement(document, plugin), null);
+        assert.equal(document.documentElement.style.getPropertyValue('filter'), '');
+    });
+
+    it('uses a filters module handed over with use(), as the ES module build needs', async () => {
+        dom = createWindow(SELECTORS_HTML, { matchMedia: createMatchMedia() });
+        const { window } = dom;
+        loadScripts(dom, ['theme-filters.js', 'theme-font-toggle.js']);
+        const { ThemeFilters } = window;
+        delete window.ThemeFilters;
+
+        const bare = new window.ThemeFontToggle({ shortcuts: false });
+        await bare.ready;
+        assert.equal(bare.getFilters(), null);
+        bare.destroy();
+        assert.throws(() => window.ThemeFontToggle.use({ ThemeColors: {} }), /Unknown helper module "ThemeColors"/);
+
+        assert.equal(window.ThemeFontToggle.use({ ThemeFilters }), window.ThemeFontToggle);
+        const plugin = new window.ThemeFontToggle({ shortcuts: false });
+        await plugin.ready;
+        plugin.setFilters({ vision: 'greyscale' });
+
+        assert.equal(plugin.getFilters().vision, 'greyscale');
+    });
+
+    it('rejects invalid filters without changing the current ones', async () => {
+        const { plugin } = await setup();
+
+        assert.throws(() => plugin.setFilters({ vision: 'sepia' }), /Unknown vision filter "sepia"/);
+        assert.throws(() => plugin.setFilters({ blueLight: 150 }), /blueLight must be between 0 and 100/);
+        assert.equal(plugin.getFilters().vision, 'none');
+    });
+
+    it('restores stored filters and drops invalid ones', async () => {
+        const { plugin } = await setup({}, {
+            stored: { 'theme-font-toggle-filters': JSON.stringify({ vision: 'tritanopia', reducedMotion: true }) }
+        });
+        assert.equal(plugin.getFilters().vision, 'tritanopia');
+        assert.equal(plugin.isReducedMotion(), true);
+
+        const { window, plugin: second, events } = await setup({}, {
+            stored: { 'theme-font-toggle-filters': JSON.stringify({ vision: 'sepia' }) }
+        });
+        assert.equal(second.getFilters().vision, 'none');
+        assert.equal(window.localStorage.getItem('theme-font-toggle-filters'), null);
+        assert.equal(eventsNamed(events, 'invalidPreference')[0].detail.key, 'filters');
+    });
+
+    it('stops transitions with the reduced motion filter or the system preference', async () => {
+        const { document, plugin, matchMedia } = await setup();
+        const root = document.documentElement;
+
+        plugin.setFilters({ reducedMotion: true });
+        assert.equal(root.hasAttribute('data-reduced-motion'), true);
+
+        plugin.setFilters({ reducedMotion: false });
+        assert.equal(root.hasAttribute('data-reduced-motion'), false);
+
+        matchMedia.set('reducedMotion', true);
+        assert.equal(root.hasAttribute('data-reduced-motion'), true);
+        assert.equal(plugin.getFilters().reducedMotion, false);
+    });
+
+    it('ignores the system preferences with respectSystemPreferences off', async () => {
+        const { document, plugin } = await setup({ respectSystemPreferences: false }, {
+            media: { reducedMotion: true, moreContrast: true }
+        });
+
+        assert.equal(document.documentElement.hasAttribute('data-reduced-motion'), false);
+        assert.equal(plugin.getEnforcedContrastLevel(), false);
+    });
+
+    it('enforces AAA contrast when the system asks for more contrast', async () => {
+        const { plugin, matchMedia } = await setup({}, { media: { moreContrast: true } });
+        assert.equal(plugin.getEnforcedContrastLevel(), 'AAA');
+
+        plugin.setEnforceContrast('AA');
+        assert.equal(plugin.getEnforcedContrastLevel(), 'AA');
+
+        plugin.setEnforceContrast(false);
+        matchMedia.set('moreContrast', false);
+        assert.equal(plugin.getEnforcedContrastLevel(), false);
+    });
+
+    it('follows and updates the filter controls', async () => {
+        const { window, document, plugin } = await setup();
+
+        choose(window, '#vision-toggle', 'deuteranopia');
+        const checkbox = document.querySelector('#reduced-motion-toggle');
+        checkbox.checked = true;
+        checkbox.dispatchEvent(new window.Event('change', { bubbles: true }));
+        const slider = document.querySelector('#blue-light-toggle');
+        slider.value = '40';
+        slider.dispatchEvent(new window.Event('input', { bubbles: true }));
+
+        assert.deepEqual({ ...plugin.getFilters() }, { vision: 'deuteranopia', saturation: 100, blueLight: 40, reducedMotion: true });
+
+        plugin.reset();
+        assert.equal(document.querySelector('#vision-toggle').value, 'none');
+        assert.equal(checkbox.checked, false);
+        assert.equal(slider.value, '0');
+    });
+
+    it('exports and imports the filters', async () => {
+        const { plugin } = await setup();
+        plugin.setFilters({ vision: 'protanopia', saturation: 80 });
+        const exported = plugin.exportSettings();
+
+        plugin.reset();
+        plugin.importSettings(exported);
+        assert.equal(plugin.getFilters().vision, 'protanopia');
+        assert.equal(plugin.getFilters().saturation, 80);
+
+        assert.throws(() => plugin.validateSettings({ ...JSON.parse(exported), filters: { vision: 'sepia' } }),
+            /filters: Unknown vision filter "sepia"/);
+    });
+});
+
+describe('reset()', () => {
+    it('restores and saves the defaults', async () => {
+        const { window, plugin, events } = await setup({ defaultTheme: 'auto' });
+        plugin.setTheme('dark');
+        plugin.setFontSize('large');
+        plugin.setWordSpacing(0.2);
+
+        plugin.reset();
+
+        const defaults = { ...window.ThemeFontToggle.getDefaultSettings({ defaultTheme: 'auto' }) };
+        assert.deepEqual({ ...plugin.getSettings() }, defaults);
+        assert.equal(window.localStorage.getItem('theme-font-toggle-theme'), 'auto');
+        assert.equal(window.localStorage.getItem('theme-font-toggle-word-spacing'), '0');
+        assert.deepEqual(eventsNamed(events, 'reset').map(event => event.detail), [defaults]);
+    });
+
+    it('updates the selectors', async () => {
+        const { document, plugin } = await setup();
+        plugin.setTheme('dark');
+
+        plugin.reset();
+
+        assert.equal(document.querySelector('#theme-toggle').value, 'light');
+    });
+});
+
+describe('undo history', () => {
+    // Record historyChanged details, which the other suites leave out
+    function recordHistory(window) {
+        const details = [];
+        window.document.addEventListener('themeFontToggle:historyChanged', (e) => details.push({ ...e.detail }));
+        return details;
+    }
+
+    it('undoes and redoes changes one at a time and saves what they restore', async () => {
+        const { window, document, plugin } = await setup();
+        plugin.setTheme('dark');
+        plugin.setFontSize('large');
+
+        assert.equal(plugin.undo(), true);
+        assert.equal(plugin.getFontSize(), 'medium');
+        assert.equal(plugin.getTheme(), 'dark');
+        assert.equal(window.localStorage.getItem('theme-font-toggle-font-size'), 'medium');
+
+        plugin.undo();
+        assert.equal(plugin.getTheme(), 'light');
+        assert.equal(document.querySelector('#theme-toggle').value, 'light');
+        assert.equal(plugin.canUndo(), false);
+        assert.equal(plugin.undo(), false);
+
+        assert.equal(plugin.redo(), true);
+        assert.equal(plugin.getTheme(), 'dark');
+        assert.equal(plugin.canRedo(), true);
+        plugin.redo();
+        assert.equal(plugin.getFontSize(), 'large');
+        assert.equal(plugin.canRedo(), false);
+        assert.equal(plugin.redo(), false);
+    });
+
+    it('drops what was undone once another change is made', async () => {
+        const { plugin } = await setup();
+        plugin.setTheme('dark');
+        plugin.undo();
+
+        plugin.setFont('serif');
+
+        assert.equal(plugin.canRedo(), false);
+        plugin.undo();
+        assert.deepEqual([plugin.getTheme(), plugin.getFont()], ['light', 'system']);
+    });
+
+    it('records changes from the controls and leaves out ones that change nothing', async () => {
+        const { window, plugin } = await setup();
+
+        choose(window, '#theme-toggle', 'dark');
+        plugin.setTheme('dark');
+        choose(window, '#vision-toggle', 'deuteranopia');
+
+        plugin.undo();
+        assert.equal(plugin.getFilters().vision, 'none');
+        plugin.undo();
+        assert.equal(plugin.getTheme(), 'light');
+        assert.equal(plugin.canUndo(), false);
+    });
+
+    it('undoes reset(), an import and a batch as one step each', async () => {
+        const { window, plugin } = await setup();
+        plugin.setTheme('dark');
+        plugin.setLineHeight(2);
+        plugin.setFilters({ blueLight: 40 });
+
+        plugin.reset();
+        plugin.undo();
+
+        assert.deepEqual([plugin.getTheme(), plugin.getLineHeight(), plugin.getFilters().blueLight], ['dark', 2, 40]);
+
+        plugin.importSettings({ format: 'theme-font-toggle-settings', version: 1, settings: { theme: 'light', fontSize: 'small' } });
+        plugin.batchHistory(() => {
+            plugin.setFont('serif');
+            plugin.setWordSpacing(0.2);
+        });
+
+        plugin.undo();
+        assert.deepEqual([plugin.getFont(), plugin.getWordSpacing(), plugin.getFontSize()], ['system', 0, 'small']);
+        plugin.undo();
+        assert.deepEqual([plugin.getTheme(), plugin.getFontSize()], ['dark', 'medium']);
+        assert.equal(window.localStorage.getItem('theme-font-toggle-theme'), 'dark');
+    });
+
+    it('keeps at most historyLimit steps', async () => {
+        const { plugin } = await setup({ historyLimit: 2 });
+        plugin.setTheme('dark');
+        plugin.setFontSize('large');
+        plugin.setFont('serif');
+
+        plugin.undo();
+        plugin.undo();
+
+        assert.equal(plugin.canUndo(), false);
+        assert.equal(plugin.getTheme(), 'dark');
+    });
+
+    it('records nothing with historyLimit 0', async () => {
+        const { plugin } = await setup({ historyLimit: 0 });
+        plugin.setTheme('dark');
+
+        assert.equal(plugin.canUndo(), false);
+        assert.equal(plugin.undo(), false);
+    });
+
+    it('leaves synced changes out and undoes only the settings a step changed', async () => {
+        const { plugin } = await setup();
+        plugin.setTheme('dark');
+
+        plugin.applySyncedSettings({ fontSize: 'large', theme: 'auto' }, 'storage');
+        plugin.undo();
+
+        assert.deepEqual([plugin.getTheme(), plugin.getFontSize()], ['light', 'large']);
+        assert.equal(plugin.canUndo(), false);
+    });
+
+    it('skips themes removed since a step', async () => {
+        const { plugin, warnings } = await setup();
+        plugin.registerTheme('sepia', { '--bg-primary': '#f4ecd8' });
+        plugin.setTheme('sepia');
+        plugin.setTheme('dark');
+        plugin.unregisterTheme('sepia');
+
+        plugin.undo();
+
+        assert.equal(plugin.getTheme(), 'dark');
+        assert.match(warnings.join('\n'), /Can't restore theme/);
+    });
+
+    it('dispatches historyChanged with what undo and redo can do', async () => {
+        const { window, plugin } = await setup();
+        const history = recordHistory(window);
+
+        plugin.setTheme('dark');
+        plugin.undo();
+        plugin.redo();
+        plugin.clearHistory();
+        plugin.clearHistory();
+
+        assert.deepEqual(history, [
+            { action: 'change', canUndo: true, canRedo: false },
+            { action: 'undo', canUndo: false, canRedo: true },
+            { action: 'redo', canUndo: true, canRedo: false },
+            { action: 'clear', canUndo: false, canRedo: false }
+        ]);
+    });
+});
+
+describe('clearStorage()', () => {
+    it('removes every stored preference but keeps the current settings', async () => {
+        const { window, plugin, events } = await setup();
+        plugin.setTheme('dark');
+        plugin.setParagraphSpacing(2);
+        plugin.registerTheme('sepia', { '--bg-primary': '#f4ecd8' });
+
+        plugin.clearStorage();
+
+        const keys = Object.keys(window.localStorage).filter(key => key.startsWith('theme-font-toggle-'));
+        assert.deepEqual(keys, []);
+        assert.equal(plugin.getTheme(), 'dark');
+        assert.deepEqual(eventsNamed(events, 'storageCleared').map(event => event.detail), [{ ...plugin.getSettings() }]);
+    });
+
+    it('leaves a new instance with the defaults', async () => {
+        const { window, plugin } = await setup();
+        plugin.setTheme('dark');
+        plugin.clearStorage();
+        plugin.destroy();
+
+        assert.equal(new window.ThemeFontToggle({ shortcuts: false }).getTheme(), 'light');
+    });
+});
+
+describe('destroy()', () => {
+    it('stops following the selectors, shortcuts and the system scheme', async () => {
+        const { window, document, plugin, matchMedia } = await setup({ defaultTheme: 'auto', shortcuts: true });
+        plugin.destroy();
+
+        choose(window, '#theme-toggle', 'dark');
+        document.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'T', altKey: true, shiftKey: true, bubbles: true }));
+
+        assert.equal(plugin.getTheme(), 'auto');
+        assert.equal(window.localStorage.getItem('theme-font-toggle-theme'), null);
+        assert.equal(matchMedia.listenerCount(), 0);
+    });
+
+    it('stops a running schedule timer', async () => {
+        const { plugin } = await setup({ defaultTheme: 'schedule' });
+        assert.notEqual(plugin.scheduleTimer, null);
+
+        plugin.destroy();
+        await flush();
+
+        assert.equal(plugin.scheduleTimer, null);
+    });
+
+    it('dispatches destroyed once', async () => {
+        const { plugin, events } = await setup();
+
+        plugin.destroy();
+        plugin.destroy();
+
+        assert.deepEqual(eventsNamed(events, 'destroyed').map(event => event.detail), [{ ...plugin.getSettings() }]);
+    });
+
+    it('removes only its own theme and font rules and filter', async () => {
+        const { window, document, plugin } = await setup();
+        const shadow = document.body.appendChild(document.createElement('div')).attachShadow({ mode: 'open' });
+        const widgetRoot = shadow.appendChild(document.createElement('div'));
+        const widget = new window.ThemeFontToggle({ shortcuts: false, root: widgetRoot, storagePrefix: 'widget' });
+        await widget.ready;
+
+        plugin.registerTheme('sepia', { '--bg-primary': '#f4ecd8' });
+        widget.registerTheme('slate', { '--bg-primary': '#2f3640' });
+        plugin.registerFont({ name: 'Inter', sources: '/fonts/inter.woff2' });
+        widget.registerFont({ name: 'Mono', sources: '/fonts/mono.woff2' });
+        plugin.setFilters({ vision: 'greyscale' });
+        widget.setFilters({ saturation: 50 });
+
+        // The widget's rules and filter are in its shadow tree; its @font-face rules have to be in the document
+        assert.match(shadow.getElementById(`widget-custom-themes-${widget.instanceId}`).textContent, /slate/);
+        const widgetRules = shadow.getElementById(`widget-custom-fonts-${widget.instanceId}`).textContent;
+        assert.match(widgetRules, /\[data-font="Mono"\]/);
+        assert.doesNotMatch(widgetRules, /@font-face/);
+        assert.match(document.getElementById(`widget-custom-font-faces-${widget.instanceId}`).textContent, /@font-face/);
+        assert.notEqual(shadow.getElementById(`widget-filter-${widget.instanceId}`), null);
+        assert.equal(widgetRoot.style.getPropertyValue('filter'), `url("#widget-filter-${widget.instanceId}")`);
+
+        widget.destroy();
+
+        assert.equal(shadow.getElementById(`widget-custom-themes-${widget.instanceId}`), null);
+        assert.equal(shadow.getElementById(`widget-custom-fonts-${widget.instanceId}`), null);
+        assert.equal(shadow.getElementById(`widget-filter-${widget.instanceId}`), null);
+        assert.equal(document.getElementById(`widget-custom-font-faces-${widget.instanceId}`), null);
+        assert.equal(widgetRoot.style.getPropertyValue('filter'), '');
+        assert.match(document.getElementById(`theme-font-toggle-custom-themes-${plugin.instanceId}`).textContent, /sepia/);
+        assert.match(document.getElementById(`theme-font-toggle-custom-fonts-${plugin.instanceId}`).textContent, /Inter/);
+        assert.notEqual(document.getElementById(`theme-font-toggle-filter-${plugin.instanceId}`), null);
+        assert.equal(document.documentElement.style.getPropertyValue('filter'), `url("#theme-font-toggle-filter-${plugin.instanceId}")`);
+    });
+
+    it('leaves the applied attributes in place', async () => {
+        const { document, plugin } = await setup();
+        plugin.setTheme('dark');
+
+        plugin.destroy();
+
+        assert.equal(document.documentElement.getAttribute('data-theme'), 'dark');
+    });
+});
@@ -0,0 +1,104 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createWindow, loadScripts, useWindowGlobals, withoutDocument, flush } = require('./helpers/dom');
+
+// React DOM looks for a document as it loads, so the page comes first
+const dom = createWindow();
+const window = useWindowGlobals(dom.window);
+loadScripts(dom, ['theme-font-toggle.js']);
+global.IS_REACT_ACT_ENVIRONMENT = true;
+
+const { createElement: h, act } = require('react');
+const { createRoot, hydrateRoot } = require('react-dom/client');
+const { renderToString } = require('react-dom/server');
+const { ThemeFontProvider, useTheme, useFontSize, useThemeFontToggle } = require('../theme-react.js');
+
+let cleanup = [];
+
+// A container on the page, removed after the test
+function createContainer() {
+    const container = window.document.body.appendChild(window.document.createElement('div'));
+    cleanup.push(() => container.remove());
+    return container;
+}
+
+// The theme as a button that switches to dark
+function ThemeButton() {
+    const [theme, setTheme] = useTheme();
+    return h('button', { onClick: () => setTheme('dark') }, theme);
+}
+
+afterEach(async () => {
+    for (const step of cleanup.reverse()) await step();
+    cleanup = [];
+    window.localStorage.clear();
+});
+
+describe('hooks', () => {
+    it('re-render when the settings change, in the component or anywhere else', async () => {
+        const plugin = new window.ThemeFontToggle({ shortcuts: false });
+        await plugin.ready;
+        const container = createContainer();
+        const root = createRoot(container);
+        cleanup.push(() => act(() => root.unmount()), () => plugin.destroy());
+
+        function FontSize() {
+            const [fontSize] = useFontSize();
+            return h('span', null, fontSize);
+        }
+        await act(() => root.render(h(ThemeFontProvider, { plugin }, h(ThemeButton), h(FontSize))));
+        assert.equal(container.textContent, 'lightmedium');
+
+        await act(() => container.querySelector('button').click());
+        assert.equal(plugin.getTheme(), 'dark');
+        assert.equal(container.textContent, 'darkmedium');
+
+        await act(() => plugin.setFontSize('large'));
+        assert.equal(container.textContent, 'darklarge');
+    });
+
+    it('give every setting, a setter for them and the plugin', async () => {
+        const plugin = new window.ThemeFontToggle({ shortcuts: false });
+        await plugin.ready;
+        const root = createRoot(createContainer());
+        cleanup.push(() => act(() => root.unmount()), () => plugin.destroy());
+        let result = null;
+
+        function Capture() {
+            result = useThemeFontToggle();
+            return null;
+        }
+        await act(() => root.render(h(ThemeFontProvider, { plugin }, h(Capture))));
+        await act(() => result.setSettings({ font: 'serif', lineHeight: 1.8 }));
+
+        assert.equal(result.plugin, plugin);
+        assert.deepEqual([result.settings.font, result.settings.lineHeight], ['serif', 1.8]);
+    });
+
+    it('must be inside a <ThemeFontProvider>', () => {
+        assert.throws(() => renderToString(h(ThemeButton)), /useTheme\(\) must be used inside <ThemeFontProvider>/);
+    });
+});
+
+describe('server rendering', () => {
+    it('renders the initial settings, then hydrates to the saved ones without a mismatch', async () => {
+        window.localStorage.setItem('theme-font-toggle-theme', 'dark');
+        const app = h(ThemeFontProvider, { options: { shortcuts: false }, initialSettings: { theme: 'light' } },
+            h(ThemeButton));
+        const container = createContainer();
+        const errors = [];
+
+        container.innerHTML = withoutDocument(() => renderToString(app));
+        assert.equal(container.textContent, 'light');
+
+        let root;
+        await act(() => {
+            root = hydrateRoot(container, app, { onRecoverableError: error => errors.push(error) });
+        });
+        cleanup.push(() => act(() => root.unmount()));
+        await act(() => flush());
+
+        assert.equal(container.textContent, 'dark');
+        assert.deepEqual(errors, []);
+    });
+});
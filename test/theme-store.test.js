@@ -0,0 +1,142 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createWindow, loadScripts, flush } = require('./helpers/dom');
+const ThemeStore = require('../theme-store.js');
+
+let dom = null;
+
+// Load the plugin and the store into a fresh page
+function setup(stored = {}) {
+    dom = createWindow();
+    Object.entries(stored).forEach(([key, value]) => dom.window.localStorage.setItem(key, value));
+    return loadScripts(dom, ['theme-filters.js', 'theme-font-toggle.js', 'theme-store.js']);
+}
+
+afterEach(() => {
+    if (dom) dom.window.close();
+    dom = null;
+});
+
+describe('on the server', () => {
+    it('holds the defaults and the initial settings without a document', () => {
+        assert.equal(typeof document, 'undefined');
+        const store = ThemeStore.createThemeStore({
+            options: { defaultTheme: 'dark' },
+            initialSettings: { fontSize: 'large' }
+        });
+        const calls = [];
+
+        const unsubscribe = store.subscribe(settings => calls.push(settings));
+        store.set({ theme: 'light' });
+        unsubscribe();
+
+        assert.equal(store.get(), store.getServerSnapshot());
+        assert.deepEqual([store.get().theme, store.get().font, store.get().fontSize], ['dark', 'system', 'large']);
+        assert.equal(calls.length, 1);
+        assert.equal(store.getPlugin(), null);
+    });
+});
+
+describe('subscriptions', () => {
+    it('calls subscribers straight away and after each change', async () => {
+        const window = setup();
+        const store = window.ThemeStore.createThemeStore({ options: { shortcuts: false } });
+        const seen = [];
+
+        const unsubscribe = store.subscribe(settings => seen.push(`${settings.theme} ${settings.lineHeight}`));
+        const plugin = store.getPlugin();
+        await plugin.ready;
+
+        plugin.setTheme('dark');
+        store.set({ theme: 'light', lineHeight: 1.8 });
+        unsubscribe();
+        store.update(settings => ({ fontSize: settings.fontSize === 'medium' ? 'large' : 'medium' }));
+
+        assert.deepEqual(seen, ['light 1.6', 'dark 1.6', 'light 1.6', 'light 1.8']);
+        assert.equal(plugin.getFontSize(), 'large');
+    });
+
+    it('returns the same settings object until they change', async () => {
+        const window = setup();
+        const store = window.ThemeStore.createThemeStore({ options: { shortcuts: false } });
+        await store.getPlugin().ready;
+        const before = store.get();
+
+        assert.equal(store.get(), before);
+        store.getPlugin().setFont('serif');
+        assert.notEqual(store.get(), before);
+        assert.equal(store.get().font, 'serif');
+
+        const beforeFilters = store.get();
+        assert.equal(store.get(), beforeFilters);
+        store.set({ filters: { vision: 'greyscale' } });
+        assert.notEqual(store.get(), beforeFilters);
+        assert.equal(store.get().filters.vision, 'greyscale');
+        assert.equal(store.get().font, 'serif');
+    });
+
+    it('applies changes made before the preferences load once they have', async () => {
+        const window = setup({ 'theme-font-toggle-theme': 'dark' });
+        const store = window.ThemeStore.createThemeStore({ options: { shortcuts: false } });
+
+        store.set({ fontSize: 'large' });
+        await store.getPlugin().ready;
+        await flush();
+
+        assert.deepEqual([store.get().theme, store.get().fontSize], ['dark', 'large']);
+    });
+
+    it('gives stores of one setting that skip the others\' changes', async () => {
+        const window = setup();
+        const store = window.ThemeStore.createThemeStore({ options: { shortcuts: false } });
+        await store.getPlugin().ready;
+        const theme = store.select('theme');
+        const themes = [];
+
+        theme.subscribe(value => themes.push(value));
+        theme.set('dark');
+        store.set({ lineHeight: 2 });
+        theme.update(value => (value === 'dark' ? 'light' : 'dark'));
+
+        assert.deepEqual(themes, ['light', 'dark', 'light']);
+        assert.throws(() => store.select('colour'), /Unknown setting "colour"/);
+    });
+});
+
+describe('the plugin', () => {
+    it('destroys the plugin it created once the last listener has gone', async () => {
+        const window = setup();
+        const store = window.ThemeStore.createThemeStore({ options: { shortcuts: false } });
+        const plugin = store.getPlugin();
+
+        // Removed and added straight back, as React's StrictMode does
+        store.listen(() => {})();
+        const stop = store.listen(() => {});
+        await flush();
+        assert.equal(plugin.signal.aborted, false);
+
+        stop();
+        await flush();
+        assert.equal(plugin.signal.aborted, true);
+        assert.notEqual(store.getPlugin(), plugin);
+    });
+
+    it('uses window.themeFontToggle or the given plugin, and leaves it running', async () => {
+        const window = setup();
+        window.themeFontToggle = new window.ThemeFontToggle({ shortcuts: false });
+        const given = new window.ThemeFontToggle({ shortcuts: false });
+        const global = window.ThemeStore.createThemeStore();
+        const own = window.ThemeStore.createThemeStore({ plugin: given });
+
+        assert.equal(global.getPlugin(), window.themeFontToggle);
+        assert.equal(own.getPlugin(), given);
+
+        own.listen(() => {})();
+        global.destroy();
+        own.destroy();
+        await flush();
+
+        assert.equal(window.themeFontToggle.signal.aborted, false);
+        assert.equal(given.signal.aborted, false);
+    });
+});
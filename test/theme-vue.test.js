@@ -0,0 +1,114 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createWindow, loadScripts, useWindowGlobals, withoutDocument } = require('./helpers/dom');
+
+// Vue looks for a document as it loads, so the page comes first
+const dom = createWindow();
+const window = useWindowGlobals(dom.window);
+loadScripts(dom, ['theme-font-toggle.js']);
+
+const { createApp, createSSRApp, h, nextTick } = require('vue');
+const { renderToString } = require('vue/server-renderer');
+const { ThemeFontPlugin, useThemeFont } = require('../theme-vue.js');
+
+let cleanup = [];
+
+// Mount an app in a container on the page, both removed after the test
+function mount(app) {
+    const container = window.document.body.appendChild(window.document.createElement('div'));
+    app.mount(container);
+    cleanup.push(() => app.unmount(), () => container.remove());
+    return container;
+}
+
+// A component showing the theme and font size, which hands back what the composable gave
+function createSettingsView(capture) {
+    return {
+        setup() {
+            const result = useThemeFont();
+            capture(result);
+            return () => h('p', `${result.theme.value} ${result.fontSize.value}`);
+        }
+    };
+}
+
+afterEach(() => {
+    cleanup.reverse().forEach(step => step());
+    cleanup = [];
+    window.localStorage.clear();
+});
+
+describe('useThemeFont()', () => {
+    it('gives refs that follow the plugin and change it', async () => {
+        const plugin = new window.ThemeFontToggle({ shortcuts: false });
+        await plugin.ready;
+        let result = null;
+        const container = mount(createApp(createSettingsView(value => { result = value; }))
+            .use(ThemeFontPlugin, { plugin }));
+        cleanup.push(() => plugin.destroy());
+        assert.equal(container.textContent, 'light medium');
+
+        result.theme.value = 'dark';
+        await nextTick();
+        assert.equal(plugin.getTheme(), 'dark');
+        assert.equal(container.textContent, 'dark medium');
+
+        plugin.setFontSize('large');
+        result.setSettings({ lineHeight: 1.8 });
+        await nextTick();
+        assert.equal(container.textContent, 'dark large');
+        assert.equal(result.settings.value.lineHeight, 1.8);
+        assert.equal(result.getPlugin(), plugin);
+    });
+
+    it('leaves a given plugin running when the app unmounts', async () => {
+        const plugin = new window.ThemeFontToggle({ shortcuts: false });
+        await plugin.ready;
+        const app = createApp(createSettingsView(() => {})).use(ThemeFontPlugin, { plugin });
+
+        mount(app);
+        // Unmount now; the container goes with the rest of the cleanup
+        cleanup.shift()();
+
+        assert.equal(plugin.signal.aborted, false);
+        plugin.destroy();
+    });
+
+    it('needs app.use(ThemeFontPlugin)', () => {
+        const errors = [];
+        const app = createApp(createSettingsView(() => {}));
+        app.config.errorHandler = error => errors.push(error.message);
+        // Vue also warns that the failed component has nothing to render
+        app.config.warnHandler = () => {};
+
+        mount(app);
+
+        assert.deepEqual(errors, ['ThemeVue: useThemeFont() needs app.use(ThemeFontPlugin)']);
+    });
+});
+
+describe('server rendering', () => {
+    it('renders the initial settings, then hydrates to the saved ones without a mismatch', async () => {
+        window.localStorage.setItem('theme-font-toggle-theme', 'dark');
+        const storeOptions = { options: { shortcuts: false }, initialSettings: { theme: 'light' } };
+        const warnings = [];
+
+        const serverApp = withoutDocument(() => createSSRApp(createSettingsView(() => {})).use(ThemeFontPlugin, storeOptions));
+        const html = await renderToString(serverApp);
+
+        let result = null;
+        const app = createSSRApp(createSettingsView(value => { result = value; })).use(ThemeFontPlugin, storeOptions);
+        app.config.warnHandler = message => warnings.push(message);
+        const container = window.document.body.appendChild(window.document.createElement('div'));
+        container.innerHTML = html;
+        assert.equal(container.textContent, 'light medium');
+
+        app.mount(container);
+        cleanup.push(() => app.unmount(), () => container.remove());
+        await result.getPlugin().ready;
+        await nextTick();
+
+        assert.equal(container.textContent, 'dark medium');
+        assert.deepEqual(warnings, []);
+    });
+});
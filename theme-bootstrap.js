@@ -0,0 +1,472 @@
+/**
+ * Theme Bootstrap
+ * Applies saved ThemeFontToggle preferences before the page's first paint.
+ *
+ * `getBootstrapScript(options)` returns a small script to inline in `<head>`.
+ * It reads the saved preferences and sets `data-theme`, `data-font`,
+ * `data-font-size`, `data-reduced-motion` and the typography custom
+ * properties on `<html>`, and writes the custom theme styles and the colour
+ * filters, so the page never paints with the defaults first.
+ * The filters need theme-filters.js where the script is generated. The plugin takes over once it loads and finds everything already in
+ * place, so no change events are fired.
+ *
+ * `getServerAttributes(source, options)` does the same on the server from a
+ * cookie header or request, for pages that save preferences in cookies;
+ * `getServerSettings(source, options)` gives the settings themselves, for
+ * rendering framework components to match.
+ *
+ * Both accept the options given to the plugin; only the storage, key and
+ * default options are used.
+ */
+
+// Plugin defaults the bootstrap needs (see ThemeFontToggle's constructor)
+const BOOTSTRAP_DEFAULTS = {
+    storagePrefix: 'theme-font-toggle',
+    storage: 'localStorage',
+    defaultTheme: 'light',
+    defaultFont: 'system',
+    defaultFontSize: 'medium',
+    defaultFilters: {},
+    autoDetectSystemTheme: true,
+    respectSystemPreferences: true
+};
+
+// Stores that can be read synchronously before the page renders
+const BOOTSTRAP_STORAGES = ['localStorage', 'sessionStorage', 'cookie'];
+
+// Built-in values a stored theme, font or font size may take; custom themes
+// and fonts are read from storage (matches BUILT_IN_THEMES, BUILT_IN_FONTS
+// and FONT_SIZES in theme-font-toggle.js)
+const BOOTSTRAP_VALUES = {
+    theme: ['light', 'dark', 'auto', 'schedule'],
+    font: ['system', 'serif', 'sans-serif', 'monospace', 'cursive'],
+    fontSize: ['small', 'medium', 'large', 'extra-large']
+};
+
+// Typography settings: custom property, allowed range, and how values are written
+// (matches TYPOGRAPHY_SETTINGS in theme-font-toggle.js)
+const BOOTSTRAP_TYPOGRAPHY = {
+    fontScale: { property: '--font-scale', min: 75, max: 300, divisor: 100, unit: '' },
+    lineHeight: { property: '--line-height', min: 1, max: 3, divisor: 1, unit: '' },
+    letterSpacing: { property: '--letter-spacing', min: 0, max: 0.3, divisor: 1, unit: 'em' },
+    wordSpacing: { property: '--word-spacing', min: 0, max: 0.5, divisor: 1, unit: 'em' },
+    paragraphSpacing: { property: '--paragraph-spacing', min: 0, max: 3, divisor: 1, unit: 'em' }
+};
+
+// Storage key suffixes, as derived by the plugin from `storagePrefix`
+const BOOTSTRAP_KEY_SUFFIXES = {
+    theme: 'theme',
+    font: 'font',
+    fontSize: 'font-size',
+    fontScale: 'font-scale',
+    lineHeight: 'line-height',
+    letterSpacing: 'letter-spacing',
+    wordSpacing: 'word-spacing',
+    paragraphSpacing: 'paragraph-spacing',
+    customThemes: 'custom-themes',
+    customFonts: 'custom-fonts',
+    schedule: 'schedule',
+    filters: 'filters'
+};
+
+// theme-filters.js, when loaded, found as the plugin finds it
+function getBootstrapFiltersModule() {
+    if (typeof self !== 'undefined' && self.ThemeFilters) {
+        return self.ThemeFilters;
+    }
+    if (typeof require === 'function') {
+        try {
+            return require('./theme-filters.js');
+        } catch (error) {
+            return null;
+        }
+    }
+    return null;
+}
+
+// What the bootstrap needs to check stored filters and build their SVG
+// filter without theme-filters.js; null without it
+function getBootstrapFilters(config) {
+    const filtersModule = getBootstrapFiltersModule();
+    if (!filtersModule) return null;
+
+    let defaults;
+    try {
+        defaults = filtersModule.normalizeFilters({ ...filtersModule.DEFAULT_FILTERS, ...config.defaultFilters });
+    } catch (error) {
+        throw new Error(`ThemeBootstrap: Invalid defaultFilters: ${error.message}`);
+    }
+
+    const visionPrimitives = {};
+    filtersModule.VISION_FILTERS.forEach(vision => {
+        visionPrimitives[vision] = filtersModule.getFilterPrimitives({ vision });
+    });
+
+    return {
+        base: filtersModule.DEFAULT_FILTERS,
+        defaults,
+        ranges: filtersModule.FILTER_RANGES,
+        visionPrimitives,
+        blueLightReduction: filtersModule.BLUE_LIGHT_REDUCTION,
+        id: `${config.storagePrefix}-filter`
+    };
+}
+
+// Merge plugin options with the defaults and check the storage can be read before paint
+function getBootstrapConfig(options = {}) {
+    const config = { ...BOOTSTRAP_DEFAULTS, ...options };
+
+    if (!BOOTSTRAP_STORAGES.includes(config.storage)) {
+        throw new Error(`ThemeBootstrap: Preferences in ${typeof config.storage === 'string'
+            ? `"${config.storage}"` : 'a custom adapter'} can't be read before the page renders`);
+    }
+
+    const keys = {};
+    Object.entries(BOOTSTRAP_KEY_SUFFIXES).forEach(([key, suffix]) => {
+        keys[key] = (config.storageKeys && config.storageKeys[key]) || `${config.storagePrefix}-${suffix}`;
+    });
+
+    return {
+        storage: config.storage,
+        keys,
+        defaults: {
+            theme: config.defaultTheme,
+            font: config.defaultFont,
+            fontSize: config.defaultFontSize
+        },
+        schedule: config.schedule || {},
+        autoDetectSystemTheme: config.autoDetectSystemTheme,
+        respectSystemPreferences: config.respectSystemPreferences,
+        values: BOOTSTRAP_VALUES,
+        typography: BOOTSTRAP_TYPOGRAPHY,
+        filters: getBootstrapFilters(config),
+        customThemesStyleId: `${config.storagePrefix}-custom-themes`
+    };
+}
+
+// Work out the settings, attributes, typography properties, custom themes and
+// filter primitives for the stored values. `read(key)` returns a stored string
+// (or null); `now` is null when the visitor's clock is unknown; `prefersDark`
+// and `prefersReducedMotion` may be null if unknown. Stored values the plugin
+// would reject give the defaults, as it does.
+// Inlined into the bootstrap script, so it must not use anything outside itself.
+function resolveBootstrapState(config, read, now, prefersDark, prefersReducedMotion) {
+    const parse = (value) => {
+        if (value === null || value === undefined || value === '') return null;
+        if (typeof value !== 'string') return value;
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            return null;
+        }
+    };
+
+    const asObject = value => (value && typeof value === 'object' && !Array.isArray(value) ? value : {});
+    const customThemes = asObject(parse(read(config.keys.customThemes)));
+    const customFonts = asObject(parse(read(config.keys.customFonts)));
+    const pick = (key, allowed) => {
+        const value = read(config.keys[key]);
+        return typeof value === 'string' && allowed.indexOf(value) !== -1 ? value : config.defaults[key];
+    };
+    const settings = {
+        theme: pick('theme', config.values.theme.concat(Object.keys(customThemes))),
+        font: pick('font', config.values.font.concat(Object.keys(customFonts))),
+        fontSize: pick('fontSize', config.values.fontSize)
+    };
+
+    let theme = settings.theme;
+    if (theme === 'schedule') {
+        const schedule = Object.assign({}, config.schedule, parse(read(config.keys.schedule)));
+        const minutes = value => {
+            const match = String(value || '').match(/^([01]?\d|2[0-3]):([0-5]\d)$/);
+            return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+        };
+        const start = minutes(schedule.darkStart || '19:00');
+        const end = minutes(schedule.darkEnd || '07:00');
+
+        let dark;
+        if (now && (schedule.type || 'time') === 'time' && start !== null && end !== null) {
+            const current = now.getHours() * 60 + now.getMinutes();
+            dark = start <= end
+                ? current >= start && current < end
+                : current >= start || current < end;
+        } else {
+            // Sunrise and sunset need theme-schedule.js; follow the system until the plugin loads
+            dark = !!(config.autoDetectSystemTheme && prefersDark);
+        }
+        theme = dark ? (schedule.darkTheme || 'dark') : (schedule.lightTheme || 'light');
+    }
+
+    const properties = {};
+    Object.keys(config.typography).forEach(key => {
+        const setting = config.typography[key];
+        const value = read(config.keys[key]);
+        const number = typeof value === 'string' && value.trim() ? Number(value) : value;
+        if (typeof number === 'number' && isFinite(number) && number >= setting.min && number <= setting.max) {
+            properties[setting.property] = `${number / setting.divisor}${setting.unit}`;
+        }
+    });
+
+    const attributes = {
+        'data-theme': theme,
+        'data-font': settings.font,
+        'data-font-size': settings.fontSize
+    };
+
+    // Stored filters are checked as normalizeFilters() does; invalid ones give the defaults
+    // (matches theme-filters.js)
+    const filterPrimitives = [];
+    let filters = null;
+    if (config.filters) {
+        const stored = parse(read(config.keys.filters));
+        const has = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+        filters = config.filters.defaults;
+
+        if (stored && typeof stored === 'object' && !Array.isArray(stored)
+            && Object.keys(stored).every(key => has(config.filters.base, key))) {
+            const candidate = Object.assign({}, config.filters.base, stored);
+            const inRange = Object.keys(config.filters.ranges).every(key => {
+                const range = config.filters.ranges[key];
+                const value = candidate[key];
+                const number = typeof value === 'string' && value.trim() ? Number(value) : value;
+                if (typeof number !== 'number' || !isFinite(number) || number < range.min || number > range.max) return false;
+                candidate[key] = Math.round(number / range.step) * range.step;
+                return true;
+            });
+            if (inRange && has(config.filters.visionPrimitives, candidate.vision) && typeof candidate.reducedMotion === 'boolean') {
+                filters = candidate;
+            }
+        }
+
+        filterPrimitives.push(...config.filters.visionPrimitives[filters.vision]);
+        if (filters.saturation < 100) {
+            filterPrimitives.push({ type: 'saturate', values: String(filters.saturation / 100) });
+        }
+        if (filters.blueLight > 0) {
+            const scale = share => Number((1 - share * filters.blueLight / 100).toFixed(6));
+            filterPrimitives.push({
+                type: 'matrix',
+                values: `1 0 0 0 0 0 ${scale(config.filters.blueLightReduction.green)} 0 0 0 `
+                    + `0 0 ${scale(config.filters.blueLightReduction.blue)} 0 0 0 0 0 1 0`
+            });
+        }
+    }
+
+    if ((filters && filters.reducedMotion) || (config.respectSystemPreferences && prefersReducedMotion)) {
+        attributes['data-reduced-motion'] = '';
+    }
+
+    return {
+        settings,
+        attributes,
+        properties,
+        customThemes,
+        filterPrimitives
+    };
+}
+
+// Inlined into the bootstrap script and run in `<head>`
+function applyBootstrapState(config, resolveState) {
+    try {
+        const read = (key) => {
+            if (config.storage === 'cookie') {
+                const name = `${encodeURIComponent(key)}=`;
+                const cookie = document.cookie.split('; ').find(entry => entry.startsWith(name));
+                return cookie ? decodeURIComponent(cookie.slice(name.length)) : null;
+            }
+            return window[config.storage].getItem(key);
+        };
+        const prefers = query => (window.matchMedia ? window.matchMedia(query).matches : null);
+        const state = resolveState(config, read, new Date(), prefers('(prefers-color-scheme: dark)'),
+            prefers('(prefers-reduced-motion: reduce)'));
+        const root = document.documentElement;
+
+        Object.keys(state.attributes).forEach(name => root.setAttribute(name, state.attributes[name]));
+        Object.keys(state.properties).forEach(name => root.style.setProperty(name, state.properties[name]));
+
+        // Same rules and element the plugin writes, so it replaces them in place
+        const css = Object.keys(state.customThemes)
+            .filter(name => /^[a-z0-9][a-z0-9_-]*$/i.test(name))
+            .map(name => {
+                const tokens = state.customThemes[name] || {};
+                const declarations = Object.keys(tokens)
+                    .filter(property => /^--[\w-]+$/.test(property) && !/[;{}<>]/.test(tokens[property]))
+                    .map(property => `    ${property}: ${tokens[property]};`)
+                    .join('\n');
+                return `[data-theme="${name}"] {\n${declarations}\n}`;
+            })
+            .join('\n\n');
+
+        if (css) {
+            const style = document.createElement('style');
+            style.id = config.customThemesStyleId;
+            style.textContent = css;
+            (document.head || root).appendChild(style);
+        }
+
+        // The same hidden SVG filter the plugin writes (see createFilterElement in theme-filters.js)
+        if (state.filterPrimitives.length) {
+            const namespace = 'http://www.w3.org/2000/svg';
+            const svg = document.createElementNS(namespace, 'svg');
+            svg.setAttribute('aria-hidden', 'true');
+            svg.setAttribute('focusable', 'false');
+            svg.setAttribute('style', 'position: absolute; width: 0; height: 0; overflow: hidden;');
+
+            const filter = document.createElementNS(namespace, 'filter');
+            filter.id = config.filters.id;
+            filter.setAttribute('color-interpolation-filters', 'linearRGB');
+            state.filterPrimitives.forEach(({ type, values }) => {
+                const primitive = document.createElementNS(namespace, 'feColorMatrix');
+                primitive.setAttribute('type', type);
+                primitive.setAttribute('values', values);
+                filter.appendChild(primitive);
+            });
+
+            svg.appendChild(filter);
+            (document.body || root).appendChild(svg);
+            root.style.setProperty('filter', `url("#${config.filters.id}")`);
+        }
+    } catch (error) {
+        // Storage blocked or unreadable: the plugin applies the defaults once it loads
+    }
+}
+
+/**
+ * Get the inline script that applies saved preferences before first paint
+ */
+function getBootstrapScript(options = {}) {
+    // Escape '<' so a stored or configured value can't close the script element
+    const config = JSON.stringify(getBootstrapConfig(options)).replace(/</g, '\\u003c');
+    return `(${applyBootstrapState.toString()})(${config}, ${resolveBootstrapState.toString()});`;
+}
+
+// Parse a Cookie header into a name → value map
+function parseCookieHeader(header) {
+    const cookies = {};
+    String(header || '').split(';').forEach(entry => {
+        const index = entry.indexOf('=');
+        if (index < 0) return;
+        try {
+            const name = decodeURIComponent(entry.slice(0, index).trim());
+            if (!(name in cookies)) {
+                cookies[name] = decodeURIComponent(entry.slice(index + 1).trim());
+            }
+        } catch (error) {
+            // Skip cookies that aren't URI-encoded; they weren't written by the plugin
+        }
+    });
+    return cookies;
+}
+
+// Read a header from a Node request or a Fetch API Request/Headers
+function getRequestHeader(request, name) {
+    const headers = request.headers || request;
+    if (typeof headers.get === 'function') {
+        return headers.get(name);
+    }
+    const value = headers[name] || headers[name.toLowerCase()];
+    return Array.isArray(value) ? value.join('; ') : value || null;
+}
+
+// Get the cookies, and the colour scheme and motion hints if any, from a request or cookie source
+function readServerSource(source) {
+    let cookies = {};
+    let prefersDark = null;
+    let prefersReducedMotion = null;
+
+    if (typeof source === 'string') {
+        cookies = parseCookieHeader(source);
+    } else if (source && (source.headers || typeof source.get === 'function')) {
+        cookies = parseCookieHeader(getRequestHeader(source, 'cookie'));
+        const hint = getRequestHeader(source, 'sec-ch-prefers-color-scheme');
+        if (hint) prefersDark = hint.replace(/"/g, '').trim() === 'dark';
+        const motion = getRequestHeader(source, 'sec-ch-prefers-reduced-motion');
+        if (motion) prefersReducedMotion = motion.replace(/"/g, '').trim() === 'reduce';
+    } else if (source) {
+        cookies = source;
+    }
+
+    return {
+        read: key => (cookies[key] === undefined ? null : cookies[key]),
+        prefersDark,
+        prefersReducedMotion
+    };
+}
+
+/**
+ * Get the `<html>` attributes for the preferences in a request's cookies.
+ * `source` is a Cookie header string, a parsed cookie object, or a Node or
+ * Fetch API request (whose `Sec-CH-Prefers-Color-Scheme` hint is used too).
+ */
+function getServerAttributes(source, options = {}) {
+    const config = getBootstrapConfig({ storage: 'cookie', ...options });
+    const { read, prefersDark, prefersReducedMotion } = readServerSource(source);
+
+    // The visitor's clock isn't known here; the bootstrap script corrects time schedules.
+    // Colour filters need their SVG filter, so only the bootstrap script applies them.
+    const state = resolveBootstrapState(config, read, null, prefersDark, prefersReducedMotion);
+
+    const attributes = { ...state.attributes };
+    const style = Object.entries(state.properties)
+        .map(([property, value]) => `${property}: ${value}`)
+        .join('; ');
+    if (style) attributes.style = style;
+
+    return attributes;
+}
+
+/**
+ * Get the saved settings in a request's cookies, as the plugin's
+ * getSettings() returns them, for the framework bindings' `initialSettings`.
+ * Typography settings that aren't saved (or are out of range) are left out,
+ * and a theme, font or size the plugin doesn't know gives the default.
+ */
+function getServerSettings(source, options = {}) {
+    const config = getBootstrapConfig({ storage: 'cookie', ...options });
+    const { read } = readServerSource(source);
+
+    const settings = { ...resolveBootstrapState(config, read, null, null, null).settings };
+    Object.entries(config.typography).forEach(([key, setting]) => {
+        const value = read(config.keys[key]);
+        const number = typeof value === 'string' && value.trim() ? Number(value) : value;
+        if (typeof number === 'number' && isFinite(number) && number >= setting.min && number <= setting.max) {
+            settings[key] = number;
+        }
+    });
+
+    return settings;
+}
+
+/**
+ * Render an attributes object as an HTML attribute string
+ */
+function renderHtmlAttributes(attributes) {
+    const escape = value => String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/"/g, '&quot;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+
+    return Object.entries(attributes)
+        .filter(([name]) => /^[a-z][a-z0-9-]*$/i.test(name))
+        .map(([name, value]) => `${name}="${escape(value)}"`)
+        .join(' ');
+}
+
+const ThemeBootstrap = {
+    getBootstrapScript,
+    getServerAttributes,
+    getServerSettings,
+    renderHtmlAttributes,
+    parseCookieHeader
+};
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ThemeBootstrap;
+}
+
+// Global export
+if (typeof self !== 'undefined') {
+    self.ThemeBootstrap = ThemeBootstrap;
+}
@@ -0,0 +1,350 @@
+/**
+ * Theme Contrast
+ * Colour helpers and WCAG contrast checks shared by the plugin and the
+ * Chrome extension.
+ */
+
+// Minimum contrast ratios for normal-size text
+const CONTRAST_LEVELS = {
+    AA: 4.5,
+    AAA: 7
+};
+
+// Foreground/background theme token pairs that carry text
+const CONTRAST_PAIRS = [
+    ['--text-primary', '--bg-primary'],
+    ['--text-primary', '--bg-secondary'],
+    ['--text-secondary', '--bg-primary'],
+    ['--text-secondary', '--bg-secondary'],
+    ['--accent-color', '--bg-primary'],
+    ['--accent-color', '--bg-secondary'],
+    ['--accent-hover', '--bg-primary'],
+    ['--accent-hover', '--bg-secondary']
+];
+
+// CSS named colours, as hex
+const NAMED_COLORS = {
+    aliceblue: 'f0f8ff', antiquewhite: 'faebd7', aqua: '00ffff', aquamarine: '7fffd4', azure: 'f0ffff',
+    beige: 'f5f5dc', bisque: 'ffe4c4', black: '000000', blanchedalmond: 'ffebcd', blue: '0000ff',
+    blueviolet: '8a2be2', brown: 'a52a2a', burlywood: 'deb887', cadetblue: '5f9ea0', chartreuse: '7fff00',
+    chocolate: 'd2691e', coral: 'ff7f50', cornflowerblue: '6495ed', cornsilk: 'fff8dc', crimson: 'dc143c',
+    cyan: '00ffff', darkblue: '00008b', darkcyan: '008b8b', darkgoldenrod: 'b8860b', darkgray: 'a9a9a9',
+    darkgreen: '006400', darkgrey: 'a9a9a9', darkkhaki: 'bdb76b', darkmagenta: '8b008b', darkolivegreen: '556b2f',
+    darkorange: 'ff8c00', darkorchid: '9932cc', darkred: '8b0000', darksalmon: 'e9967a', darkseagreen: '8fbc8f',
+    darkslateblue: '483d8b', darkslategray: '2f4f4f', darkslategrey: '2f4f4f', darkturquoise: '00ced1',
+    darkviolet: '9400d3', deeppink: 'ff1493', deepskyblue: '00bfff', dimgray: '696969', dimgrey: '696969',
+    dodgerblue: '1e90ff', firebrick: 'b22222', floralwhite: 'fffaf0', forestgreen: '228b22', fuchsia: 'ff00ff',
+    gainsboro: 'dcdcdc', ghostwhite: 'f8f8ff', gold: 'ffd700', goldenrod: 'daa520', gray: '808080', green: '008000',
+    greenyellow: 'adff2f', grey: '808080', honeydew: 'f0fff0', hotpink: 'ff69b4', indianred: 'cd5c5c',
+    indigo: '4b0082', ivory: 'fffff0', khaki: 'f0e68c', lavender: 'e6e6fa', lavenderblush: 'fff0f5',
+    lawngreen: '7cfc00', lemonchiffon: 'fffacd', lightblue: 'add8e6', lightcoral: 'f08080', lightcyan: 'e0ffff',
+    lightgoldenrodyellow: 'fafad2', lightgray: 'd3d3d3', lightgreen: '90ee90', lightgrey: 'd3d3d3',
+    lightpink: 'ffb6c1', lightsalmon: 'ffa07a', lightseagreen: '20b2aa', lightskyblue: '87cefa',
+    lightslategray: '778899', lightslategrey: '778899', lightsteelblue: 'b0c4de', lightyellow: 'ffffe0',
+    lime: '00ff00', limegreen: '32cd32', linen: 'faf0e6', magenta: 'ff00ff', maroon: '800000',
+    mediumaquamarine: '66cdaa', mediumblue: '0000cd', mediumorchid: 'ba55d3', mediumpurple: '9370db',
+    mediumseagreen: '3cb371', mediumslateblue: '7b68ee', mediumspringgreen: '00fa9a', mediumturquoise: '48d1cc',
+    mediumvioletred: 'c71585', midnightblue: '191970', mintcream: 'f5fffa', mistyrose: 'ffe4e1', moccasin: 'ffe4b5',
+    navajowhite: 'ffdead', navy: '000080', oldlace: 'fdf5e6', olive: '808000', olivedrab: '6b8e23',
+    orange: 'ffa500', orangered: 'ff4500', orchid: 'da70d6', palegoldenrod: 'eee8aa', palegreen: '98fb98',
+    paleturquoise: 'afeeee', palevioletred: 'db7093', papayawhip: 'ffefd5', peachpuff: 'ffdab9', peru: 'cd853f',
+    pink: 'ffc0cb', plum: 'dda0dd', powderblue: 'b0e0e6', purple: '800080', rebeccapurple: '663399', red: 'ff0000',
+    rosybrown: 'bc8f8f', royalblue: '4169e1', saddlebrown: '8b4513', salmon: 'fa8072', sandybrown: 'f4a460',
+    seagreen: '2e8b57', seashell: 'fff5ee', sienna: 'a0522d', silver: 'c0c0c0', skyblue: '87ceeb',
+    slateblue: '6a5acd', slategray: '708090', slategrey: '708090', snow: 'fffafa', springgreen: '00ff7f',
+    steelblue: '4682b4', tan: 'd2b48c', teal: '008080', thistle: 'd8bfd8', tomato: 'ff6347', turquoise: '40e0d0',
+    violet: 'ee82ee', wheat: 'f5deb3', white: 'ffffff', whitesmoke: 'f5f5f5', yellow: 'ffff00',
+    yellowgreen: '9acd32'
+};
+
+// A CSS number with its unit ('', '%', 'deg', 'grad', 'rad' or 'turn'), or
+// null if the text isn't one. `none` reads as 0, as CSS Color 4 has it.
+function readCssNumber(text) {
+    if (text === 'none') return { value: 0, unit: '' };
+    const match = text.match(/^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(%|deg|grad|rad|turn)?$/);
+    return match ? { value: parseFloat(match[1]), unit: match[2] || '' } : null;
+}
+
+// The arguments of rgb()/hsl() in the comma syntax (`1, 2, 3, 0.5`) or the
+// space syntax (`1 2 3 / 50%`), or null if there are too few or too many
+function splitColorArguments(text) {
+    const commas = text.split(',').map(part => part.trim());
+    if (commas.length > 1) {
+        return commas.length === 3 || commas.length === 4 ? commas : null;
+    }
+
+    const [channels, alpha, ...rest] = text.split('/').map(part => part.trim());
+    const parts = channels.split(/\s+/).filter(Boolean);
+    if (rest.length || parts.length !== 3 || alpha === '') return null;
+    return alpha === undefined ? parts : [...parts, alpha];
+}
+
+// Keep a value between 0 and max
+function clampValue(value, max) {
+    return Math.min(max, Math.max(0, value));
+}
+
+// An rgb() channel (a number or a percentage) as 0-255
+function readRgbChannel(number) {
+    if (number.unit === '') return clampValue(number.value, 255);
+    return number.unit === '%' ? clampValue(number.value * 255 / 100, 255) : NaN;
+}
+
+// An hsl() hue (a number of degrees or an angle) as 0-1
+function readHue(number) {
+    const turns = { '': 360, deg: 360, grad: 400, rad: 2 * Math.PI, turn: 1 }[number.unit];
+    if (!turns) return NaN;
+    const hue = number.value / turns;
+    return hue - Math.floor(hue);
+}
+
+// An hsl() saturation or lightness (a percentage, or a number of percent) as 0-1
+function readPercentage(number) {
+    return number.unit === '%' || number.unit === '' ? clampValue(number.value / 100, 1) : NaN;
+}
+
+// An alpha (a number or a percentage) as 0-1
+function readAlpha(number) {
+    if (number.unit === '') return clampValue(number.value, 1);
+    return number.unit === '%' ? clampValue(number.value / 100, 1) : NaN;
+}
+
+// Parse a hex, rgb()/rgba(), hsl()/hsla() or named colour into channels
+// (0-255, alpha 0-1). Anything else, such as var() or currentColor, gives null.
+function parseCssColor(value) {
+    if (!value) return null;
+    const color = String(value).trim().toLowerCase();
+
+    if (color === 'transparent') {
+        return { r: 0, g: 0, b: 0, a: 0 };
+    }
+
+    if (Object.prototype.hasOwnProperty.call(NAMED_COLORS, color)) {
+        return parseCssColor(`#${NAMED_COLORS[color]}`);
+    }
+
+    const hex = color.match(/^#([0-9a-f]{3,8})$/);
+    if (hex) {
+        let digits = hex[1];
+        if (digits.length === 3 || digits.length === 4) {
+            digits = digits.split('').map(digit => digit + digit).join('');
+        }
+        if (digits.length !== 6 && digits.length !== 8) return null;
+        return {
+            r: parseInt(digits.slice(0, 2), 16),
+            g: parseInt(digits.slice(2, 4), 16),
+            b: parseInt(digits.slice(4, 6), 16),
+            a: digits.length === 8 ? parseInt(digits.slice(6, 8), 16) / 255 : 1
+        };
+    }
+
+    const fn = color.match(/^(rgba?|hsla?)\(([^()]*)\)$/);
+    const args = fn && splitColorArguments(fn[2]);
+    if (!args) return null;
+
+    const numbers = args.map(readCssNumber);
+    if (numbers.some(number => !number)) return null;
+
+    const a = numbers.length > 3 ? readAlpha(numbers[3]) : 1;
+    const channels = fn[1].startsWith('rgb')
+        ? { r: readRgbChannel(numbers[0]), g: readRgbChannel(numbers[1]), b: readRgbChannel(numbers[2]) }
+        : { h: readHue(numbers[0]), s: readPercentage(numbers[1]), l: readPercentage(numbers[2]) };
+    if ([...Object.values(channels), a].some(isNaN)) return null;
+
+    return { ...(channels.h === undefined ? channels : hslToRgb(channels)), a };
+}
+
+// Format channels back into a CSS colour string
+function formatCssColor({ r, g, b, a }) {
+    const channels = [r, g, b].map(channel => Math.round(channel)).join(', ');
+    return a < 1 ? `rgba(${channels}, ${a})` : `rgb(${channels})`;
+}
+
+// Convert RGB channels (0-255) to HSL (0-1)
+function rgbToHsl({ r, g, b }) {
+    r /= 255;
+    g /= 255;
+    b /= 255;
+
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const l = (max + min) / 2;
+
+    if (max === min) {
+        return { h: 0, s: 0, l };
+    }
+
+    const d = max - min;
+    const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+    let h;
+    if (max === r) {
+        h = (g - b) / d + (g < b ? 6 : 0);
+    } else if (max === g) {
+        h = (b - r) / d + 2;
+    } else {
+        h = (r - g) / d + 4;
+    }
+
+    return { h: h / 6, s, l };
+}
+
+// Convert HSL (0-1) to RGB channels (0-255)
+function hslToRgb({ h, s, l }) {
+    if (s === 0) {
+        return { r: l * 255, g: l * 255, b: l * 255 };
+    }
+
+    const hueToChannel = (p, q, t) => {
+        if (t < 0) t += 1;
+        if (t > 1) t -= 1;
+        if (t < 1 / 6) return p + (q - p) * 6 * t;
+        if (t < 1 / 2) return q;
+        if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+        return p;
+    };
+
+    const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+    const p = 2 * l - q;
+
+    return {
+        r: hueToChannel(p, q, h + 1 / 3) * 255,
+        g: hueToChannel(p, q, h) * 255,
+        b: hueToChannel(p, q, h - 1 / 3) * 255
+    };
+}
+
+// Blend a translucent colour over an opaque base colour
+function flattenColor(color, base = { r: 255, g: 255, b: 255, a: 1 }) {
+    if (color.a >= 1) return color;
+    return {
+        r: color.r * color.a + base.r * (1 - color.a),
+        g: color.g * color.a + base.g * (1 - color.a),
+        b: color.b * color.a + base.b * (1 - color.a),
+        a: 1
+    };
+}
+
+// WCAG relative luminance of a colour
+function getRelativeLuminance({ r, g, b }) {
+    const [red, green, blue] = [r, g, b].map(channel => {
+        const value = channel / 255;
+        return value <= 0.03928 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * red + 0.7152 * green + 0.0722 * blue;
+}
+
+// WCAG contrast ratio between two colours, from 1 to 21
+function getContrastRatio(foreground, background) {
+    const base = flattenColor(background);
+    const lighter = Math.max(getRelativeLuminance(flattenColor(foreground, base)), getRelativeLuminance(base));
+    const darker = Math.min(getRelativeLuminance(flattenColor(foreground, base)), getRelativeLuminance(base));
+    return (lighter + 0.05) / (darker + 0.05);
+}
+
+// Minimum ratio for a level ('AA' or 'AAA')
+function getRequiredContrast(level) {
+    return CONTRAST_LEVELS[level] || CONTRAST_LEVELS.AA;
+}
+
+// Check every foreground/background token pair of a theme
+function auditThemeContrast(tokens, level = 'AA') {
+    const required = getRequiredContrast(level);
+
+    return CONTRAST_PAIRS
+        .filter(([foreground, background]) => tokens[foreground] && tokens[background])
+        .map(([foreground, background]) => {
+            const foregroundColor = parseCssColor(tokens[foreground]);
+            const backgroundColor = parseCssColor(tokens[background]);
+            if (!foregroundColor || !backgroundColor) return null;
+
+            const ratio = getContrastRatio(foregroundColor, backgroundColor);
+            return {
+                foreground: foreground,
+                background: background,
+                foregroundValue: tokens[foreground],
+                backgroundValue: tokens[background],
+                ratio: Math.round(ratio * 100) / 100,
+                required: required,
+                passes: ratio >= required
+            };
+        })
+        .filter(Boolean);
+}
+
+// The tokens of the contrast pairs that are set to something parseCssColor()
+// can't read, such as var() or color-mix(), so their pairs go unchecked
+function findUnparsedTokens(tokens) {
+    const names = new Set(CONTRAST_PAIRS.flat());
+    return [...names].filter(token => tokens[token] && !parseCssColor(tokens[token]));
+}
+
+// Nudge a foreground colour's lightness until it passes against every background
+function adjustColorForContrast(foreground, backgrounds, required) {
+    const color = flattenColor(foreground);
+    const bases = backgrounds.map(background => flattenColor(background));
+    const passes = candidate => bases.every(base => getContrastRatio(candidate, base) >= required);
+
+    if (passes(color)) return color;
+
+    // Move away from the average background lightness
+    const averageLuminance = bases.reduce((sum, base) => sum + getRelativeLuminance(base), 0) / bases.length;
+    const direction = averageLuminance > 0.18 ? -1 : 1;
+    const hsl = rgbToHsl(color);
+
+    for (let step = 1; step <= 100; step++) {
+        const lightness = Math.min(1, Math.max(0, hsl.l + direction * step * 0.01));
+        const candidate = { ...hslToRgb({ ...hsl, l: lightness }), a: 1 };
+        if (passes(candidate)) return candidate;
+        if (lightness === 0 || lightness === 1) break;
+    }
+
+    return direction < 0 ? { r: 0, g: 0, b: 0, a: 1 } : { r: 255, g: 255, b: 255, a: 1 };
+}
+
+// Corrected values for the foreground tokens that fail the given level
+function correctThemeContrast(tokens, level = 'AA') {
+    const required = getRequiredContrast(level);
+    const failing = new Set(auditThemeContrast(tokens, level)
+        .filter(result => !result.passes)
+        .map(result => result.foreground));
+
+    const corrections = {};
+    failing.forEach(foreground => {
+        const backgrounds = CONTRAST_PAIRS
+            .filter(([token, background]) => token === foreground && tokens[background])
+            .map(([, background]) => parseCssColor(tokens[background]))
+            .filter(Boolean);
+
+        const adjusted = adjustColorForContrast(parseCssColor(tokens[foreground]), backgrounds, required);
+        corrections[foreground] = formatCssColor(adjusted);
+    });
+
+    return corrections;
+}
+
+const ThemeContrast = {
+    CONTRAST_LEVELS,
+    CONTRAST_PAIRS,
+    parseCssColor,
+    formatCssColor,
+    rgbToHsl,
+    hslToRgb,
+    flattenColor,
+    getRelativeLuminance,
+    getContrastRatio,
+    getRequiredContrast,
+    auditThemeContrast,
+    findUnparsedTokens,
+    adjustColorForContrast,
+    correctThemeContrast
+};
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ThemeContrast;
+}
+
+// Global export
+if (typeof window !== 'undefined') {
+    window.ThemeContrast = ThemeContrast;
+}
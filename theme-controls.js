@@ -0,0 +1,559 @@
+/**
+ * Theme Controls
+ * Ready-made, accessible controls for a ThemeFontToggle instance:
+ *   - `<theme-switch>`       segmented light / dark / auto switch (radio group)
+ *   - `<theme-toggle>`       sun/moon button switching between light and dark
+ *   - `<font-size-stepper>`  A− / A+ buttons stepping through the font sizes
+ *   - `<theme-palette>`      radio group of theme swatches, custom themes included
+ *
+ * Use them as custom elements, or mount them on any element:
+ *   ThemeControls.mount('#switch', 'theme-switch', { plugin });
+ *
+ * Controls follow the plugin's events, so any number of them stay in sync
+ * with each other and with the plugin's own selectors. Without a `plugin`
+ * option they use the auto-initialized `window.themeFontToggle`.
+ */
+
+// Plugin events after which controls re-read the current settings
+const THEME_CONTROL_EVENTS = [
+    'initialized',
+    'themeChanged',
+    'fontSizeChanged',
+    'themeRegistered',
+    'themeUnregistered',
+    'reset'
+];
+
+// Font sizes defined in theme-font-toggle.css, smallest first
+const FONT_SIZE_STEPS = ['small', 'medium', 'large', 'extra-large'];
+
+const CONTROL_LABELS = {
+    light: 'Light',
+    dark: 'Dark',
+    auto: 'Auto',
+    schedule: 'Schedule',
+    small: 'Small',
+    medium: 'Medium',
+    large: 'Large',
+    'extra-large': 'Extra Large'
+};
+
+// Modes rather than palettes, so the palette picker leaves them out
+const NON_PALETTE_THEMES = ['auto', 'schedule'];
+
+// `{id}` is replaced per button, as each icon needs its own mask
+const SUN_MOON_ICON = `<svg class="theme-toggle-icon" viewBox="0 0 24 24" aria-hidden="true" focusable="false">
+    <mask id="{id}">
+        <rect x="0" y="0" width="24" height="24" fill="white"></rect>
+        <circle class="theme-toggle-moon" cx="24" cy="10" r="6" fill="black"></circle>
+    </mask>
+    <circle class="theme-toggle-sun" cx="12" cy="12" r="6" mask="url(#{id})" fill="currentColor"></circle>
+    <g class="theme-toggle-rays" stroke="currentColor" stroke-width="2" stroke-linecap="round">
+        <line x1="12" y1="1" x2="12" y2="3"></line>
+        <line x1="12" y1="21" x2="12" y2="23"></line>
+        <line x1="4.22" y1="4.22" x2="5.64" y2="5.64"></line>
+        <line x1="18.36" y1="18.36" x2="19.78" y2="19.78"></line>
+        <line x1="1" y1="12" x2="3" y2="12"></line>
+        <line x1="21" y1="12" x2="23" y2="12"></line>
+        <line x1="4.22" y1="19.78" x2="5.64" y2="18.36"></line>
+        <line x1="18.36" y1="5.64" x2="19.78" y2="4.22"></line>
+    </g>
+</svg>`;
+
+// Gives each sun/moon icon a unique mask id
+let themeToggleCount = 0;
+
+// Human-readable name for a theme or font size
+function getControlLabel(value) {
+    return CONTROL_LABELS[value] || String(value)
+        .replace(/[-_]+/g, ' ')
+        .replace(/^./, letter => letter.toUpperCase());
+}
+
+// Split a space-separated attribute into a list, or null when absent
+function parseListAttribute(value) {
+    return value ? value.trim().split(/\s+/) : null;
+}
+
+/**
+ * Base control: binds to a plugin instance and re-renders on its events
+ */
+class ThemeControl {
+    constructor(host, options = {}) {
+        this.host = host;
+        this.options = options;
+        this.plugin = options.plugin || null;
+        this.destroyed = false;
+
+        // Deferred, because the auto-initialized instance is only assigned to
+        // window.themeFontToggle after its 'initialized' event has fired
+        this.handlePluginEvent = () => {
+            Promise.resolve().then(() => {
+                if (!this.destroyed) this.update();
+            });
+        };
+        THEME_CONTROL_EVENTS.forEach(name => {
+            document.addEventListener(`themeFontToggle:${name}`, this.handlePluginEvent);
+        });
+
+        this.host.classList.add('theme-control');
+        this.render();
+        this.update();
+    }
+
+    /**
+     * Get the plugin instance, or null until it has loaded its preferences
+     */
+    getPlugin() {
+        const plugin = this.plugin || (typeof window !== 'undefined' ? window.themeFontToggle : null);
+        return plugin && plugin.currentTheme !== undefined ? plugin : null;
+    }
+
+    /**
+     * Use a different plugin instance
+     */
+    setPlugin(plugin) {
+        this.plugin = plugin || null;
+        this.update();
+    }
+
+    /**
+     * Give the host an accessible name unless the page already did
+     */
+    setDefaultLabel(label) {
+        if (!this.host.hasAttribute('aria-label') && !this.host.hasAttribute('aria-labelledby')) {
+            this.host.setAttribute('aria-label', this.options.label || label);
+            this.addedLabel = true;
+        }
+    }
+
+    /**
+     * Create a button element
+     */
+    createButton(className, content) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = className;
+        if (content) button.innerHTML = content;
+        return button;
+    }
+
+    render() {}
+
+    update() {}
+
+    /**
+     * Stop following the plugin and remove the rendered content
+     */
+    destroy() {
+        this.destroyed = true;
+        THEME_CONTROL_EVENTS.forEach(name => {
+            document.removeEventListener(`themeFontToggle:${name}`, this.handlePluginEvent);
+        });
+
+        this.host.textContent = '';
+        // Each control's class is its type name
+        this.host.classList.remove('theme-control', 'is-dark', ...Object.keys(CONTROL_TYPES));
+        ['role', 'aria-disabled'].forEach(attribute => this.host.removeAttribute(attribute));
+        if (this.addedLabel) this.host.removeAttribute('aria-label');
+    }
+}
+
+/**
+ * Radio group of buttons with a roving tabindex: arrow keys, Home and End
+ * move the selection, as in the WAI-ARIA radio group pattern
+ */
+class RadioGroupControl extends ThemeControl {
+    render() {
+        this.host.setAttribute('role', 'radiogroup');
+        this.buttons = [];
+        this.renderedValues = null;
+
+        this.handleClick = (e) => {
+            const button = e.target.closest('[role="radio"]');
+            if (button && this.host.contains(button)) this.select(button);
+        };
+
+        this.handleKeydown = (e) => {
+            const index = this.buttons.indexOf(document.activeElement);
+            if (index < 0) return;
+
+            const last = this.buttons.length - 1;
+            const targets = {
+                ArrowRight: index === last ? 0 : index + 1,
+                ArrowDown: index === last ? 0 : index + 1,
+                ArrowLeft: index === 0 ? last : index - 1,
+                ArrowUp: index === 0 ? last : index - 1,
+                Home: 0,
+                End: last
+            };
+
+            if (e.key in targets) {
+                e.preventDefault();
+                const button = this.buttons[targets[e.key]];
+                button.focus();
+                this.select(button);
+            }
+        };
+
+        this.host.addEventListener('click', this.handleClick);
+        this.host.addEventListener('keydown', this.handleKeydown);
+    }
+
+    /**
+     * Rebuild the options if they changed, then mark the current one
+     */
+    update() {
+        const plugin = this.getPlugin();
+        const values = plugin ? this.getValues(plugin) : [];
+
+        if (values.join(' ') !== this.renderedValues) {
+            this.renderedValues = values.join(' ');
+            this.host.textContent = '';
+            this.buttons = values.map(value => {
+                const button = this.createButton(this.optionClass);
+                button.setAttribute('role', 'radio');
+                button.dataset.value = value;
+                this.renderOption(button, value);
+                this.host.appendChild(button);
+                return button;
+            });
+        }
+
+        const current = plugin ? this.getValue(plugin) : null;
+        const checked = this.buttons.find(button => button.dataset.value === current);
+
+        this.buttons.forEach(button => {
+            button.setAttribute('aria-checked', String(button === checked));
+            // Only one option is in the tab order: the checked one, or the first
+            button.tabIndex = button === (checked || this.buttons[0]) ? 0 : -1;
+        });
+
+        this.host.setAttribute('aria-disabled', String(!plugin));
+    }
+
+    /**
+     * Choose an option
+     */
+    select(button) {
+        const plugin = this.getPlugin();
+        if (plugin && button.dataset.value !== this.getValue(plugin)) {
+            this.setValue(plugin, button.dataset.value);
+        }
+    }
+
+    destroy() {
+        this.host.removeEventListener('click', this.handleClick);
+        this.host.removeEventListener('keydown', this.handleKeydown);
+        super.destroy();
+    }
+}
+
+/**
+ * Segmented light / dark / auto switch
+ */
+class ThemeSwitchControl extends RadioGroupControl {
+    render() {
+        this.optionClass = 'theme-switch-option';
+        this.host.classList.add('theme-switch');
+        this.setDefaultLabel('Theme');
+        super.render();
+    }
+
+    getValues(plugin) {
+        const themes = plugin.getThemes();
+        return (this.options.themes || ['light', 'dark', 'auto']).filter(theme => themes.includes(theme));
+    }
+
+    getValue(plugin) {
+        return plugin.getTheme();
+    }
+
+    setValue(plugin, theme) {
+        plugin.setTheme(theme);
+    }
+
+    renderOption(button, theme) {
+        const icon = document.createElement('span');
+        icon.className = 'theme-switch-icon';
+        icon.dataset.icon = theme;
+        icon.setAttribute('aria-hidden', 'true');
+
+        const label = document.createElement('span');
+        label.className = 'theme-switch-label';
+        label.textContent = getControlLabel(theme);
+
+        button.append(icon, label);
+    }
+}
+
+/**
+ * Radio group of theme swatches
+ */
+class ThemePaletteControl extends RadioGroupControl {
+    render() {
+        this.optionClass = 'theme-palette-option';
+        this.host.classList.add('theme-palette');
+        this.setDefaultLabel('Color palette');
+        super.render();
+    }
+
+    getValues(plugin) {
+        const themes = plugin.getThemes();
+        return this.options.themes
+            ? this.options.themes.filter(theme => themes.includes(theme))
+            : themes.filter(theme => !NON_PALETTE_THEMES.includes(theme));
+    }
+
+    getValue(plugin) {
+        return plugin.getTheme();
+    }
+
+    setValue(plugin, theme) {
+        plugin.setTheme(theme);
+    }
+
+    renderOption(button, theme) {
+        // The swatch carries the theme's data-theme, so its own custom properties colour it
+        const swatch = document.createElement('span');
+        swatch.className = 'theme-swatch';
+        swatch.dataset.theme = theme;
+        swatch.setAttribute('aria-hidden', 'true');
+        ['background', 'text', 'accent'].forEach(part => {
+            const stripe = document.createElement('span');
+            stripe.className = `theme-swatch-${part}`;
+            swatch.appendChild(stripe);
+        });
+
+        const label = document.createElement('span');
+        label.className = 'theme-palette-label';
+        label.textContent = getControlLabel(theme);
+
+        button.append(swatch, label);
+    }
+}
+
+/**
+ * Sun/moon button switching between a light and a dark theme
+ */
+class ThemeToggleControl extends ThemeControl {
+    render() {
+        this.host.classList.add('theme-toggle');
+        themeToggleCount += 1;
+        this.button = this.createButton('theme-toggle-button',
+            SUN_MOON_ICON.replace(/\{id\}/g, `theme-toggle-moon-mask-${themeToggleCount}`));
+        this.button.setAttribute('aria-label', this.options.label || 'Dark theme');
+        this.host.appendChild(this.button);
+
+        this.button.addEventListener('click', () => {
+            const plugin = this.getPlugin();
+            if (plugin) {
+                plugin.setTheme(this.isDark() ? this.getLightTheme() : this.getDarkTheme());
+            }
+        });
+
+        // 'auto' follows the system, so the button does too
+        this.mediaQuery = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+        if (this.mediaQuery) {
+            this.handleSystemChange = () => this.update();
+            this.mediaQuery.addEventListener('change', this.handleSystemChange);
+        }
+    }
+
+    getLightTheme() {
+        return this.options.lightTheme || 'light';
+    }
+
+    getDarkTheme() {
+        return this.options.darkTheme || 'dark';
+    }
+
+    /**
+     * Whether the theme on screen is the dark one
+     */
+    isDark() {
+        const plugin = this.getPlugin();
+        const root = plugin ? plugin.getRootElement() : document.documentElement;
+        const applied = root.getAttribute('data-theme');
+        if (applied === 'auto') {
+            return !!(this.mediaQuery && this.mediaQuery.matches);
+        }
+        return applied === this.getDarkTheme();
+    }
+
+    update() {
+        const plugin = this.getPlugin();
+        const dark = this.isDark();
+
+        this.button.setAttribute('aria-pressed', String(dark));
+        this.button.disabled = !plugin;
+        this.host.classList.toggle('is-dark', dark);
+    }
+
+    destroy() {
+        if (this.mediaQuery) {
+            this.mediaQuery.removeEventListener('change', this.handleSystemChange);
+        }
+        super.destroy();
+    }
+}
+
+/**
+ * A− / A+ buttons stepping through the font sizes
+ */
+class FontSizeStepperControl extends ThemeControl {
+    render() {
+        this.host.classList.add('font-size-stepper');
+        this.host.setAttribute('role', 'group');
+        this.setDefaultLabel('Text size');
+
+        this.decreaseButton = this.createButton('font-size-stepper-decrease', 'A<span aria-hidden="true">−</span>');
+        this.decreaseButton.setAttribute('aria-label', 'Decrease text size');
+
+        this.value = document.createElement('span');
+        this.value.className = 'font-size-stepper-value';
+        this.value.setAttribute('aria-live', 'polite');
+
+        this.increaseButton = this.createButton('font-size-stepper-increase', 'A<span aria-hidden="true">+</span>');
+        this.increaseButton.setAttribute('aria-label', 'Increase text size');
+
+        this.decreaseButton.addEventListener('click', () => this.step(-1));
+        this.increaseButton.addEventListener('click', () => this.step(1));
+
+        this.host.append(this.decreaseButton, this.value, this.increaseButton);
+    }
+
+    getSizes() {
+        return this.options.sizes || FONT_SIZE_STEPS;
+    }
+
+    /**
+     * Move to the next smaller (-1) or larger (1) size
+     */
+    step(direction) {
+        const plugin = this.getPlugin();
+        if (!plugin) return;
+
+        const sizes = this.getSizes();
+        const index = sizes.indexOf(plugin.getFontSize());
+        const next = sizes[Math.min(sizes.length - 1, Math.max(0, (index < 0 ? sizes.indexOf('medium') : index) + direction))];
+
+        if (next && next !== plugin.getFontSize()) {
+            plugin.setFontSize(next);
+        }
+    }
+
+    update() {
+        const plugin = this.getPlugin();
+        const sizes = this.getSizes();
+        const fontSize = plugin ? plugin.getFontSize() : null;
+        const index = sizes.indexOf(fontSize);
+
+        this.value.textContent = fontSize ? getControlLabel(fontSize) : '';
+
+        // A disabled button would drop keyboard focus, so ends are marked with aria-disabled
+        this.decreaseButton.setAttribute('aria-disabled', String(!plugin || index === 0));
+        this.increaseButton.setAttribute('aria-disabled', String(!plugin || index === sizes.length - 1));
+    }
+}
+
+// Control types by name, for mount() and the custom elements
+const CONTROL_TYPES = {
+    'theme-switch': ThemeSwitchControl,
+    'theme-toggle': ThemeToggleControl,
+    'font-size-stepper': FontSizeStepperControl,
+    'theme-palette': ThemePaletteControl
+};
+
+/**
+ * Render a control into an element (or the element matching a selector)
+ */
+function mount(target, type, options = {}) {
+    const Control = CONTROL_TYPES[type];
+    if (!Control) {
+        throw new Error(`ThemeControls: Unknown control "${type}"`);
+    }
+
+    const host = typeof target === 'string' ? document.querySelector(target) : target;
+    if (!host) {
+        throw new Error(`ThemeControls: Mount target "${target}" not found`);
+    }
+
+    return new Control(host, options);
+}
+
+// Options for a custom element, from its attributes
+function getElementOptions(element) {
+    return {
+        plugin: element.pluginInstance || null,
+        label: element.getAttribute('label'),
+        themes: parseListAttribute(element.getAttribute('themes')),
+        sizes: parseListAttribute(element.getAttribute('sizes')),
+        lightTheme: element.getAttribute('light-theme'),
+        darkTheme: element.getAttribute('dark-theme')
+    };
+}
+
+/**
+ * Register the custom elements (done automatically when the script loads)
+ */
+function defineElements() {
+    if (typeof customElements === 'undefined') return;
+
+    Object.keys(CONTROL_TYPES).forEach(tagName => {
+        if (customElements.get(tagName)) return;
+
+        customElements.define(tagName, class extends HTMLElement {
+            // Set before or after the element connects to bind another instance
+            get plugin() {
+                return this.pluginInstance || null;
+            }
+
+            set plugin(plugin) {
+                this.pluginInstance = plugin;
+                if (this.control) this.control.setPlugin(plugin);
+            }
+
+            connectedCallback() {
+                // A plugin assigned before the element was upgraded is an own property
+                if (Object.prototype.hasOwnProperty.call(this, 'plugin')) {
+                    const plugin = this.plugin;
+                    delete this.plugin;
+                    this.pluginInstance = plugin;
+                }
+                if (!this.control) {
+                    this.control = mount(this, tagName, getElementOptions(this));
+                }
+            }
+
+            disconnectedCallback() {
+                if (this.control) {
+                    this.control.destroy();
+                    this.control = null;
+                }
+            }
+        });
+    });
+}
+
+const ThemeControls = {
+    mount,
+    defineElements,
+    ThemeControl,
+    ThemeSwitchControl,
+    ThemeToggleControl,
+    FontSizeStepperControl,
+    ThemePaletteControl
+};
+
+defineElements();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ThemeControls;
+}
+
+// Global export
+if (typeof window !== 'undefined') {
+    window.ThemeControls = ThemeControls;
+}
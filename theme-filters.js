@@ -0,0 +1,227 @@
+/**
+ * Theme Filters
+ * Colour-vision and comfort filters shared by the plugin and the Chrome
+ * extension:
+ *   - `vision`         daltonization for 'protanopia', 'deuteranopia' or
+ *                      'tritanopia', or 'greyscale'; 'none' by default
+ *   - `saturation`     percent of the colours' saturation kept (0-100)
+ *   - `blueLight`      strength of a warm tint that cuts blue light (0-100)
+ *   - `reducedMotion`  stop transitions and animations
+ *
+ * The colour filters are chained feColorMatrix primitives in one SVG filter,
+ * so they combine with each other and with any theme.
+ */
+
+const VISION_FILTERS = ['none', 'protanopia', 'deuteranopia', 'tritanopia', 'greyscale'];
+
+const DEFAULT_FILTERS = {
+    vision: 'none',
+    saturation: 100,
+    blueLight: 0,
+    reducedMotion: false
+};
+
+// Percentages the numeric filters take
+const FILTER_RANGES = {
+    saturation: { min: 0, max: 100, step: 5 },
+    blueLight: { min: 0, max: 100, step: 5 }
+};
+
+// How each deficiency sees colours (Machado et al. 2009, full severity), rows of a 3x3 RGB matrix
+const VISION_SIMULATIONS = {
+    protanopia: [
+        [0.152286, 1.052583, -0.204868],
+        [0.114503, 0.786281, 0.099216],
+        [-0.003882, -0.048116, 1.051998]
+    ],
+    deuteranopia: [
+        [0.367322, 0.860646, -0.227968],
+        [0.280085, 0.672501, 0.047413],
+        [-0.011820, 0.042940, 0.968881]
+    ],
+    tritanopia: [
+        [1.255528, -0.076749, -0.178779],
+        [-0.078411, 0.930809, 0.147602],
+        [0.004733, 0.691367, 0.303900]
+    ]
+};
+
+// Where the difference a deficiency can't see is moved: red-green losses
+// into green and blue, blue-yellow losses into red and green
+const VISION_ERROR_SHIFTS = {
+    protanopia: [[0, 0, 0], [0.7, 1, 0], [0.7, 0, 1]],
+    deuteranopia: [[0, 0, 0], [0.7, 1, 0], [0.7, 0, 1]],
+    tritanopia: [[1, 0, 0.7], [0, 1, 0.7], [0, 0, 0]]
+};
+
+// Share of green and blue a full-strength blue light filter takes out
+const BLUE_LIGHT_REDUCTION = { green: 0.2, blue: 0.7 };
+
+// Stops transitions and animations while keeping their end events
+const REDUCED_MOTION_CSS = `
+    *,
+    *::before,
+    *::after {
+        transition-duration: 0s !important;
+        transition-delay: 0s !important;
+        animation-duration: 0.001s !important;
+        animation-delay: 0s !important;
+        animation-iteration-count: 1 !important;
+        scroll-behavior: auto !important;
+    }
+`;
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+const IDENTITY_MATRIX = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+
+// Multiply two 3x3 matrices
+function multiplyMatrices(a, b) {
+    return a.map(row => [0, 1, 2].map(column => row.reduce((sum, value, index) => sum + value * b[index][column], 0)));
+}
+
+/**
+ * The matrix that daltonizes colours for a deficiency: the colours plus the
+ * shifted difference between them and what the deficiency lets through
+ */
+function getDaltonizeMatrix(vision) {
+    const simulation = VISION_SIMULATIONS[vision];
+    if (!simulation) {
+        throw new Error(`ThemeFilters: Unknown colour vision deficiency "${vision}"`);
+    }
+
+    const lost = IDENTITY_MATRIX.map((row, i) => row.map((value, j) => value - simulation[i][j]));
+    const shifted = multiplyMatrices(VISION_ERROR_SHIFTS[vision], lost);
+    return IDENTITY_MATRIX.map((row, i) => row.map((value, j) => value + shifted[i][j]));
+}
+
+// feColorMatrix values (4x5, row by row) for a 3x3 RGB matrix, alpha unchanged
+function toColorMatrixValues(matrix) {
+    return [...matrix.map(row => [...row, 0, 0]), [0, 0, 0, 1, 0]]
+        .map(row => row.map(value => Number(value.toFixed(6))).join(' '))
+        .join(' ');
+}
+
+// Check and complete filter settings, accepting numbers as strings; throws on invalid values
+function normalizeFilters(filters) {
+    if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+        throw new Error('Filters must be an object');
+    }
+
+    const unknown = Object.keys(filters).find(key => !(key in DEFAULT_FILTERS));
+    if (unknown) {
+        throw new Error(`Unknown filter "${unknown}"`);
+    }
+
+    const normalized = { ...DEFAULT_FILTERS, ...filters };
+
+    if (!VISION_FILTERS.includes(normalized.vision)) {
+        throw new Error(`Unknown vision filter "${normalized.vision}"`);
+    }
+
+    Object.entries(FILTER_RANGES).forEach(([key, range]) => {
+        const value = normalized[key];
+        const number = typeof value === 'string' && value.trim() ? Number(value) : value;
+        if (typeof number !== 'number' || !isFinite(number)) {
+            throw new TypeError(`${key} must be a number`);
+        }
+        if (number < range.min || number > range.max) {
+            throw new RangeError(`${key} must be between ${range.min} and ${range.max}`);
+        }
+        normalized[key] = Math.round(number / range.step) * range.step;
+    });
+
+    if (typeof normalized.reducedMotion !== 'boolean') {
+        throw new TypeError('reducedMotion must be true or false');
+    }
+
+    return normalized;
+}
+
+// Whether filter settings change any colours
+function hasColorFilters(filters) {
+    const normalized = normalizeFilters(filters);
+    return normalized.vision !== 'none' || normalized.saturation < 100 || normalized.blueLight > 0;
+}
+
+/**
+ * The feColorMatrix primitives for filter settings, in the order they apply:
+ * each as `{ type, values }`
+ */
+function getFilterPrimitives(filters) {
+    const normalized = normalizeFilters(filters);
+    const primitives = [];
+
+    if (normalized.vision === 'greyscale') {
+        primitives.push({ type: 'saturate', values: '0' });
+    } else if (normalized.vision !== 'none') {
+        primitives.push({ type: 'matrix', values: toColorMatrixValues(getDaltonizeMatrix(normalized.vision)) });
+    }
+
+    if (normalized.saturation < 100) {
+        primitives.push({ type: 'saturate', values: String(normalized.saturation / 100) });
+    }
+
+    if (normalized.blueLight > 0) {
+        const strength = normalized.blueLight / 100;
+        primitives.push({
+            type: 'matrix',
+            values: toColorMatrixValues([
+                [1, 0, 0],
+                [0, 1 - BLUE_LIGHT_REDUCTION.green * strength, 0],
+                [0, 0, 1 - BLUE_LIGHT_REDUCTION.blue * strength]
+            ])
+        });
+    }
+
+    return primitives;
+}
+
+/**
+ * A hidden <svg> holding the filter `id` for filter settings, to be put in
+ * the document and used as `filter: url("#id")`
+ */
+function createFilterElement(filters, id, doc = document) {
+    const svg = doc.createElementNS(SVG_NAMESPACE, 'svg');
+    svg.setAttribute('aria-hidden', 'true');
+    svg.setAttribute('focusable', 'false');
+    svg.setAttribute('style', 'position: absolute; width: 0; height: 0; overflow: hidden;');
+
+    const filter = doc.createElementNS(SVG_NAMESPACE, 'filter');
+    filter.id = id;
+    // The simulation matrices work on linear light
+    filter.setAttribute('color-interpolation-filters', 'linearRGB');
+
+    getFilterPrimitives(filters).forEach(({ type, values }) => {
+        const primitive = doc.createElementNS(SVG_NAMESPACE, 'feColorMatrix');
+        primitive.setAttribute('type', type);
+        primitive.setAttribute('values', values);
+        filter.appendChild(primitive);
+    });
+
+    svg.appendChild(filter);
+    return svg;
+}
+
+const ThemeFilters = {
+    VISION_FILTERS,
+    DEFAULT_FILTERS,
+    FILTER_RANGES,
+    BLUE_LIGHT_REDUCTION,
+    REDUCED_MOTION_CSS,
+    getDaltonizeMatrix,
+    normalizeFilters,
+    hasColorFilters,
+    getFilterPrimitives,
+    createFilterElement
+};
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ThemeFilters;
+}
+
+// Global export (windows and service workers)
+if (typeof self !== 'undefined') {
+    self.ThemeFilters = ThemeFilters;
+}
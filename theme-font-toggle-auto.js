@@ -0,0 +1,52 @@
+/**
+ * Theme & Font Toggle auto-initializer
+ * Opt-in entry that creates `window.themeFontToggle` once the DOM is ready,
+ * if the page has the default selectors (#theme-toggle, #font-toggle,
+ * #font-size-toggle) or any of the theme-controls.js custom elements.
+ *
+ * Load it after theme-font-toggle.js, or import it for its side effect:
+ *   import 'theme-font-toggle-plugin/auto';
+ *
+ * Set `window.themeFontToggleOptions` before DOMContentLoaded to configure
+ * the instance.
+ */
+
+// The plugin class, loaded as a script or a module
+function getAutoInitClass() {
+    if (typeof window !== 'undefined' && window.ThemeFontToggle) {
+        return window.ThemeFontToggle;
+    }
+    return require('./theme-font-toggle.js');
+}
+
+/**
+ * Create `window.themeFontToggle` if the page has something for it to control
+ */
+function autoInitThemeFontToggle() {
+    if (window.themeFontToggle) return window.themeFontToggle;
+
+    const themeSelector = document.querySelector('#theme-toggle');
+    const fontSelector = document.querySelector('#font-toggle');
+    const fontSizeSelector = document.querySelector('#font-size-toggle');
+    const controls = document.querySelector('theme-switch, theme-toggle, font-size-stepper, theme-palette');
+
+    if (themeSelector || fontSelector || fontSizeSelector || controls) {
+        const ThemeFontToggle = getAutoInitClass();
+        window.themeFontToggle = new ThemeFontToggle(window.themeFontToggleOptions);
+    }
+    return window.themeFontToggle || null;
+}
+
+// Not on the server; a module loaded after the DOM is ready runs straight away
+if (typeof document !== 'undefined') {
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', autoInitThemeFontToggle);
+    } else {
+        autoInitThemeFontToggle();
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = autoInitThemeFontToggle;
+}
@@ -4,276 +4,2714 @@
  * with local storage persistence and system preference detection.
  */
 
+// Themes defined in theme-font-toggle.css, plus the schedule mode
+const BUILT_IN_THEMES = ['light', 'dark', 'auto', 'schedule'];
+
+// Fonts defined in theme-font-toggle.css
+const BUILT_IN_FONTS = ['system', 'serif', 'sans-serif', 'monospace', 'cursive'];
+
+// Numeric typography settings: allowed range, step and the CSS custom property they set.
+// The font scale is a percentage; spacing values are in em so they follow each element's size.
+const TYPOGRAPHY_SETTINGS = {
+    fontScale: { property: '--font-scale', min: 75, max: 300, step: 5, format: value => String(value / 100) },
+    lineHeight: { property: '--line-height', min: 1, max: 3, step: 0.05, format: value => String(value) },
+    letterSpacing: { property: '--letter-spacing', min: 0, max: 0.3, step: 0.01, format: value => `${value}em` },
+    wordSpacing: { property: '--word-spacing', min: 0, max: 0.5, step: 0.01, format: value => `${value}em` },
+    paragraphSpacing: { property: '--paragraph-spacing', min: 0, max: 3, step: 0.1, format: value => `${value}em` }
+};
+
+// CSS custom properties a custom theme may set
+const THEME_TOKENS = [
+    '--bg-primary',
+    '--bg-secondary',
+    '--text-primary',
+    '--text-secondary',
+    '--border-color',
+    '--accent-color',
+    '--accent-hover',
+    '--shadow'
+];
+
+// Settings of the filters setting (see theme-filters.js), each with a selector option
+const FILTER_KEYS = ['vision', 'saturation', 'blueLight', 'reducedMotion'];
+
+// Font sizes defined in theme-font-toggle.css, smallest first
+const FONT_SIZES = ['small', 'medium', 'large', 'extra-large'];
+
+// Keyboard shortcut actions and their default bindings. Alt+Shift keeps clear of
+// the browser's own Ctrl/Cmd shortcuts (Ctrl+Shift+T reopens the last closed tab).
+const DEFAULT_SHORTCUTS = {
+    cycleTheme: 'Alt+Shift+T',
+    increaseFontSize: 'Alt+Shift+ArrowUp',
+    decreaseFontSize: 'Alt+Shift+ArrowDown',
+    resetFontSize: 'Alt+Shift+0',
+    nextFont: 'Alt+Shift+F',
+    resetAll: 'Alt+Shift+Backspace'
+};
+
+// Browser shortcuts a binding may not take over; Ctrl also stands for Cmd
+const BROWSER_SHORTCUTS = [
+    'Ctrl+T', 'Ctrl+Shift+T', 'Ctrl+N', 'Ctrl+Shift+N', 'Ctrl+W', 'Ctrl+Shift+W', 'Ctrl+Q',
+    'Ctrl+Tab', 'Ctrl+Shift+Tab', 'Ctrl+L', 'Ctrl+R', 'Ctrl+Shift+R', 'Ctrl+F', 'Ctrl+P',
+    'Ctrl+S', 'Ctrl+D', 'Ctrl+H', 'Ctrl+J', 'Ctrl+0', 'Ctrl+=', 'Ctrl+-',
+    'Alt+ArrowLeft', 'Alt+ArrowRight', 'Alt+Home', 'Alt+F4'
+];
+
+const SHORTCUT_MODIFIERS = ['Ctrl', 'Alt', 'Shift', 'Meta'];
+
+const SHORTCUT_MODIFIER_ALIASES = {
+    ctrl: 'Ctrl', control: 'Ctrl', alt: 'Alt', option: 'Alt', shift: 'Shift',
+    meta: 'Meta', cmd: 'Meta', command: 'Meta'
+};
+
+const SHORTCUT_KEY_ALIASES = {
+    up: 'ArrowUp', down: 'ArrowDown', left: 'ArrowLeft', right: 'ArrowRight',
+    esc: 'Escape', del: 'Delete', plus: '+', minus: '-'
+};
+
+// Named keys a binding may use besides single characters
+const SHORTCUT_NAMED_KEYS = /^(Arrow(Up|Down|Left|Right)|F([1-9]|1[0-2])|Enter|Escape|Backspace|Delete|Tab|Home|End|PageUp|PageDown|Space)$/;
+
+// Turn a binding like 'shift+alt+t' or 'Mod+Up' into its canonical form
+// ('Alt+Shift+T'); throws on bindings that can't be used
+function normalizeShortcut(binding) {
+    const parts = String(binding || '').split('+').map(part => part.trim());
+    const key = parts.pop();
+    const modifiers = new Set(parts.map(part => {
+        if (part.toLowerCase() === 'mod') {
+            const mac = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform || '');
+            return mac ? 'Meta' : 'Ctrl';
+        }
+        const modifier = SHORTCUT_MODIFIER_ALIASES[part.toLowerCase()];
+        if (!modifier) {
+            throw new Error(`ThemeFontToggle: Invalid shortcut "${binding}"`);
+        }
+        return modifier;
+    }));
+
+    let normalizedKey = SHORTCUT_KEY_ALIASES[String(key).toLowerCase()] || key;
+    if (normalizedKey && normalizedKey.length === 1) {
+        normalizedKey = normalizedKey.toUpperCase();
+    } else if (!SHORTCUT_NAMED_KEYS.test(normalizedKey)) {
+        throw new Error(`ThemeFontToggle: Invalid shortcut "${binding}"`);
+    }
+
+    // Shift alone would take over typing
+    if (!['Ctrl', 'Alt', 'Meta'].some(modifier => modifiers.has(modifier))) {
+        throw new Error(`ThemeFontToggle: Shortcut "${binding}" needs Ctrl, Alt or Meta`);
+    }
+
+    return [...SHORTCUT_MODIFIERS.filter(modifier => modifiers.has(modifier)), normalizedKey].join('+');
+}
+
+// The canonical binding for a keydown event. Letters and digits come from the
+// physical key, as Alt changes the character they type on macOS.
+function getEventShortcut(e) {
+    if (['Control', 'Alt', 'Shift', 'Meta'].includes(e.key)) return null;
+
+    let key;
+    if (/^Key[A-Z]$/.test(e.code)) {
+        key = e.code.slice(3);
+    } else if (/^Digit\d$/.test(e.code)) {
+        key = e.code.slice(5);
+    } else if (e.key === ' ') {
+        key = 'Space';
+    } else {
+        key = e.key.length === 1 ? e.key.toUpperCase() : e.key;
+    }
+
+    const modifiers = [e.ctrlKey && 'Ctrl', e.altKey && 'Alt', e.shiftKey && 'Shift', e.metaKey && 'Meta'];
+    return [...modifiers.filter(Boolean), key].join('+');
+}
+
+// Whether a key press is meant for a form field or editable content
+function isEditableTarget(target) {
+    if (!target || target.nodeType !== 1) return false;
+    return target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+}
+
+// Identifies exported settings files, and the version of their layout
+const SETTINGS_FORMAT = 'theme-font-toggle-settings';
+const SETTINGS_VERSION = 1;
+
+// Settings that can be given as URL parameters and in settings files
+const SHAREABLE_SETTINGS = ['theme', 'font', 'fontSize', ...Object.keys(TYPOGRAPHY_SETTINGS)];
+
+// Version of the stored preferences' layout, saved with them
+const STORAGE_VERSION = 2;
+
+// Font sizes setFontSize() saved before it checked its values: CSS size
+// keywords, as a percentage of medium, and lengths (see getLegacyFontScale())
+const LEGACY_FONT_SIZE_SCALES = {
+    'xx-small': 60,
+    'x-small': 75,
+    'x-large': 150,
+    'xx-large': 200,
+    'xxx-large': 300
+};
+
+// The fontScale that gives a legacy font size, relative to medium's 16px;
+// null for the sizes FONT_SIZES still has and for values that aren't sizes
+function getLegacyFontScale(fontSize) {
+    if (typeof fontSize !== 'string' || FONT_SIZES.includes(fontSize)) return null;
+
+    let percent = LEGACY_FONT_SIZE_SCALES[fontSize];
+    if (!Object.prototype.hasOwnProperty.call(LEGACY_FONT_SIZE_SCALES, fontSize)) {
+        const match = fontSize.trim().match(/^(\d+(?:\.\d+)?)(px|%|r?em)$/);
+        if (!match) return null;
+        percent = { px: 100 / 16, '%': 1, em: 100, rem: 100 }[match[2]] * Number(match[1]);
+    }
+
+    const { min, max, step } = TYPOGRAPHY_SETTINGS.fontScale;
+    return Math.min(max, Math.max(min, Math.round(percent / step) * step));
+}
+
+// Upgrades for stored preferences, oldest first. Each step gets the stored
+// values as saved by the version before it (strings with string-backed stores)
+// and returns the values to change; null removes one. When a key is renamed
+// or a setting's values change meaning, add a step and bump STORAGE_VERSION.
+const STORAGE_MIGRATIONS = [
+    {
+        version: 1,
+        // Preferences saved before versioning already use this layout
+        migrate: () => ({})
+    },
+    {
+        version: 2,
+        // Font sizes FONT_SIZES doesn't have become medium with the matching
+        // scale; a saved scale is kept
+        migrate: (values) => {
+            const fontScale = getLegacyFontScale(values.fontSize);
+            if (fontScale === null) return {};
+
+            const hasScale = values.fontScale !== null && values.fontScale !== undefined && values.fontScale !== '';
+            return hasScale ? { fontSize: 'medium' } : { fontSize: 'medium', fontScale: fontScale };
+        }
+    }
+];
+
+// Default storage when theme-storage.js isn't loaded
+const LOCAL_STORAGE_FALLBACK = {
+    get: key => localStorage.getItem(key),
+    set: (key, value) => localStorage.setItem(key, typeof value === 'string' ? value : JSON.stringify(value)),
+    remove: key => localStorage.removeItem(key)
+};
+
+// Numbers the instances, so each writes style and filter elements of its own
+let instanceCount = 0;
+
+// Default configuration
+const DEFAULT_CONFIG = {
+    themeSelector: '#theme-toggle',
+    fontSelector: '#font-toggle',
+    fontSizeSelector: '#font-size-toggle',
+    fontScaleSelector: '#font-scale-toggle',
+    lineHeightSelector: '#line-height-toggle',
+    letterSpacingSelector: '#letter-spacing-toggle',
+    wordSpacingSelector: '#word-spacing-toggle',
+    paragraphSpacingSelector: '#paragraph-spacing-toggle',
+    visionSelector: '#vision-toggle',
+    saturationSelector: '#saturation-toggle',
+    blueLightSelector: '#blue-light-toggle',
+    reducedMotionSelector: '#reduced-motion-toggle',
+    storagePrefix: 'theme-font-toggle',
+    defaultTheme: 'light',
+    defaultFont: 'system',
+    defaultFontSize: 'medium',
+    defaultFontScale: 100,
+    defaultLineHeight: 1.6,
+    defaultLetterSpacing: 0,
+    defaultWordSpacing: 0,
+    defaultParagraphSpacing: 1,
+    defaultFilters: {},
+    autoDetectSystemTheme: true,
+    respectSystemPreferences: true,
+    syncTabs: true,
+    frameOrigins: [],
+    fontLoadTimeout: 3000,
+    shortcuts: true,
+    shortcutBindings: {},
+    historyLimit: 50,
+    urlParams: false,
+    urlParamPrefix: '',
+    auditContrast: true,
+    enforceContrast: false,
+    root: null
+};
+
+// System preferences followed with respectSystemPreferences: reduced motion
+// turns the reducedMotion filter on, more contrast enforces AAA contrast
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+const MORE_CONTRAST_QUERY = '(prefers-contrast: more)';
+
+// Message types used to sync settings between tabs and frames
+const SYNC_MESSAGE = 'themeFontToggle:sync';
+const FRAME_SETTINGS_MESSAGE = 'themeFontToggle:settings';
+const FRAME_REQUEST_MESSAGE = 'themeFontToggle:requestSettings';
+
+// Whether a storage adapter returned a Promise
+function isThenable(value) {
+    return !!value && typeof value.then === 'function';
+}
+
+// The option holding a typography setting's default, e.g. 'defaultLineHeight'
+function getTypographyConfigKey(key) {
+    return `default${key.charAt(0).toUpperCase()}${key.slice(1)}`;
+}
+
+// Helper modules that ThemeFontToggle.use() can hand over, by global name
+const OPTIONAL_MODULES = ['ThemeContrast', 'ThemeFilters', 'ThemeSchedule', 'ThemeStorage', 'ThemeControls'];
+
+// Modules handed over with ThemeFontToggle.use(), where there are no globals or require()
+const usedModules = {};
+
+// Optional helper modules (theme-contrast.js, theme-filters.js, theme-schedule.js, theme-storage.js), when loaded
+function getOptionalModule(globalName, path) {
+    if (usedModules[globalName]) {
+        return usedModules[globalName];
+    }
+    if (typeof window !== 'undefined' && window[globalName]) {
+        return window[globalName];
+    }
+    if (typeof require === 'function') {
+        try {
+            return require(path);
+        } catch (error) {
+            return null;
+        }
+    }
+    return null;
+}
+
 class ThemeFontToggle {
-    constructor(options = {}) {
-        // Default configuration
-        this.config = {
-            themeSelector: '#theme-toggle',
-            fontSelector: '#font-toggle',
-            fontSizeSelector: '#font-size-toggle',
-            storagePrefix: 'theme-font-toggle',
-            defaultTheme: 'light',
-            defaultFont: 'system',
-            defaultFontSize: 'medium',
-            autoDetectSystemTheme: true,
-            ...options
+    /**
+     * Hand the plugin helper modules it can't find on its own, keyed by their
+     * global names: `ThemeFontToggle.use({ ThemeFilters, ThemeSchedule })`.
+     * The ES module build imports none of them, so bundles only include the
+     * helpers a page uses.
+     */
+    static use(modules) {
+        Object.entries(modules || {}).forEach(([name, module]) => {
+            if (!OPTIONAL_MODULES.includes(name)) {
+                throw new Error(`ThemeFontToggle: Unknown helper module "${name}"`);
+            }
+            if (!module || typeof module !== 'object') {
+                throw new Error(`ThemeFontToggle: Helper module "${name}" must be an object`);
+            }
+            usedModules[name] = module;
+        });
+        return ThemeFontToggle;
+    }
+
+    /**
+     * Get the settings an instance with these options starts with before
+     * loading saved preferences. Needs no document, so it works on the server.
+     */
+    static getDefaultSettings(options = {}) {
+        const config = { ...DEFAULT_CONFIG, ...options };
+        const settings = {
+            theme: config.defaultTheme,
+            font: config.defaultFont,
+            fontSize: config.defaultFontSize
         };
+        Object.keys(TYPOGRAPHY_SETTINGS).forEach(key => {
+            settings[key] = config[getTypographyConfigKey(key)];
+        });
+
+        const filtersModule = getOptionalModule('ThemeFilters', './theme-filters.js');
+        settings.filters = filtersModule
+            ? Object.freeze(filtersModule.normalizeFilters({ ...filtersModule.DEFAULT_FILTERS, ...config.defaultFilters }))
+            : null;
+        return settings;
+    }
+
+    constructor(options = {}) {
+        this.config = { ...DEFAULT_CONFIG, ...options };
+
+        // Where attributes are set and events dispatched: <html> and the
+        // document, or the element or shadow root given as `root`
+        this.root = this.config.root || document.documentElement;
+        const isShadowRoot = !!this.root && this.root.nodeType === 11 && !!this.root.host;
+        if (!this.root || (this.root.nodeType !== 1 && !isShadowRoot)) {
+            throw new Error('ThemeFontToggle: root must be an element or a shadow root');
+        }
+        this.rootElement = isShadowRoot ? this.root.host : this.root;
+        this.eventTarget = this.config.root ? this.root : document;
+        this.instanceId = ++instanceCount;
+
+        // Aborted by destroy(), removing every listener and timer the instance added
+        this.abortController = new AbortController();
+        this.signal = this.abortController.signal;
+
+        // Token values overridden to meet the enforced contrast level
+        this.contrastCorrections = {};
+        this.contrastReport = null;
 
         // Storage keys
         this.storageKeys = {
             theme: `${this.config.storagePrefix}-theme`,
             font: `${this.config.storagePrefix}-font`,
-            fontSize: `${this.config.storagePrefix}-font-size`
+            fontSize: `${this.config.storagePrefix}-font-size`,
+            fontScale: `${this.config.storagePrefix}-font-scale`,
+            lineHeight: `${this.config.storagePrefix}-line-height`,
+            letterSpacing: `${this.config.storagePrefix}-letter-spacing`,
+            wordSpacing: `${this.config.storagePrefix}-word-spacing`,
+            paragraphSpacing: `${this.config.storagePrefix}-paragraph-spacing`,
+            customThemes: `${this.config.storagePrefix}-custom-themes`,
+            schedule: `${this.config.storagePrefix}-schedule`,
+            customFonts: `${this.config.storagePrefix}-custom-fonts`,
+            shortcuts: `${this.config.storagePrefix}-shortcuts`,
+            filters: `${this.config.storagePrefix}-filters`,
+            version: `${this.config.storagePrefix}-version`,
+            ...this.config.storageKeys
+        };
+
+        // Where preferences are saved: localStorage unless a storage adapter is given
+        this.storage = this.createStorage(this.config.storage);
+
+        // Custom themes, registered fonts, and the font a pending load will switch to
+        this.customThemes = {};
+        this.customFonts = {};
+        this.pendingFont = null;
+
+        // Schedule used by the 'schedule' theme
+        this.schedule = { ...this.config.schedule };
+        this.scheduleTimer = null;
+        this.scheduleWakeHandler = null;
+
+        // Where the change being applied came from ('storage', 'broadcast' or
+        // 'frame'), or null for local changes
+        this.syncSource = null;
+
+        // Undo history: steps as the values of the settings they changed,
+        // `{ before, after }`, newest last. A step is being recorded while
+        // historyBatch is set; undo and redo pause recording.
+        this.undoStack = [];
+        this.redoStack = [];
+        this.historyBatch = false;
+        this.historyPaused = false;
+
+        // Resolves with the settings once stored preferences are loaded and applied
+        this.ready = new Promise(resolve => {
+            this.resolveReady = resolve;
+        });
+
+        // Synchronous adapters load straight away, so registerTheme() works
+        // before the DOM is ready; async adapters initialize once loaded
+        const keys = Object.keys(this.storageKeys);
+        const stored = this.readStoredValues(keys);
+        if (isThenable(stored)) {
+            // A failed read falls back to the defaults, as a synchronous one does
+            Promise.resolve(stored)
+                .catch(error => {
+                    console.warn('ThemeFontToggle: Storage get failed', error);
+                    return Object.fromEntries(keys.map(key => [key, null]));
+                })
+                .then(values => this.loadStoredState(values));
+        } else {
+            this.loadStoredState(stored);
+        }
+    }
+
+    /**
+     * Take custom themes, fonts and the schedule from stored values, then initialize
+     */
+    loadStoredState(stored) {
+        // Destroyed while an async adapter was loading
+        if (this.signal.aborted) return;
+
+        const values = this.migrateStoredValues(stored);
+        this.storedValues = values;
+
+        // Themes and fonts registered while an async adapter was loading are kept
+        const registeredThemes = this.customThemes;
+        const registeredFonts = this.customFonts;
+
+        const storedThemes = this.filterStoredThemes(values.customThemes);
+        const storedFonts = this.filterStoredFonts(values.customFonts);
+
+        this.customThemes = { ...storedThemes, ...registeredThemes };
+        this.customFonts = { ...storedFonts, ...registeredFonts };
+        this.renderCustomThemes();
+        this.renderCustomFonts();
+
+        if (Object.keys(registeredThemes).length) this.setStoredValue('customThemes', this.customThemes);
+        if (Object.keys(registeredFonts).length) this.setStoredValue('customFonts', this.customFonts);
+
+        this.schedule = {
+            ...this.schedule,
+            ...this.parseStoredJSON('schedule', values.schedule)
         };
+        const scheduleModule = getOptionalModule('ThemeSchedule', './theme-schedule.js');
+        if (scheduleModule && values.schedule !== null) {
+            try {
+                this.schedule = scheduleModule.normalizeSchedule(this.schedule);
+            } catch (error) {
+                this.schedule = { ...this.config.schedule };
+                this.removeStoredValue('schedule');
+                this.reportInvalidPreference('schedule', this.parseStoredJSON('schedule', values.schedule),
+                    this.getSchedule(), error);
+            }
+        }
 
-        // Initialize the plugin
         this.init();
     }
 
     /**
-     * Initialize the plugin
+     * Bring stored values saved by an older version up to date, saving the
+     * changes. Values from a newer version are left alone; whatever this
+     * version can't use falls back to the defaults when validated.
+     */
+    migrateStoredValues(values) {
+        const version = Number(values.version) || 0;
+        this.storedVersion = version;
+        if (version >= STORAGE_VERSION) return values;
+
+        // A first visit has nothing to migrate; the version is saved with the first setting
+        const hasPreferences = Object.keys(values).some(key => key !== 'version' && values[key] !== null);
+        if (!hasPreferences) return values;
+
+        const migrated = { ...values };
+        STORAGE_MIGRATIONS.filter(migration => migration.version > version).forEach(migration => {
+            Object.entries(migration.migrate({ ...migrated }) || {}).forEach(([key, value]) => {
+                migrated[key] = value;
+                if (!(key in this.storageKeys)) return;
+
+                if (value === null) {
+                    this.removeStoredValue(key);
+                } else {
+                    this.setStoredValue(key, value);
+                }
+            });
+        });
+
+        this.setStoredValue('version', STORAGE_VERSION);
+        this.storedVersion = STORAGE_VERSION;
+        migrated.version = STORAGE_VERSION;
+
+        this.dispatchEvent('preferencesMigrated', { from: version, to: STORAGE_VERSION });
+        return migrated;
+    }
+
+    /**
+     * Parse stored or synced custom themes or fonts, dropping any definition
+     * that no longer validates. Stored ones are unsaved too; synced ones are
+     * left to the tab or frame that sent them.
+     */
+    filterStoredDefinitions(key, value, normalize) {
+        const definitions = this.parseStoredJSON(key, value);
+        if (!definitions) return {};
+        if (typeof definitions !== 'object' || Array.isArray(definitions)) {
+            if (!this.syncSource) this.removeStoredValue(key);
+            this.reportInvalidPreference(key, definitions, {}, new Error(`ThemeFontToggle: Invalid stored ${key}`));
+            return {};
+        }
+
+        const valid = {};
+        Object.entries(definitions).forEach(([name, definition]) => {
+            try {
+                if (!definition || typeof definition !== 'object') {
+                    throw new Error(`ThemeFontToggle: Invalid definition for "${name}"`);
+                }
+                valid[name] = normalize(name, definition);
+            } catch (error) {
+                this.reportInvalidPreference(key, { [name]: definition }, null, error);
+            }
+        });
+
+        if (!this.syncSource && Object.keys(valid).length < Object.keys(definitions).length) {
+            this.setStoredValue(key, valid);
+        }
+        return valid;
+    }
+
+    /**
+     * The valid custom themes in a stored or synced value
+     */
+    filterStoredThemes(value) {
+        return this.filterStoredDefinitions('customThemes', value,
+            (name, tokens) => this.normalizeThemeDefinition(name, tokens).tokens);
+    }
+
+    /**
+     * The valid custom fonts in a stored or synced value
+     */
+    filterStoredFonts(value) {
+        return this.filterStoredDefinitions('customFonts', value,
+            (name, font) => this.normalizeFontDefinition({ ...font, name }));
+    }
+
+    /**
+     * Warn about a stored value that can't be used, and let the page know
+     * what replaced it
+     */
+    reportInvalidPreference(key, value, fallback, error) {
+        console.warn(`ThemeFontToggle: Ignoring invalid stored ${key}`, error);
+        this.dispatchEvent('invalidPreference', {
+            key: key,
+            value: value,
+            fallback: fallback,
+            reason: error.message.replace(/^ThemeFontToggle: /, '')
+        });
+    }
+    /**
+     * Initialize the plugin
+     */
+    init() {
+        // Wait for DOM to be ready
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.setup(), { signal: this.signal });
+        } else {
+            this.setup();
+        }
+    }
+
+    /**
+     * Setup the plugin after DOM is ready
+     */
+    setup() {
+        // Get DOM elements, from inside the root when one is given
+        const scope = this.config.root ? this.root : document;
+        this.themeSelector = scope.querySelector(this.config.themeSelector);
+        this.fontSelector = scope.querySelector(this.config.fontSelector);
+        this.fontSizeSelector = scope.querySelector(this.config.fontSizeSelector);
+        this.typographySelectors = {};
+        Object.keys(TYPOGRAPHY_SETTINGS).forEach(key => {
+            this.typographySelectors[key] = scope.querySelector(this.config[`${key}Selector`]);
+        });
+        this.filterSelectors = {};
+        FILTER_KEYS.forEach(key => {
+            this.filterSelectors[key] = scope.querySelector(this.config[`${key}Selector`]);
+        });
+
+        // Load saved preferences or defaults
+        this.loadPreferences();
+
+        // Set up event listeners
+        this.setupEventListeners();
+
+        // A scoped instance only reacts to keys pressed inside its root
+        if (this.config.shortcuts) {
+            this.eventTarget.addEventListener('keydown', (e) => this.handleShortcutKeydown(e), { signal: this.signal });
+        }
+
+        // Follow changes made in other tabs and by a parent frame
+        this.setupSync();
+
+        // Listen for system theme changes
+        if (this.config.autoDetectSystemTheme) {
+            this.setupSystemThemeListener();
+        }
+
+        // Follow the system's reduced motion and contrast preferences
+        if (this.config.respectSystemPreferences) {
+            this.setupSystemPreferenceListeners();
+        }
+
+        // Apply initial settings
+        this.updateThemeOptions();
+        this.updateFontOptions();
+        this.applySettings();
+
+        // A stored registered font that no longer loads falls back to the default
+        this.loadFont(this.currentFont).catch(() => {
+            if (this.customFonts[this.currentFont]) {
+                this.currentFont = this.config.defaultFont;
+                this.applyFont(this.currentFont);
+                this.updateSelector(this.fontSelector, this.currentFont);
+            }
+        });
+
+        // Dispatch initialization event
+        this.dispatchEvent('initialized', {
+            theme: this.currentTheme,
+            font: this.currentFont,
+            fontSize: this.currentFontSize
+        });
+
+        this.resolveReady(this.getSettings());
+    }
+
+    /**
+     * Load preferences from the stored values or use defaults
+     */
+    loadPreferences() {
+        // Settings from the page URL take precedence over saved ones
+        const values = { ...(this.storedValues || {}), ...this.loadUrlSettings() };
+        this.currentTheme = this.loadPreference('theme', values.theme, this.config.defaultTheme);
+        this.currentFont = this.loadPreference('font', values.font, this.config.defaultFont);
+        this.currentFontSize = this.loadPreference('fontSize', values.fontSize, this.config.defaultFontSize);
+
+        this.typography = {};
+        Object.keys(TYPOGRAPHY_SETTINGS).forEach(key => {
+            this.typography[key] = this.loadPreference(key, values[key], this.getDefaultTypography(key));
+        });
+
+        this.shortcutOverrides = {};
+        this.applyShortcutOverrides(this.parseStoredJSON('shortcuts', values.shortcuts) || {});
+
+        // Frozen, so getSettings() can hand out the same object until they change
+        this.filters = this.loadFilters(values.filters);
+        if (this.filters) Object.freeze(this.filters);
+    }
+
+    /**
+     * Validate stored filters; invalid ones are removed from storage and
+     * replaced by the defaults. Null without theme-filters.js.
+     */
+    loadFilters(value) {
+        const filtersModule = getOptionalModule('ThemeFilters', './theme-filters.js');
+        if (!filtersModule) return null;
+
+        const fallback = this.getDefaultFilters();
+        const stored = this.parseStoredJSON('filters', value);
+        if (!stored) return fallback;
+
+        try {
+            return filtersModule.normalizeFilters(stored);
+        } catch (error) {
+            this.removeStoredValue('filters');
+            this.reportInvalidPreference('filters', stored, fallback, error);
+            return fallback;
+        }
+    }
+
+    /**
+     * Validate a stored setting against the themes, fonts and ranges known
+     * now. An invalid value (say a font from an older version) is removed from
+     * storage and replaced by the default.
+     */
+    loadPreference(key, value, fallback) {
+        if (value === null || value === undefined || value === '') return fallback;
+
+        try {
+            return this.normalizeSettingValue(key, value);
+        } catch (error) {
+            this.removeStoredValue(key);
+            this.reportInvalidPreference(key, value, fallback, error);
+            return fallback;
+        }
+    }
+
+    /**
+     * Resolve the `storage` option to a storage adapter
+     */
+    createStorage(storage) {
+        const storageModule = getOptionalModule('ThemeStorage', './theme-storage.js');
+
+        if (storage === undefined || storage === null) {
+            return storageModule ? storageModule.getStorageAdapter('localStorage') : LOCAL_STORAGE_FALLBACK;
+        }
+        if (!storageModule) {
+            if (typeof storage === 'string') {
+                throw new Error(`ThemeFontToggle: theme-storage.js is required for "${storage}" storage`);
+            }
+            return storage;
+        }
+        return storageModule.getStorageAdapter(storage);
+    }
+
+    /**
+     * Read several stored values; returns a Promise if the adapter is async
+     */
+    readStoredValues(keys) {
+        const values = keys.map(key => this.getStoredValue(key));
+        const collect = resolved => keys.reduce((result, key, index) => {
+            result[key] = resolved[index] === undefined ? null : resolved[index];
+            return result;
+        }, {});
+
+        return values.some(isThenable) ? Promise.all(values).then(collect) : collect(values);
+    }
+
+    /**
+     * Get a stored value (or a Promise of one) from the storage adapter
+     */
+    getStoredValue(key) {
+        return this.callStorage('get', this.storageKeys[key]);
+    }
+
+    /**
+     * Save a value through the storage adapter
+     */
+    setStoredValue(key, value) {
+        return this.callStorage('set', this.storageKeys[key], value);
+    }
+
+    /**
+     * Delete a value through the storage adapter
+     */
+    removeStoredValue(key) {
+        return this.callStorage('remove', this.storageKeys[key]);
+    }
+
+    /**
+     * Call a storage adapter method; failures are logged, and reads give null
+     */
+    callStorage(method, ...args) {
+        const warn = (error) => {
+            console.warn(`ThemeFontToggle: Storage ${method} failed`, error);
+            return null;
+        };
+
+        try {
+            const result = this.storage[method](...args);
+            return isThenable(result) ? result.catch(warn) : result;
+        } catch (error) {
+            return warn(error);
+        }
+    }
+
+    /**
+     * Save a changed setting and tell other tabs and frames about it. Synced
+     * changes were already saved where they came from.
+     */
+    saveSetting(key, value) {
+        if (this.syncSource) return;
+
+        // Mark the preferences as current, so they aren't migrated again
+        if (this.storedVersion < STORAGE_VERSION) {
+            this.storedVersion = STORAGE_VERSION;
+            this.setStoredValue('version', STORAGE_VERSION);
+        }
+
+        this.setStoredValue(key, value);
+        this.clearSessionUrlSetting(key);
+
+        if (this.syncChannel) {
+            this.syncChannel.postMessage({ type: SYNC_MESSAGE, key: key, value: value });
+        }
+        this.postSettingsToFrames();
+    }
+
+    /**
+     * Listen for storage changes, BroadcastChannel messages and frame messages
+     */
+    setupSync() {
+        if (this.config.syncTabs) {
+            // Storage events cover other tabs sharing the store...
+            if (typeof this.storage.subscribe === 'function') {
+                const storageKeys = Object.keys(this.storageKeys);
+                const unsubscribe = this.storage.subscribe((storageKey, value) => {
+                    const key = storageKeys.find(name => this.storageKeys[name] === storageKey);
+                    if (key) this.applySyncedSettings({ [key]: value }, 'storage');
+                });
+                if (typeof unsubscribe === 'function') this.addCleanup(unsubscribe);
+            }
+
+            // ...and BroadcastChannel covers stores without change events, like cookies
+            if (typeof BroadcastChannel === 'function') {
+                this.syncChannel = new BroadcastChannel(`${this.config.storagePrefix}-sync`);
+                this.syncChannel.onmessage = (e) => {
+                    if (e.data && e.data.type === SYNC_MESSAGE && e.data.key in this.storageKeys) {
+                        this.applySyncedSettings({ [e.data.key]: e.data.value }, 'broadcast');
+                    }
+                };
+                this.addCleanup(() => {
+                    this.syncChannel.close();
+                    this.syncChannel = null;
+                });
+            }
+        }
+
+        if (this.config.frameOrigins.length) {
+            window.addEventListener('message', (e) => this.handleFrameMessage(e), { signal: this.signal });
+
+            // An embedded instance asks its parent for the current settings
+            if (window.parent !== window) {
+                this.config.frameOrigins.forEach(origin => {
+                    window.parent.postMessage({ type: FRAME_REQUEST_MESSAGE }, origin);
+                });
+            }
+        }
+    }
+
+    /**
+     * Run a callback when the instance is destroyed
+     */
+    addCleanup(callback) {
+        this.signal.addEventListener('abort', callback, { once: true });
+    }
+
+    /**
+     * Accept settings from an allowed parent, and answer allowed child frames
+     */
+    handleFrameMessage(e) {
+        if (!this.config.frameOrigins.includes(e.origin) || !e.data) return;
+
+        if (e.data.type === FRAME_SETTINGS_MESSAGE && e.source === window.parent && e.data.settings) {
+            this.applySyncedSettings(e.data.settings, 'frame');
+        } else if (e.data.type === FRAME_REQUEST_MESSAGE && e.source) {
+            e.source.postMessage({ type: FRAME_SETTINGS_MESSAGE, settings: this.getSettings() }, e.origin);
+        }
+    }
+
+    /**
+     * Push the current settings to child frames whose origin is allowed
+     */
+    postSettingsToFrames() {
+        if (!this.config.frameOrigins.length) return;
+
+        const message = { type: FRAME_SETTINGS_MESSAGE, settings: this.getSettings() };
+        document.querySelectorAll('iframe').forEach(frame => {
+            let origin;
+            try {
+                origin = new URL(frame.src, window.location.href).origin;
+            } catch (error) {
+                return;
+            }
+            if (frame.contentWindow && this.config.frameOrigins.includes(origin)) {
+                frame.contentWindow.postMessage(message, origin);
+            }
+        });
+    }
+
+    /**
+     * Apply settings changed in another tab or frame. The usual *Changed
+     * events are dispatched with `synced: true` and the `source`.
+     */
+    applySyncedSettings(settings, source) {
+        this.withSyncSource(source, () => {
+            Object.entries(settings).forEach(([key, value]) => {
+                try {
+                    this.applySyncedSetting(key, value);
+                } catch (error) {
+                    console.warn(`ThemeFontToggle: Ignoring invalid synced ${key}`, error);
+                }
+            });
+        });
+    }
+
+    /**
+     * Apply one synced setting if it differs from the current value; a removed
+     * value falls back to the default
+     */
+    applySyncedSetting(key, value) {
+        if (key === 'theme') {
+            const theme = value || this.config.defaultTheme;
+            if (theme !== this.currentTheme) this.setTheme(theme);
+        } else if (key === 'font') {
+            const font = value || this.config.defaultFont;
+            if (font !== this.currentFont && font !== this.pendingFont) this.setFont(font);
+        } else if (key === 'fontSize') {
+            const fontSize = value || this.config.defaultFontSize;
+            if (fontSize !== this.currentFontSize) this.setFontSize(fontSize);
+        } else if (TYPOGRAPHY_SETTINGS[key]) {
+            const number = value === null ? this.getDefaultTypography(key) : this.normalizeTypography(key, value);
+            if (number !== this.typography[key]) this.setTypography(key, number);
+        } else if (key === 'customThemes') {
+            const customThemes = this.filterStoredThemes(value);
+            if (JSON.stringify(customThemes) === JSON.stringify(this.customThemes)) return;
+
+            this.customThemes = customThemes;
+            this.renderCustomThemes();
+            this.updateThemeOptions();
+            this.applyTheme(this.currentTheme);
+        } else if (key === 'customFonts') {
+            const customFonts = this.filterStoredFonts(value);
+            if (JSON.stringify(customFonts) === JSON.stringify(this.customFonts)) return;
+
+            this.customFonts = customFonts;
+            this.renderCustomFonts();
+            this.updateFontOptions();
+        } else if (key === 'schedule') {
+            const schedule = this.parseStoredJSON(key, value);
+            if (schedule && JSON.stringify(schedule) !== JSON.stringify(this.schedule)) this.setSchedule(schedule);
+        } else if (key === 'filters') {
+            if (!this.filters) return;
+
+            const filtersModule = getOptionalModule('ThemeFilters', './theme-filters.js');
+            const filters = filtersModule.normalizeFilters(this.parseStoredJSON(key, value) || this.getDefaultFilters());
+            if (JSON.stringify(filters) !== JSON.stringify(this.filters)) this.setFilters(filters);
+        } else if (key === 'shortcuts') {
+            const overrides = this.parseStoredJSON(key, value) || {};
+            if (JSON.stringify(overrides) === JSON.stringify(this.shortcutOverrides)) return;
+
+            this.applyShortcutOverrides(overrides);
+            this.dispatchEvent('shortcutsChanged', { shortcuts: this.getShortcuts() });
+        }
+    }
+
+    /**
+     * Run a callback with syncSource set, so it saves nothing and flags its events
+     */
+    withSyncSource(source, callback) {
+        const previous = this.syncSource;
+        this.syncSource = source;
+        try {
+            callback();
+        } finally {
+            this.syncSource = previous;
+        }
+    }
+
+    /**
+     * Parse a stored JSON setting; string-backed adapters return it as text
+     */
+    parseStoredJSON(key, value) {
+        if (value === null || value === undefined || value === '') return null;
+        if (typeof value !== 'string') return value;
+
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            console.warn(`ThemeFontToggle: Ignoring invalid stored ${key}`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Setup event listeners for the selectors
+     */
+    setupEventListeners() {
+        const options = { signal: this.signal };
+
+        if (this.themeSelector) {
+            this.themeSelector.addEventListener('change', (e) => {
+                this.setTheme(e.target.value);
+            }, options);
+        }
+
+        if (this.fontSelector) {
+            this.fontSelector.addEventListener('change', (e) => {
+                this.setFont(e.target.value);
+            }, options);
+        }
+
+        if (this.fontSizeSelector) {
+            this.fontSizeSelector.addEventListener('change', (e) => {
+                this.setFontSize(e.target.value);
+            }, options);
+        }
+
+        // Sliders update as they move; other inputs on change
+        Object.entries(this.typographySelectors).forEach(([key, selector]) => {
+            if (!selector) return;
+            const eventName = selector.type === 'range' ? 'input' : 'change';
+            selector.addEventListener(eventName, (e) => {
+                this.setTypography(key, e.target.value);
+            }, options);
+        });
+
+        // Checkboxes give their checked state
+        Object.entries(this.filterSelectors).forEach(([key, selector]) => {
+            if (!selector) return;
+            const eventName = selector.type === 'range' ? 'input' : 'change';
+            selector.addEventListener(eventName, (e) => {
+                this.setFilters({ [key]: e.target.type === 'checkbox' ? e.target.checked : e.target.value });
+            }, options);
+        });
+    }
+
+    /**
+     * Setup system theme change listener
+     */
+    setupSystemThemeListener() {
+        if (window.matchMedia) {
+            const mediaQuery = window.matchMedia('(prefers-color-scheme: dark)');
+            mediaQuery.addEventListener('change', () => {
+                if (this.currentTheme === 'auto') {
+                    this.applyTheme('auto');
+                }
+            }, { signal: this.signal });
+        }
+    }
+
+    /**
+     * Re-apply the filters and contrast when the system's reduced motion or
+     * contrast preference changes
+     */
+    setupSystemPreferenceListeners() {
+        if (!window.matchMedia) return;
+
+        window.matchMedia(REDUCED_MOTION_QUERY).addEventListener('change', () => {
+            this.applyFilters();
+        }, { signal: this.signal });
+        window.matchMedia(MORE_CONTRAST_QUERY).addEventListener('change', () => {
+            this.checkContrast();
+        }, { signal: this.signal });
+    }
+
+    /**
+     * Whether the system asks for a media query's preference, when followed
+     */
+    matchesSystemPreference(query) {
+        return !!this.config.respectSystemPreferences && !!window.matchMedia && window.matchMedia(query).matches;
+    }
+
+    /**
+     * Run the action bound to a key press, unless it's meant for an editable field
+     */
+    handleShortcutKeydown(e) {
+        if (e.defaultPrevented || isEditableTarget(e.composedPath ? e.composedPath()[0] : e.target)) return;
+
+        const binding = getEventShortcut(e);
+        const action = binding && Object.keys(this.shortcuts).find(name => this.shortcuts[name] === binding);
+        if (!action) return;
+
+        e.preventDefault();
+        this.runShortcut(action);
+        this.dispatchEvent('shortcutTriggered', { action: action, binding: binding });
+    }
+
+    /**
+     * Perform a shortcut action
+     */
+    runShortcut(action) {
+        switch (action) {
+            case 'cycleTheme':
+                this.cycleTheme();
+                break;
+            case 'increaseFontSize':
+                this.increaseFontSize();
+                break;
+            case 'decreaseFontSize':
+                this.decreaseFontSize();
+                break;
+            case 'resetFontSize':
+                this.resetFontSize();
+                break;
+            case 'nextFont':
+                this.nextFont();
+                break;
+            case 'resetAll':
+                this.reset();
+                break;
+            default:
+                throw new Error(`ThemeFontToggle: Unknown shortcut action "${action}"`);
+        }
+    }
+
+    /**
+     * Merge stored shortcut remappings over the defaults; invalid or
+     * conflicting ones are ignored
+     */
+    applyShortcutOverrides(overrides) {
+        this.shortcuts = {};
+        Object.keys(DEFAULT_SHORTCUTS).forEach(action => {
+            const binding = action in this.config.shortcutBindings
+                ? this.config.shortcutBindings[action]
+                : DEFAULT_SHORTCUTS[action];
+            this.shortcuts[action] = binding === null ? null : normalizeShortcut(binding);
+        });
+
+        this.shortcutOverrides = {};
+        Object.entries(overrides).forEach(([action, binding]) => {
+            try {
+                if (!(action in DEFAULT_SHORTCUTS)) {
+                    throw new Error(`ThemeFontToggle: Unknown shortcut action "${action}"`);
+                }
+                this.shortcuts[action] = binding === null ? null : normalizeShortcut(binding);
+                this.shortcutOverrides[action] = this.shortcuts[action];
+            } catch (error) {
+                console.warn('ThemeFontToggle: Ignoring stored shortcut', error);
+            }
+        });
+
+        // Checked once all are in place, so swapped bindings don't clash midway;
+        // a remapping that still clashes is disabled rather than shadowed
+        Object.keys(this.shortcutOverrides).forEach(action => {
+            const binding = this.shortcuts[action];
+            const conflict = binding && this.getShortcutConflict(binding, action);
+            if (conflict) {
+                console.warn(`ThemeFontToggle: Disabling stored shortcut "${binding}", already used by ${conflict}`);
+                this.shortcuts[action] = null;
+                this.shortcutOverrides[action] = null;
+            }
+        });
+    }
+
+    /**
+     * Get the current binding of every shortcut action (null when disabled)
+     */
+    getShortcuts() {
+        return { ...this.shortcuts };
+    }
+
+    /**
+     * Find what already uses a binding: another action's name, 'browser' for a
+     * browser shortcut, or null if it's free
+     */
+    getShortcutConflict(binding, action) {
+        const normalized = normalizeShortcut(binding);
+        const other = Object.keys(this.shortcuts)
+            .find(name => name !== action && this.shortcuts[name] === normalized);
+        if (other) return other;
+
+        const asCtrl = normalized.replace(/(^|\+)Meta(?=\+)/, '$1Ctrl');
+        return BROWSER_SHORTCUTS.includes(normalized) || BROWSER_SHORTCUTS.includes(asCtrl) ? 'browser' : null;
+    }
+
+    /**
+     * Remap a shortcut action and save it; null disables the shortcut
+     */
+    setShortcut(action, binding) {
+        if (!(action in DEFAULT_SHORTCUTS)) {
+            throw new Error(`ThemeFontToggle: Unknown shortcut action "${action}"`);
+        }
+
+        const normalized = binding === null ? null : normalizeShortcut(binding);
+        const conflict = normalized && this.getShortcutConflict(normalized, action);
+        if (conflict) {
+            throw new Error(`ThemeFontToggle: Shortcut "${normalized}" is already used by ${conflict}`);
+        }
+
+        this.shortcuts[action] = normalized;
+        this.shortcutOverrides = { ...this.shortcutOverrides, [action]: normalized };
+        this.saveSetting('shortcuts', this.shortcutOverrides);
+
+        this.dispatchEvent('shortcutsChanged', { shortcuts: this.getShortcuts() });
+    }
+
+    /**
+     * Restore the default shortcuts
+     */
+    resetShortcuts() {
+        this.applyShortcutOverrides({});
+        this.saveSetting('shortcuts', {});
+
+        this.dispatchEvent('shortcutsChanged', { shortcuts: this.getShortcuts() });
+    }
+
+    /**
+     * Switch to the next theme (the schedule mode is left out)
+     */
+    cycleTheme() {
+        const themes = this.getThemes().filter(theme => theme !== 'schedule');
+        this.setTheme(themes[(themes.indexOf(this.currentTheme) + 1) % themes.length]);
+    }
+
+    /**
+     * Switch to the next available font
+     */
+    nextFont() {
+        const fonts = this.getFonts();
+        const current = this.pendingFont || this.currentFont;
+        this.setFont(fonts[(fonts.indexOf(current) + 1) % fonts.length]);
+    }
+
+    /**
+     * Step up to the next larger font size
+     */
+    increaseFontSize() {
+        this.stepFontSize(1);
+    }
+
+    /**
+     * Step down to the next smaller font size
+     */
+    decreaseFontSize() {
+        this.stepFontSize(-1);
+    }
+
+    /**
+     * Move through FONT_SIZES, stopping at either end
+     */
+    stepFontSize(direction) {
+        const index = FONT_SIZES.indexOf(this.currentFontSize);
+        const from = index < 0 ? FONT_SIZES.indexOf('medium') : index;
+        const fontSize = FONT_SIZES[Math.min(FONT_SIZES.length - 1, Math.max(0, from + direction))];
+
+        if (fontSize !== this.currentFontSize) {
+            this.setFontSize(fontSize);
+        }
+    }
+
+    /**
+     * Restore the default font size and scale
+     */
+    resetFontSize() {
+        this.batchHistory(() => {
+            this.setFontSize(this.config.defaultFontSize);
+            this.setTypography('fontScale', this.getDefaultTypography('fontScale'));
+        });
+    }
+
+    /**
+     * Set theme and save it; throws for a theme that isn't built in or registered
+     */
+    setTheme(theme) {
+        theme = this.normalizeSettingValue('theme', theme);
+
+        this.batchHistory(() => {
+            this.currentTheme = theme;
+            this.saveSetting('theme', theme);
+            this.applyTheme(theme);
+            this.updateSelector(this.themeSelector, theme);
+        });
+
+        this.dispatchEvent('themeChanged', {
+            theme: theme,
+            font: this.currentFont,
+            fontSize: this.currentFontSize
+        });
+    }
+
+    /**
+     * Register a custom theme from a map of theme tokens
+     */
+    registerTheme(name, tokens) {
+        const { name: themeName, tokens: normalized } = this.normalizeThemeDefinition(name, tokens);
+
+        this.customThemes[themeName] = normalized;
+        this.saveSetting('customThemes', this.customThemes);
+        this.renderCustomThemes();
+        this.updateThemeOptions();
+
+        this.dispatchEvent('themeRegistered', {
+            name: themeName,
+            tokens: { ...normalized }
+        });
+
+        // Re-apply so the current theme picks up edited tokens
+        if (this.currentTheme === themeName) {
+            this.applyTheme(themeName);
+        }
+    }
+
+    /**
+     * Check a custom theme's name and tokens; throws on invalid ones
+     */
+    normalizeThemeDefinition(name, tokens) {
+        const themeName = String(name || '').trim();
+        if (!/^[a-z0-9][a-z0-9_-]*$/i.test(themeName)) {
+            throw new Error(`ThemeFontToggle: Invalid theme name "${name}"`);
+        }
+        if (BUILT_IN_THEMES.includes(themeName)) {
+            throw new Error(`ThemeFontToggle: Cannot redefine built-in theme "${themeName}"`);
+        }
+        if (tokens !== undefined && (!tokens || typeof tokens !== 'object' || Array.isArray(tokens))) {
+            throw new Error(`ThemeFontToggle: Tokens for theme "${themeName}" must be an object`);
+        }
+
+        const normalized = {};
+        Object.entries(tokens || {}).forEach(([token, value]) => {
+            const property = token.startsWith('--') ? token : `--${token}`;
+            if (!THEME_TOKENS.includes(property)) {
+                throw new Error(`ThemeFontToggle: Unknown theme token "${token}"`);
+            }
+            if (typeof value !== 'string' || !value.trim() || /[;{}<>]/.test(value)) {
+                throw new Error(`ThemeFontToggle: Invalid value for theme token "${property}"`);
+            }
+            normalized[property] = value.trim();
+        });
+
+        return { name: themeName, tokens: normalized };
+    }
+
+    /**
+     * Remove a custom theme
+     */
+    unregisterTheme(name) {
+        if (!this.customThemes[name]) return false;
+
+        delete this.customThemes[name];
+        this.saveSetting('customThemes', this.customThemes);
+        this.renderCustomThemes();
+        this.updateThemeOptions();
+
+        this.dispatchEvent('themeUnregistered', { name: name });
+
+        if (this.currentTheme === name) {
+            this.setTheme(this.config.defaultTheme);
+        }
+        return true;
+    }
+
+    /**
+     * Get the names of all available themes
+     */
+    getThemes() {
+        return [...BUILT_IN_THEMES, ...Object.keys(this.customThemes)];
+    }
+
+    /**
+     * Get the registered custom themes and their tokens
+     */
+    getCustomThemes() {
+        return JSON.parse(JSON.stringify(this.customThemes));
+    }
+
+    /**
+     * Generate the [data-theme] rules for the custom themes
+     */
+    renderCustomThemes() {
+        const css = Object.entries(this.customThemes)
+            .map(([name, tokens]) => {
+                const declarations = Object.entries(tokens)
+                    .map(([property, value]) => `    ${property}: ${value};`)
+                    .join('\n');
+                return `[data-theme="${name}"] {\n${declarations}\n}`;
+            })
+            .join('\n\n');
+
+        this.writeInstanceStyle(this.getStyleContainer(), 'custom-themes', css);
+        this.removeBootstrapElement('custom-themes');
+    }
+
+    /**
+     * Keep the theme dropdown's options in line with the custom themes
+     */
+    updateThemeOptions() {
+        this.updateCustomOptions(this.themeSelector, Object.keys(this.customThemes), this.currentTheme);
+    }
+
+    /**
+     * Keep the font dropdown's options in line with the registered fonts
+     */
+    updateFontOptions() {
+        const labels = {};
+        Object.values(this.customFonts).forEach(font => {
+            labels[font.name] = font.family;
+        });
+        this.updateCustomOptions(this.fontSelector, Object.keys(this.customFonts), this.currentFont, labels);
+    }
+
+    /**
+     * Add options for runtime-registered values to a dropdown and drop stale ones
+     */
+    updateCustomOptions(selector, names, currentValue, labels = {}) {
+        if (!selector || selector.tagName !== 'SELECT') return;
+
+        Array.from(selector.options).forEach(option => {
+            if (option.dataset.customOption !== undefined && !names.includes(option.value)) {
+                option.remove();
+            }
+        });
+
+        names.forEach(name => {
+            const exists = Array.from(selector.options).some(option => option.value === name);
+            if (!exists) {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = labels[name] || name;
+                option.dataset.customOption = '';
+                selector.appendChild(option);
+            }
+        });
+
+        this.updateSelector(selector, currentValue);
+    }
+
+    /**
+     * Register a web font: injects @font-face rules and a [data-font] rule
+     */
+    registerFont(definition) {
+        const font = this.normalizeFontDefinition(definition);
+
+        this.customFonts[font.name] = font;
+        this.saveSetting('customFonts', this.customFonts);
+        this.renderCustomFonts();
+        this.updateFontOptions();
+
+        this.dispatchEvent('fontRegistered', { font: { ...font } });
+    }
+
+    /**
+     * Check a font definition and fill in its defaults; throws on invalid ones
+     */
+    normalizeFontDefinition({ name, family, sources, fallback = 'sans-serif', weights, display = 'swap' } = {}) {
+        const fontName = String(name || '').trim();
+        if (!/^[a-z0-9][a-z0-9_-]*$/i.test(fontName)) {
+            throw new Error(`ThemeFontToggle: Invalid font name "${name}"`);
+        }
+        if (BUILT_IN_FONTS.includes(fontName)) {
+            throw new Error(`ThemeFontToggle: Cannot redefine built-in font "${fontName}"`);
+        }
+
+        const fontFamily = String(family || fontName).trim();
+        if (!fontFamily || /["';{}<>\\]/.test(fontFamily)) {
+            throw new Error(`ThemeFontToggle: Invalid font family "${family}"`);
+        }
+        if (typeof fallback !== 'string' || /[;{}<>]/.test(fallback)) {
+            throw new Error(`ThemeFontToggle: Invalid fallback for font "${fontName}"`);
+        }
+        if (!['auto', 'block', 'swap', 'fallback', 'optional'].includes(display)) {
+            throw new Error(`ThemeFontToggle: Invalid font-display "${display}"`);
+        }
+
+        const sourceList = (Array.isArray(sources) ? sources : [sources]).filter(Boolean);
+        if (!sourceList.length) {
+            throw new Error(`ThemeFontToggle: Font "${fontName}" needs at least one source`);
+        }
+
+        const normalizedSources = sourceList.map(source => {
+            const entry = typeof source === 'string' ? { url: source } : { ...source };
+            if (typeof entry.url !== 'string' || !entry.url || /["'\\\n()]/.test(entry.url)) {
+                throw new Error(`ThemeFontToggle: Invalid source URL for font "${fontName}"`);
+            }
+            return {
+                url: entry.url,
+                format: entry.format || this.guessFontFormat(entry.url),
+                weight: String(entry.weight || 400),
+                style: entry.style === 'italic' ? 'italic' : 'normal'
+            };
+        });
+
+        if (weights !== undefined && !Array.isArray(weights)) {
+            throw new Error(`ThemeFontToggle: Invalid weights for font "${fontName}"`);
+        }
+        const fontWeights = (weights || [...new Set(normalizedSources.map(source => source.weight))])
+            .map(weight => String(weight));
+        if (fontWeights.some(weight => !/^\d{3}$/.test(weight) || weight === '000')) {
+            throw new Error(`ThemeFontToggle: Invalid weights for font "${fontName}"`);
+        }
+
+        return {
+            name: fontName,
+            family: fontFamily,
+            sources: normalizedSources,
+            fallback: fallback.trim() || 'sans-serif',
+            weights: fontWeights,
+            display: display
+        };
+    }
+
+    /**
+     * Remove a registered font
+     */
+    unregisterFont(name) {
+        if (!this.customFonts[name]) return false;
+
+        delete this.customFonts[name];
+        this.saveSetting('customFonts', this.customFonts);
+        this.renderCustomFonts();
+        this.updateFontOptions();
+
+        this.dispatchEvent('fontUnregistered', { name: name });
+
+        if (this.currentFont === name) {
+            this.setFont(this.config.defaultFont);
+        }
+        return true;
+    }
+
+    /**
+     * Get the names of all available fonts
+     */
+    getFonts() {
+        return [...BUILT_IN_FONTS, ...Object.keys(this.customFonts)];
+    }
+
+    /**
+     * Get the registered fonts and their definitions
+     */
+    getCustomFonts() {
+        return JSON.parse(JSON.stringify(this.customFonts));
+    }
+
+    /**
+     * Guess a font format from a source URL's extension
+     */
+    guessFontFormat(url) {
+        const extension = (url.split(/[?#]/)[0].match(/\.([a-z0-9]+)$/i) || [])[1];
+        const formats = { woff2: 'woff2', woff: 'woff', ttf: 'truetype', otf: 'opentype' };
+        return formats[(extension || '').toLowerCase()] || null;
+    }
+
+    /**
+     * The shadow tree the root is in, whose elements only see its own styles
+     * and ids, or the document
+     */
+    getStyleContainer() {
+        const container = this.rootElement.getRootNode();
+        return container !== document && typeof container.getElementById === 'function' ? container : document;
+    }
+
+    /**
+     * The id of one of the instance's own elements, e.g. `theme-font-toggle-filter-2`
+     */
+    getInstanceElementId(name) {
+        return `${this.config.storagePrefix}-${name}-${this.instanceId}`;
+    }
+
+    /**
+     * Remove an element the bootstrap script wrote for the document
+     * (`${storagePrefix}-${name}`), which the instance's own replaces
+     */
+    removeBootstrapElement(name) {
+        if (this.config.root) return;
+
+        const element = document.getElementById(`${this.config.storagePrefix}-${name}`);
+        // The filter is wrapped in its own <svg>
+        if (element) (name === 'filter' ? element.parentNode : element).remove();
+    }
+
+    /**
+     * Write one of the instance's own <style> elements into a shadow tree or
+     * the document's <head>; an empty one isn't added
+     */
+    writeInstanceStyle(container, name, css) {
+        const styleId = this.getInstanceElementId(name);
+        let styleElement = container.getElementById(styleId);
+        if (!styleElement && !css) return;
+
+        if (!styleElement) {
+            styleElement = document.createElement('style');
+            styleElement.id = styleId;
+            (container === document ? document.head || document.documentElement : container).appendChild(styleElement);
+        }
+        styleElement.textContent = css;
+    }
+
+    /**
+     * Generate the @font-face and [data-font] rules for registered fonts, in
+     * the root's tree. Browsers ignore @font-face in a shadow tree, so a root
+     * inside one gets its faces from a style in the document.
+     */
+    renderCustomFonts() {
+        const fonts = Object.values(this.customFonts)
+            .map(font => {
+                // One @font-face per weight and style, listing every source for it
+                const faces = {};
+                font.sources.forEach(source => {
+                    const key = `${source.weight} ${source.style}`;
+                    const src = source.format
+                        ? `url("${source.url}") format("${source.format}")`
+                        : `url("${source.url}")`;
+                    faces[key] = [...(faces[key] || []), src];
+                });
+
+                const fontFaces = Object.entries(faces).map(([key, srcs]) => {
+                    const [weight, style] = key.split(' ');
+                    return `@font-face {\n    font-family: "${font.family}";\n    src: ${srcs.join(', ')};\n`
+                        + `    font-weight: ${weight};\n    font-style: ${style};\n    font-display: ${font.display};\n}`;
+                });
+
+                return {
+                    fontFaces: fontFaces,
+                    rule: `[data-font="${font.name}"] {\n    --font-family: "${font.family}", ${font.fallback};\n}`
+                };
+            });
+
+        const container = this.getStyleContainer();
+        if (container === document) {
+            this.writeInstanceStyle(document, 'custom-fonts',
+                fonts.map(font => [...font.fontFaces, font.rule].join('\n\n')).join('\n\n'));
+        } else {
+            this.writeInstanceStyle(container, 'custom-fonts', fonts.map(font => font.rule).join('\n\n'));
+            this.writeInstanceStyle(document, 'custom-font-faces',
+                fonts.map(font => font.fontFaces.join('\n\n')).join('\n\n'));
+        }
+    }
+
+    /**
+     * Load a registered font's faces through the FontFace API.
+     * Resolves straight away for built-in fonts.
+     */
+    loadFont(font) {
+        const definition = this.customFonts[font];
+        if (!definition || typeof document === 'undefined' || !document.fonts) {
+            return Promise.resolve();
+        }
+
+        const loads = definition.weights.map(weight => document.fonts
+            .load(`${weight} 1em "${definition.family}"`)
+            .then(faces => {
+                if (!faces.length) {
+                    throw new Error(`No font face matched "${definition.family}" (${weight})`);
+                }
+            }));
+
+        let timer;
+        const stopTimer = () => clearTimeout(timer);
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                reject(new Error(`Loading "${definition.family}" timed out`));
+            }, this.config.fontLoadTimeout);
+        });
+        this.signal.addEventListener('abort', stopTimer, { once: true });
+
+        return Promise.race([Promise.all(loads), timeout])
+            .finally(() => {
+                stopTimer();
+                this.signal.removeEventListener('abort', stopTimer);
+            })
+            .then(() => {
+                this.dispatchEvent('fontLoaded', { font: font, family: definition.family });
+            })
+            .catch(error => {
+                this.dispatchEvent('fontLoadError', {
+                    font: font,
+                    family: definition.family,
+                    error: error.message
+                });
+                throw error;
+            });
+    }
+
+    /**
+     * Set font and save it. Registered fonts are loaded before
+     * switching, so the returned promise resolves once the font is applied;
+     * if loading fails the current font stays in place. Throws for a font
+     * that isn't built in or registered.
+     */
+    setFont(font) {
+        font = this.normalizeSettingValue('font', font);
+        this.pendingFont = font;
+
+        // Built-in fonts switch synchronously
+        if (!this.customFonts[font]) {
+            this.commitFont(font);
+            return Promise.resolve();
+        }
+
+        // A synced change is still synced, and an undone one still left out
+        // of the history, when the font finishes loading
+        const source = this.syncSource;
+        const historyPaused = this.historyPaused;
+        return this.loadFont(font)
+            .then(() => {
+                // A later setFont() call wins over this one
+                if (this.pendingFont === font) {
+                    const commit = () => this.withSyncSource(source, () => this.commitFont(font));
+                    if (historyPaused) {
+                        this.pauseHistory(commit);
+                    } else {
+                        commit();
+                    }
+                }
+            })
+            .catch(() => {
+                if (this.pendingFont === font) this.pendingFont = null;
+                this.updateSelector(this.fontSelector, this.currentFont);
+            });
+    }
+
+    /**
+     * Switch to a font that is ready to use
+     */
+    commitFont(font) {
+        this.batchHistory(() => {
+            this.pendingFont = null;
+            this.currentFont = font;
+            this.saveSetting('font', font);
+            this.applyFont(font);
+            this.updateSelector(this.fontSelector, font);
+        });
+
+        this.dispatchEvent('fontChanged', {
+            theme: this.currentTheme,
+            font: font,
+            fontSize: this.currentFontSize
+        });
+    }
+
+    /**
+     * Set font size and save it; throws for a size FONT_SIZES doesn't have
+     */
+    setFontSize(fontSize) {
+        fontSize = this.normalizeSettingValue('fontSize', fontSize);
+
+        this.batchHistory(() => {
+            this.currentFontSize = fontSize;
+            this.saveSetting('fontSize', fontSize);
+            this.applyFontSize(fontSize);
+            this.updateSelector(this.fontSizeSelector, fontSize);
+        });
+
+        this.dispatchEvent('fontSizeChanged', {
+            theme: this.currentTheme,
+            font: this.currentFont,
+            fontSize: fontSize
+        });
+    }
+
+    /**
+     * Set font scale as a percentage (75-300)
+     */
+    setFontScale(fontScale) {
+        this.setTypography('fontScale', fontScale);
+    }
+
+    /**
+     * Set line height as a multiple of the font size (1-3)
+     */
+    setLineHeight(lineHeight) {
+        this.setTypography('lineHeight', lineHeight);
+    }
+
+    /**
+     * Set letter spacing in em (0-0.3)
+     */
+    setLetterSpacing(letterSpacing) {
+        this.setTypography('letterSpacing', letterSpacing);
+    }
+
+    /**
+     * Set word spacing in em (0-0.5)
+     */
+    setWordSpacing(wordSpacing) {
+        this.setTypography('wordSpacing', wordSpacing);
+    }
+
+    /**
+     * Set spacing after paragraphs in em (0-3)
+     */
+    setParagraphSpacing(paragraphSpacing) {
+        this.setTypography('paragraphSpacing', paragraphSpacing);
+    }
+
+    /**
+     * Set a typography setting and save it
+     */
+    setTypography(key, value) {
+        const normalized = this.normalizeTypography(key, value);
+
+        this.batchHistory(() => {
+            this.typography[key] = normalized;
+            this.saveSetting(key, normalized);
+            this.applyTypography(key);
+            this.updateSelector(this.typographySelectors && this.typographySelectors[key], normalized);
+        });
+
+        this.dispatchEvent(`${key}Changed`, this.getSettings());
+    }
+
+    /**
+     * Validate a typography value and snap it to the setting's step
+     */
+    normalizeTypography(key, value) {
+        const setting = TYPOGRAPHY_SETTINGS[key];
+        if (!setting) {
+            throw new Error(`ThemeFontToggle: Unknown typography setting "${key}"`);
+        }
+
+        const number = typeof value === 'string' && value.trim() ? Number(value) : value;
+        if (typeof number !== 'number' || !isFinite(number)) {
+            throw new TypeError(`ThemeFontToggle: ${key} must be a number`);
+        }
+        if (number < setting.min || number > setting.max) {
+            throw new RangeError(`ThemeFontToggle: ${key} must be between ${setting.min} and ${setting.max}`);
+        }
+
+        const snapped = setting.min + Math.round((number - setting.min) / setting.step) * setting.step;
+        return Number(Math.min(setting.max, snapped).toFixed(4));
+    }
+
+    /**
+     * Get the configured default for a typography setting
+     */
+    getDefaultTypography(key) {
+        return this.config[getTypographyConfigKey(key)];
+    }
+
+    /**
+     * Apply a typography setting's CSS custom property to the document
+     */
+    applyTypography(key) {
+        const setting = TYPOGRAPHY_SETTINGS[key];
+        this.rootElement.style.setProperty(setting.property, setting.format(this.typography[key]));
+    }
+
+    /**
+     * Apply theme to the document
+     */
+    applyTheme(theme) {
+        const appliedTheme = theme === 'schedule' ? this.getScheduledTheme() : theme;
+        this.setRootAttribute('data-theme', appliedTheme);
+        this.checkContrast();
+
+        if (theme === 'schedule') {
+            this.startScheduleTimer();
+        } else {
+            this.stopScheduleTimer();
+        }
+    }
+
+    /**
+     * Get the theme the schedule currently selects
+     */
+    getScheduledTheme() {
+        const schedule = getOptionalModule('ThemeSchedule', './theme-schedule.js');
+        if (!schedule) {
+            console.warn('ThemeFontToggle: theme-schedule.js is required for the schedule theme');
+            return this.schedule.lightTheme || 'light';
+        }
+
+        try {
+            return schedule.getScheduledTheme(this.schedule);
+        } catch (error) {
+            console.warn('ThemeFontToggle: Invalid theme schedule', error);
+            return this.schedule.lightTheme || 'light';
+        }
+    }
+
+    /**
+     * Set the schedule used by the 'schedule' theme and save it
+     */
+    setSchedule(schedule) {
+        const scheduleModule = getOptionalModule('ThemeSchedule', './theme-schedule.js');
+        if (!scheduleModule) {
+            throw new Error('ThemeFontToggle: theme-schedule.js is required for the schedule theme');
+        }
+
+        try {
+            this.schedule = scheduleModule.normalizeSchedule(schedule);
+        } catch (error) {
+            throw new Error(`ThemeFontToggle: ${error.message}`);
+        }
+        this.saveSetting('schedule', this.schedule);
+
+        this.dispatchEvent('scheduleChanged', { schedule: this.getSchedule() });
+
+        // Switch straight away if the new schedule selects another theme
+        this.updateScheduledTheme();
+    }
+
+    /**
+     * Get the schedule used by the 'schedule' theme
+     */
+    getSchedule() {
+        const scheduleModule = getOptionalModule('ThemeSchedule', './theme-schedule.js');
+        if (scheduleModule) {
+            try {
+                return scheduleModule.normalizeSchedule(this.schedule);
+            } catch (error) {
+                // Fall through to the raw schedule
+            }
+        }
+        return { ...this.schedule };
+    }
+
+    /**
+     * Re-evaluate the schedule, switching theme if its period has changed
+     */
+    updateScheduledTheme() {
+        if (this.currentTheme !== 'schedule') return;
+
+        const scheduledTheme = this.getScheduledTheme();
+        if (this.rootElement.getAttribute('data-theme') !== scheduledTheme) {
+            this.rootElement.setAttribute('data-theme', scheduledTheme);
+            this.checkContrast();
+
+            this.dispatchEvent('themeChanged', {
+                theme: 'schedule',
+                scheduledTheme: scheduledTheme,
+                font: this.currentFont,
+                fontSize: this.currentFontSize,
+                reason: 'schedule'
+            });
+        }
+
+        this.startScheduleTimer();
+    }
+
+    /**
+     * Set a timer for the next schedule transition. Timers can be delayed by
+     * sleep, so the wait is capped and the schedule is also re-checked when
+     * the page becomes visible again.
+     */
+    startScheduleTimer() {
+        const schedule = getOptionalModule('ThemeSchedule', './theme-schedule.js');
+        if (!schedule) return;
+
+        clearTimeout(this.scheduleTimer);
+
+        let delay;
+        try {
+            delay = schedule.getScheduleDelay(this.schedule);
+        } catch (error) {
+            delay = schedule.SCHEDULE_MAX_DELAY;
+        }
+        this.scheduleTimer = setTimeout(() => this.updateScheduledTheme(), delay);
+
+        if (!this.scheduleWakeHandler) {
+            this.scheduleWakeHandler = () => {
+                if (document.visibilityState !== 'hidden') {
+                    this.updateScheduledTheme();
+                }
+            };
+            document.addEventListener('visibilitychange', this.scheduleWakeHandler, { signal: this.signal });
+            window.addEventListener('focus', this.scheduleWakeHandler, { signal: this.signal });
+        }
+    }
+
+    /**
+     * Stop following the schedule
+     */
+    stopScheduleTimer() {
+        clearTimeout(this.scheduleTimer);
+        this.scheduleTimer = null;
+
+        if (this.scheduleWakeHandler) {
+            document.removeEventListener('visibilitychange', this.scheduleWakeHandler);
+            window.removeEventListener('focus', this.scheduleWakeHandler);
+            this.scheduleWakeHandler = null;
+        }
+    }
+
+    /**
+     * Audit the active theme's token pairs against WCAG contrast ratios,
+     * correcting failing colours when enforceContrast is set
+     */
+    checkContrast() {
+        const contrast = getOptionalModule('ThemeContrast', './theme-contrast.js');
+        if (!contrast || !this.config.auditContrast) return null;
+
+        const root = this.rootElement;
+
+        // Drop earlier corrections so the theme's own colours are audited
+        Object.keys(this.contrastCorrections).forEach(token => {
+            root.style.removeProperty(token);
+        });
+        this.contrastCorrections = {};
+
+        const computed = window.getComputedStyle(root);
+        const tokens = {};
+        THEME_TOKENS.forEach(token => {
+            const value = computed.getPropertyValue(token).trim();
+            if (value) tokens[token] = value;
+        });
+
+        const enforced = this.getEnforcedContrastLevel();
+        const level = enforced || 'AA';
+        const results = contrast.auditThemeContrast(tokens, level);
+        const failures = results.filter(result => !result.passes);
+        // Colours the audit couldn't read leave their pairs unchecked
+        const unparsed = contrast.findUnparsedTokens(tokens);
+
+        if (failures.length && enforced) {
+            this.contrastCorrections = contrast.correctThemeContrast(tokens, level);
+            Object.entries(this.contrastCorrections).forEach(([token, value]) => {
+                root.style.setProperty(token, value);
+            });
+        }
+
+        this.contrastReport = {
+            theme: root.getAttribute('data-theme'),
+            level: level,
+            results: results,
+            failures: failures,
+            unparsed: unparsed,
+            corrections: { ...this.contrastCorrections }
+        };
+
+        if (failures.length || unparsed.length) {
+            this.dispatchEvent('contrastWarning', this.contrastReport);
+        }
+
+        return this.contrastReport;
+    }
+
+    /**
+     * Get the result of the last contrast audit
+     */
+    getContrastReport() {
+        return this.contrastReport;
+    }
+
+    /**
+     * Set the contrast level to enforce ('AA', 'AAA' or false) and re-audit
+     */
+    setEnforceContrast(level) {
+        if (level && !['AA', 'AAA'].includes(level)) {
+            throw new Error(`ThemeFontToggle: Invalid contrast level "${level}"`);
+        }
+
+        this.config.enforceContrast = level || false;
+        return this.checkContrast();
+    }
+
+    /**
+     * Get the contrast level corrections are made for: the enforceContrast
+     * option, or AAA when the system asks for more contrast
+     */
+    getEnforcedContrastLevel() {
+        if (this.config.enforceContrast) return this.config.enforceContrast;
+        return this.matchesSystemPreference(MORE_CONTRAST_QUERY) ? 'AAA' : false;
+    }
+
+    /**
+     * Change some of the colour-vision and motion filters and save them
+     */
+    setFilters(changes) {
+        const filtersModule = getOptionalModule('ThemeFilters', './theme-filters.js');
+        if (!filtersModule) {
+            throw new Error('ThemeFontToggle: theme-filters.js is required for setFilters()');
+        }
+
+        const filters = Object.freeze(filtersModule.normalizeFilters({ ...this.filters, ...changes }));
+        this.batchHistory(() => {
+            this.filters = filters;
+            this.saveSetting('filters', this.filters);
+            this.applyFilters();
+            this.updateFilterSelectors();
+        });
+
+        this.dispatchEvent('filtersChanged', {
+            filters: this.getFilters(),
+            reducedMotion: this.isReducedMotion()
+        });
+    }
+
+    /**
+     * Get the current filters; null without theme-filters.js
+     */
+    getFilters() {
+        return this.filters ? { ...this.filters } : null;
+    }
+
+    /**
+     * Get the filters reset() restores: the defaultFilters option over no filters
+     */
+    getDefaultFilters() {
+        const filtersModule = getOptionalModule('ThemeFilters', './theme-filters.js');
+        return filtersModule.normalizeFilters({ ...filtersModule.DEFAULT_FILTERS, ...this.config.defaultFilters });
+    }
+
+    /**
+     * Whether transitions and animations are stopped, by the reducedMotion
+     * filter or the system preference
+     */
+    isReducedMotion() {
+        return !!(this.filters && this.filters.reducedMotion) || this.matchesSystemPreference(REDUCED_MOTION_QUERY);
+    }
+
+    /**
+     * Apply the filters to the root: the colour filters as an SVG filter in
+     * the root's tree, reduced motion as the data-reduced-motion attribute
+     */
+    applyFilters() {
+        const filtersModule = getOptionalModule('ThemeFilters', './theme-filters.js');
+        if (!filtersModule || !this.filters) return;
+
+        this.removeBootstrapElement('filter');
+
+        const id = this.getInstanceElementId('filter');
+        const container = this.getStyleContainer();
+        const existing = container.getElementById(id);
+        const filterElement = existing && existing.parentNode;
+
+        if (filtersModule.hasColorFilters(this.filters)) {
+            // A filter on <html> doesn't trap position: fixed elements, unlike one on <body>
+            const svg = filtersModule.createFilterElement(this.filters, id);
+            if (filterElement) {
+                filterElement.replaceWith(svg);
+            } else {
+                (container === document ? document.body || document.documentElement : container).appendChild(svg);
+            }
+            this.rootElement.style.setProperty('filter', `url("#${id}")`);
+        } else {
+            if (filterElement) filterElement.remove();
+            this.rootElement.style.removeProperty('filter');
+        }
+
+        if (this.isReducedMotion()) {
+            this.setRootAttribute('data-reduced-motion', '');
+        } else {
+            this.rootElement.removeAttribute('data-reduced-motion');
+        }
+    }
+
+    /**
+     * Show the current filters in their controls
+     */
+    updateFilterSelectors() {
+        if (!this.filters || !this.filterSelectors) return;
+
+        Object.entries(this.filterSelectors).forEach(([key, selector]) => {
+            if (!selector) return;
+            if (selector.type === 'checkbox') {
+                selector.checked = this.filters[key];
+            } else {
+                this.updateSelector(selector, this.filters[key]);
+            }
+        });
+    }
+
+    /**
+     * Apply font to the document
+     */
+    applyFont(font) {
+        this.setRootAttribute('data-font', font);
+    }
+
+    /**
+     * Apply font size to the document
+     */
+    applyFontSize(fontSize) {
+        this.setRootAttribute('data-font-size', fontSize);
+    }
+
+    /**
+     * Set an attribute on the root, leaving it alone if the bootstrap script
+     * (or an earlier call) already set the same value
+     */
+    setRootAttribute(name, value) {
+        if (this.rootElement.getAttribute(name) !== String(value)) {
+            this.rootElement.setAttribute(name, value);
+        }
+    }
+
+    /**
+     * Get the element the instance sets its attributes and properties on
+     */
+    getRootElement() {
+        return this.rootElement;
+    }
+
+    /**
+     * Apply all current settings
+     */
+    applySettings() {
+        this.applyTheme(this.currentTheme);
+        this.applyFont(this.currentFont);
+        this.applyFontSize(this.currentFontSize);
+        Object.keys(TYPOGRAPHY_SETTINGS).forEach(key => this.applyTypography(key));
+        this.applyFilters();
+        
+        // Update selector values
+        this.updateSelector(this.themeSelector, this.currentTheme);
+        this.updateSelector(this.fontSelector, this.currentFont);
+        this.updateSelector(this.fontSizeSelector, this.currentFontSize);
+        Object.keys(TYPOGRAPHY_SETTINGS).forEach(key => {
+            this.updateSelector(this.typographySelectors && this.typographySelectors[key], this.typography[key]);
+        });
+        this.updateFilterSelectors();
+    }
+
+    /**
+     * Update selector value
+     */
+    updateSelector(selector, value) {
+        if (selector && selector.value !== String(value)) {
+            selector.value = value;
+        }
+    }
+
+    /**
+     * Get current theme
+     */
+    getTheme() {
+        return this.currentTheme;
+    }
+
+    /**
+     * Get current font
      */
-    init() {
-        // Wait for DOM to be ready
-        if (document.readyState === 'loading') {
-            document.addEventListener('DOMContentLoaded', () => this.setup());
-        } else {
-            this.setup();
-        }
+    getFont() {
+        return this.currentFont;
     }
 
     /**
-     * Setup the plugin after DOM is ready
+     * Get current font size
      */
-    setup() {
-        // Get DOM elements
-        this.themeSelector = document.querySelector(this.config.themeSelector);
-        this.fontSelector = document.querySelector(this.config.fontSelector);
-        this.fontSizeSelector = document.querySelector(this.config.fontSizeSelector);
+    getFontSize() {
+        return this.currentFontSize;
+    }
 
-        // Load saved preferences or defaults
-        this.loadPreferences();
+    /**
+     * Get current font scale percentage
+     */
+    getFontScale() {
+        return this.typography.fontScale;
+    }
 
-        // Set up event listeners
-        this.setupEventListeners();
+    /**
+     * Get current line height
+     */
+    getLineHeight() {
+        return this.typography.lineHeight;
+    }
 
-        // Listen for system theme changes
-        if (this.config.autoDetectSystemTheme) {
-            this.setupSystemThemeListener();
-        }
+    /**
+     * Get current letter spacing in em
+     */
+    getLetterSpacing() {
+        return this.typography.letterSpacing;
+    }
 
-        // Apply initial settings
-        this.applySettings();
+    /**
+     * Get current word spacing in em
+     */
+    getWordSpacing() {
+        return this.typography.wordSpacing;
+    }
 
-        // Dispatch initialization event
-        this.dispatchEvent('initialized', {
-            theme: this.currentTheme,
-            font: this.currentFont,
-            fontSize: this.currentFontSize
-        });
+    /**
+     * Get current paragraph spacing in em
+     */
+    getParagraphSpacing() {
+        return this.typography.paragraphSpacing;
     }
 
     /**
-     * Load preferences from localStorage or use defaults
+     * Get all current settings. The filters (null without theme-filters.js)
+     * are frozen and keep their identity until they change.
      */
-    loadPreferences() {
-        this.currentTheme = this.getStoredValue('theme') || this.config.defaultTheme;
-        this.currentFont = this.getStoredValue('font') || this.config.defaultFont;
-        this.currentFontSize = this.getStoredValue('fontSize') || this.config.defaultFontSize;
+    getSettings() {
+        return {
+            theme: this.currentTheme,
+            font: this.currentFont,
+            fontSize: this.currentFontSize,
+            ...this.typography,
+            filters: this.filters
+        };
     }
 
     /**
-     * Get stored value from localStorage
+     * Check one shareable setting, accepting URL parameter strings; throws on
+     * invalid values. `known` lists themes and fonts about to be added.
      */
-    getStoredValue(key) {
-        try {
-            return localStorage.getItem(this.storageKeys[key]);
-        } catch (error) {
-            console.warn('ThemeFontToggle: localStorage not available', error);
-            return null;
+    normalizeSettingValue(key, value, known = {}) {
+        if (TYPOGRAPHY_SETTINGS[key]) {
+            return this.normalizeTypography(key, value);
+        }
+
+        const options = {
+            theme: [...this.getThemes(), ...(known.themes || [])],
+            font: [...this.getFonts(), ...(known.fonts || [])],
+            fontSize: FONT_SIZES
+        }[key];
+        if (!options) {
+            throw new Error(`ThemeFontToggle: Unknown setting "${key}"`);
+        }
+        if (typeof value !== 'string' || !options.includes(value)) {
+            throw new Error(`ThemeFontToggle: Unknown ${key} "${value}"`);
         }
+        return value;
     }
 
     /**
-     * Store value in localStorage
+     * Export the settings, custom themes, fonts, schedule, shortcuts and
+     * filters as JSON
      */
-    setStoredValue(key, value) {
-        try {
-            localStorage.setItem(this.storageKeys[key], value);
-        } catch (error) {
-            console.warn('ThemeFontToggle: localStorage not available', error);
-        }
+    exportSettings() {
+        // The filters have a section of their own
+        const { filters, ...settings } = this.getSettings();
+
+        return JSON.stringify({
+            format: SETTINGS_FORMAT,
+            version: SETTINGS_VERSION,
+            exportedAt: new Date().toISOString(),
+            settings: settings,
+            customThemes: this.getCustomThemes(),
+            customFonts: this.getCustomFonts(),
+            schedule: { ...this.schedule },
+            shortcuts: { ...this.shortcutOverrides },
+            filters: filters
+        }, null, 2);
     }
 
     /**
-     * Setup event listeners for the selectors
+     * Check exported settings (JSON text or a parsed object) without applying
+     * them. Returns the normalized contents, or throws an Error whose `errors`
+     * lists every problem found. Unknown top-level keys and settings are
+     * ignored, so other tools can add their own data.
      */
-    setupEventListeners() {
-        if (this.themeSelector) {
-            this.themeSelector.addEventListener('change', (e) => {
-                this.setTheme(e.target.value);
+    validateSettings(input) {
+        const fail = (errors) => {
+            const error = new Error(`ThemeFontToggle: Invalid settings: ${errors.join('; ')}`);
+            error.errors = errors;
+            return error;
+        };
+
+        let data = input;
+        if (typeof input === 'string') {
+            try {
+                data = JSON.parse(input);
+            } catch (error) {
+                throw fail([`not valid JSON (${error.message})`]);
+            }
+        }
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw fail(['expected an object']);
+        }
+        if (data.format !== SETTINGS_FORMAT) {
+            throw fail([`format must be "${SETTINGS_FORMAT}"`]);
+        }
+        if (!Number.isInteger(data.version) || data.version < 1) {
+            throw fail(['version must be a positive whole number']);
+        }
+        if (data.version > SETTINGS_VERSION) {
+            throw fail([`version ${data.version} is newer than this plugin supports (${SETTINGS_VERSION})`]);
+        }
+
+        const errors = [];
+        const result = { settings: {}, customThemes: {}, customFonts: {}, schedule: null, shortcuts: null, filters: null };
+
+        // Run a check, recording its message against the path it concerns
+        const check = (path, callback) => {
+            try {
+                callback();
+            } catch (error) {
+                errors.push(`${path}: ${error.message.replace(/^ThemeFontToggle: /, '')}`);
+            }
+        };
+        const section = (name) => {
+            const value = data[name];
+            if (value === undefined || value === null) return null;
+            if (typeof value !== 'object' || Array.isArray(value)) {
+                errors.push(`${name}: must be an object`);
+                return null;
+            }
+            return value;
+        };
+
+        Object.entries(section('customThemes') || {}).forEach(([name, tokens]) => {
+            check(`customThemes.${name}`, () => {
+                result.customThemes[name] = this.normalizeThemeDefinition(name, tokens).tokens;
+            });
+        });
+
+        Object.entries(section('customFonts') || {}).forEach(([name, font]) => {
+            check(`customFonts.${name}`, () => {
+                if (!font || typeof font !== 'object') throw new Error('must be an object');
+                result.customFonts[name] = this.normalizeFontDefinition({ ...font, name });
+            });
+        });
+
+        const schedule = section('schedule');
+        if (schedule) {
+            check('schedule', () => {
+                const scheduleModule = getOptionalModule('ThemeSchedule', './theme-schedule.js');
+                if (!scheduleModule) throw new Error('theme-schedule.js is required to import a schedule');
+                result.schedule = scheduleModule.normalizeSchedule(schedule);
             });
         }
 
-        if (this.fontSelector) {
-            this.fontSelector.addEventListener('change', (e) => {
-                this.setFont(e.target.value);
+        const shortcuts = section('shortcuts');
+        if (shortcuts) {
+            result.shortcuts = {};
+            Object.entries(shortcuts).forEach(([action, binding]) => {
+                check(`shortcuts.${action}`, () => {
+                    if (!(action in DEFAULT_SHORTCUTS)) throw new Error('unknown shortcut action');
+                    result.shortcuts[action] = binding === null ? null : normalizeShortcut(binding);
+                });
             });
         }
 
-        if (this.fontSizeSelector) {
-            this.fontSizeSelector.addEventListener('change', (e) => {
-                this.setFontSize(e.target.value);
+        const filters = section('filters');
+        if (filters) {
+            check('filters', () => {
+                const filtersModule = getOptionalModule('ThemeFilters', './theme-filters.js');
+                if (!filtersModule) throw new Error('theme-filters.js is required to import filters');
+                result.filters = filtersModule.normalizeFilters(filters);
+            });
+        }
+
+        const known = { themes: Object.keys(result.customThemes), fonts: Object.keys(result.customFonts) };
+        const settings = section('settings') || {};
+        SHAREABLE_SETTINGS.filter(key => key in settings).forEach(key => {
+            check(`settings.${key}`, () => {
+                result.settings[key] = this.normalizeSettingValue(key, settings[key], known);
             });
+        });
+
+        if (errors.length) {
+            throw fail(errors);
         }
+        return result;
     }
 
     /**
-     * Setup system theme change listener
+     * Apply exported settings (JSON text or a parsed object) and save them.
+     * Nothing is changed if any part is invalid. Custom themes and fonts are
+     * added to the existing ones.
      */
-    setupSystemThemeListener() {
-        if (window.matchMedia) {
-            const mediaQuery = window.matchMedia('(prefers-color-scheme: dark)');
-            mediaQuery.addEventListener('change', () => {
-                if (this.currentTheme === 'auto') {
-                    this.applyTheme('auto');
+    importSettings(input) {
+        const data = this.validateSettings(input);
+
+        // Themes and fonts first, so the settings can refer to them
+        Object.entries(data.customThemes).forEach(([name, tokens]) => this.registerTheme(name, tokens));
+        Object.values(data.customFonts).forEach(font => this.registerFont(font));
+
+        if (data.schedule) {
+            this.setSchedule(data.schedule);
+        }
+        if (data.shortcuts) {
+            this.applyShortcutOverrides(data.shortcuts);
+            this.saveSetting('shortcuts', this.shortcutOverrides);
+            this.dispatchEvent('shortcutsChanged', { shortcuts: this.getShortcuts() });
+        }
+
+        // One undo step; a registered font that still has to load is its own
+        this.batchHistory(() => {
+            if (data.filters) {
+                this.setFilters(data.filters);
+            }
+
+            const { theme, font, fontSize } = data.settings;
+            if (theme !== undefined) this.setTheme(theme);
+            if (font !== undefined) this.setFont(font);
+            if (fontSize !== undefined) this.setFontSize(fontSize);
+            Object.keys(TYPOGRAPHY_SETTINGS).forEach(key => {
+                if (data.settings[key] !== undefined) this.setTypography(key, data.settings[key]);
+            });
+        });
+
+        this.dispatchEvent('settingsImported', this.getSettings());
+        return this.getSettings();
+    }
+
+    /**
+     * Read valid settings from the page URL's query parameters
+     */
+    getUrlSettings() {
+        if (typeof location === 'undefined') return {};
+
+        const params = new URLSearchParams(location.search);
+        const settings = {};
+        SHAREABLE_SETTINGS.forEach(key => {
+            const name = `${this.config.urlParamPrefix}${key}`;
+            if (!params.has(name)) return;
+
+            try {
+                settings[key] = this.normalizeSettingValue(key, params.get(name));
+            } catch (error) {
+                console.warn(`ThemeFontToggle: Ignoring URL parameter "${name}"`, error);
+            }
+        });
+        return settings;
+    }
+
+    /**
+     * Take settings from the URL, if enabled. With urlParams: 'persist' they
+     * are saved; with 'session' they last until the browser session ends,
+     * kept apart from the saved preferences.
+     */
+    loadUrlSettings() {
+        const mode = this.config.urlParams;
+        if (!mode) return {};
+
+        const settings = this.getUrlSettings();
+        if (mode === 'persist') {
+            Object.entries(settings).forEach(([key, value]) => this.setStoredValue(key, value));
+            return settings;
+        }
+
+        const session = this.readSessionUrlSettings();
+        Object.assign(session, settings);
+        this.writeSessionUrlSettings(session);
+        return session;
+    }
+
+    /**
+     * Get the session's URL settings, dropping any that are no longer valid
+     */
+    readSessionUrlSettings() {
+        const session = {};
+        try {
+            const stored = JSON.parse(sessionStorage.getItem(`${this.config.storagePrefix}-url-settings`)) || {};
+            SHAREABLE_SETTINGS.filter(key => key in stored).forEach(key => {
+                try {
+                    session[key] = this.normalizeSettingValue(key, stored[key]);
+                } catch (error) {
+                    // A custom theme or font that has since been removed
                 }
             });
+        } catch (error) {
+            // sessionStorage unavailable or holding something else
         }
+        return session;
     }
 
     /**
-     * Set theme and save to localStorage
+     * Save the session's URL settings
      */
-    setTheme(theme) {
-        this.currentTheme = theme;
-        this.setStoredValue('theme', theme);
-        this.applyTheme(theme);
-        this.updateSelector(this.themeSelector, theme);
-        
-        this.dispatchEvent('themeChanged', {
-            theme: theme,
-            font: this.currentFont,
-            fontSize: this.currentFontSize
-        });
+    writeSessionUrlSettings(session) {
+        const key = `${this.config.storagePrefix}-url-settings`;
+        try {
+            if (Object.keys(session).length) {
+                sessionStorage.setItem(key, JSON.stringify(session));
+            } else {
+                sessionStorage.removeItem(key);
+            }
+        } catch (error) {
+            // Without sessionStorage the URL settings last for this page only
+        }
     }
 
     /**
-     * Set font and save to localStorage
+     * A setting changed on the page replaces the session's URL value, so it
+     * isn't overridden again on the next page
      */
-    setFont(font) {
-        this.currentFont = font;
-        this.setStoredValue('font', font);
-        this.applyFont(font);
-        this.updateSelector(this.fontSelector, font);
-        
-        this.dispatchEvent('fontChanged', {
-            theme: this.currentTheme,
-            font: font,
-            fontSize: this.currentFontSize
-        });
+    clearSessionUrlSetting(key) {
+        if (!this.config.urlParams || this.config.urlParams === 'persist') return;
+
+        const session = this.readSessionUrlSettings();
+        if (key in session) {
+            delete session[key];
+            this.writeSessionUrlSettings(session);
+        }
     }
 
     /**
-     * Set font size and save to localStorage
+     * Build a link that applies the current settings (or the given keys) on
+     * a page with urlParams enabled
      */
-    setFontSize(fontSize) {
-        this.currentFontSize = fontSize;
-        this.setStoredValue('fontSize', fontSize);
-        this.applyFontSize(fontSize);
-        this.updateSelector(this.fontSizeSelector, fontSize);
-        
-        this.dispatchEvent('fontSizeChanged', {
-            theme: this.currentTheme,
-            font: this.currentFont,
-            fontSize: fontSize
+    getShareUrl(url = location.href, keys = SHAREABLE_SETTINGS) {
+        const shareUrl = new URL(url, typeof location !== 'undefined' ? location.href : undefined);
+        const settings = this.getSettings();
+
+        keys.forEach(key => {
+            if (!SHAREABLE_SETTINGS.includes(key)) {
+                throw new Error(`ThemeFontToggle: Unknown setting "${key}"`);
+            }
+            shareUrl.searchParams.set(`${this.config.urlParamPrefix}${key}`, String(settings[key]));
         });
+        return shareUrl.toString();
     }
 
     /**
-     * Apply theme to the document
+     * Undo the last recorded change to the settings. Returns false when
+     * there is nothing to undo.
      */
-    applyTheme(theme) {
-        document.documentElement.setAttribute('data-theme', theme);
+    undo() {
+        const step = this.undoStack.pop();
+        if (!step) return false;
+
+        this.pauseHistory(() => this.applyHistoryValues(step.before));
+        this.redoStack.push(step);
+        this.dispatchHistoryChanged('undo');
+        return true;
     }
 
     /**
-     * Apply font to the document
+     * Apply the last undone change again. Returns false when there is
+     * nothing to redo.
      */
-    applyFont(font) {
-        document.documentElement.setAttribute('data-font', font);
+    redo() {
+        const step = this.redoStack.pop();
+        if (!step) return false;
+
+        this.pauseHistory(() => this.applyHistoryValues(step.after));
+        this.undoStack.push(step);
+        this.dispatchHistoryChanged('redo');
+        return true;
     }
 
     /**
-     * Apply font size to the document
+     * Whether there is a change to undo
      */
-    applyFontSize(fontSize) {
-        document.documentElement.setAttribute('data-font-size', fontSize);
+    canUndo() {
+        return this.undoStack.length > 0;
     }
 
     /**
-     * Apply all current settings
+     * Whether there is an undone change to redo
      */
-    applySettings() {
-        this.applyTheme(this.currentTheme);
-        this.applyFont(this.currentFont);
-        this.applyFontSize(this.currentFontSize);
-        
-        // Update selector values
-        this.updateSelector(this.themeSelector, this.currentTheme);
-        this.updateSelector(this.fontSelector, this.currentFont);
-        this.updateSelector(this.fontSizeSelector, this.currentFontSize);
+    canRedo() {
+        return this.redoStack.length > 0;
     }
 
     /**
-     * Update selector value
+     * Forget every recorded change
      */
-    updateSelector(selector, value) {
-        if (selector && selector.value !== value) {
-            selector.value = value;
+    clearHistory() {
+        if (!this.canUndo() && !this.canRedo()) return;
+
+        this.undoStack = [];
+        this.redoStack = [];
+        this.dispatchHistoryChanged('clear');
+    }
+
+    /**
+     * Run a callback that changes settings as one undo step. Calls inside it
+     * join the step; changes synced from elsewhere and those made by undo and
+     * redo aren't recorded.
+     */
+    batchHistory(callback) {
+        if (this.historyBatch || this.historyPaused || this.syncSource || !this.config.historyLimit) {
+            return callback();
+        }
+
+        const before = this.getHistorySnapshot();
+        this.historyBatch = true;
+        try {
+            return callback();
+        } finally {
+            this.historyBatch = false;
+            this.recordHistory(before, this.getHistorySnapshot());
         }
     }
 
     /**
-     * Get current theme
+     * Run a callback without recording its changes
      */
-    getTheme() {
-        return this.currentTheme;
+    pauseHistory(callback) {
+        const previous = this.historyPaused;
+        this.historyPaused = true;
+        try {
+            callback();
+        } finally {
+            this.historyPaused = previous;
+        }
     }
 
     /**
-     * Get current font
+     * The settings undo and redo restore
      */
-    getFont() {
-        return this.currentFont;
+    getHistorySnapshot() {
+        return this.getSettings();
     }
 
     /**
-     * Get current font size
+     * Add a step for the settings that differ between two snapshots, dropping
+     * the oldest steps past historyLimit and anything left to redo
      */
-    getFontSize() {
-        return this.currentFontSize;
+    recordHistory(before, after) {
+        const keys = Object.keys(after).filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+        if (!keys.length) return;
+
+        const pick = snapshot => keys.reduce((values, key) => ({ ...values, [key]: snapshot[key] }), {});
+        this.undoStack.push({ before: pick(before), after: pick(after) });
+        this.undoStack.splice(0, Math.max(0, this.undoStack.length - this.config.historyLimit));
+        this.redoStack = [];
+        this.dispatchHistoryChanged('change');
     }
 
     /**
-     * Get all current settings
+     * Set the settings of a history step. Themes and fonts removed since are
+     * skipped, leaving the current ones.
      */
-    getSettings() {
-        return {
-            theme: this.currentTheme,
-            font: this.currentFont,
-            fontSize: this.currentFontSize
-        };
+    applyHistoryValues(values) {
+        Object.entries(values).forEach(([key, value]) => {
+            try {
+                if (key === 'filters') {
+                    if (this.filters) this.setFilters(value);
+                } else if (TYPOGRAPHY_SETTINGS[key]) {
+                    this.setTypography(key, value);
+                } else {
+                    const normalized = this.normalizeSettingValue(key, value);
+                    if (key === 'theme') this.setTheme(normalized);
+                    if (key === 'font') this.setFont(normalized);
+                    if (key === 'fontSize') this.setFontSize(normalized);
+                }
+            } catch (error) {
+                console.warn(`ThemeFontToggle: Can't restore ${key}`, error);
+            }
+        });
+    }
+
+    /**
+     * Announce what undo and redo can do now
+     */
+    dispatchHistoryChanged(action) {
+        this.dispatchEvent('historyChanged', {
+            action: action,
+            canUndo: this.canUndo(),
+            canRedo: this.canRedo()
+        });
     }
 
     /**
-     * Reset to default settings
+     * Reset to default settings, as one undo step
      */
     reset() {
-        this.setTheme(this.config.defaultTheme);
-        this.setFont(this.config.defaultFont);
-        this.setFontSize(this.config.defaultFontSize);
-        
+        this.batchHistory(() => {
+            this.setTheme(this.config.defaultTheme);
+            this.setFont(this.config.defaultFont);
+            this.setFontSize(this.config.defaultFontSize);
+            Object.keys(TYPOGRAPHY_SETTINGS).forEach(key => {
+                this.setTypography(key, this.getDefaultTypography(key));
+            });
+            if (this.filters) {
+                this.setFilters(this.getDefaultFilters());
+            }
+        });
+
         this.dispatchEvent('reset', this.getSettings());
     }
 
@@ -281,41 +2719,54 @@ class ThemeFontToggle {
      * Clear all stored preferences
      */
     clearStorage() {
-        try {
-            Object.values(this.storageKeys).forEach(key => {
-                localStorage.removeItem(key);
-            });
-        } catch (error) {
-            console.warn('ThemeFontToggle: Error clearing localStorage', error);
-        }
+        Object.keys(this.storageKeys).forEach(key => this.removeStoredValue(key));
         
         this.dispatchEvent('storageCleared', this.getSettings());
     }
 
+    /**
+     * Render a ready-made control (see theme-controls.js) bound to this instance
+     */
+    mountControl(target, type, options = {}) {
+        const controls = getOptionalModule('ThemeControls', './theme-controls.js');
+        if (!controls) {
+            throw new Error('ThemeFontToggle: theme-controls.js is required for mountControl()');
+        }
+        return controls.mount(target, type, { ...options, plugin: this });
+    }
+
     /**
      * Dispatch custom event
      */
     dispatchEvent(eventName, detail) {
+        // Composed, so events from a shadow root still reach document listeners
         const event = new CustomEvent(`themeFontToggle:${eventName}`, {
-            detail: detail,
-            bubbles: true
+            detail: this.syncSource ? { ...detail, synced: true, source: this.syncSource } : detail,
+            bubbles: true,
+            composed: true
         });
-        document.dispatchEvent(event);
+        this.eventTarget.dispatchEvent(event);
     }
 
     /**
      * Destroy the plugin instance
      */
     destroy() {
-        // Remove event listeners
-        if (this.themeSelector) {
-            this.themeSelector.removeEventListener('change', this.setTheme);
-        }
-        if (this.fontSelector) {
-            this.fontSelector.removeEventListener('change', this.setFont);
-        }
-        if (this.fontSizeSelector) {
-            this.fontSizeSelector.removeEventListener('change', this.setFontSize);
+        if (this.signal.aborted) return;
+
+        // Remove every listener, timer and sync channel; a font still loading is dropped
+        this.stopScheduleTimer();
+        this.pendingFont = null;
+        this.abortController.abort();
+
+        // Remove the theme and font rules and the filter this instance wrote; other instances' stay
+        const container = this.getStyleContainer();
+        [[container, 'custom-themes'], [container, 'custom-fonts'], [document, 'custom-font-faces'], [container, 'filter']].forEach(([scope, name]) => {
+            const element = scope.getElementById(this.getInstanceElementId(name));
+            if (element) (name === 'filter' ? element.parentNode : element).remove();
+        });
+        if (this.rootElement.style.getPropertyValue('filter') === `url("#${this.getInstanceElementId('filter')}")`) {
+            this.rootElement.style.removeProperty('filter');
         }
 
         // Clear references
@@ -327,63 +2778,12 @@ class ThemeFontToggle {
     }
 }
 
-// Auto-initialize if selectors are found
-document.addEventListener('DOMContentLoaded', () => {
-    const themeSelector = document.querySelector('#theme-toggle');
-    const fontSelector = document.querySelector('#font-toggle');
-    const fontSizeSelector = document.querySelector('#font-size-toggle');
-
-    if (themeSelector || fontSelector || fontSizeSelector) {
-        window.themeFontToggle = new ThemeFontToggle();
-    }
-});
-
 // Export for module systems
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = ThemeFontToggle;
 }
 
-// AMD support
-if (typeof define === 'function' && define.amd) {
-    define([], function() {
-        return ThemeFontToggle;
-    });
-}
-
 // Global export
 if (typeof window !== 'undefined') {
     window.ThemeFontToggle = ThemeFontToggle;
 }
-
-// Example usage and event listeners for demo
-document.addEventListener('DOMContentLoaded', () => {
-    // Listen for plugin events
-    document.addEventListener('themeFontToggle:initialized', (e) => {
-        console.log('Plugin initialized with settings:', e.detail);
-    });
-
-    document.addEventListener('themeFontToggle:themeChanged', (e) => {
-        console.log('Theme changed:', e.detail);
-    });
-
-    document.addEventListener('themeFontToggle:fontChanged', (e) => {
-        console.log('Font changed:', e.detail);
-    });
-
-    document.addEventListener('themeFontToggle:fontSizeChanged', (e) => {
-        console.log('Font size changed:', e.detail);
-    });
-
-    // Add keyboard shortcuts (optional)
-    document.addEventListener('keydown', (e) => {
-        // Ctrl/Cmd + Shift + T for theme toggle
-        if ((e.ctrlKey || e.metaKey) && e.shiftKey && e.key === 'T') {
-            e.preventDefault();
-            if (window.themeFontToggle) {
-                const currentTheme = window.themeFontToggle.getTheme();
-                const newTheme = currentTheme === 'light' ? 'dark' : 'light';
-                window.themeFontToggle.setTheme(newTheme);
-            }
-        }
-    });
-});
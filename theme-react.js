@@ -0,0 +1,131 @@
+/**
+ * Theme React Bindings
+ * React provider and hooks for a ThemeFontToggle instance, built on
+ * theme-store.js:
+ *
+ *   <ThemeFontProvider options={{ defaultTheme: 'auto' }}>
+ *       <App />
+ *   </ThemeFontProvider>
+ *
+ *   const [theme, setTheme] = useTheme();
+ *   const [fontSize, setFontSize] = useFontSize();
+ *
+ * Components re-render when settings change anywhere, including other tabs
+ * and keyboard shortcuts. On the server, and while hydrating, the hooks
+ * return the defaults or the provider's `initialSettings`, so the markup
+ * matches; the saved preferences follow straight after hydration.
+ */
+
+// React and the store, loaded as scripts or modules
+function getReactBindingDependency(globalName, path) {
+    if (typeof window !== 'undefined' && window[globalName]) {
+        return window[globalName];
+    }
+    if (typeof require === 'function') {
+        return require(path);
+    }
+    throw new Error(`ThemeReact: ${path} must be loaded first`);
+}
+
+// Named apart from the globals they may come from, as these are classic scripts
+const ReactLibrary = getReactBindingDependency('React', 'react');
+const ReactThemeStore = getReactBindingDependency('ThemeStore', './theme-store.js');
+
+const ThemeFontContext = ReactLibrary.createContext(null);
+
+/**
+ * Provide a settings store to the components below. Takes a `plugin`
+ * instance, or `options` for a new one, and optional `initialSettings`.
+ */
+function ThemeFontProvider({ plugin, options, initialSettings, children }) {
+    const [store] = ReactLibrary.useState(() => ReactThemeStore.createThemeStore({ plugin, options, initialSettings }));
+
+    // Keep the plugin while the provider is mounted, even with no hooks below it
+    ReactLibrary.useEffect(() => store.listen(() => {}), [store]);
+
+    return ReactLibrary.createElement(ThemeFontContext.Provider, { value: store }, children);
+}
+
+// Get the provider's store
+function useThemeFontStore(hookName) {
+    const store = ReactLibrary.useContext(ThemeFontContext);
+    if (!store) {
+        throw new Error(`ThemeReact: ${hookName}() must be used inside <ThemeFontProvider>`);
+    }
+    return store;
+}
+
+// Read the store's settings, re-rendering when they change.
+// React 17 lacks useSyncExternalStore, so it subscribes in an effect instead.
+const useStoreSettings = ReactLibrary.useSyncExternalStore
+    ? store => ReactLibrary.useSyncExternalStore(store.listen, store.get, store.getServerSnapshot)
+    : store => {
+        const [settings, setSettings] = ReactLibrary.useState(store.getServerSnapshot);
+        ReactLibrary.useEffect(() => {
+            setSettings(store.get());
+            return store.listen(setSettings);
+        }, [store]);
+        return settings;
+    };
+
+/**
+ * Get all settings, a setter for any of them, and the plugin instance
+ */
+function useThemeFontToggle() {
+    const store = useThemeFontStore('useThemeFontToggle');
+    const settings = useStoreSettings(store);
+
+    return {
+        settings,
+        setSettings: store.set,
+        plugin: typeof document === 'undefined' ? null : store.getPlugin()
+    };
+}
+
+// A [value, setter] pair for one setting
+function useSetting(key, hookName) {
+    const store = useThemeFontStore(hookName);
+    const value = useStoreSettings(store)[key];
+    const setValue = ReactLibrary.useCallback(next => store.set({ [key]: next }), [store]);
+    return [value, setValue];
+}
+
+/**
+ * Get the theme and a function to change it
+ */
+function useTheme() {
+    return useSetting('theme', 'useTheme');
+}
+
+/**
+ * Get the font and a function to change it
+ */
+function useFont() {
+    return useSetting('font', 'useFont');
+}
+
+/**
+ * Get the font size and a function to change it
+ */
+function useFontSize() {
+    return useSetting('fontSize', 'useFontSize');
+}
+
+const ThemeReact = {
+    ThemeFontProvider,
+    ThemeFontContext,
+    useThemeFontToggle,
+    useTheme,
+    useFont,
+    useFontSize
+};
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ThemeReact;
+}
+
+// Global export
+if (typeof self !== 'undefined') {
+    self.ThemeReact = ThemeReact;
+}
@@ -0,0 +1,195 @@
+/**
+ * Theme Schedule
+ * Works out whether a theme schedule is in its light or dark period, and when
+ * it next changes. Shared by the plugin and the Chrome extension's service
+ * worker.
+ *
+ * A schedule is either:
+ *   - `{ type: 'time', darkStart: '19:00', darkEnd: '07:00' }`
+ *   - `{ type: 'sun', latitude: 51.5, longitude: -0.12 }` (dark from sunset to sunrise)
+ * plus the `lightTheme` and `darkTheme` to switch between.
+ */
+
+const DEFAULT_SCHEDULE = {
+    type: 'time',
+    darkStart: '19:00',
+    darkEnd: '07:00',
+    latitude: null,
+    longitude: null,
+    lightTheme: 'light',
+    darkTheme: 'dark'
+};
+
+// Longest wait between re-checks, so clock changes and missed timers recover
+const SCHEDULE_MAX_DELAY = 15 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RAD = Math.PI / 180;
+
+// Parse an 'HH:MM' string into minutes after midnight
+function parseScheduleTime(value) {
+    const match = String(value || '').match(/^([01]?\d|2[0-3]):([0-5]\d)$/);
+    return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+}
+
+// Merge a schedule with the defaults and check it, throwing on invalid values
+function normalizeSchedule(schedule) {
+    const normalized = { ...DEFAULT_SCHEDULE, ...schedule };
+
+    if (!['time', 'sun'].includes(normalized.type)) {
+        throw new Error(`Invalid schedule type "${normalized.type}"`);
+    }
+
+    if (normalized.type === 'time') {
+        if (parseScheduleTime(normalized.darkStart) === null) {
+            throw new Error(`Invalid schedule start time "${normalized.darkStart}"`);
+        }
+        if (parseScheduleTime(normalized.darkEnd) === null) {
+            throw new Error(`Invalid schedule end time "${normalized.darkEnd}"`);
+        }
+    }
+
+    if (normalized.type === 'sun') {
+        const latitude = Number(normalized.latitude);
+        const longitude = Number(normalized.longitude);
+        if (normalized.latitude === null || isNaN(latitude) || latitude < -90 || latitude > 90) {
+            throw new Error(`Invalid schedule latitude "${normalized.latitude}"`);
+        }
+        if (normalized.longitude === null || isNaN(longitude) || longitude < -180 || longitude > 180) {
+            throw new Error(`Invalid schedule longitude "${normalized.longitude}"`);
+        }
+        normalized.latitude = latitude;
+        normalized.longitude = longitude;
+    }
+
+    return normalized;
+}
+
+// Sunrise and sunset around the given date, based on the NOAA solar equations.
+// Returns `{ polar: 'day' | 'night' }` when the sun doesn't rise or set.
+function getSunTimes(date, latitude, longitude) {
+    const J1970 = 2440588;
+    const J2000 = 2451545;
+    const J0 = 0.0009;
+    const toJulian = value => value.valueOf() / DAY_MS - 0.5 + J1970;
+    const fromJulian = julian => new Date((julian + 0.5 - J1970) * DAY_MS);
+
+    const lw = RAD * -longitude;
+    const phi = RAD * latitude;
+    const days = toJulian(date) - J2000;
+
+    const cycle = Math.round(days - J0 - lw / (2 * Math.PI));
+    const approxTransit = J0 + lw / (2 * Math.PI) + cycle;
+    const meanAnomaly = RAD * (357.5291 + 0.98560028 * approxTransit);
+    const center = RAD * (1.9148 * Math.sin(meanAnomaly)
+        + 0.02 * Math.sin(2 * meanAnomaly)
+        + 0.0003 * Math.sin(3 * meanAnomaly));
+    const eclipticLongitude = meanAnomaly + center + RAD * 102.9372 + Math.PI;
+    const declination = Math.asin(Math.sin(eclipticLongitude) * Math.sin(RAD * 23.4397));
+    const transit = J2000 + approxTransit
+        + 0.0053 * Math.sin(meanAnomaly)
+        - 0.0069 * Math.sin(2 * eclipticLongitude);
+
+    // Sun's centre 0.833° below the horizon, allowing for refraction
+    const cosHourAngle = (Math.sin(RAD * -0.833) - Math.sin(phi) * Math.sin(declination))
+        / (Math.cos(phi) * Math.cos(declination));
+
+    if (cosHourAngle > 1) return { polar: 'night' };
+    if (cosHourAngle < -1) return { polar: 'day' };
+
+    const hourAngle = Math.acos(cosHourAngle);
+    const setJulian = J2000 + J0 + (hourAngle + lw) / (2 * Math.PI) + cycle
+        + 0.0053 * Math.sin(meanAnomaly)
+        - 0.0069 * Math.sin(2 * eclipticLongitude);
+
+    return {
+        sunrise: fromJulian(transit - (setJulian - transit)),
+        sunset: fromJulian(setJulian)
+    };
+}
+
+// Light/dark transitions from the day before `now` to two days after it
+function getScheduleEvents(schedule, now) {
+    const events = [];
+
+    for (let offset = -1; offset <= 2; offset++) {
+        const day = new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset, 12);
+
+        if (schedule.type === 'sun') {
+            const times = getSunTimes(day, schedule.latitude, schedule.longitude);
+            if (times.sunrise) {
+                events.push({ time: times.sunrise.getTime(), dark: false });
+                events.push({ time: times.sunset.getTime(), dark: true });
+            }
+        } else {
+            const start = parseScheduleTime(schedule.darkStart);
+            const end = parseScheduleTime(schedule.darkEnd);
+            const at = minutes => new Date(day.getFullYear(), day.getMonth(), day.getDate(),
+                Math.floor(minutes / 60), minutes % 60).getTime();
+
+            events.push({ time: at(start), dark: true });
+            events.push({ time: at(end), dark: false });
+        }
+    }
+
+    return events.sort((a, b) => a.time - b.time);
+}
+
+// Whether the schedule is in its dark period at the given time
+function isScheduleDark(schedule, now = new Date()) {
+    const normalized = normalizeSchedule(schedule);
+    const past = getScheduleEvents(normalized, now).filter(event => event.time <= now.getTime());
+
+    if (past.length) {
+        return past[past.length - 1].dark;
+    }
+
+    // Polar day or night: no sunrise or sunset nearby
+    const times = getSunTimes(now, normalized.latitude, normalized.longitude);
+    return times.polar === 'night';
+}
+
+// The theme the schedule selects at the given time
+function getScheduledTheme(schedule, now = new Date()) {
+    const normalized = normalizeSchedule(schedule);
+    return isScheduleDark(normalized, now) ? normalized.darkTheme : normalized.lightTheme;
+}
+
+// When the schedule next switches theme, or null if it won't within two days
+function getNextScheduleTransition(schedule, now = new Date()) {
+    const normalized = normalizeSchedule(schedule);
+    const currentlyDark = isScheduleDark(normalized, now);
+    const next = getScheduleEvents(normalized, now)
+        .find(event => event.time > now.getTime() && event.dark !== currentlyDark);
+
+    return next ? new Date(next.time) : null;
+}
+
+// Delay until the schedule should be re-checked, capped at SCHEDULE_MAX_DELAY
+function getScheduleDelay(schedule, now = new Date()) {
+    const next = getNextScheduleTransition(schedule, now);
+    const delay = next ? next.getTime() - now.getTime() : SCHEDULE_MAX_DELAY;
+    return Math.max(1000, Math.min(delay, SCHEDULE_MAX_DELAY));
+}
+
+const ThemeSchedule = {
+    DEFAULT_SCHEDULE,
+    SCHEDULE_MAX_DELAY,
+    parseScheduleTime,
+    normalizeSchedule,
+    getSunTimes,
+    isScheduleDark,
+    getScheduledTheme,
+    getNextScheduleTransition,
+    getScheduleDelay
+};
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ThemeSchedule;
+}
+
+// Global export (windows and service workers)
+if (typeof self !== 'undefined') {
+    self.ThemeSchedule = ThemeSchedule;
+}
@@ -0,0 +1,217 @@
+/**
+ * Theme Storage
+ * Storage adapters for persisting ThemeFontToggle preferences.
+ *
+ * An adapter is an object with:
+ *   - `get(key)`           the stored value, or null (may return a Promise)
+ *   - `set(key, value)`    store a string, number or JSON-serialisable object (may return a Promise)
+ *   - `remove(key)`        delete a value (may return a Promise)
+ *   - `subscribe(listener)` optional; calls `listener(key, value)` when a value
+ *                          changes elsewhere and returns an unsubscribe function
+ *
+ * String-backed stores (localStorage, sessionStorage, cookies) keep strings as
+ * they are and JSON-encode everything else, so `get()` returns strings. The
+ * plugin parses the settings that need it.
+ */
+
+// Cookies last a year unless configured otherwise
+const COOKIE_MAX_AGE = 365 * 24 * 60 * 60;
+
+// Browsers drop cookies larger than about 4 KB
+const COOKIE_MAX_SIZE = 4096;
+
+// Convert a value for a string-backed store
+function serializeStoredValue(value) {
+    return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+// localStorage or sessionStorage; `getStorage` is called lazily because
+// merely reading window.localStorage throws in some sandboxed frames
+function createWebStorage(getStorage) {
+    return {
+        get(key) {
+            return getStorage().getItem(key);
+        },
+
+        set(key, value) {
+            getStorage().setItem(key, serializeStoredValue(value));
+        },
+
+        remove(key) {
+            getStorage().removeItem(key);
+        },
+
+        // The storage event fires in other tabs and frames of the same origin
+        subscribe(listener) {
+            const handler = (e) => {
+                if (e.key !== null && e.storageArea === getStorage()) {
+                    listener(e.key, e.newValue);
+                }
+            };
+            window.addEventListener('storage', handler);
+            return () => window.removeEventListener('storage', handler);
+        }
+    };
+}
+
+// Cookies, so server-rendered pages can read the preferences before paint
+function createCookieStorage(options = {}) {
+    const config = {
+        path: '/',
+        domain: null,
+        maxAge: COOKIE_MAX_AGE,
+        sameSite: 'Lax',
+        secure: typeof location !== 'undefined' && location.protocol === 'https:',
+        ...options
+    };
+
+    const write = (key, value, maxAge) => {
+        const parts = [
+            `${encodeURIComponent(key)}=${encodeURIComponent(value)}`,
+            `Path=${config.path}`,
+            `Max-Age=${maxAge}`,
+            `SameSite=${config.sameSite}`
+        ];
+        if (config.domain) parts.push(`Domain=${config.domain}`);
+        if (config.secure) parts.push('Secure');
+        document.cookie = parts.join('; ');
+    };
+
+    return {
+        get(key) {
+            const name = `${encodeURIComponent(key)}=`;
+            const cookie = document.cookie.split('; ').find(entry => entry.startsWith(name));
+            return cookie ? decodeURIComponent(cookie.slice(name.length)) : null;
+        },
+
+        set(key, value) {
+            const serialized = serializeStoredValue(value);
+            if (encodeURIComponent(serialized).length > COOKIE_MAX_SIZE) {
+                throw new RangeError(`ThemeStorage: "${key}" is too large for a cookie`);
+            }
+            write(key, serialized, config.maxAge);
+        },
+
+        remove(key) {
+            write(key, '', 0);
+        }
+    };
+}
+
+// chrome.storage.sync or chrome.storage.local, for extension pages
+function createChromeStorage(area = 'sync') {
+    const storageArea = () => chrome.storage[area];
+
+    // Resolve or reject a chrome.storage callback
+    const settle = (resolve, reject, value) => {
+        if (chrome.runtime.lastError) {
+            reject(new Error(chrome.runtime.lastError.message));
+        } else {
+            resolve(value);
+        }
+    };
+
+    return {
+        get(key) {
+            return new Promise((resolve, reject) => {
+                storageArea().get([key], (result) => {
+                    settle(resolve, reject, result[key] === undefined ? null : result[key]);
+                });
+            });
+        },
+
+        set(key, value) {
+            return new Promise((resolve, reject) => {
+                storageArea().set({ [key]: value }, () => settle(resolve, reject));
+            });
+        },
+
+        remove(key) {
+            return new Promise((resolve, reject) => {
+                storageArea().remove(key, () => settle(resolve, reject));
+            });
+        },
+
+        subscribe(listener) {
+            const handler = (changes, namespace) => {
+                if (namespace !== area) return;
+                Object.entries(changes).forEach(([key, change]) => {
+                    listener(key, change.newValue === undefined ? null : change.newValue);
+                });
+            };
+            chrome.storage.onChanged.addListener(handler);
+            return () => chrome.storage.onChanged.removeListener(handler);
+        }
+    };
+}
+
+// In-memory store for tests and server-side use. Unlike browser storage it
+// notifies subscribers of every change, so tests can stand in for other tabs.
+function createMemoryStorage(initial = {}) {
+    const values = new Map(Object.entries(initial));
+    const listeners = new Set();
+    const notify = (key, value) => listeners.forEach(listener => listener(key, value));
+
+    return {
+        get(key) {
+            return values.has(key) ? values.get(key) : null;
+        },
+
+        set(key, value) {
+            values.set(key, value);
+            notify(key, value);
+        },
+
+        remove(key) {
+            values.delete(key);
+            notify(key, null);
+        },
+
+        subscribe(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        }
+    };
+}
+
+// Adapters that can be chosen by name in the plugin's `storage` option
+const STORAGE_ADAPTERS = {
+    localStorage: () => createWebStorage(() => window.localStorage),
+    sessionStorage: () => createWebStorage(() => window.sessionStorage),
+    cookie: () => createCookieStorage(),
+    memory: () => createMemoryStorage()
+};
+
+// Look up a named adapter, or check that an object implements the interface
+function getStorageAdapter(storage) {
+    if (typeof storage === 'string') {
+        if (!STORAGE_ADAPTERS[storage]) {
+            throw new Error(`ThemeStorage: Unknown storage "${storage}"`);
+        }
+        return STORAGE_ADAPTERS[storage]();
+    }
+
+    const missing = ['get', 'set', 'remove'].filter(method => !storage || typeof storage[method] !== 'function');
+    if (missing.length) {
+        throw new TypeError(`ThemeStorage: Storage adapter is missing ${missing.join(', ')}()`);
+    }
+    return storage;
+}
+
+const ThemeStorage = {
+    createWebStorage,
+    createCookieStorage,
+    createChromeStorage,
+    createMemoryStorage,
+    getStorageAdapter
+};
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ThemeStorage;
+}
+
+// Global export (windows and service workers)
+if (typeof self !== 'undefined') {
+    self.ThemeStorage = ThemeStorage;
+}
@@ -0,0 +1,275 @@
+/**
+ * Theme Store
+ * Exposes a ThemeFontToggle instance's settings as a subscribable store.
+ *
+ * `createThemeStore(options)` follows the Svelte store contract, so it works
+ * as `$settings` in Svelte components; the React and Vue bindings
+ * (theme-react.js, theme-vue.js) are built on it. The store follows the
+ * plugin's events, so changes made outside the framework (in another tab,
+ * with a keyboard shortcut or through the plugin's own selectors) show up too.
+ *
+ * Options:
+ *   - `plugin`           instance to use; defaults to `window.themeFontToggle`
+ *                        or a new instance created on first use
+ *   - `options`          options for that new instance
+ *   - `initialSettings`  settings to render on the server and while hydrating,
+ *                        e.g. from ThemeBootstrap.getServerAttributes()
+ *
+ * On the server, where there is no document, the store holds the default
+ * settings (or `initialSettings`), creates no plugin and ignores changes.
+ */
+
+// Plugin events after which the settings may have changed
+const STORE_EVENTS = [
+    'initialized',
+    'themeChanged',
+    'fontChanged',
+    'fontSizeChanged',
+    'fontScaleChanged',
+    'lineHeightChanged',
+    'letterSpacingChanged',
+    'wordSpacingChanged',
+    'paragraphSpacingChanged',
+    'filtersChanged',
+    'reset',
+    'settingsImported'
+];
+
+// Plugin setters for the settings that have their own
+const STORE_SETTERS = {
+    theme: 'setTheme',
+    font: 'setFont',
+    fontSize: 'setFontSize',
+    filters: 'setFilters'
+};
+
+// The ThemeFontToggle class, loaded as a script or a module
+function getThemeFontToggleClass() {
+    if (typeof window !== 'undefined' && window.ThemeFontToggle) {
+        return window.ThemeFontToggle;
+    }
+    if (typeof require === 'function') {
+        return require('./theme-font-toggle.js');
+    }
+    throw new Error('ThemeStore: theme-font-toggle.js must be loaded first');
+}
+
+// Whether two settings objects hold the same values. The plugin keeps the
+// filters object until they change; the defaults' filters are another object
+// with the same values, so objects are compared by value after identity.
+function sameSettings(a, b) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => a[key] === b[key]
+        || (typeof a[key] === 'object' && JSON.stringify(a[key]) === JSON.stringify(b[key])));
+}
+
+/**
+ * Create a store of a plugin instance's settings
+ */
+function createThemeStore(storeOptions = {}) {
+    const isServer = typeof document === 'undefined';
+    const listeners = new Set();
+    const serverSnapshot = Object.freeze({
+        ...getThemeFontToggleClass().getDefaultSettings(storeOptions.options),
+        ...storeOptions.initialSettings
+    });
+
+    let plugin = storeOptions.plugin || null;
+    let ownsPlugin = false;
+    let snapshot = serverSnapshot;
+    let removeEventListeners = null;
+
+    // The plugin instance, created on first use in the browser
+    const getPlugin = () => {
+        if (!plugin && !isServer) {
+            if (window.themeFontToggle) {
+                plugin = window.themeFontToggle;
+            } else {
+                const ThemeFontToggle = getThemeFontToggleClass();
+                plugin = new ThemeFontToggle(storeOptions.options);
+                ownsPlugin = true;
+            }
+        }
+        return plugin;
+    };
+
+    // Re-read the settings; returns whether they changed. Until the plugin has
+    // loaded its preferences, the initial settings stand.
+    const sync = () => {
+        const instance = getPlugin();
+        if (!instance || instance.currentTheme === undefined) return false;
+
+        const next = instance.getSettings();
+        if (sameSettings(next, snapshot)) return false;
+        snapshot = Object.freeze(next);
+        return true;
+    };
+
+    const notify = () => {
+        if (sync()) listeners.forEach(listener => listener(snapshot));
+    };
+
+    const startListening = () => {
+        const instance = getPlugin();
+        if (!instance || removeEventListeners) return;
+
+        // Events bubble up from a scoped instance's root, so listen where it dispatches
+        const target = instance.eventTarget || document;
+        STORE_EVENTS.forEach(name => target.addEventListener(`themeFontToggle:${name}`, notify));
+        removeEventListeners = () => {
+            STORE_EVENTS.forEach(name => target.removeEventListener(`themeFontToggle:${name}`, notify));
+            removeEventListeners = null;
+        };
+    };
+
+    // Once the last listener has gone, stop following the plugin. Deferred, so
+    // a listener removed and added straight back (as React's StrictMode does)
+    // keeps the same plugin.
+    const stopListening = () => {
+        Promise.resolve().then(() => {
+            if (listeners.size || !removeEventListeners) return;
+
+            removeEventListeners();
+            if (ownsPlugin) {
+                plugin.destroy();
+                plugin = null;
+                ownsPlugin = false;
+            }
+        });
+    };
+
+    // Apply one setting once the plugin has loaded its preferences
+    const setSetting = (key, value) => {
+        const instance = getPlugin();
+        if (!instance) return;
+
+        const apply = () => {
+            if (STORE_SETTERS[key]) {
+                instance[STORE_SETTERS[key]](value);
+            } else {
+                instance.setTypography(key, value);
+            }
+        };
+        if (instance.currentTheme === undefined) {
+            instance.ready.then(apply);
+        } else {
+            apply();
+        }
+    };
+
+    const store = {
+        /**
+         * Get the current settings. The same object is returned until they change.
+         */
+        get() {
+            sync();
+            return snapshot;
+        },
+
+        /**
+         * Get the settings rendered on the server, for hydration
+         */
+        getServerSnapshot() {
+            return serverSnapshot;
+        },
+
+        /**
+         * Call `listener` whenever the settings change; returns a function that
+         * stops. Unlike subscribe(), it isn't called straight away.
+         */
+        listen(listener) {
+            if (isServer) return () => {};
+
+            listeners.add(listener);
+            startListening();
+            return () => {
+                if (listeners.delete(listener) && !listeners.size) stopListening();
+            };
+        },
+
+        /**
+         * Svelte store contract: call `run` now and on every change
+         */
+        subscribe(run) {
+            run(store.get());
+            return store.listen(run);
+        },
+
+        /**
+         * Change some settings, e.g. `{ theme: 'dark', lineHeight: 1.8 }`
+         */
+        set(settings) {
+            Object.entries(settings || {}).forEach(([key, value]) => {
+                if (value !== snapshot[key]) setSetting(key, value);
+            });
+        },
+
+        /**
+         * Change settings based on the current ones
+         */
+        update(updater) {
+            store.set(updater(store.get()));
+        },
+
+        /**
+         * A store of one setting, e.g. `const theme = settings.select('theme')`
+         * then `$theme = 'dark'` in Svelte
+         */
+        select(key) {
+            if (!(key in serverSnapshot)) {
+                throw new Error(`ThemeStore: Unknown setting "${key}"`);
+            }
+
+            const selected = {
+                subscribe(run) {
+                    let last;
+                    return store.subscribe(settings => {
+                        if (settings[key] !== last) {
+                            last = settings[key];
+                            run(last);
+                        }
+                    });
+                },
+                set: value => setSetting(key, value),
+                update: updater => setSetting(key, updater(store.get()[key]))
+            };
+            return selected;
+        },
+
+        /**
+         * Get the plugin instance, or null on the server
+         */
+        getPlugin() {
+            return getPlugin();
+        },
+
+        /**
+         * Stop following the plugin, destroying it if the store created it
+         */
+        destroy() {
+            listeners.clear();
+            if (removeEventListeners) removeEventListeners();
+            if (ownsPlugin) {
+                plugin.destroy();
+                plugin = null;
+                ownsPlugin = false;
+            }
+        }
+    };
+
+    return store;
+}
+
+const ThemeStore = {
+    createThemeStore
+};
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ThemeStore;
+}
+
+// Global export
+if (typeof self !== 'undefined') {
+    self.ThemeStore = ThemeStore;
+}
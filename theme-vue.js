@@ -0,0 +1,115 @@
+/**
+ * Theme Vue Bindings
+ * Vue 3 plugin and composable for a ThemeFontToggle instance, built on
+ * theme-store.js:
+ *
+ *   app.use(ThemeFontPlugin, { options: { defaultTheme: 'auto' } });
+ *
+ *   const { theme, fontSize } = useThemeFont();
+ *   theme.value = 'dark';
+ *
+ * The refs follow changes made anywhere, including other tabs and keyboard
+ * shortcuts. On the server they hold the defaults or `initialSettings`; when
+ * `initialSettings` is given, the client keeps them until the first
+ * component using the composable mounts, so hydration matches.
+ */
+
+// Vue and the store, loaded as scripts or modules
+function getVueBindingDependency(globalName, path) {
+    if (typeof window !== 'undefined' && window[globalName]) {
+        return window[globalName];
+    }
+    if (typeof require === 'function') {
+        return require(path);
+    }
+    throw new Error(`ThemeVue: ${path} must be loaded first`);
+}
+
+// Named apart from the globals they may come from, as these are classic scripts
+const VueLibrary = getVueBindingDependency('Vue', 'vue');
+const VueThemeStore = getVueBindingDependency('ThemeStore', './theme-store.js');
+
+// Injection key for the store and its settings ref
+const THEME_FONT_KEY = Symbol('themeFontToggle');
+
+// Settings with a ref of their own in useThemeFont()
+const VUE_SETTING_KEYS = ['theme', 'font', 'fontSize', 'fontScale', 'lineHeight',
+    'letterSpacing', 'wordSpacing', 'paragraphSpacing', 'filters'];
+
+const ThemeFontPlugin = {
+    /**
+     * Install with `app.use(ThemeFontPlugin, { plugin, options, initialSettings })`
+     */
+    install(app, storeOptions = {}) {
+        const store = VueThemeStore.createThemeStore(storeOptions);
+        const settings = VueLibrary.shallowRef(store.getServerSnapshot());
+        const hydrating = !!storeOptions.initialSettings;
+
+        if (typeof document !== 'undefined') {
+            if (!hydrating) settings.value = store.get();
+
+            const stopListening = store.listen(value => {
+                settings.value = value;
+            });
+            // app.onUnmount() arrived in Vue 3.5
+            if (typeof app.onUnmount === 'function') {
+                app.onUnmount(() => {
+                    stopListening();
+                    store.destroy();
+                });
+            }
+        }
+
+        app.provide(THEME_FONT_KEY, { store, settings, hydrating });
+    }
+};
+
+/**
+ * Get a writable computed ref per setting, plus all settings and the plugin
+ */
+function useThemeFont() {
+    const context = VueLibrary.inject(THEME_FONT_KEY, null);
+    if (!context) {
+        throw new Error('ThemeVue: useThemeFont() needs app.use(ThemeFontPlugin)');
+    }
+    const { store, settings } = context;
+
+    // Switch from the server's settings to the saved ones once hydrated
+    if (context.hydrating) {
+        VueLibrary.onMounted(() => {
+            context.hydrating = false;
+            settings.value = store.get();
+        });
+    }
+
+    const refs = {};
+    VUE_SETTING_KEYS.forEach(key => {
+        refs[key] = VueLibrary.computed({
+            get: () => settings.value[key],
+            set: value => store.set({ [key]: value })
+        });
+    });
+
+    return {
+        ...refs,
+        settings: VueLibrary.readonly(settings),
+        setSettings: store.set,
+        getPlugin: store.getPlugin
+    };
+}
+
+const ThemeVue = {
+    ThemeFontPlugin,
+    useThemeFont,
+    THEME_FONT_KEY
+};
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ThemeVue;
+}
+
+// Global export
+if (typeof self !== 'undefined') {
+    self.ThemeVue = ThemeVue;
+}
@@ -0,0 +1,35 @@
+/**
+ * Types for theme-bootstrap.js
+ */
+
+import ThemeFontToggle = require('./theme-font-toggle');
+
+declare namespace ThemeBootstrap {
+    /** A Cookie header, parsed cookies, or a Node or Fetch API request */
+    type ServerSource = string
+        | Record<string, string>
+        | { headers: Headers | Record<string, string | string[] | undefined> }
+        | Headers;
+
+    interface ServerAttributes {
+        'data-theme': string;
+        'data-font': string;
+        'data-font-size': string;
+        /** Set when the reduced motion filter is on, or the request's client hint asks for it */
+        'data-reduced-motion'?: string;
+        /** The typography custom properties, when any are saved */
+        style?: string;
+        [attribute: string]: string | undefined;
+    }
+
+    /** Script to inline in `<head>` that applies saved preferences before the first paint */
+    function getBootstrapScript(options?: ThemeFontToggle.Options): string;
+    function getServerAttributes(source: ServerSource, options?: ThemeFontToggle.Options): ServerAttributes;
+    /** Typography settings that aren't saved are left out */
+    function getServerSettings(source: ServerSource, options?: ThemeFontToggle.Options): Partial<ThemeFontToggle.Settings>
+        & Pick<ThemeFontToggle.Settings, 'theme' | 'font' | 'fontSize'>;
+    function renderHtmlAttributes(attributes: Record<string, string | number | undefined>): string;
+    function parseCookieHeader(header: string | null | undefined): Record<string, string>;
+}
+
+export = ThemeBootstrap;
@@ -0,0 +1,56 @@
+/**
+ * Types for theme-contrast.js
+ */
+
+declare namespace ThemeContrast {
+    type ContrastLevel = 'AA' | 'AAA';
+
+    /** Channels 0-255, alpha 0-1 */
+    interface RgbColor {
+        r: number;
+        g: number;
+        b: number;
+        a: number;
+    }
+
+    /** Each 0-1 */
+    interface HslColor {
+        h: number;
+        s: number;
+        l: number;
+    }
+
+    /** One foreground/background token pair of an audit */
+    interface ContrastResult {
+        foreground: string;
+        background: string;
+        foregroundValue: string;
+        backgroundValue: string;
+        ratio: number;
+        required: number;
+        passes: boolean;
+    }
+
+    const CONTRAST_LEVELS: Record<ContrastLevel, number>;
+    const CONTRAST_PAIRS: Array<[string, string]>;
+
+    /** Hex, rgb(), hsl() or a named colour; null for anything else */
+    function parseCssColor(value: string): RgbColor | null;
+    function formatCssColor(color: RgbColor): string;
+    function rgbToHsl(color: Pick<RgbColor, 'r' | 'g' | 'b'>): HslColor;
+    function hslToRgb(color: HslColor): Pick<RgbColor, 'r' | 'g' | 'b'>;
+    /** Blend a translucent colour over a base (white by default) */
+    function flattenColor(color: RgbColor, base?: RgbColor): RgbColor;
+    function getRelativeLuminance(color: Pick<RgbColor, 'r' | 'g' | 'b'>): number;
+    function getContrastRatio(foreground: RgbColor, background: RgbColor): number;
+    function getRequiredContrast(level?: ContrastLevel): number;
+    /** Check a theme's token pairs; `tokens` maps custom properties to colours */
+    function auditThemeContrast(tokens: Record<string, string>, level?: ContrastLevel): ContrastResult[];
+    /** The pairs' tokens whose values parseCssColor() can't read */
+    function findUnparsedTokens(tokens: Record<string, string>): string[];
+    function adjustColorForContrast(foreground: RgbColor, backgrounds: RgbColor[], required: number): RgbColor;
+    /** Corrected values for the failing foreground tokens */
+    function correctThemeContrast(tokens: Record<string, string>, level?: ContrastLevel): Record<string, string>;
+}
+
+export = ThemeContrast;
@@ -0,0 +1,46 @@
+/**
+ * Types for theme-controls.js
+ */
+
+import ThemeFontToggle = require('./theme-font-toggle');
+
+declare namespace ThemeControls {
+    type ControlType = 'theme-switch' | 'theme-toggle' | 'font-size-stepper' | 'theme-palette';
+
+    interface ControlOptions {
+        /** The instance to control; `window.themeFontToggle` by default */
+        plugin?: ThemeFontToggle | null;
+        /** Accessible name, unless the host already has one */
+        label?: string | null;
+        /** Themes to offer, for theme-switch and theme-palette */
+        themes?: string[] | null;
+        /** Font sizes to step through, for font-size-stepper */
+        sizes?: string[] | null;
+        /** Themes theme-toggle switches between */
+        lightTheme?: string | null;
+        darkTheme?: string | null;
+    }
+
+    class ThemeControl {
+        constructor(host: Element, options?: ControlOptions);
+        readonly host: Element;
+        /** The plugin instance, or null until it has loaded its preferences */
+        getPlugin(): ThemeFontToggle | null;
+        setPlugin(plugin: ThemeFontToggle | null): void;
+        /** Re-read the plugin's settings */
+        update(): void;
+        destroy(): void;
+    }
+
+    class ThemeSwitchControl extends ThemeControl {}
+    class ThemeToggleControl extends ThemeControl {}
+    class FontSizeStepperControl extends ThemeControl {}
+    class ThemePaletteControl extends ThemeControl {}
+
+    /** Render a control into an element, or the element matching a selector */
+    function mount(target: string | Element, type: ControlType, options?: ControlOptions): ThemeControl;
+    /** Register the custom elements; done when the script loads */
+    function defineElements(): void;
+}
+
+export = ThemeControls;
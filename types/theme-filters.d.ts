@@ -0,0 +1,57 @@
+/**
+ * Types for theme-filters.js
+ */
+
+declare namespace ThemeFilters {
+    type VisionFilter = 'none' | 'protanopia' | 'deuteranopia' | 'tritanopia' | 'greyscale';
+
+    interface Filters {
+        vision: VisionFilter;
+        /** Percent of the colours' saturation kept, 0-100 in steps of 5 */
+        saturation: number;
+        /** Strength of the blue light filter, 0-100 in steps of 5 */
+        blueLight: number;
+        reducedMotion: boolean;
+    }
+
+    /** Filters to normalize; numbers may be given as strings */
+    type FiltersInput = Partial<Omit<Filters, 'saturation' | 'blueLight'> & {
+        saturation: number | string;
+        blueLight: number | string;
+    }>;
+
+    interface FilterRange {
+        min: number;
+        max: number;
+        step: number;
+    }
+
+    /** One feColorMatrix primitive */
+    interface FilterPrimitive {
+        type: 'matrix' | 'saturate';
+        values: string;
+    }
+
+    /** Rows of a 3x3 RGB matrix */
+    type ColorMatrix = [[number, number, number], [number, number, number], [number, number, number]];
+
+    const VISION_FILTERS: VisionFilter[];
+    const DEFAULT_FILTERS: Filters;
+    const FILTER_RANGES: Record<'saturation' | 'blueLight', FilterRange>;
+    /** Share of green and blue a full-strength blue light filter takes out */
+    const BLUE_LIGHT_REDUCTION: { green: number; blue: number };
+    /** CSS that stops transitions and animations */
+    const REDUCED_MOTION_CSS: string;
+
+    /** Throws for anything but the three deficiencies */
+    function getDaltonizeMatrix(vision: 'protanopia' | 'deuteranopia' | 'tritanopia'): ColorMatrix;
+    /** Complete filter settings; throws on invalid values */
+    function normalizeFilters(filters: FiltersInput): Filters;
+    /** Whether the filters change any colours */
+    function hasColorFilters(filters: FiltersInput): boolean;
+    function getFilterPrimitives(filters: FiltersInput): FilterPrimitive[];
+    /** A hidden `<svg>` holding the filter `id` */
+    function createFilterElement(filters: FiltersInput, id: string, doc?: Document): SVGSVGElement;
+}
+
+export = ThemeFilters;
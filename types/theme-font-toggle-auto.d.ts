@@ -0,0 +1,13 @@
+/**
+ * Types for theme-font-toggle-auto.js
+ */
+
+import ThemeFontToggle = require('./theme-font-toggle');
+
+/**
+ * Create `window.themeFontToggle` if the page has selectors or controls for
+ * it; runs by itself once the DOM is ready
+ */
+declare function autoInitThemeFontToggle(): ThemeFontToggle | null;
+
+export = autoInitThemeFontToggle;
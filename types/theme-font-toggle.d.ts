@@ -0,0 +1,378 @@
+/**
+ * Types for theme-font-toggle.js
+ */
+
+import ThemeContrast = require('./theme-contrast');
+import ThemeFilters = require('./theme-filters');
+import ThemeSchedule = require('./theme-schedule');
+import ThemeStorage = require('./theme-storage');
+import ThemeControls = require('./theme-controls');
+
+declare class ThemeFontToggle {
+    /**
+     * Hand over helper modules the plugin can't find as globals or through
+     * require(), as with the ES module build. Throws for an unknown name.
+     */
+    static use(modules: ThemeFontToggle.HelperModules): typeof ThemeFontToggle;
+    /** The settings an instance with these options starts with before loading preferences */
+    static getDefaultSettings(options?: ThemeFontToggle.Options): ThemeFontToggle.Settings;
+
+    constructor(options?: ThemeFontToggle.Options);
+
+    /** The options, merged with the defaults */
+    readonly config: Required<Omit<ThemeFontToggle.Options, 'storageKeys' | 'storage' | 'schedule' | 'root'>>
+        & Pick<ThemeFontToggle.Options, 'storageKeys' | 'storage' | 'schedule' | 'root'>;
+    /** `<html>`, or the element or shadow root given as `root` */
+    readonly root: Element | ShadowRoot;
+    /** Where events are dispatched: the document, or `root` when given */
+    readonly eventTarget: Document | Element | ShadowRoot;
+    /** Aborted by destroy() */
+    readonly signal: AbortSignal;
+    /** Resolves with the settings once stored preferences have loaded */
+    readonly ready: Promise<ThemeFontToggle.Settings>;
+
+    getTheme(): ThemeFontToggle.Theme;
+    getFont(): ThemeFontToggle.Font;
+    getFontSize(): ThemeFontToggle.FontSize;
+    getFontScale(): number;
+    getLineHeight(): number;
+    getLetterSpacing(): number;
+    getWordSpacing(): number;
+    getParagraphSpacing(): number;
+    getSettings(): ThemeFontToggle.Settings;
+
+    /** Throws for a theme that isn't built in or registered */
+    setTheme(theme: ThemeFontToggle.Theme): void;
+    /**
+     * Resolves once the font is applied; rejects if a registered font fails to load.
+     * Throws for a font that isn't built in or registered.
+     */
+    setFont(font: ThemeFontToggle.Font): Promise<void>;
+    /** Throws for a size other than the four built in */
+    setFontSize(fontSize: ThemeFontToggle.FontSize): void;
+    /** Apply every current setting to the root again */
+    applySettings(): void;
+    /** Load a registered font's faces; resolves straight away for built-in fonts */
+    loadFont(font: ThemeFontToggle.Font): Promise<void>;
+    /** Percent of the font size (75-300) */
+    setFontScale(fontScale: number): void;
+    setLineHeight(lineHeight: number): void;
+    setLetterSpacing(letterSpacing: number): void;
+    setWordSpacing(wordSpacing: number): void;
+    setParagraphSpacing(paragraphSpacing: number): void;
+    /** Set any typography setting; throws a RangeError outside its range */
+    setTypography(key: ThemeFontToggle.TypographySetting, value: number | string): void;
+
+    registerTheme(name: string, tokens?: ThemeFontToggle.ThemeTokens): void;
+    /** False if no such theme was registered */
+    unregisterTheme(name: string): boolean;
+    getThemes(): ThemeFontToggle.Theme[];
+    getCustomThemes(): Record<string, ThemeFontToggle.ThemeTokens>;
+
+    registerFont(definition: ThemeFontToggle.FontDefinition): void;
+    unregisterFont(name: string): boolean;
+    getFonts(): ThemeFontToggle.Font[];
+    getCustomFonts(): Record<string, ThemeFontToggle.RegisteredFont>;
+
+    setSchedule(schedule: ThemeSchedule.ScheduleInput): void;
+    getSchedule(): ThemeSchedule.Schedule;
+    /** The theme the schedule selects now */
+    getScheduledTheme(): string;
+
+    /** Re-audit the active theme; null without theme-contrast.js or with auditContrast off */
+    checkContrast(): ThemeFontToggle.ContrastReport | null;
+    getContrastReport(): ThemeFontToggle.ContrastReport | null;
+    setEnforceContrast(level: ThemeContrast.ContrastLevel | false): ThemeFontToggle.ContrastReport | null;
+    /** The enforceContrast option, or 'AAA' when the system asks for more contrast */
+    getEnforcedContrastLevel(): ThemeContrast.ContrastLevel | false;
+
+    /** Requires theme-filters.js; throws on invalid values */
+    setFilters(changes: ThemeFilters.FiltersInput): void;
+    /** Null without theme-filters.js */
+    getFilters(): ThemeFilters.Filters | null;
+    getDefaultFilters(): ThemeFilters.Filters;
+    /** By the reducedMotion filter or the system preference */
+    isReducedMotion(): boolean;
+
+    getShortcuts(): ThemeFontToggle.Shortcuts;
+    /** Throws if the binding is invalid or taken; null disables the shortcut */
+    setShortcut(action: ThemeFontToggle.ShortcutAction, binding: string | null): void;
+    /** The action already using a binding, 'browser' for a browser shortcut, or null */
+    getShortcutConflict(binding: string, action?: ThemeFontToggle.ShortcutAction): ThemeFontToggle.ShortcutAction | 'browser' | null;
+    resetShortcuts(): void;
+    cycleTheme(): void;
+    nextFont(): void;
+    increaseFontSize(): void;
+    decreaseFontSize(): void;
+    resetFontSize(): void;
+
+    /** Versioned JSON text */
+    exportSettings(): string;
+    /** Throws a SettingsValidationError listing each problem */
+    validateSettings(input: string | ThemeFontToggle.ExportedSettings): ThemeFontToggle.ValidatedSettings;
+    importSettings(input: string | ThemeFontToggle.ExportedSettings): ThemeFontToggle.Settings;
+    /** Valid settings in the page URL's query parameters */
+    getUrlSettings(): Partial<ThemeFontToggle.Settings>;
+    getShareUrl(url?: string, keys?: Array<keyof ThemeFontToggle.Settings>): string;
+
+    /** Requires theme-controls.js */
+    mountControl(target: string | Element, type: ThemeControls.ControlType, options?: ThemeControls.ControlOptions): ThemeControls.ThemeControl;
+    /** The element attributes are set on: `<html>`, `root`, or a shadow root's host */
+    getRootElement(): Element;
+
+    /** False when there is nothing to undo */
+    undo(): boolean;
+    /** False when there is nothing to redo */
+    redo(): boolean;
+    canUndo(): boolean;
+    canRedo(): boolean;
+    clearHistory(): void;
+    /** Run changes to the settings as one undo step */
+    batchHistory<T>(callback: () => T): T;
+
+    /** Restore the defaults, as one undo step */
+    reset(): void;
+    clearStorage(): void;
+    /** Remove every listener, timer and sync channel the instance added */
+    destroy(): void;
+}
+
+declare namespace ThemeFontToggle {
+    /** The helpers ThemeFontToggle.use() accepts, by global name */
+    interface HelperModules {
+        ThemeContrast?: typeof ThemeContrast;
+        ThemeFilters?: typeof ThemeFilters;
+        ThemeSchedule?: typeof ThemeSchedule;
+        ThemeStorage?: typeof ThemeStorage;
+        ThemeControls?: typeof ThemeControls;
+    }
+
+    type BuiltInTheme = 'light' | 'dark' | 'auto' | 'schedule';
+    /** A built-in theme or the name of a registered one */
+    type Theme = BuiltInTheme | (string & {});
+
+    type BuiltInFont = 'system' | 'serif' | 'sans-serif' | 'monospace' | 'cursive';
+    /** A built-in font or the name of a registered one */
+    type Font = BuiltInFont | (string & {});
+
+    type FontSize = 'small' | 'medium' | 'large' | 'extra-large';
+
+    type TypographySetting = 'fontScale' | 'lineHeight' | 'letterSpacing' | 'wordSpacing' | 'paragraphSpacing';
+
+    interface Settings {
+        theme: Theme;
+        font: Font;
+        fontSize: FontSize;
+        /** Percent, 75-300 */
+        fontScale: number;
+        /** Unitless, 1-3 */
+        lineHeight: number;
+        /** em, 0-0.3 */
+        letterSpacing: number;
+        /** em, 0-0.5 */
+        wordSpacing: number;
+        /** em, 0-3 */
+        paragraphSpacing: number;
+        /** Null without theme-filters.js; frozen, and the same object until the filters change */
+        filters: Readonly<ThemeFilters.Filters> | null;
+    }
+
+    type ShortcutAction = 'cycleTheme' | 'increaseFontSize' | 'decreaseFontSize' | 'resetFontSize' | 'nextFont' | 'resetAll';
+    /** Bindings like 'Alt+Shift+T'; null when disabled */
+    type Shortcuts = Record<ShortcutAction, string | null>;
+
+    type StorageAdapter = ThemeStorage.StorageAdapter;
+
+    type StorageKey = 'theme' | 'font' | 'fontSize' | TypographySetting | 'customThemes' | 'customFonts'
+        | 'schedule' | 'shortcuts' | 'filters' | 'version';
+
+    interface Options {
+        themeSelector?: string;
+        fontSelector?: string;
+        fontSizeSelector?: string;
+        fontScaleSelector?: string;
+        lineHeightSelector?: string;
+        letterSpacingSelector?: string;
+        wordSpacingSelector?: string;
+        paragraphSpacingSelector?: string;
+        visionSelector?: string;
+        saturationSelector?: string;
+        blueLightSelector?: string;
+        reducedMotionSelector?: string;
+        storagePrefix?: string;
+        /** Override individual storage keys, e.g. `{ theme: 'theme' }` */
+        storageKeys?: Partial<Record<StorageKey, string>>;
+        /** Named stores other than localStorage need theme-storage.js */
+        storage?: ThemeStorage.StorageName | StorageAdapter;
+        defaultTheme?: Theme;
+        defaultFont?: Font;
+        defaultFontSize?: FontSize;
+        defaultFontScale?: number;
+        defaultLineHeight?: number;
+        defaultLetterSpacing?: number;
+        defaultWordSpacing?: number;
+        defaultParagraphSpacing?: number;
+        /** Requires theme-filters.js */
+        defaultFilters?: ThemeFilters.FiltersInput;
+        autoDetectSystemTheme?: boolean;
+        /** Follow prefers-reduced-motion and prefers-contrast: more */
+        respectSystemPreferences?: boolean;
+        syncTabs?: boolean;
+        /** Origins of parent and child frames allowed to exchange settings */
+        frameOrigins?: string[];
+        /** Milliseconds to wait for a registered font */
+        fontLoadTimeout?: number;
+        shortcuts?: boolean;
+        shortcutBindings?: Partial<Shortcuts>;
+        /** Undo steps kept; 0 turns the history off */
+        historyLimit?: number;
+        urlParams?: false | 'session' | 'persist';
+        urlParamPrefix?: string;
+        auditContrast?: boolean;
+        enforceContrast?: ThemeContrast.ContrastLevel | false;
+        schedule?: ThemeSchedule.ScheduleInput;
+        /** Where attributes are set and events dispatched; `<html>` by default */
+        root?: Element | ShadowRoot | null;
+    }
+
+    /** Custom properties, with or without the leading `--`, mapped to values */
+    type ThemeTokens = Record<string, string>;
+
+    interface FontSource {
+        url: string;
+        format?: string;
+        weight?: string | number;
+        style?: 'normal' | 'italic';
+    }
+
+    interface FontDefinition {
+        name: string;
+        /** The CSS font family; defaults to `name` */
+        family?: string;
+        sources?: Array<string | FontSource>;
+        fallback?: string;
+        weights?: Array<string | number>;
+        display?: string;
+    }
+
+    interface RegisteredFont {
+        name: string;
+        family: string;
+        sources: Array<Required<FontSource> & { weight: string }>;
+        fallback: string;
+        weights: string[];
+        display: string;
+    }
+
+    interface ContrastReport {
+        theme: string | null;
+        level: ThemeContrast.ContrastLevel;
+        results: ThemeContrast.ContrastResult[];
+        failures: ThemeContrast.ContrastResult[];
+        /** Tokens set to colours the audit couldn't read, such as var() */
+        unparsed: string[];
+        corrections: Record<string, string>;
+    }
+
+    /** What exportSettings() produces and importSettings() accepts */
+    interface ExportedSettings {
+        format: 'theme-font-toggle-settings';
+        version: number;
+        exportedAt?: string;
+        /** The filters have a section of their own */
+        settings: Partial<Omit<Settings, 'filters'>>;
+        customThemes?: Record<string, ThemeTokens>;
+        customFonts?: Record<string, FontDefinition>;
+        schedule?: ThemeSchedule.ScheduleInput | null;
+        shortcuts?: Partial<Shortcuts>;
+        filters?: ThemeFilters.FiltersInput | null;
+    }
+
+    /** Exported settings once checked, with fonts and the schedule normalized */
+    interface ValidatedSettings {
+        settings: Partial<Omit<Settings, 'filters'>>;
+        customThemes: Record<string, ThemeTokens>;
+        customFonts: Record<string, RegisteredFont>;
+        schedule: ThemeSchedule.Schedule | null;
+        shortcuts: Partial<Shortcuts> | null;
+        filters: ThemeFilters.Filters | null;
+    }
+
+    /** Thrown by validateSettings() and importSettings() */
+    interface SettingsValidationError extends Error {
+        errors: string[];
+    }
+
+    /** Added to the detail of changes applied from another tab or frame */
+    interface SyncedDetail {
+        synced?: true;
+        source?: 'storage' | 'broadcast' | 'frame';
+    }
+
+    interface ChangeDetail extends SyncedDetail {
+        theme: Theme;
+        font: Font;
+        fontSize: FontSize;
+    }
+
+    interface ThemeChangedDetail extends ChangeDetail {
+        /** Set for switches made by the schedule */
+        scheduledTheme?: string;
+        reason?: 'schedule';
+    }
+
+    type SettingsDetail = Settings & SyncedDetail;
+
+    /** Event detail payloads, by name without the `themeFontToggle:` prefix */
+    interface EventDetailMap {
+        initialized: ChangeDetail;
+        themeChanged: ThemeChangedDetail;
+        fontChanged: ChangeDetail;
+        fontSizeChanged: ChangeDetail;
+        fontScaleChanged: SettingsDetail;
+        lineHeightChanged: SettingsDetail;
+        letterSpacingChanged: SettingsDetail;
+        wordSpacingChanged: SettingsDetail;
+        paragraphSpacingChanged: SettingsDetail;
+        reset: Settings;
+        storageCleared: Settings;
+        destroyed: Settings;
+        settingsImported: Settings;
+        themeRegistered: { name: string; tokens: ThemeTokens } & SyncedDetail;
+        themeUnregistered: { name: string } & SyncedDetail;
+        fontRegistered: { font: RegisteredFont } & SyncedDetail;
+        fontUnregistered: { name: string } & SyncedDetail;
+        fontLoaded: { font: string; family: string } & SyncedDetail;
+        fontLoadError: { font: string; family: string; error: string } & SyncedDetail;
+        scheduleChanged: { schedule: ThemeSchedule.Schedule } & SyncedDetail;
+        shortcutTriggered: { action: ShortcutAction; binding: string };
+        shortcutsChanged: { shortcuts: Shortcuts } & SyncedDetail;
+        contrastWarning: ContrastReport;
+        historyChanged: { action: 'change' | 'undo' | 'redo' | 'clear'; canUndo: boolean; canRedo: boolean };
+        filtersChanged: { filters: ThemeFilters.Filters; reducedMotion: boolean };
+        invalidPreference: { key: StorageKey; value: unknown; fallback: unknown; reason: string };
+        preferencesMigrated: { from: number; to: number };
+    }
+
+    type EventName = keyof EventDetailMap;
+
+    /** Typed `themeFontToggle:*` events for addEventListener() */
+    type EventMap = {
+        [Name in EventName as `themeFontToggle:${Name}`]: CustomEvent<EventDetailMap[Name]>;
+    };
+}
+
+declare global {
+    interface DocumentEventMap extends ThemeFontToggle.EventMap {}
+    interface HTMLElementEventMap extends ThemeFontToggle.EventMap {}
+
+    interface Window {
+        ThemeFontToggle: typeof ThemeFontToggle;
+        /** Created by theme-font-toggle-auto.js */
+        themeFontToggle?: ThemeFontToggle;
+        /** Options for the auto-initialized instance */
+        themeFontToggleOptions?: ThemeFontToggle.Options;
+    }
+}
+
+export = ThemeFontToggle;
@@ -0,0 +1,31 @@
+/**
+ * Types for theme-react.js
+ */
+
+import type { Context, ReactNode, ReactElement } from 'react';
+import ThemeFontToggle = require('./theme-font-toggle');
+import ThemeStore = require('./theme-store');
+
+declare namespace ThemeReact {
+    interface ThemeFontProviderProps extends ThemeStore.StoreOptions {
+        children?: ReactNode;
+    }
+
+    type SettingState<Value> = [Value, (value: Value) => void];
+
+    const ThemeFontContext: Context<ThemeStore.SettingsStore | null>;
+
+    function ThemeFontProvider(props: ThemeFontProviderProps): ReactElement;
+
+    function useThemeFontToggle(): {
+        settings: Readonly<ThemeFontToggle.Settings>;
+        setSettings: ThemeStore.SettingsStore['set'];
+        /** Null on the server */
+        plugin: ThemeFontToggle | null;
+    };
+    function useTheme(): SettingState<ThemeFontToggle.Theme>;
+    function useFont(): SettingState<ThemeFontToggle.Font>;
+    function useFontSize(): SettingState<ThemeFontToggle.FontSize>;
+}
+
+export = ThemeReact;
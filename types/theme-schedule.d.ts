@@ -0,0 +1,44 @@
+/**
+ * Types for theme-schedule.js
+ */
+
+declare namespace ThemeSchedule {
+    /** `'time'` switches at fixed times; `'sun'` is dark from sunset to sunrise */
+    type ScheduleType = 'time' | 'sun';
+
+    interface Schedule {
+        type: ScheduleType;
+        /** 'HH:MM' the dark period starts, for time schedules */
+        darkStart: string;
+        /** 'HH:MM' the dark period ends, for time schedules */
+        darkEnd: string;
+        latitude: number | null;
+        longitude: number | null;
+        lightTheme: string;
+        darkTheme: string;
+    }
+
+    /** A schedule as accepted by setSchedule(); missing fields take the defaults */
+    type ScheduleInput = Partial<Schedule>;
+
+    /** Sunrise and sunset, or `polar` when the sun doesn't rise or set that day */
+    type SunTimes = { sunrise: Date; sunset: Date; polar?: undefined }
+        | { polar: 'day' | 'night'; sunrise?: undefined; sunset?: undefined };
+
+    const DEFAULT_SCHEDULE: Schedule;
+    /** Longest wait between re-checks, in milliseconds */
+    const SCHEDULE_MAX_DELAY: number;
+
+    /** Minutes after midnight for an 'HH:MM' string, or null */
+    function parseScheduleTime(value: string): number | null;
+    /** Merge a schedule with the defaults; throws on invalid values */
+    function normalizeSchedule(schedule?: ScheduleInput): Schedule;
+    function getSunTimes(date: Date, latitude: number, longitude: number): SunTimes;
+    function isScheduleDark(schedule: ScheduleInput, now?: Date): boolean;
+    function getScheduledTheme(schedule: ScheduleInput, now?: Date): string;
+    function getNextScheduleTransition(schedule: ScheduleInput, now?: Date): Date | null;
+    /** Milliseconds until the schedule should be re-checked */
+    function getScheduleDelay(schedule: ScheduleInput, now?: Date): number;
+}
+
+export = ThemeSchedule;
@@ -0,0 +1,37 @@
+/**
+ * Types for theme-storage.js
+ */
+
+declare namespace ThemeStorage {
+    type StoredValue = string | number | boolean | object | null;
+
+    /** Where preferences are saved; methods may return Promises */
+    interface StorageAdapter {
+        /** The stored value, or null */
+        get(key: string): StoredValue | Promise<StoredValue>;
+        set(key: string, value: StoredValue): void | Promise<void>;
+        remove(key: string): void | Promise<void>;
+        /** Call `listener` when a value changes elsewhere; returns an unsubscribe function */
+        subscribe?(listener: (key: string, value: StoredValue) => void): () => void;
+    }
+
+    type StorageName = 'localStorage' | 'sessionStorage' | 'cookie' | 'memory';
+
+    interface CookieStorageOptions {
+        path?: string;
+        domain?: string | null;
+        /** Seconds; a year by default */
+        maxAge?: number;
+        sameSite?: 'Strict' | 'Lax' | 'None';
+        secure?: boolean;
+    }
+
+    function createWebStorage(getStorage: () => Storage): StorageAdapter;
+    function createCookieStorage(options?: CookieStorageOptions): StorageAdapter;
+    function createChromeStorage(area?: 'sync' | 'local'): StorageAdapter;
+    function createMemoryStorage(initial?: Record<string, StoredValue>): StorageAdapter;
+    /** Look up a named adapter, or check that an object implements the interface */
+    function getStorageAdapter(storage: StorageName | StorageAdapter): StorageAdapter;
+}
+
+export = ThemeStorage;
@@ -0,0 +1,44 @@
+/**
+ * Types for theme-store.js
+ */
+
+import ThemeFontToggle = require('./theme-font-toggle');
+
+declare namespace ThemeStore {
+    interface StoreOptions {
+        /** Instance to use; `window.themeFontToggle` or a new one by default */
+        plugin?: ThemeFontToggle | null;
+        /** Options for a new instance */
+        options?: ThemeFontToggle.Options;
+        /** Settings to render on the server and while hydrating */
+        initialSettings?: Partial<ThemeFontToggle.Settings>;
+    }
+
+    /** A store of one setting */
+    interface SettingStore<Value> {
+        subscribe(run: (value: Value) => void): () => void;
+        set(value: Value): void;
+        update(updater: (value: Value) => Value): void;
+    }
+
+    /** Follows the Svelte store contract */
+    interface SettingsStore {
+        /** The same object is returned until the settings change */
+        get(): Readonly<ThemeFontToggle.Settings>;
+        getServerSnapshot(): Readonly<ThemeFontToggle.Settings>;
+        /** Unlike subscribe(), the listener isn't called straight away */
+        listen(listener: (settings: Readonly<ThemeFontToggle.Settings>) => void): () => void;
+        subscribe(run: (settings: Readonly<ThemeFontToggle.Settings>) => void): () => void;
+        set(settings: Partial<ThemeFontToggle.Settings>): void;
+        update(updater: (settings: Readonly<ThemeFontToggle.Settings>) => Partial<ThemeFontToggle.Settings>): void;
+        select<Key extends keyof ThemeFontToggle.Settings>(key: Key): SettingStore<ThemeFontToggle.Settings[Key]>;
+        /** The plugin instance, or null on the server */
+        getPlugin(): ThemeFontToggle | null;
+        /** Stop following the plugin, destroying it if the store created it */
+        destroy(): void;
+    }
+
+    function createThemeStore(options?: StoreOptions): SettingsStore;
+}
+
+export = ThemeStore;
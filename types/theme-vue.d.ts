@@ -0,0 +1,31 @@
+/**
+ * Types for theme-vue.js
+ */
+
+import type { App, InjectionKey, Ref, ShallowRef, WritableComputedRef, DeepReadonly } from 'vue';
+import ThemeFontToggle = require('./theme-font-toggle');
+import ThemeStore = require('./theme-store');
+
+declare namespace ThemeVue {
+    type ThemeFontRefs = {
+        [Key in keyof ThemeFontToggle.Settings]: WritableComputedRef<ThemeFontToggle.Settings[Key]>;
+    };
+
+    const THEME_FONT_KEY: InjectionKey<{
+        store: ThemeStore.SettingsStore;
+        settings: ShallowRef<Readonly<ThemeFontToggle.Settings>>;
+        hydrating: boolean;
+    }>;
+
+    const ThemeFontPlugin: {
+        install(app: App, options?: ThemeStore.StoreOptions): void;
+    };
+
+    function useThemeFont(): ThemeFontRefs & {
+        settings: DeepReadonly<Ref<Readonly<ThemeFontToggle.Settings>>>;
+        setSettings: ThemeStore.SettingsStore['set'];
+        getPlugin: ThemeStore.SettingsStore['getPlugin'];
+    };
+}
+
+export = ThemeVue;